@@ -28,6 +28,14 @@ const dbRoom = require('./db/connectors/room');
 const dbCommand = require('./db/connectors/command');
 const winston = require('winston');
 const lanternHacking = require('./managers/lanternHacking');
+const timedEventManager = require('./managers/timedEvents');
+const dbWallet = require('./db/connectors/wallet');
+const dbChatHistory = require('./db/connectors/chatHistory');
+const scheduledPaymentManager = require('./managers/scheduledPayments');
+const transactionManager = require('./managers/transactions');
+const lanternRoundManager = require('./managers/lanternRounds');
+const lanternTeamManager = require('./managers/lanternTeams');
+const signalBlockManager = require('./managers/signalBlocks');
 
 const app = express();
 
@@ -61,7 +69,16 @@ if (appConfig.mode !== appConfig.Modes.TEST) {
   dbCommand.populateDbCommands({ commands: databasePopulation.commands });
 }
 
+dbWallet.recoverTransfers({});
+dbChatHistory.migrateHistories({});
 lanternHacking.startResetInterval({ io: app.io });
+timedEventManager.resumeTimedEvents({ io: app.io });
+scheduledPaymentManager.startScheduledPaymentInterval({ io: app.io });
+transactionManager.startEscrowInterval({ io: app.io });
+transactionManager.startTransferRecoveryInterval();
+lanternRoundManager.startRoundScheduler({ io: app.io });
+lanternTeamManager.startScoreInterval({ io: app.io });
+signalBlockManager.startSignalBlockInterval({ io: app.io });
 
 /*
  * Catches all exceptions and keeps the server running
@@ -36,6 +36,7 @@ const verboseErrorEnv = textTools.convertToBoolean(process.env.VERBOSEERROR);
 const allowMessageImageEnv = textTools.convertToBoolean(process.env.ALLOWMESSAGEIMAGE);
 const bypassMailerEnv = textTools.convertToBoolean(process.env.BYPASSMAILER);
 const bypassExternalConnectionEnv = textTools.convertToBoolean(process.env.BYPASSEXTERNALCONNECTIONS);
+const positionHistoryEnv = textTools.convertToBoolean(process.env.POSITIONHISTORY);
 
 /**
  * Name of the system. Human-readable name that will be sent to clients, such as in the subject field of mail or page title
@@ -186,6 +187,17 @@ config.routes = config.routes || [
   { sitePath: '/api/devices', filePath: `${__dirname}/../../routes/rest/devices` },
   { sitePath: '/api/simpleMsgs', filePath: `${__dirname}/../../routes/rest/simpleMsgs` },
   { sitePath: '/api/mailEvents', filePath: `${__dirname}/../../routes/rest/mailEvents` },
+  { sitePath: '/api/timedEvents', filePath: `${__dirname}/../../routes/rest/timedEvents` },
+  { sitePath: '/api/scheduledPayments', filePath: `${__dirname}/../../routes/rest/scheduledPayments` },
+  { sitePath: '/api/exchangeRates', filePath: `${__dirname}/../../routes/rest/exchangeRates` },
+  { sitePath: '/api/escrows', filePath: `${__dirname}/../../routes/rest/escrows` },
+  { sitePath: '/api/missions', filePath: `${__dirname}/../../routes/rest/missions` },
+  { sitePath: '/api/computingSources', filePath: `${__dirname}/../../routes/rest/computingSources` },
+  { sitePath: '/api/nodeHacks', filePath: `${__dirname}/../../routes/rest/nodeHacks` },
+  { sitePath: '/api/signalBlocks', filePath: `${__dirname}/../../routes/rest/signalBlocks` },
+  { sitePath: '/api/zones', filePath: `${__dirname}/../../routes/rest/zones` },
+  { sitePath: '/api/groups', filePath: `${__dirname}/../../routes/rest/groups` },
+  { sitePath: '/api/search', filePath: `${__dirname}/../../routes/rest/search` },
   { sitePath: '*', filePath: `${__dirname}/../../routes/error.js` },
 ];
 
@@ -213,8 +225,11 @@ config.historyLines = process.env.MAXHISTORY || config.historyLines || 80;
  */
 config.maxHistoryLines = process.env.MAXHISTORYLINES || config.maxHistoryLines || 200;
 
-// Amount of messages sent at a time to client
-config.chunkLength = process.env.MAXCHUNK || config.chunkLength || 10;
+/**
+ * Milliseconds after a message has been sent that the sender can still edit it
+ * @type {number}
+ */
+config.messageEditWindow = process.env.MESSAGEEDITWINDOW || config.messageEditWindow || 300000;
 
 // Does the team have to be verified before being created?
 config.teamVerify = typeof teamVerifyEnv !== 'undefined' ? teamVerifyEnv : config.teamVerify || false;
@@ -283,6 +298,16 @@ config.welcomeMessage = process.env.WELCOMEMESSAGE || config.welcomeMessage;
  */
 config.jsonKey = process.env.JSONKEY || (config.mode === config.Modes.TEST ? 'TESTKEY' : undefined);
 
+/**
+ * Seconds before an access token expires. A new one can be retrieved with the refresh token
+ */
+config.accessTokenDuration = process.env.ACCESSTOKENDURATION || config.accessTokenDuration || 900;
+
+/**
+ * Seconds before a refresh token expires. The user has to log in again after it has expired
+ */
+config.refreshTokenDuration = process.env.REFRESHTOKENDURATION || config.refreshTokenDuration || 604800;
+
 /**
  * Secret key used with BBR events
  */
@@ -293,23 +318,129 @@ config.hackingApiKey = process.env.HACKINGAPIKEY;
  */
 config.hackingApiHost = process.env.HACKINGAPIHOST;
 
+/**
+ * Backend used to communicate with the hacking API. http sends requests to hackingApiHost. simulator keeps everything in-process and works offline
+ * Defaults to simulator in test mode or if external connections are bypassed, otherwise http
+ * @type {string}
+ */
+config.hackingApiBackend = process.env.HACKINGAPIBACKEND || config.hackingApiBackend;
+
+/**
+ * Amount of times a request to the hacking API is retried before it is queued
+ * @type {number}
+ */
+config.hackingApiRetries = process.env.HACKINGAPIRETRIES || config.hackingApiRetries || 2;
+
+/**
+ * Milliseconds between each retry of a request to the hacking API
+ * @type {number}
+ */
+config.hackingApiRetryDelay = process.env.HACKINGAPIRETRYDELAY || config.hackingApiRetryDelay || 1000;
+
+/**
+ * Milliseconds before a request to the hacking API times out
+ * @type {number}
+ */
+config.hackingApiTimeout = process.env.HACKINGAPITIMEOUT || config.hackingApiTimeout || 5000;
+
+/**
+ * Milliseconds between each attempt to send queued requests when the hacking API is unreachable
+ * @type {number}
+ */
+config.hackingApiQueueInterval = process.env.HACKINGAPIQUEUEINTERVAL || config.hackingApiQueueInterval || 30000;
+
+/**
+ * Max amount of requests that are queued while the hacking API is unreachable
+ * @type {number}
+ */
+config.hackingApiMaxQueueSize = process.env.HACKINGAPIMAXQUEUESIZE || config.hackingApiMaxQueueSize || 500;
+
 /**
  * Amount of hacking tries before the hack fails
  */
 config.hackingTriesAmount = process.env.HACKINGTRIESAMOUNT || config.hackingTriesAmount || 3;
 
+/**
+ * Difficulty tiers for lantern hacks. Stations can override each setting
+ * decoyUsers = amount of game users with wrong passwords, fakePasswordAmount = amount of fake passwords mixed with the game users' passwords,
+ * hintTypes = hints about the correct password (index, start, end, middle, length), triesAmount = amount of guesses,
+ * timeLimit = milliseconds before the hack fails. 0 means no limit
+ * @type {Object}
+ */
+config.lanternHackDifficulties = config.lanternHackDifficulties || {
+  easy: {
+    decoyUsers: 1,
+    fakePasswordAmount: 8,
+    hintTypes: ['index', 'start', 'length'],
+    triesAmount: Number(config.hackingTriesAmount) + 2,
+    timeLimit: 0,
+  },
+  normal: {
+    decoyUsers: 1,
+    fakePasswordAmount: 13,
+    hintTypes: ['index'],
+    triesAmount: Number(config.hackingTriesAmount),
+    timeLimit: 0,
+  },
+  hard: {
+    decoyUsers: 3,
+    fakePasswordAmount: 18,
+    hintTypes: ['length'],
+    triesAmount: Math.max(Number(config.hackingTriesAmount) - 1, 1),
+    timeLimit: 120000,
+  },
+};
+
+/**
+ * Difficulty tier used by lantern stations that haven't been given one
+ * @type {string}
+ */
+config.defaultLanternHackDifficulty = process.env.DEFAULTLANTERNHACKDIFFICULTY || config.defaultLanternHackDifficulty || 'normal';
+
+/**
+ * Default amount of nodes in a node hack, including the entry and core nodes
+ * @type {number}
+ */
+config.nodeHackNodeAmount = process.env.NODEHACKNODEAMOUNT || config.nodeHackNodeAmount || 6;
+
+/**
+ * Default amount of firewall nodes in a node hack
+ * @type {number}
+ */
+config.nodeHackFirewallAmount = process.env.NODEHACKFIREWALLAMOUNT || config.nodeHackFirewallAmount || 2;
+
+/**
+ * Default amount of failed password guesses before a node hack fails
+ * @type {number}
+ */
+config.nodeHackTriesAmount = process.env.NODEHACKTRIESAMOUNT || config.nodeHackTriesAmount || 5;
+
+/**
+ * Default amount of milliseconds before a node hack fails
+ * @type {number}
+ */
+config.nodeHackTimeLimit = process.env.NODEHACKTIMELIMIT || config.nodeHackTimeLimit || 300000;
+
+/**
+ * Amount of passwords to choose from on each node in a node hack
+ * @type {number}
+ */
+config.nodeHackPasswordAmount = process.env.NODEHACKPASSWORDAMOUNT || config.nodeHackPasswordAmount || 6;
+
 /**
  * Amount of credits transferred when a game code is used
  */
 config.gameCodeAmount = process.env.GAMECODEAMOUNT || config.gameCodeAmount || 2;
 
 /**
- * Amount of credits transferred when a game code is used
+ * Radius (in meters) of the area affected by a signal block
+ * @type {number}
  */
 config.signalBlockRadius = process.env.SIGNALBLOCKRADIUS || config.signalBlockRadius || 60;
 
 /**
- * Amount of credits transferred when a game code is used
+ * Amount of milliseconds before a signal block expires
+ * @type {number}
  */
 config.signalBlockTime = process.env.SIGNALBLOCKTIME || config.signalBlockTime || 120000;
 
@@ -318,6 +449,24 @@ config.signalBlockTime = process.env.SIGNALBLOCKTIME || config.signalBlockTime |
  */
 config.signalBlockBufferArea = process.env.SIGNALBLOCKBUFFERAREA || config.signalBlockBufferArea || 40;
 
+/**
+ * Amount of milliseconds after creating a signal block before the user can create another one
+ * @type {number}
+ */
+config.signalBlockCooldown = process.env.SIGNALBLOCKCOOLDOWN || config.signalBlockCooldown || 600000;
+
+/**
+ * Amount of milliseconds between each check for signal blocks that have expired
+ * @type {number}
+ */
+config.signalBlockInterval = process.env.SIGNALBLOCKINTERVAL || config.signalBlockInterval || 10000;
+
+/**
+ * Default radius (in meters) of zones that are linked to positions that are not polygons
+ * @type {number}
+ */
+config.defaultZoneRadius = process.env.DEFAULTZONERADIUS || config.defaultZoneRadius || 50;
+
 /**
  * Maximum amount of characters in a document
  */
@@ -333,6 +482,23 @@ config.docFileTitleMaxLength = process.env.DOCFILETITLEMAXLENGTH || config.docFi
  */
 config.docFileIdMaxLength = process.env.DOCFILEIDMAXLENGTH || config.docFileIdMaxLength || 20;
 
+/**
+ * Maximum amount of characters in a code that unlocks a document
+ */
+config.docFileUnlockCodeMaxLength = process.env.DOCFILEUNLOCKCODEMAXLENGTH || config.docFileUnlockCodeMaxLength || 40;
+
+/**
+ * Amount of incorrect guesses a user can make on a locked document within the unlock period
+ * @type {number}
+ */
+config.docFileUnlockAttempts = process.env.DOCFILEUNLOCKATTEMPTS || config.docFileUnlockAttempts || 3;
+
+/**
+ * Amount of milliseconds that incorrect guesses on a locked document are counted
+ * @type {number}
+ */
+config.docFileUnlockPeriod = process.env.DOCFILEUNLOCKPERIOD || config.docFileUnlockPeriod || 300000;
+
 /**
  * Maximum amount of characters in a message
  */
@@ -363,6 +529,11 @@ config.shortTeamMaxLength = process.env.SHORTEAMMAXLENGTH || config.shortTeamMax
  */
 config.passwordMaxLength = process.env.PASSWORDMAXLENGTH || config.passwordMaxLength || 100;
 
+/**
+ * Amount of PBKDF2 iterations used when hashing passwords. Passwords hashed with fewer iterations are rehashed on the next login
+ */
+config.passwordHashIterations = process.env.PASSWORDHASHITERATIONS || config.passwordHashIterations || 100000;
+
 /**
  * Maximum amount of alphanumeric in a device id
  */
@@ -378,6 +549,94 @@ config.deviceAliasMaxLength = process.env.DEVICEALIASMAXLENGTH || config.deviceA
  */
 config.roomNameMaxLength = process.env.ROOMNAMEMAXLENGTH || config.roomNameMaxLength || 20;
 
+/**
+ * Maximum amount of characters in a group name
+ */
+config.groupNameMaxLength = process.env.GROUPNAMEMAXLENGTH || config.groupNameMaxLength || 20;
+
+/**
+ * Maximum amount of characters in the text sent to search
+ */
+config.searchTextMaxLength = process.env.SEARCHTEXTMAXLENGTH || config.searchTextMaxLength || 100;
+
+/**
+ * Amount of search results retrieved, if no limit is sent
+ * @type {number}
+ */
+config.searchResultsLimit = process.env.SEARCHRESULTSLIMIT || config.searchResultsLimit || 20;
+
+/**
+ * Maximum amount of search results that can be retrieved at once
+ * @type {number}
+ */
+config.maxSearchResultsLimit = process.env.MAXSEARCHRESULTSLIMIT || config.maxSearchResultsLimit || 100;
+
+/**
+ * Maximum amount of matches retrieved from each searched type, before they are ranked and paged.
+ * Results beyond this can't be reached by paging
+ * @type {number}
+ */
+config.maxSearchMatches = process.env.MAXSEARCHMATCHES || config.maxSearchMatches || 200;
+
+/**
+ * How much more a word matched in a docFile title is worth than a word matched in the text, when ranking search results
+ * @type {number}
+ */
+config.searchTitleWeight = process.env.SEARCHTITLEWEIGHT || config.searchTitleWeight || 2;
+
+/**
+ * Should user and device position updates be stored in a position history? Used to retrieve tracks and replay them
+ */
+config.positionHistory = typeof positionHistoryEnv !== 'undefined' ? positionHistoryEnv : config.positionHistory || false;
+
+/**
+ * Amount of seconds that positions are kept in the position history
+ * @type {number}
+ */
+config.positionHistoryRetention = process.env.POSITIONHISTORYRETENTION || config.positionHistoryRetention || 604800;
+
+/**
+ * Minimum amount of milliseconds between positions stored in the position history of a user or device. Updates sent more often are not stored
+ * @type {number}
+ */
+config.positionHistoryInterval = process.env.POSITIONHISTORYINTERVAL || config.positionHistoryInterval || 10000;
+
+/**
+ * Maximum amount of positions retrieved from the position history at once
+ * @type {number}
+ */
+config.maxPositionHistoryPoints = process.env.MAXPOSITIONHISTORYPOINTS || config.maxPositionHistoryPoints || 5000;
+
+/**
+ * Names of the groups whose members can retrieve recent position history, such as surveillance roles. Admins can always retrieve position history
+ * @type {string[]}
+ */
+config.positionHistoryGroups = process.env.POSITIONHISTORYGROUPS ? process.env.POSITIONHISTORYGROUPS.split(',') : config.positionHistoryGroups || [];
+
+/**
+ * Amount of milliseconds back in time that members of the position history groups can retrieve positions from
+ * @type {number}
+ */
+config.positionHistoryRecentPeriod = process.env.POSITIONHISTORYRECENTPERIOD || config.positionHistoryRecentPeriod || 1800000;
+
+/**
+ * Amount of milliseconds between each part sent during a position replay
+ * @type {number}
+ */
+config.positionReplayInterval = process.env.POSITIONREPLAYINTERVAL || config.positionReplayInterval || 1000;
+
+/**
+ * How many times faster than real time positions are replayed, if no speed is sent
+ * @type {number}
+ */
+config.positionReplaySpeed = process.env.POSITIONREPLAYSPEED || config.positionReplaySpeed || 60;
+
+/**
+ * Maximum speed that positions can be replayed in
+ * @type {number}
+ */
+config.maxPositionReplaySpeed = process.env.MAXPOSITIONREPLAYSPEED || config.maxPositionReplaySpeed || 3600;
+
 /**
  * Maximum amount of characters in a whisper room name
  */
@@ -413,8 +672,80 @@ config.allowMessageImage = typeof allowMessageImageEnv !== 'undefined' ? allowMe
  */
 config.defaultWalletAmount = process.env.DEFAULTWALLETAMOUNT || config.defaultWalletAmount || 3;
 
+/**
+ * Name of the currency that is used when none is set. Its balance is stored in the wallet amount
+ * @type {string}
+ */
+config.defaultCurrency = process.env.DEFAULTCURRENCY || config.defaultCurrency || 'credits';
+
+/**
+ * Currencies, besides the default currency, that wallets can hold. Wallets created for users will start with the default amount of each currency
+ * @type {{name: string, defaultAmount: number}[]}
+ */
+config.currencies = config.currencies || [];
+
 config.calibrationRewardAmount = process.env.CALIBRATIONREWARDAMOUNT || config.calibrationRewardAmount || 5;
 
+/**
+ * Default amount of transactions per page when retrieving transaction history
+ * @type {number}
+ */
+config.transactionPageSize = process.env.TRANSACTIONPAGESIZE || config.transactionPageSize || 50;
+
+/**
+ * Max amount of transactions per page when retrieving transaction history
+ * @type {number}
+ */
+config.transactionMaxPageSize = process.env.TRANSACTIONMAXPAGESIZE || config.transactionMaxPageSize || 500;
+
+/**
+ * Amount of milliseconds between each check for scheduled payments that are due
+ * @type {number}
+ */
+config.scheduledPaymentInterval = process.env.SCHEDULEDPAYMENTINTERVAL || config.scheduledPaymentInterval || 60000;
+
+/**
+ * Default amount of minutes before a transaction held in escrow is returned to the sender
+ * @type {number}
+ */
+config.escrowDuration = process.env.ESCROWDURATION || config.escrowDuration || 1440;
+
+/**
+ * Amount of milliseconds between each check for transactions held in escrow that have passed their deadline
+ * @type {number}
+ */
+config.escrowInterval = process.env.ESCROWINTERVAL || config.escrowInterval || 60000;
+
+/**
+ * Amount of milliseconds between each check for transfers that were interrupted
+ * @type {number}
+ */
+config.transferRecoveryInterval = process.env.TRANSFERRECOVERYINTERVAL || config.transferRecoveryInterval || 60000;
+
+/**
+ * Amount of milliseconds that a transfer has to be unchanged before it is seen as interrupted and recovered
+ * @type {number}
+ */
+config.transferRecoveryAge = process.env.TRANSFERRECOVERYAGE || config.transferRecoveryAge || 60000;
+
+/**
+ * Amount of milliseconds between each check for scheduled lantern rounds that should start or active rounds that should end
+ * @type {number}
+ */
+config.lanternRoundInterval = process.env.LANTERNROUNDINTERVAL || config.lanternRoundInterval || 5000;
+
+/**
+ * Amount of milliseconds between each time lantern teams are awarded points for the stations they own during an active round
+ * @type {number}
+ */
+config.lanternScoreInterval = process.env.LANTERNSCOREINTERVAL || config.lanternScoreInterval || 60000;
+
+/**
+ * Points awarded to a lantern team for each of its stations with a signal value above the signal threshold, every score interval
+ * @type {number}
+ */
+config.lanternStationPoints = process.env.LANTERNSTATIONPOINTS || config.lanternStationPoints || 1;
+
 config.calibrationRewardMinimum = process.env.CALIBRATIONREWARDMINIMUM || config.calibrationRewardMinimum || 0;
 
 config.calibrationRewardMax = process.env.CALIBRATIONREWARDMAX || config.calibrationRewardMax || 20;
@@ -424,6 +755,30 @@ config.calibrationRewardMax = process.env.CALIBRATIONREWARDMAX || config.calibra
  */
 config.calibrationTimeout = process.env.CALIBRATIONTIMEOUT || config.calibrationTimeout || 20;
 
+/**
+ * Default amount of computing power in each slot of a computing source
+ * @type {number}
+ */
+config.computingSlotPower = process.env.COMPUTINGSLOTPOWER || config.computingSlotPower || 10;
+
+/**
+ * Amount of computing power needed to add a try to a lantern hack
+ * @type {number}
+ */
+config.hackTryPowerCost = process.env.HACKTRYPOWERCOST || config.hackTryPowerCost || 5;
+
+/**
+ * Amount of computing power needed to shorten the time between calibration missions
+ * @type {number}
+ */
+config.calibrationTimeoutPowerCost = process.env.CALIBRATIONTIMEOUTPOWERCOST || config.calibrationTimeoutPowerCost || 5;
+
+/**
+ * Amount of minutes that the time between calibration missions is shortened each time computing power is spent on it
+ * @type {number}
+ */
+config.calibrationTimeoutReduction = process.env.CALIBRATIONTIMEOUTREDUCTION || config.calibrationTimeoutReduction || 5;
+
 /**
  * Should external calls be disabled?
  */
@@ -459,4 +814,16 @@ config.mailSender = `${process.env.MAILSENDER || config.mailSender || 'no_reply'
  */
 config.eventName = process.env.EVENTNAME || config.eventName || 'roleHaven larp';
 
+/**
+ * Amount of milliseconds to wait before retrying a step in a timed event that could not be stored
+ * @type {number}
+ */
+config.timedEventRetryDelay = process.env.TIMEDEVENTRETRYDELAY || config.timedEventRetryDelay || 10000;
+
+/**
+ * Amount of times a step in a timed event is retried before the event is marked as failed. Failed events are resumed on the next start
+ * @type {number}
+ */
+config.timedEventMaxRetries = process.env.TIMEDEVENTMAXRETRIES || config.timedEventMaxRetries || 5;
+
 module.exports = config;
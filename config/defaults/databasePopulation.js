@@ -525,6 +525,200 @@ config.apiCommands = {
     name: 'VerifyUser',
     accessLevel: config.AccessLevels.LOWERADMIN,
   },
+  CreateTimedEvent: config.apiCommands.CreateTimedEvent || {
+    name: 'CreateTimedEvent',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  GetTimedEvents: config.apiCommands.GetTimedEvents || {
+    name: 'GetTimedEvents',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  UpdateTimedEvent: config.apiCommands.UpdateTimedEvent || {
+    name: 'UpdateTimedEvent',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  RemoveTimedEvent: config.apiCommands.RemoveTimedEvent || {
+    name: 'RemoveTimedEvent',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  StartTimedEvent: config.apiCommands.StartTimedEvent || {
+    name: 'StartTimedEvent',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  PauseTimedEvent: config.apiCommands.PauseTimedEvent || {
+    name: 'PauseTimedEvent',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  ResumeTimedEvent: config.apiCommands.ResumeTimedEvent || {
+    name: 'ResumeTimedEvent',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  SkipTimedEventStep: config.apiCommands.SkipTimedEventStep || {
+    name: 'SkipTimedEventStep',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  CancelTimedEvent: config.apiCommands.CancelTimedEvent || {
+    name: 'CancelTimedEvent',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  CreateScheduledPayment: config.apiCommands.CreateScheduledPayment || {
+    name: 'CreateScheduledPayment',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  GetScheduledPayments: config.apiCommands.GetScheduledPayments || {
+    name: 'GetScheduledPayments',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+    selfAccessLevel: config.AccessLevels.BASIC,
+  },
+  GetAllScheduledPayments: config.apiCommands.GetAllScheduledPayments || {
+    name: 'GetAllScheduledPayments',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  RemoveScheduledPayment: config.apiCommands.RemoveScheduledPayment || {
+    name: 'RemoveScheduledPayment',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  GetWalletStats: config.apiCommands.GetWalletStats || {
+    name: 'GetWalletStats',
+    accessLevel: config.AccessLevels.ADMIN,
+  },
+  GetExchangeRates: config.apiCommands.GetExchangeRates || {
+    name: 'GetExchangeRates',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  SetExchangeRate: config.apiCommands.SetExchangeRate || {
+    name: 'SetExchangeRate',
+    accessLevel: config.AccessLevels.ADMIN,
+  },
+  ExchangeCurrency: config.apiCommands.ExchangeCurrency || {
+    name: 'ExchangeCurrency',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+    selfAccessLevel: config.AccessLevels.BASIC,
+  },
+  GetHackingApiStatus: config.apiCommands.GetHackingApiStatus || {
+    name: 'GetHackingApiStatus',
+    accessLevel: config.AccessLevels.ADMIN,
+  },
+  EditMessage: config.apiCommands.EditMessage || {
+    name: 'EditMessage',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  ModerateRoom: config.apiCommands.ModerateRoom || {
+    name: 'ModerateRoom',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  ModerateAllRooms: config.apiCommands.ModerateAllRooms || {
+    name: 'ModerateAllRooms',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  CreateMission: config.apiCommands.CreateMission || {
+    name: 'CreateMission',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  GetMissions: config.apiCommands.GetMissions || {
+    name: 'GetMissions',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  ApplyForMission: config.apiCommands.ApplyForMission || {
+    name: 'ApplyForMission',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  UpdateMission: config.apiCommands.UpdateMission || {
+    name: 'UpdateMission',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  GetComputingSources: config.apiCommands.GetComputingSources || {
+    name: 'GetComputingSources',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  UseComputingSource: config.apiCommands.UseComputingSource || {
+    name: 'UseComputingSource',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  CreateComputingSource: config.apiCommands.CreateComputingSource || {
+    name: 'CreateComputingSource',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  UpdateComputingSource: config.apiCommands.UpdateComputingSource || {
+    name: 'UpdateComputingSource',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  HackNode: config.apiCommands.HackNode || {
+    name: 'HackNode',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  CreateNodeHackTarget: config.apiCommands.CreateNodeHackTarget || {
+    name: 'CreateNodeHackTarget',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  GetSignalBlocks: config.apiCommands.GetSignalBlocks || {
+    name: 'GetSignalBlocks',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  CancelSignalBlock: config.apiCommands.CancelSignalBlock || {
+    name: 'CancelSignalBlock',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  CounterSignalBlock: config.apiCommands.CounterSignalBlock || {
+    name: 'CounterSignalBlock',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  GiveSignalCounters: config.apiCommands.GiveSignalCounters || {
+    name: 'GiveSignalCounters',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  GetZones: config.apiCommands.GetZones || {
+    name: 'GetZones',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  CreateZone: config.apiCommands.CreateZone || {
+    name: 'CreateZone',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  UpdateZone: config.apiCommands.UpdateZone || {
+    name: 'UpdateZone',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  RemoveZone: config.apiCommands.RemoveZone || {
+    name: 'RemoveZone',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  GetDocFileRevisions: config.apiCommands.GetDocFileRevisions || {
+    name: 'GetDocFileRevisions',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  RollbackDocFile: config.apiCommands.RollbackDocFile || {
+    name: 'RollbackDocFile',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  UnlockDocFile: config.apiCommands.UnlockDocFile || {
+    name: 'UnlockDocFile',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  GetGroups: config.apiCommands.GetGroups || {
+    name: 'GetGroups',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  CreateGroup: config.apiCommands.CreateGroup || {
+    name: 'CreateGroup',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  RemoveGroup: config.apiCommands.RemoveGroup || {
+    name: 'RemoveGroup',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  UpdateGroupMembers: config.apiCommands.UpdateGroupMembers || {
+    name: 'UpdateGroupMembers',
+    accessLevel: config.AccessLevels.LOWERADMIN,
+  },
+  Search: config.apiCommands.Search || {
+    name: 'Search',
+    accessLevel: config.AccessLevels.BASIC,
+  },
+  GetPositionHistory: config.apiCommands.GetPositionHistory || {
+    name: 'GetPositionHistory',
+    accessLevel: config.AccessLevels.BASIC,
+  },
 };
 
 module.exports = config;
@@ -25,6 +25,7 @@ const calibrationMissionSchema = new mongoose.Schema({
   completed: { type: Boolean, default: false },
   timeCompleted: Date,
   timeCreated: Date,
+  timeoutReduction: { type: Number, default: 0 },
 }, { collection: 'calibrationMissions' });
 
 const CalibrationMission = mongoose.model('CalibrationMission', calibrationMissionSchema);
@@ -180,9 +181,36 @@ function setMissionCompleted({ owner, callback }) {
   });
 }
 
+/**
+ * Shorten the time until the owner can get a new mission. Updates the last completed mission
+ * @param {string} params.owner User name
+ * @param {number} params.minutes Amount of minutes to shorten the time with
+ * @param {Function} params.callback Callback
+ */
+function reduceTimeout({ owner, minutes, callback }) {
+  const query = { owner, completed: true };
+  const update = { $inc: { timeoutReduction: minutes } };
+  const options = { new: true, sort: { timeCompleted: -1 } };
+
+  CalibrationMission.findOneAndUpdate(query, update, options).lean().exec((err, foundMission) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'reduceTimeout' }) });
+
+      return;
+    } else if (!foundMission) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `completed mission owner: ${owner}` }) });
+
+      return;
+    }
+
+    callback({ data: { mission: foundMission } });
+  });
+}
+
 exports.getActiveMission = getActiveMission;
 exports.createMission = createMission;
 exports.setMissionCompleted = setMissionCompleted;
 exports.getInactiveMissions = getInactiveMissions;
 exports.getMissions = getMissions;
 exports.removeMission = removeMission;
+exports.reduceTimeout = reduceTimeout;
@@ -15,41 +15,62 @@
  */
 
 const mongoose = require('mongoose');
+const winston = require('winston');
 const errorCreator = require('../../objects/error/errorCreator');
 const dbConnector = require('../databaseConnector');
+const appConfig = require('../../config/defaults/config').app;
 
 const chatHistorySchema = new mongoose.Schema({
   roomName: { type: String, unique: true },
   anonymous: { type: Boolean, default: false },
   isWhisper: { type: Boolean, default: false },
-  messages: {
-    type: [{
-      text: [String],
-      time: Date,
-      userName: String,
-      roomName: String,
-      extraClass: String,
-      customSender: String,
-      team: String,
-      shortTeam: String,
-      coordinates: {
-        longitude: Number,
-        latitude: Number,
-      },
-      intro: [String],
-      extro: [String],
-      image: {
-        imageName: String,
-        fileName: String,
-        width: Number,
-        height: Number,
-      },
-    }],
-    default: [],
-  },
 }, { collection: 'chatHistories' });
 
+const chatMessageSchema = new mongoose.Schema({
+  historyName: String,
+  text: [String],
+  time: Date,
+  userName: String,
+  roomName: String,
+  extraClass: String,
+  customSender: String,
+  team: String,
+  shortTeam: String,
+  coordinates: {
+    longitude: Number,
+    latitude: Number,
+  },
+  intro: [String],
+  extro: [String],
+  image: {
+    imageName: String,
+    fileName: String,
+    width: Number,
+    height: Number,
+  },
+  editedAt: Date,
+  isHidden: { type: Boolean, default: false },
+  migrationKey: String,
+}, { collection: 'chatMessages' });
+
+chatMessageSchema.index({ historyName: 1, time: -1 });
+chatMessageSchema.index({ migrationKey: 1 }, { unique: true, sparse: true });
+chatMessageSchema.index({ text: 'text' });
+
 const ChatHistory = mongoose.model('ChatHistory', chatHistorySchema);
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+
+/**
+ * Get the amount of messages to retrieve. Defaults to historyLines and can't be higher than maxHistoryLines
+ * @param {number} [limit] Requested amount of messages
+ * @returns {number} Amount of messages to retrieve
+ */
+function getHistoryLimit(limit) {
+  const maxHistoryLines = Number(appConfig.maxHistoryLines);
+  const requestedLimit = Number(limit) || Number(appConfig.historyLines);
+
+  return Math.max(1, Math.min(requestedLimit, maxHistoryLines));
+}
 
 /**
  * Add message to room history
@@ -59,7 +80,7 @@ const ChatHistory = mongoose.model('ChatHistory', chatHistorySchema);
  */
 function addMsgToHistory({ roomName, message, callback }) {
   const query = { roomName };
-  const update = { $push: { messages: message } };
+  const update = { $setOnInsert: { roomName } };
   const options = { upsert: true, new: true };
 
   ChatHistory.findOneAndUpdate(query, update, options).lean().exec((err, history) => {
@@ -73,20 +94,81 @@ function addMsgToHistory({ roomName, message, callback }) {
       return;
     }
 
-    callback({ data: { history } });
+    const messageToSave = Object.assign({}, message, { historyName: roomName });
+
+    // The same message can be stored in more than one history, such as whispers. Each copy gets its own id
+    delete messageToSave._id; // eslint-disable-line no-underscore-dangle
+
+    const newMessage = new ChatMessage(messageToSave);
+
+    dbConnector.saveObject({
+      object: newMessage,
+      objectType: 'ChatMessage',
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: { history, message: data.savedObject } });
+      },
+    });
   });
 }
 
 /**
- * Get room history from multiple rooms
- * @param {string[]} params.rooms Name of the rooms
+ * Get the time of the message that a cursor points to
+ * @param {string} params.roomName Name of the room
+ * @param {string} [params.cursor] Id of the message
  * @param {Function} params.callback Callback
  */
-function getHistory({ roomName, callback }) {
-  const query = { roomName };
-  const filter = { 'messages._id': 0, _id: 0 };
+function getCursorMessage({ roomName, cursor, callback }) {
+  if (!cursor) {
+    callback({ data: {} });
+
+    return;
+  } else if (!mongoose.Types.ObjectId.isValid(cursor)) {
+    callback({ error: new errorCreator.InvalidData({ expected: 'cursor' }) });
 
-  ChatHistory.findOne(query, filter).lean().exec((err, history) => {
+    return;
+  }
+
+  const query = { _id: cursor, historyName: roomName };
+  const filter = { time: 1 };
+
+  ChatMessage.findOne(query, filter).lean().exec((err, message) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getCursorMessage' }) });
+
+      return;
+    } else if (!message) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `cursor ${cursor}` }) });
+
+      return;
+    }
+
+    callback({ data: { message } });
+  });
+}
+
+/**
+ * Get room history. Retrieves the newest messages that match the parameters, sorted from oldest to newest.
+ * nextCursor is set if there are older messages that can be retrieved by sending it as cursor
+ * @param {string} params.roomName Name of the room
+ * @param {string} [params.whisperTo] Only retrieve whispers sent to or from this user
+ * @param {number} [params.limit] Amount of messages to retrieve
+ * @param {string} [params.cursor] Only retrieve messages older than the message with this id
+ * @param {Date} [params.before] Only retrieve messages sent before this time
+ * @param {Date} [params.after] Only retrieve messages sent after this time
+ * @param {string} [params.search] Only retrieve messages that contain the words
+ * @param {Function} params.callback Callback
+ */
+function getHistory({ roomName, whisperTo, limit, cursor, before, after, search, callback }) {
+  const historyQuery = { roomName };
+  const historyFilter = { _id: 0, __v: 0 };
+
+  ChatHistory.findOne(historyQuery, historyFilter).lean().exec((err, history) => {
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err, name: 'getHistory' }) });
 
@@ -97,7 +179,111 @@ function getHistory({ roomName, callback }) {
       return;
     }
 
-    callback({ data: { history } });
+    getCursorMessage({
+      roomName,
+      cursor,
+      callback: ({ error: cursorError, data: cursorData }) => {
+        if (cursorError) {
+          callback({ error: cursorError });
+
+          return;
+        }
+
+        const historyLimit = getHistoryLimit(limit);
+        const conditions = [{ historyName: roomName }, { isHidden: { $ne: true } }];
+        const filter = { historyName: 0, __v: 0 };
+
+        if (whisperTo) {
+          conditions.push({ $or: [{ roomName: `${whisperTo}${appConfig.whisperAppend}` }, { userName: whisperTo }] });
+        }
+
+        if (before || after) {
+          const time = {};
+
+          if (before) { time.$lt = before; }
+          if (after) { time.$gt = after; }
+
+          conditions.push({ time });
+        }
+
+        if (cursorData.message) {
+          const cursorTime = cursorData.message.time;
+
+          conditions.push({
+            $or: [
+              { time: { $lt: cursorTime } },
+              { time: cursorTime, _id: { $lt: cursor } },
+            ],
+          });
+        }
+
+        const query = { $and: conditions };
+
+        if (search) {
+          query.$text = { $search: search };
+        }
+
+        const sort = { time: -1, _id: -1 };
+        const messageQuery = ChatMessage.find(query, filter).sort(sort).limit(historyLimit + 1);
+
+        messageQuery.lean().exec((msgErr, messages = []) => {
+          if (msgErr) {
+            callback({ error: new errorCreator.Database({ errorObject: msgErr, name: 'getHistory' }) });
+
+            return;
+          }
+
+          const hasMore = messages.length > historyLimit;
+          const page = messages.slice(0, historyLimit);
+          const historyToSend = history;
+
+          historyToSend.messages = page.reverse();
+          historyToSend.nextCursor = hasMore ? page[0]._id : null; // eslint-disable-line no-underscore-dangle
+
+          callback({ data: { history: historyToSend } });
+        });
+      },
+    });
+  });
+}
+
+/**
+ * Search messages in room histories. Newest messages are retrieved first
+ * @param {string[]} params.roomNames Names of the rooms to search in
+ * @param {RegExp} params.searchRegExp Regular expression to match
+ * @param {number} params.limit Max amount of messages to retrieve
+ * @param {Function} params.callback Callback
+ */
+function searchMessages({ roomNames, searchRegExp, limit, callback }) {
+  const historyQuery = { roomName: { $in: roomNames } };
+  const historyFilter = { _id: 0, __v: 0 };
+
+  ChatHistory.find(historyQuery, historyFilter).lean().exec((err, histories = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'searchMessages' }) });
+
+      return;
+    }
+
+    const query = {
+      historyName: { $in: histories.map(history => history.roomName) },
+      isHidden: { $ne: true },
+      text: searchRegExp,
+    };
+    const filter = { __v: 0 };
+
+    const sort = { time: -1, _id: -1 };
+    const messageQuery = ChatMessage.find(query, filter).sort(sort).limit(limit);
+
+    messageQuery.lean().exec((msgErr, messages = []) => {
+      if (msgErr) {
+        callback({ error: new errorCreator.Database({ errorObject: msgErr, name: 'searchMessages' }) });
+
+        return;
+      }
+
+      callback({ data: { histories, messages } });
+    });
   });
 }
 
@@ -140,7 +326,7 @@ function createHistory({ roomName, anonymous, isWhisper, callback }) {
 }
 
 /**
- * Remove room history
+ * Remove room history and its messages
  * @param {string} params.roomName Name of the room
  * @param {Function} params.callback Callback
  */
@@ -154,11 +340,217 @@ function removeHistory({ roomName, callback }) {
       return;
     }
 
-    callback({ success: true });
+    ChatMessage.remove({ historyName: roomName }).exec((msgErr) => {
+      if (msgErr) {
+        callback({ error: new errorCreator.Database({ errorObject: msgErr, name: 'removeHistory' }) });
+
+        return;
+      }
+
+      callback({ success: true });
+    });
+  });
+}
+
+/**
+ * Get message
+ * @param {string} params.messageId Id of the message
+ * @param {Function} params.callback Callback
+ */
+function getMessage({ messageId, callback }) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    callback({ error: new errorCreator.DoesNotExist({ name: `message ${messageId}` }) });
+
+    return;
+  }
+
+  const query = { _id: messageId };
+  const filter = { __v: 0 };
+
+  ChatMessage.findOne(query, filter).lean().exec((err, message) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getMessage' }) });
+
+      return;
+    } else if (!message) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `message ${messageId}` }) });
+
+      return;
+    }
+
+    callback({ data: { message } });
+  });
+}
+
+/**
+ * Update message
+ * @param {string} params.messageId Id of the message
+ * @param {Object} params.update Update to apply
+ * @param {string} params.name Name used in errors
+ * @param {Function} params.callback Callback
+ */
+function updateMessage({ messageId, update, name, callback }) {
+  const query = { _id: messageId };
+  const filter = { __v: 0 };
+  const options = { new: true, fields: filter };
+
+  ChatMessage.findOneAndUpdate(query, update, options).lean().exec((err, message) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name }) });
+
+      return;
+    } else if (!message) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `message ${messageId}` }) });
+
+      return;
+    }
+
+    callback({ data: { message } });
+  });
+}
+
+/**
+ * Replace the text of a message
+ * @param {string} params.messageId Id of the message
+ * @param {string[]} params.text New text
+ * @param {Function} params.callback Callback
+ */
+function updateMessageText({ messageId, text, callback }) {
+  updateMessage({
+    messageId,
+    callback,
+    update: { $set: { text, editedAt: new Date() } },
+    name: 'updateMessageText',
+  });
+}
+
+/**
+ * Hide or show a message. Hidden messages are not retrieved with the history
+ * @param {string} params.messageId Id of the message
+ * @param {boolean} params.isHidden Should the message be hidden?
+ * @param {Function} params.callback Callback
+ */
+function updateMessageVisibility({ messageId, isHidden, callback }) {
+  updateMessage({
+    messageId,
+    callback,
+    update: { $set: { isHidden } },
+    name: 'updateMessageVisibility',
+  });
+}
+
+/**
+ * Remove message
+ * @param {string} params.messageId Id of the message
+ * @param {Function} params.callback Callback
+ */
+function removeMessage({ messageId, callback }) {
+  const query = { _id: messageId };
+
+  ChatMessage.findOneAndRemove(query).lean().exec((err, message) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeMessage' }) });
+
+      return;
+    } else if (!message) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `message ${messageId}` }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+/**
+ * Move messages stored in the histories by earlier versions to separate message documents.
+ * Each message gets a key based on the history and its position in it. Messages are upserted on the key,
+ * so that a migration that was interrupted can be run again without duplicating messages
+ * @param {Function} [params.callback] Callback
+ */
+function migrateHistories({ callback = () => {} }) {
+  const query = { messages: { $exists: true } };
+
+  ChatHistory.collection.find(query).toArray((err, histories = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'migrateHistories' }) });
+
+      return;
+    }
+
+    if (histories.length > 0) {
+      winston.info(`Moving messages from ${histories.length} histories to separate documents`);
+    }
+
+    /**
+     * Migrates histories. Recursive
+     */
+    function migrateNext() {
+      const history = histories.shift();
+
+      if (!history) {
+        callback({ data: { success: true } });
+
+        return;
+      }
+
+      const messageUpdates = (history.messages || []).map((message, index) => {
+        const migrationKey = `${history._id}-${index}`; // eslint-disable-line no-underscore-dangle
+        const newMessage = Object.assign({}, message, { migrationKey, historyName: history.roomName });
+
+        delete newMessage._id; // eslint-disable-line no-underscore-dangle
+
+        return {
+          updateOne: {
+            filter: { migrationKey },
+            update: { $setOnInsert: newMessage },
+            upsert: true,
+          },
+        };
+      });
+
+      /**
+       * Removes the old message array from the history
+       */
+      function removeOldMessages() {
+        ChatHistory.collection.updateOne({ _id: history._id }, { $unset: { messages: '' } }, (updateErr) => { // eslint-disable-line no-underscore-dangle
+          if (updateErr) {
+            winston.error(`Failed to remove old messages from history ${history.roomName}`, updateErr);
+          }
+
+          migrateNext();
+        });
+      }
+
+      if (messageUpdates.length === 0) {
+        removeOldMessages();
+
+        return;
+      }
+
+      ChatMessage.collection.bulkWrite(messageUpdates, { ordered: false }, (writeErr) => {
+        if (writeErr) {
+          winston.error(`Failed to migrate history ${history.roomName}`, writeErr);
+          migrateNext();
+
+          return;
+        }
+
+        removeOldMessages();
+      });
+    }
+
+    migrateNext();
   });
 }
 
 exports.addMsgToHistory = addMsgToHistory;
 exports.getHistory = getHistory;
+exports.searchMessages = searchMessages;
 exports.createHistory = createHistory;
 exports.removeHistory = removeHistory;
+exports.migrateHistories = migrateHistories;
+exports.getMessage = getMessage;
+exports.updateMessageText = updateMessageText;
+exports.updateMessageVisibility = updateMessageVisibility;
+exports.removeMessage = removeMessage;
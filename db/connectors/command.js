@@ -98,6 +98,34 @@ function getCommand({ commandName, callback }) {
   });
 }
 
+/**
+ * Update the access level and visibility of a command
+ * @param {string} params.commandName Name of the command
+ * @param {number} params.accessLevel Access level required to use the command
+ * @param {number} params.visibility Access level required to see the command
+ * @param {Function} params.callback Callback
+ */
+function updateCommandAccess({ commandName, accessLevel, visibility, callback }) {
+  const query = { commandName };
+  const update = { $set: { accessLevel, visibility } };
+  const options = { new: true };
+
+  Command.findOneAndUpdate(query, update, options).lean().exec((err, command) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'updateCommandAccess' }) });
+
+      return;
+    } else if (!command) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `command ${commandName}` }) });
+
+      return;
+    }
+
+    callback({ data: { command } });
+  });
+}
+
 exports.getCommand = getCommand;
 exports.populateDbCommands = populateDbCommands;
 exports.incrementCommandUsage = incrementCommandUsage;
+exports.updateCommandAccess = updateCommandAccess;
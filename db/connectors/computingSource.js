@@ -21,6 +21,7 @@ const errorCreator = require('../../objects/error/errorCreator');
 const computingSourceSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: false },
   sourceName: { type: String, unique: true },
+  slotPower: Number,
   slots: [{
     owner: String,
     power: Number,
@@ -30,15 +31,59 @@ const computingSourceSchema = new mongoose.Schema({
 const ComputingSource = mongoose.model('ComputingSource', computingSourceSchema);
 
 /**
- * Get active computing sources
+ * Update computing source
+ * @param {Object} params.query Query to find the source with
+ * @param {Object} params.update Update instructions
+ * @param {string} params.name Name used in the errors
+ * @param {Function} params.callback Callback
+ */
+function updateSource({ query, update, name, callback }) {
+  const options = { new: true };
+
+  ComputingSource.findOneAndUpdate(query, update, options).lean().exec((err, source) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name }) });
+
+      return;
+    } else if (!source) {
+      callback({ error: new errorCreator.DoesNotExist({ name }) });
+
+      return;
+    }
+
+    callback({ data: { source } });
+  });
+}
+
+/**
+ * Get computing sources
  * @param {Function} params.callback Callback
  */
 function getSources({ callback }) {
   const query = {};
 
-  ComputingSource.find(query).lean().exec((err, sources) => {
+  ComputingSource.find(query).lean().exec((err, sources = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getSources' }) });
+
+      return;
+    }
+
+    callback({ data: { sources } });
+  });
+}
+
+/**
+ * Get active computing sources with slots claimed by the owner
+ * @param {string} params.owner User name of the owner of the slots
+ * @param {Function} params.callback Callback
+ */
+function getOwnerSources({ owner, callback }) {
+  const query = { isActive: true, 'slots.owner': owner };
+
+  ComputingSource.find(query).lean().exec((err, sources = []) => {
     if (err) {
-      callback({ error: new errorCreator.Database({ errorObject: err }) });
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getOwnerSources' }) });
 
       return;
     }
@@ -51,21 +96,20 @@ function getSources({ callback }) {
  * Activate/deactivate a source
  * @param {string} params.sourceName Name of the computing source
  * @param {boolean} params.isActive Is the source active?
+ * @param {Object[]} [params.slots] Slots that will replace the current ones
  * @param {Function} params.callback Callback
  */
-function setActiveSource({ sourceName, isActive, callback }) {
+function setActiveSource({ sourceName, isActive, slots, callback }) {
   const query = { sourceName };
   const update = { $set: { isActive } };
-  const options = { new: true };
 
-  ComputingSource.findOneAndUpdate(query, update, options).lean().exec((err, source) => {
-    if (err) {
-      callback({ error: new errorCreator.Database({ errorObject: err }) });
-
-      return;
-    }
+  if (slots) { update.$set.slots = slots; }
 
-    callback({ data: { source } });
+  updateSource({
+    query,
+    update,
+    callback,
+    name: `computing source ${sourceName}`,
   });
 }
 
@@ -79,7 +123,11 @@ function getSourceByName({ sourceName, callback }) {
 
   ComputingSource.findOne(query).lean().exec((err, source) => {
     if (err) {
-      callback({ error: new errorCreator.Database({ errorObject: err }) });
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getSourceByName' }) });
+
+      return;
+    } else if (!source) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `computing source ${sourceName}` }) });
 
       return;
     }
@@ -91,13 +139,12 @@ function getSourceByName({ sourceName, callback }) {
 /**
  * Create a new source
  * @param {Object} params.source New source
- * @param {Function} paramscallback Callback
+ * @param {Function} params.callback Callback
  */
 function createSource({ source, callback }) {
   const newSource = new ComputingSource(source);
   const query = { sourceName: source.sourceName };
 
-  // Checks if history for room already exists
   ComputingSource.findOne(query).lean().exec((err, foundSource) => {
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err, name: 'createSource' }) });
@@ -110,14 +157,86 @@ function createSource({ source, callback }) {
     }
 
     dbConnector.saveObject({
-      callback,
       object: newSource,
       objectType: 'ComputingSource',
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: { source: data.savedObject } });
+      },
     });
   });
 }
 
+/**
+ * Claim a free slot on an active source
+ * @param {string} params.sourceName Name of the source
+ * @param {string} params.owner User name of the new owner of the slot
+ * @param {Function} params.callback Callback
+ */
+function claimSlot({ sourceName, owner, callback }) {
+  const query = { sourceName, isActive: true, slots: { $elemMatch: { owner: null } } };
+  const update = { $set: { 'slots.$.owner': owner } };
+
+  updateSource({
+    query,
+    update,
+    callback,
+    name: `free slot on computing source ${sourceName}`,
+  });
+}
+
+/**
+ * Release a slot claimed by the owner
+ * @param {string} params.sourceName Name of the source
+ * @param {string} params.owner User name of the owner of the slot
+ * @param {Function} params.callback Callback
+ */
+function releaseSlot({ sourceName, owner, callback }) {
+  const query = { sourceName, 'slots.owner': owner };
+  const update = { $set: { 'slots.$.owner': null } };
+
+  updateSource({
+    query,
+    update,
+    callback,
+    name: `slot owned by ${owner} on computing source ${sourceName}`,
+  });
+}
+
+/**
+ * Spend power from a slot. Only succeeds if the source is active and the slot is owned by the owner and has enough power left
+ * @param {string} params.sourceName Name of the source
+ * @param {string} params.slotId Id of the slot
+ * @param {string} params.owner User name of the owner of the slot
+ * @param {number} params.power Amount of power to spend
+ * @param {Function} params.callback Callback
+ */
+function drainSlot({ sourceName, slotId, owner, power, callback }) {
+  const query = {
+    sourceName,
+    isActive: true,
+    slots: { $elemMatch: { _id: slotId, owner, power: { $gte: power } } }, // eslint-disable-line no-underscore-dangle
+  };
+  const update = { $inc: { 'slots.$.power': -power } };
+
+  updateSource({
+    query,
+    update,
+    callback,
+    name: `slot ${slotId} with ${power} power on computing source ${sourceName}`,
+  });
+}
+
 exports.getSources = getSources;
+exports.getOwnerSources = getOwnerSources;
 exports.setActiveSource = setActiveSource;
 exports.getSourceByName = getSourceByName;
 exports.createSource = createSource;
+exports.claimSlot = claimSlot;
+exports.releaseSlot = releaseSlot;
+exports.drainSlot = drainSlot;
@@ -33,9 +33,45 @@ const docFileSchema = new mongoose.Schema({
   text: [String],
   team: String,
   customCreator: String,
+  revision: Number,
+  isLocked: { type: Boolean, default: false },
+  unlockCode: String,
+  gameCode: String,
 }, { collection: 'docFiles' });
 
+const docFileRevisionSchema = new mongoose.Schema({
+  docFileId: String,
+  revision: Number,
+  title: String,
+  text: [String],
+  visibility: Number,
+  isPublic: Boolean,
+  team: String,
+  author: String,
+  alias: String,
+  rollbackFrom: Number,
+  time: { type: Date, default: Date.now },
+}, { collection: 'docFileRevisions' });
+
+docFileRevisionSchema.index({ docFileId: 1, revision: 1 }, { unique: true });
+
+const unlockAttemptSchema = new mongoose.Schema({
+  docFileId: String,
+  userName: String,
+  attempts: { type: Number, default: 0 },
+  periodStart: { type: Date, default: Date.now },
+}, { collection: 'docFileUnlockAttempts' });
+
+unlockAttemptSchema.index({ docFileId: 1, userName: 1 }, { unique: true });
+
 const DocFile = mongoose.model('DocFile', docFileSchema);
+const DocFileRevision = mongoose.model('DocFileRevision', docFileRevisionSchema);
+const UnlockAttempt = mongoose.model('DocFileUnlockAttempt', unlockAttemptSchema);
+
+/**
+ * Fields that unlock locked docFiles. They should not be sent to users
+ */
+const lockFilter = { unlockCode: 0, gameCode: 0 };
 
 /**
  * Create and save docFile
@@ -87,26 +123,30 @@ function createDocFile({ docFile, callback }) {
 }
 
 /**
- * Update docFile
+ * Update docFile. Only succeeds if the docFile is still on the previous revision
  * @param {string} params.docFileId ID of docFile
+ * @param {number} [params.previousRevision] Revision that the docFile is expected to be on. Doc files created before revisions were stored have no revision
+ * @param {number} params.revision New revision
  * @param {string[]} [params.text] Array with text
  * @param {string} [params.title] Title
  * @param {number} [params.visibility] Minimum access level required to see document
  * @param {boolean} [params.isPublic] Is the document visible to the public?
+ * @param {string[]} [params.accessGroups] Names of the groups that the docFile is restricted to
  * @param {string} [params.team] Team name
  * @param {Function} params.callback Callback
  */
-function updateDocFile({ docFileId, text, title, visibility, isPublic, team, callback }) {
-  const query = { docFileId };
+function updateDocFile({ docFileId, previousRevision, revision, text, title, visibility, isPublic, accessGroups, team, callback }) {
+  const query = { docFileId, revision: typeof previousRevision === 'number' ? previousRevision : { $exists: false } };
   const update = {};
-  const set = {};
+  const set = { revision };
   const unset = {};
-  const options = { new: true };
+  const options = { new: true, fields: lockFilter };
 
   if (text) { set.text = text; }
   if (title) { set.title = title; }
   if (visibility) { set.visibility = visibility; }
   if (typeof isPublic === 'boolean') { set.isPublic = isPublic; }
+  if (Array.isArray(accessGroups)) { set.accessGroups = accessGroups; }
   if (team) {
     set.team = team;
   } else {
@@ -120,6 +160,111 @@ function updateDocFile({ docFileId, text, title, visibility, isPublic, team, cal
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err, name: 'updateDocFile' }) });
 
+      return;
+    } else if (!docFile) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `docFile ${docFileId} revision ${previousRevision}` }) });
+
+      return;
+    }
+
+    callback({ data: { docFile } });
+  });
+}
+
+/**
+ * Store a revision of a docFile
+ * @param {Object} params.revision Revision
+ * @param {string} params.revision.docFileId ID of the docFile
+ * @param {number} params.revision.revision Revision number
+ * @param {string} params.revision.author User name of the user that made the revision
+ * @param {string} [params.revision.alias] Alias used by the author
+ * @param {Function} params.callback Callback
+ */
+function createRevision({ revision, callback }) {
+  databaseConnector.saveObject({
+    object: new DocFileRevision(revision),
+    objectType: 'docFileRevision',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { revision: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get revisions of a docFile, oldest first. Text is not included
+ * @param {string} params.docFileId ID of the docFile
+ * @param {Function} params.callback Callback
+ */
+function getRevisions({ docFileId, callback }) {
+  const query = { docFileId };
+  const filter = { _id: 0, text: 0 };
+
+  DocFileRevision.find(query, filter).sort({ revision: 1 }).lean().exec((err, revisions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getRevisions' }) });
+
+      return;
+    }
+
+    callback({ data: { revisions } });
+  });
+}
+
+/**
+ * Get revision of a docFile
+ * @param {string} params.docFileId ID of the docFile
+ * @param {number} params.revision Revision number
+ * @param {Function} params.callback Callback
+ */
+function getRevision({ docFileId, revision, callback }) {
+  const query = { docFileId, revision };
+  const filter = { _id: 0 };
+
+  DocFileRevision.findOne(query, filter).lean().exec((err, foundRevision) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getRevision' }) });
+
+      return;
+    } else if (!foundRevision) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `docFile ${docFileId} revision ${revision}` }) });
+
+      return;
+    }
+
+    callback({ data: { revision: foundRevision } });
+  });
+}
+
+/**
+ * Make a docFile public and readable by everyone
+ * @param {string} params.docFileId ID of the document to update
+ * @param {Function} params.callback Callback
+ */
+function setDocFilePublic({ docFileId, callback }) {
+  const query = { docFileId };
+  const update = {
+    $set: {
+      isPublic: true,
+      visibility: dbConfig.AccessLevels.ANONYMOUS,
+      accessLevel: dbConfig.AccessLevels.ANONYMOUS,
+    },
+  };
+  const options = { new: true };
+
+  DocFile.findOneAndUpdate(query, update, options).lean().exec((err, docFile) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'setDocFilePublic' }) });
+
+      return;
+    } else if (!docFile) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `docfile ${docFileId}` }) });
+
       return;
     }
 
@@ -135,13 +280,17 @@ function updateDocFile({ docFileId, text, title, visibility, isPublic, team, cal
  */
 function addAccessUser({ docFileId, userName, callback }) {
   const query = { docFileId };
-  const update = { $push: { accessUsers: userName } };
-  const options = { new: true };
+  const update = { $addToSet: { accessUsers: userName } };
+  const options = { new: true, fields: lockFilter };
 
   DocFile.findOneAndUpdate(query, update, options).lean().exec((err, docFile) => {
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err, name: 'addAccessUser' }) });
 
+      return;
+    } else if (!docFile) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `docFile ${docFileId}` }) });
+
       return;
     }
 
@@ -184,7 +333,7 @@ function getDocFile({ docFileId, title, user, callback }) {
       },
     ],
   };
-  DocFile.findOne(query).lean().exec((err, docFile) => {
+  DocFile.findOne(query, lockFilter).lean().exec((err, docFile) => {
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err, name: 'getDocFile' }) });
 
@@ -221,7 +370,7 @@ function getDocFiles({ accessLevel, userName, creatorAliases, callback }) {
       ] },
     ],
   };
-  const filter = { _id: 0, text: 0, visibility: 0, accessLevel: 0 };
+  const filter = Object.assign({ _id: 0, text: 0, visibility: 0, accessLevel: 0 }, lockFilter);
 
   DocFile.find(query, filter).lean().exec((err, docFiles = []) => {
     if (err) {
@@ -234,8 +383,168 @@ function getDocFiles({ accessLevel, userName, creatorAliases, callback }) {
   });
 }
 
+/**
+ * Search docFiles that the user has access to. Matches title and text. Only the title is matched on docFiles that are locked for the user.
+ * DocFiles restricted to groups that the user is not a member of are excluded in the query, so that they don't use up the limit
+ * @param {RegExp} params.searchRegExp Regular expression to match
+ * @param {number} params.accessLevel Access level of the user
+ * @param {string} params.userName Name of the user
+ * @param {string[]} [params.creatorAliases] Aliases of the user
+ * @param {string[]} [params.authGroups] Groups that the user is a member of
+ * @param {number} params.limit Max amount of docFiles to retrieve
+ * @param {Function} params.callback Callback
+ */
+function searchDocFiles({ searchRegExp, accessLevel, userName, creatorAliases, authGroups = [], limit, callback }) {
+  const isAdmin = accessLevel >= dbConfig.AccessLevels.LOWERADMIN;
+  const textQuery = isAdmin ? { text: searchRegExp } : {
+    $and: [
+      { text: searchRegExp },
+      { $or: [
+        { isLocked: { $ne: true } },
+        { creator: userName },
+        { customCreator: { $exists: true, $in: creatorAliases } },
+        { accessUsers: userName },
+      ] },
+    ],
+  };
+  const query = {
+    $and: [
+      { $or: [
+        { isPublic: true },
+        { accessLevel: { $lte: accessLevel } },
+      ] },
+      { $or: [
+        { isPublic: true },
+        { visibility: { $lte: accessLevel } },
+        { creator: userName },
+        { customCreator: { $exists: true, $in: creatorAliases } },
+      ] },
+      { $or: [
+        { title: searchRegExp },
+        textQuery,
+      ] },
+    ],
+  };
+  const filter = Object.assign({ _id: 0, visibility: 0, accessLevel: 0 }, lockFilter);
+
+  if (!isAdmin) {
+    query.$and.push({ $or: [
+      { accessGroups: { $exists: false } },
+      { accessGroups: { $size: 0 } },
+      { accessGroups: { $in: authGroups } },
+      { creator: userName },
+      { accessUsers: userName },
+    ] });
+  }
+
+  DocFile.find(query, filter).limit(limit).lean().exec((err, docFiles = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'searchDocFiles' }) });
+
+      return;
+    }
+
+    callback({ data: { docFiles } });
+  });
+}
+
+/**
+ * Get docFile, including the code that unlocks it. The docFile can be retrieved by either ID or title
+ * @param {string} [params.docFileId] ID of the docFile
+ * @param {string} [params.title] Title of the docFile
+ * @param {Function} params.callback Callback
+ */
+function getLockedDocFile({ docFileId, title, callback }) {
+  const query = docFileId ? { docFileId } : { title };
+
+  DocFile.findOne(query).lean().exec((err, docFile) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getLockedDocFile' }) });
+
+      return;
+    } else if (!docFile) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `docFile ${docFileId || title}` }) });
+
+      return;
+    }
+
+    callback({ data: { docFile } });
+  });
+}
+
+/**
+ * Use one of the user's attempts to unlock a docFile. Attempts are counted per period, which starts with the first attempt.
+ * The amount is increased in a conditional update, so that parallel attempts can't exceed the max amount. isClaimed is false if there are no attempts left
+ * @param {string} params.docFileId ID of the docFile
+ * @param {string} params.userName User name of the user that tries to unlock the docFile
+ * @param {Date} params.since Periods started before this time have ended
+ * @param {number} params.maxAttempts Max amount of attempts in a period
+ * @param {boolean} [params.isRetry] Has the claim already been retried after a parallel attempt started a new period?
+ * @param {Function} params.callback Callback
+ */
+function claimUnlockAttempt({ docFileId, userName, since, maxAttempts, isRetry = false, callback }) {
+  const query = { docFileId, userName, periodStart: { $gte: since }, attempts: { $lt: maxAttempts } };
+  const update = { $inc: { attempts: 1 } };
+  const options = { new: true };
+
+  UnlockAttempt.findOneAndUpdate(query, update, options).lean().exec((err, unlockAttempt) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'claimUnlockAttempt' }) });
+
+      return;
+    } else if (unlockAttempt) {
+      callback({ data: { unlockAttempt, isClaimed: true } });
+
+      return;
+    }
+
+    const periodQuery = { docFileId, userName, periodStart: { $lt: since } };
+    const periodUpdate = { $set: { attempts: 1, periodStart: new Date() } };
+    const periodOptions = { new: true, upsert: true };
+
+    UnlockAttempt.findOneAndUpdate(periodQuery, periodUpdate, periodOptions).lean().exec((periodErr, newAttempt) => {
+      if (periodErr && periodErr.code === 11000) {
+        if (!isRetry) {
+          claimUnlockAttempt({ docFileId, userName, since, maxAttempts, callback, isRetry: true });
+
+          return;
+        }
+
+        UnlockAttempt.findOne({ docFileId, userName }).lean().exec((findErr, usedAttempt) => {
+          if (findErr) {
+            callback({ error: new errorCreator.Database({ errorObject: findErr, name: 'claimUnlockAttempt' }) });
+
+            return;
+          } else if (!usedAttempt) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `unlock attempts ${docFileId} ${userName}` }) });
+
+            return;
+          }
+
+          callback({ data: { unlockAttempt: usedAttempt, isClaimed: false } });
+        });
+
+        return;
+      } else if (periodErr) {
+        callback({ error: new errorCreator.Database({ errorObject: periodErr, name: 'claimUnlockAttempt' }) });
+
+        return;
+      }
+
+      callback({ data: { unlockAttempt: newAttempt, isClaimed: true } });
+    });
+  });
+}
+
 exports.createDocFile = createDocFile;
 exports.getDocFiles = getDocFiles;
 exports.updateDocFile = updateDocFile;
 exports.addAccessUser = addAccessUser;
+exports.setDocFilePublic = setDocFilePublic;
 exports.getDocFile = getDocFile;
+exports.createRevision = createRevision;
+exports.getRevisions = getRevisions;
+exports.getRevision = getRevision;
+exports.getLockedDocFile = getLockedDocFile;
+exports.claimUnlockAttempt = claimUnlockAttempt;
+exports.searchDocFiles = searchDocFiles;
@@ -0,0 +1,130 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const exchangeRateSchema = new mongoose.Schema({
+  fromCurrency: String,
+  toCurrency: String,
+  rate: Number,
+  fee: { type: Number, default: 0 },
+  lastUpdated: Date,
+}, { collection: 'exchangeRates' });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+/**
+ * Set the exchange rate from one currency to another. The rate will be created if it doesn't exist
+ * @param {Object} params.exchangeRate Exchange rate
+ * @param {string} params.exchangeRate.fromCurrency Currency to exchange from
+ * @param {string} params.exchangeRate.toCurrency Currency to exchange to
+ * @param {number} params.exchangeRate.rate Amount of toCurrency received for 1 fromCurrency
+ * @param {number} [params.exchangeRate.fee] Percentage of the exchanged amount that is withheld
+ * @param {Function} params.callback Callback
+ */
+function setExchangeRate({ exchangeRate, callback }) {
+  const query = { fromCurrency: exchangeRate.fromCurrency, toCurrency: exchangeRate.toCurrency };
+  const update = {
+    $set: {
+      rate: exchangeRate.rate,
+      fee: exchangeRate.fee || 0,
+      lastUpdated: new Date(),
+    },
+  };
+  const options = { new: true, upsert: true };
+
+  ExchangeRate.findOneAndUpdate(query, update, options).lean().exec((err, updatedRate) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'setExchangeRate' }) });
+
+      return;
+    }
+
+    callback({ data: { exchangeRate: updatedRate } });
+  });
+}
+
+/**
+ * Get the exchange rate from one currency to another
+ * @param {string} params.fromCurrency Currency to exchange from
+ * @param {string} params.toCurrency Currency to exchange to
+ * @param {Function} params.callback Callback
+ */
+function getExchangeRate({ fromCurrency, toCurrency, callback }) {
+  const query = { fromCurrency, toCurrency };
+
+  ExchangeRate.findOne(query).lean().exec((err, exchangeRate) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getExchangeRate' }) });
+
+      return;
+    } else if (!exchangeRate) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `exchange rate ${fromCurrency} ${toCurrency}` }) });
+
+      return;
+    }
+
+    callback({ data: { exchangeRate } });
+  });
+}
+
+/**
+ * Get all exchange rates
+ * @param {Function} params.callback Callback
+ */
+function getExchangeRates({ callback }) {
+  ExchangeRate.find({}).lean().exec((err, exchangeRates = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getExchangeRates' }) });
+
+      return;
+    }
+
+    callback({ data: { exchangeRates } });
+  });
+}
+
+/**
+ * Remove the exchange rate from one currency to another
+ * @param {string} params.fromCurrency Currency to exchange from
+ * @param {string} params.toCurrency Currency to exchange to
+ * @param {Function} params.callback Callback
+ */
+function removeExchangeRate({ fromCurrency, toCurrency, callback }) {
+  const query = { fromCurrency, toCurrency };
+
+  ExchangeRate.findOneAndRemove(query).lean().exec((err, exchangeRate) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeExchangeRate' }) });
+
+      return;
+    } else if (!exchangeRate) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `exchange rate ${fromCurrency} ${toCurrency}` }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+exports.setExchangeRate = setExchangeRate;
+exports.getExchangeRate = getExchangeRate;
+exports.getExchangeRates = getExchangeRates;
+exports.removeExchangeRate = removeExchangeRate;
@@ -0,0 +1,137 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const errorCreator = require('../../objects/error/errorCreator');
+const databaseConnector = require('../databaseConnector');
+
+const groupSchema = new mongoose.Schema({
+  groupName: { type: String, unique: true },
+  description: [String],
+  owner: String,
+  created: { type: Date, default: Date.now },
+}, { collection: 'groups' });
+
+const Group = mongoose.model('Group', groupSchema);
+
+/**
+ * Create and save group
+ * @param {Object} params.group New group
+ * @param {string} params.group.groupName Name of the group
+ * @param {string[]} [params.group.description] Description of the group
+ * @param {string} params.group.owner User name of the creator of the group
+ * @param {Function} params.callback Callback
+ */
+function createGroup({ group, callback }) {
+  const query = { groupName: group.groupName };
+
+  Group.findOne(query).lean().exec((err, foundGroup) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'createGroup' }) });
+
+      return;
+    } else if (foundGroup) {
+      callback({ error: new errorCreator.AlreadyExists({ name: `group ${group.groupName}` }) });
+
+      return;
+    }
+
+    databaseConnector.saveObject({
+      object: new Group(group),
+      objectType: 'group',
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: { group: data.savedObject } });
+      },
+    });
+  });
+}
+
+/**
+ * Get group
+ * @param {string} params.groupName Name of the group
+ * @param {Function} params.callback Callback
+ */
+function getGroup({ groupName, callback }) {
+  const query = { groupName };
+
+  Group.findOne(query).lean().exec((err, group) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getGroup' }) });
+
+      return;
+    } else if (!group) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `group ${groupName}` }) });
+
+      return;
+    }
+
+    callback({ data: { group } });
+  });
+}
+
+/**
+ * Get all groups
+ * @param {Function} params.callback Callback
+ */
+function getGroups({ callback }) {
+  const sort = { groupName: 1 };
+
+  Group.find({}).sort(sort).lean().exec((err, groups = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getGroups' }) });
+
+      return;
+    }
+
+    callback({ data: { groups } });
+  });
+}
+
+/**
+ * Remove group
+ * @param {string} params.groupName Name of the group
+ * @param {Function} params.callback Callback
+ */
+function removeGroup({ groupName, callback }) {
+  const query = { groupName };
+
+  Group.findOneAndRemove(query).lean().exec((err, group) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeGroup' }) });
+
+      return;
+    } else if (!group) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `group ${groupName}` }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+exports.createGroup = createGroup;
+exports.getGroup = getGroup;
+exports.getGroups = getGroups;
+exports.removeGroup = removeGroup;
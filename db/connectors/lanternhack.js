@@ -38,7 +38,17 @@ const lanternHackSchema = new mongoose.Schema({
       index: Number,
       character: String,
     },
+    hints: [String],
   }],
+  deadline: Date,
+  difficulty: {
+    tier: String,
+    decoyUsers: Number,
+    fakePasswordAmount: Number,
+    hintTypes: [String],
+    triesAmount: Number,
+    timeLimit: Number,
+  },
 }, { collection: 'lanternHacks' });
 const gameUserSchema = new mongoose.Schema({
   userName: { type: String, unique: true },
@@ -56,12 +66,35 @@ const stationSchema = new mongoose.Schema({
   owner: Number,
   isUnderAttack: { type: Boolean, default: false },
   calibrationReward: { type: Number, default: appConfig.calibrationRewardAmount },
+  difficulty: {
+    tier: String,
+    decoyUsers: Number,
+    fakePasswordAmount: Number,
+    hintTypes: [String],
+    triesAmount: Number,
+    timeLimit: Number,
+  },
 }, { collection: 'stations' });
 const lanternRoundSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: false },
   startTime: { type: Date, default: new Date() },
   endTime: { type: Date, default: new Date() },
 }, { collection: 'lanternRounds' });
+const scheduledLanternRoundSchema = new mongoose.Schema({
+  creator: String,
+  startTime: Date,
+  endTime: Date,
+  isStarted: { type: Boolean, default: false },
+  isEnded: { type: Boolean, default: false },
+}, { collection: 'scheduledLanternRounds' });
+const lanternScoreSchema = new mongoose.Schema({
+  roundStartTime: Date,
+  time: { type: Date, default: Date.now },
+  teamId: Number,
+  points: Number,
+  totalPoints: Number,
+  stations: [Number],
+}, { collection: 'lanternScores' });
 const lanternTeamSchema = new mongoose.Schema({
   teamId: { type: Number, unique: true },
   teamName: { type: String, unique: true },
@@ -76,6 +109,8 @@ const FakePassword = mongoose.model('FakePassword', fakePasswordSchema);
 const Station = mongoose.model('Station', stationSchema);
 const LanternRound = mongoose.model('Lantern', lanternRoundSchema);
 const LanternTeam = mongoose.model('LanternTeam', lanternTeamSchema);
+const ScheduledLanternRound = mongoose.model('ScheduledLanternRound', scheduledLanternRoundSchema);
+const LanternScore = mongoose.model('LanternScore', lanternScoreSchema);
 
 /**
  * Create lantern team
@@ -159,6 +194,96 @@ function updateLanternTeam({ teamId, teamName, shortName, isActive, points, rese
   });
 }
 
+/**
+ * Add points to lantern team
+ * @param {number} params.teamId Id of the team
+ * @param {number} params.points Points to add
+ * @param {Function} params.callback Callback
+ */
+function addLanternTeamPoints({ teamId, points, callback }) {
+  const query = { teamId };
+  const update = { $inc: { points } };
+  const options = { new: true };
+
+  LanternTeam.findOneAndUpdate(query, update, options).lean().exec((err, team) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'addLanternTeamPoints' }) });
+
+      return;
+    } else if (!team) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `Team id ${teamId}. addLanternTeamPoints` }) });
+
+      return;
+    }
+
+    callback({ data: { team } });
+  });
+}
+
+/**
+ * Create lantern score. A score is created each time a team is awarded points during a round
+ * @param {Object} params.score New score
+ * @param {Date} params.score.roundStartTime Start time of the round that the points were awarded in
+ * @param {number} params.score.teamId Id of the team
+ * @param {number} params.score.points Awarded points
+ * @param {number} params.score.totalPoints Total points of the team after the points were awarded
+ * @param {number[]} params.score.stations Ids of the stations that the points were awarded for
+ * @param {Function} params.callback Callback
+ */
+function createLanternScore({ score, callback }) {
+  const newScore = new LanternScore(score);
+
+  databaseConnector.saveObject({
+    object: newScore,
+    objectType: 'lanternScore',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { score: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get lantern scores from a round, oldest first
+ * @param {Date} params.roundStartTime Start time of the round
+ * @param {Function} params.callback Callback
+ */
+function getLanternScores({ roundStartTime, callback }) {
+  const query = { roundStartTime };
+  const filter = { _id: 0 };
+
+  LanternScore.find(query, filter).sort({ time: 1 }).lean().exec((err, scores = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getLanternScores' }) });
+
+      return;
+    }
+
+    callback({ data: { scores } });
+  });
+}
+
+/**
+ * Get start times of all rounds that have scores, newest first
+ * @param {Function} params.callback Callback
+ */
+function getScoredRoundStartTimes({ callback }) {
+  LanternScore.distinct('roundStartTime').exec((err, startTimes = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getScoredRoundStartTimes' }) });
+
+      return;
+    }
+
+    callback({ data: { startTimes: startTimes.sort((a, b) => b - a) } });
+  });
+}
+
 /**
  * Update signal value on station
  * @param {number} params.stationId Station ID
@@ -231,7 +356,7 @@ function updateLanternRound({ startTime, endTime, isActive, callback }) {
  */
 function startLanternRound({ endTime, callback }) {
   const query = {};
-  const update = { $set: { isActive: true } };
+  const update = { $set: { isActive: true, startTime: new Date() } };
   const options = { new: true };
 
   if (endTime) {
@@ -306,6 +431,155 @@ function getLanternRound({ callback }) {
   });
 }
 
+/**
+ * Create and save a scheduled lantern round. Rounds in the queue can't overlap
+ * @param {Object} params.round New round
+ * @param {Date} params.round.startTime Time when the round will start
+ * @param {Date} params.round.endTime Time when the round will end
+ * @param {Function} params.callback Callback
+ */
+function createScheduledLanternRound({ round, callback }) {
+  const newRound = new ScheduledLanternRound(round);
+  const query = {
+    isEnded: false,
+    startTime: { $lt: round.endTime },
+    endTime: { $gt: round.startTime },
+  };
+
+  ScheduledLanternRound.findOne(query).lean().exec((err, foundRound) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'createScheduledLanternRound' }) });
+
+      return;
+    } else if (foundRound) {
+      callback({ error: new errorCreator.AlreadyExists({ name: `scheduled round between ${foundRound.startTime} and ${foundRound.endTime}` }) });
+
+      return;
+    }
+
+    databaseConnector.saveObject({
+      object: newRound,
+      objectType: 'scheduledLanternRound',
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: { round: data.savedObject } });
+      },
+    });
+  });
+}
+
+/**
+ * Get scheduled lantern rounds that haven't ended, sorted by start time
+ * @param {Function} params.callback Callback
+ */
+function getScheduledLanternRounds({ callback }) {
+  ScheduledLanternRound.find({ isEnded: false }).sort({ startTime: 1 }).lean().exec((err, rounds = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getScheduledLanternRounds' }) });
+
+      return;
+    }
+
+    callback({ data: { rounds } });
+  });
+}
+
+/**
+ * Get the next scheduled lantern round that hasn't started
+ * @param {Function} params.callback Callback
+ */
+function getNextScheduledLanternRound({ callback }) {
+  ScheduledLanternRound.findOne({ isStarted: false, isEnded: false }).sort({ startTime: 1 }).lean().exec((err, round) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getNextScheduledLanternRound' }) });
+
+      return;
+    }
+
+    callback({ data: { round } });
+  });
+}
+
+/**
+ * Remove a scheduled lantern round that hasn't started
+ * @param {string} params.roundId Id of the round
+ * @param {Function} params.callback Callback
+ */
+function removeScheduledLanternRound({ roundId, callback }) {
+  const query = { _id: roundId, isStarted: false };
+
+  ScheduledLanternRound.findOneAndRemove(query).lean().exec((err, round) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeScheduledLanternRound' }) });
+
+      return;
+    } else if (!round) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `unstarted scheduled round ${roundId}` }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+/**
+ * Claim the first scheduled lantern round that should be running. Rounds that were missed are set to ended.
+ * Only one caller will get the round
+ * @param {Date} params.time Current time
+ * @param {Function} params.callback Callback
+ */
+function claimDueScheduledLanternRound({ time, callback }) {
+  const missedQuery = { isStarted: false, isEnded: false, endTime: { $lte: time } };
+  const missedUpdate = { $set: { isEnded: true } };
+
+  ScheduledLanternRound.update(missedQuery, missedUpdate, { multi: true }).exec((missedErr) => {
+    if (missedErr) {
+      callback({ error: new errorCreator.Database({ errorObject: missedErr, name: 'claimDueScheduledLanternRound' }) });
+
+      return;
+    }
+
+    const query = { isStarted: false, isEnded: false, startTime: { $lte: time } };
+    const update = { $set: { isStarted: true } };
+    const options = { new: true, sort: { startTime: 1 } };
+
+    ScheduledLanternRound.findOneAndUpdate(query, update, options).lean().exec((err, round) => {
+      if (err) {
+        callback({ error: new errorCreator.Database({ errorObject: err, name: 'claimDueScheduledLanternRound' }) });
+
+        return;
+      }
+
+      callback({ data: { round } });
+    });
+  });
+}
+
+/**
+ * Set all scheduled lantern rounds that have started to ended
+ * @param {Function} params.callback Callback
+ */
+function endStartedScheduledLanternRounds({ callback }) {
+  const query = { isStarted: true, isEnded: false };
+  const update = { $set: { isEnded: true } };
+
+  ScheduledLanternRound.update(query, update, { multi: true }).exec((err) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'endStartedScheduledLanternRounds' }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
 /**
  * Get station
  * @param {number} params.stationId Station ID
@@ -417,9 +691,10 @@ function resetLanternStations({ signalValue, callback }) {
  * @param {number} [params.station.owner] Team id of the owner
  * @param {Object} [params.isUnderAttack] Is the station under attack?
  * @param {number} [params.calibrationReward] Amount of digital currency that will be sent to user when they complete mission with this stations ID
+ * @param {Object} [params.difficulty] Difficulty settings for lantern hacks on the station
  * @param {Function} params.callback Callback
  */
-function updateLanternStation({ resetOwner, stationId, isActive, stationName, owner, isUnderAttack, calibrationReward, callback }) {
+function updateLanternStation({ resetOwner, stationId, isActive, stationName, owner, isUnderAttack, calibrationReward, difficulty, callback }) {
   const query = { stationId };
   const update = {};
   const options = { new: true };
@@ -429,6 +704,7 @@ function updateLanternStation({ resetOwner, stationId, isActive, stationName, ow
   if (typeof isActive === 'boolean') { set.isActive = isActive; }
   if (stationName) { set.stationName = stationName; }
   if (calibrationReward) { set.calibrationReward = calibrationReward; }
+  if (difficulty) { set.difficulty = difficulty; }
 
   if (resetOwner || (owner && owner === -1)) {
     unset.owner = '';
@@ -484,13 +760,21 @@ function getActiveStations({ callback }) {
  * @param {string} params.owner Owner of the hack
  * @param {string} params.gameUsers Game users used in the hack
  * @param {string} params.triesLeft Amount of guesses before the hack fails
+ * @param {Object} [params.difficulty] Difficulty settings that were used to generate the hack
+ * @param {Date} [params.deadline] The hack fails after this time
  * @param {Function} params.callback Callback
  */
-function updateLanternHack({ stationId, owner, gameUsers, triesLeft, callback }) {
+function updateLanternHack({ stationId, owner, gameUsers, triesLeft, difficulty, deadline, callback }) {
   const query = { owner };
-  const update = { stationId, owner, gameUsers, triesLeft };
+  const update = { $set: { stationId, owner, gameUsers, triesLeft, difficulty } };
   const options = { upsert: true, new: true };
 
+  if (deadline) {
+    update.$set.deadline = deadline;
+  } else {
+    update.$unset = { deadline: '' };
+  }
+
   LanternHack.findOneAndUpdate(query, update, options).lean().exec((err, updatedLanternHack) => {
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err }) });
@@ -550,6 +834,32 @@ function lowerHackTries({ owner, callback }) {
   });
 }
 
+/**
+ * Increase amount of hack tries
+ * @param {string} params.owner Hack owner user name
+ * @param {number} params.amount Amount of tries to add
+ * @param {Function} params.callback Callback
+ */
+function increaseHackTries({ owner, amount, callback }) {
+  const query = { owner };
+  const update = { $inc: { triesLeft: amount } };
+  const options = { new: true };
+
+  LanternHack.findOneAndUpdate(query, update, options).lean().exec((err, lanternHack) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'increaseHackTries' }) });
+
+      return;
+    } else if (!lanternHack) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `lantern hack for owner ${owner}` }) });
+
+      return;
+    }
+
+    callback({ data: { lanternHack } });
+  });
+}
+
 /**
  * Get lantern hack
  * @param {string} params.owner Owner of the hack
@@ -648,7 +958,7 @@ function getAllFakePasswords({ callback }) {
       return;
     }
 
-    callback({ data: { passwords: passwordData.passwords } });
+    callback({ data: { passwords: passwordData ? passwordData.passwords : [] } });
   });
 }
 
@@ -806,6 +1116,7 @@ exports.getAllFakePasswords = getAllFakePasswords;
 exports.updateLanternHack = updateLanternHack;
 exports.getLanternHack = getLanternHack;
 exports.lowerHackTries = lowerHackTries;
+exports.increaseHackTries = increaseHackTries;
 exports.removeLanternHack = removeLanternHack;
 exports.updateSignalValue = updateSignalValue;
 exports.getStation = getStation;
@@ -825,4 +1136,14 @@ exports.createfakePasswordContainer = createFakePasswordsContainer;
 exports.resetLanternStations = resetLanternStations;
 exports.deleteTeam = deleteTeam;
 exports.getLanternStats = getLanternStats;
+exports.createScheduledLanternRound = createScheduledLanternRound;
+exports.getScheduledLanternRounds = getScheduledLanternRounds;
+exports.getNextScheduledLanternRound = getNextScheduledLanternRound;
+exports.removeScheduledLanternRound = removeScheduledLanternRound;
+exports.claimDueScheduledLanternRound = claimDueScheduledLanternRound;
+exports.endStartedScheduledLanternRounds = endStartedScheduledLanternRounds;
 exports.deleteStation = deleteStation;
+exports.addLanternTeamPoints = addLanternTeamPoints;
+exports.createLanternScore = createLanternScore;
+exports.getLanternScores = getLanternScores;
+exports.getScoredRoundStartTimes = getScoredRoundStartTimes;
@@ -26,32 +26,56 @@ const missionSchema = new mongoose.Schema({
   completed: { type: Boolean, default: false },
   reward: String,
   rewardType: String,
+  rewardAmount: { type: Number, default: 0 },
+  rewardCurrency: String,
+  transactionId: String,
   title: String,
   description: String,
   requirement: String,
   creator: String,
+  owner: String,
   agent: String,
+  applicants: { type: [String], default: [] },
   applicationRequired: { type: Boolean, default: false },
   missionType: String,
+  state: { type: String, default: 'open' },
   visibility: Number,
   accessLevel: Number,
 }, { collection: 'missions' });
 
 const Mission = mongoose.model('Mission', missionSchema);
 
+/**
+ * States of a mission. open = waiting for an agent, assigned = an agent is working on it,
+ * completed = the creator has approved it and the reward has been paid, cancelled = the reward has been returned to the creator
+ */
+const MissionStates = {
+  OPEN: 'open',
+  ASSIGNED: 'assigned',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
 /**
  * Update value in mission document
  * @param {string} params.missionId Id of the mission to update
  * @param {Object} params.update Update instructions
+ * @param {Object} [params.conditions] Conditions that the mission has to match to be updated
  * @param {Function} params.callback Callback
  */
-function updateMissionValue({ missionId, update, callback }) {
-  const query = { _id: missionId };
+function updateMissionValue({ missionId, update, conditions = {}, callback }) {
+  const query = Object.assign({ _id: missionId }, conditions);
   const options = { new: true };
 
   Mission.findOneAndUpdate(query, update, options).lean().exec((err, mission) => {
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err, name: 'updateMissionValue' }) });
+
+      return;
+    } else if (!mission) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `mission ${missionId}` }) });
+
+      return;
     }
 
     callback({ data: { mission } });
@@ -65,11 +89,68 @@ function updateMissionValue({ missionId, update, callback }) {
  */
 function createMission({ mission, callback }) {
   const newMission = new Mission(mission);
+  newMission.timeCreated = new Date();
 
   databaseConnector.saveObject({
-    callback,
     object: newMission,
     objectType: 'mission',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { mission: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get mission
+ * @param {string} params.missionId Id of the mission
+ * @param {Function} params.callback Callback
+ */
+function getMission({ missionId, callback }) {
+  if (!ObjectId.isValid(missionId)) {
+    callback({ error: new errorCreator.DoesNotExist({ name: `mission ${missionId}` }) });
+
+    return;
+  }
+
+  const query = { _id: new ObjectId(missionId) };
+
+  Mission.findOne(query).lean().exec((err, mission) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getMission' }) });
+
+      return;
+    } else if (!mission) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `mission ${missionId}` }) });
+
+      return;
+    }
+
+    callback({ data: { mission } });
+  });
+}
+
+/**
+ * Remove mission
+ * @param {string} params.missionId Id of the mission
+ * @param {Function} params.callback Callback
+ */
+function removeMission({ missionId, callback }) {
+  const query = { _id: new ObjectId(missionId) };
+
+  Mission.findOneAndRemove(query).lean().exec((err) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeMission' }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
   });
 }
 
@@ -106,6 +187,22 @@ function updateMissionReward({ missionId, reward, rewardType, callback }) {
   });
 }
 
+/**
+ * Set the transaction that holds the reward of the mission
+ * @param {String} params.missionId ID for mission to update
+ * @param {String} params.transactionId Id of the transaction
+ * @param {Function} params.callback Callback
+ */
+function updateMissionTransaction({ missionId, transactionId, callback }) {
+  const update = { $set: { transactionId } };
+
+  updateMissionValue({
+    update,
+    callback,
+    missionId: new ObjectId(missionId),
+  });
+}
+
 /**
  * Update agent assigned to mission
  * @param {String} params.missionId ID for mission to update
@@ -122,6 +219,58 @@ function updateMissionAgent({ missionId, agent, callback }) {
   });
 }
 
+/**
+ * Add user to the applicants of an open mission
+ * @param {String} params.missionId ID for mission to update
+ * @param {String} params.userName Name of the user applying
+ * @param {Function} params.callback Callback
+ */
+function addMissionApplicant({ missionId, userName, callback }) {
+  const update = { $addToSet: { applicants: userName } };
+
+  updateMissionValue({
+    update,
+    callback,
+    missionId: new ObjectId(missionId),
+    conditions: { state: MissionStates.OPEN },
+  });
+}
+
+/**
+ * Assign an agent to an open mission
+ * @param {String} params.missionId ID for mission to update
+ * @param {String} params.agent User name that will be assigned to the mission
+ * @param {Function} params.callback Callback
+ */
+function assignMissionAgent({ missionId, agent, callback }) {
+  const update = { $set: { agent, state: MissionStates.ASSIGNED } };
+
+  updateMissionValue({
+    update,
+    callback,
+    missionId: new ObjectId(missionId),
+    conditions: { state: MissionStates.OPEN },
+  });
+}
+
+/**
+ * Change the state of a mission. Only succeeds if the mission is in one of the expected states
+ * @param {String} params.missionId ID for mission to update
+ * @param {string[]} params.fromStates Expected current states
+ * @param {string} params.toState New state
+ * @param {Function} params.callback Callback
+ */
+function updateMissionState({ missionId, fromStates, toState, callback }) {
+  const update = { $set: { state: toState, completed: toState === MissionStates.COMPLETED } };
+
+  updateMissionValue({
+    update,
+    callback,
+    missionId: new ObjectId(missionId),
+    conditions: { state: { $in: fromStates } },
+  });
+}
+
 /**
  * Get all active missions
  * @param {Function} params.callback Callback
@@ -159,9 +308,48 @@ function getAllMissions({ callback }) {
   });
 }
 
+/**
+ * Get missions that the user can see. Open and assigned missions are retrieved if the user has high enough access level.
+ * Missions that the user has created or is assigned to are always retrieved
+ * @param {Object} params.user User retrieving the missions
+ * @param {string[]} params.owners Wallet owners that belong to the user, such as the user's team
+ * @param {Function} params.callback Callback
+ */
+function getMissions({ user, owners, callback }) {
+  const query = {
+    $or: [
+      {
+        state: { $in: [MissionStates.OPEN, MissionStates.ASSIGNED] },
+        visibility: { $lte: user.accessLevel },
+      },
+      { owner: { $in: owners } },
+      { agent: user.userName },
+    ],
+  };
+  const sort = { timeCreated: -1 };
+
+  Mission.find(query).sort(sort).lean().exec((err, missions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getMissions' }) });
+
+      return;
+    }
+
+    callback({ data: { missions } });
+  });
+}
+
 exports.createMission = createMission;
+exports.getMission = getMission;
+exports.removeMission = removeMission;
 exports.getActiveMissions = getActiveMissions;
 exports.getAllMissions = getAllMissions;
+exports.getMissions = getMissions;
 exports.updateMissionCompleted = updateMissionCompleted;
 exports.updateMissionReward = updateMissionReward;
+exports.updateMissionTransaction = updateMissionTransaction;
 exports.updateMissionAgent = updateMissionAgent;
+exports.addMissionApplicant = addMissionApplicant;
+exports.assignMissionAgent = assignMissionAgent;
+exports.updateMissionState = updateMissionState;
+exports.MissionStates = MissionStates;
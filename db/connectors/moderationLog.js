@@ -0,0 +1,110 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const errorCreator = require('../../objects/error/errorCreator');
+const dbConnector = require('../databaseConnector');
+
+const moderationEntrySchema = new mongoose.Schema({
+  time: Date,
+  roomName: String,
+  action: String,
+  moderator: String,
+  userName: String,
+  messageId: String,
+  text: [String],
+  reason: String,
+}, { collection: 'moderationLog' });
+
+moderationEntrySchema.index({ roomName: 1, time: -1 });
+
+const ModerationEntry = mongoose.model('ModerationEntry', moderationEntrySchema);
+
+/**
+ * Actions that are stored in the moderation log
+ */
+const ModerationActions = {
+  EDITMESSAGE: 'editMessage',
+  REMOVEMESSAGE: 'removeMessage',
+  HIDEMESSAGE: 'hideMessage',
+  SHOWMESSAGE: 'showMessage',
+  KICK: 'kick',
+  BAN: 'ban',
+  UNBAN: 'unban',
+};
+
+/**
+ * Create and save moderation log entry
+ * @param {Object} params.entry Log entry
+ * @param {string} params.entry.roomName Name of the room that the action was done in
+ * @param {string} params.entry.action Action done. ModerationActions
+ * @param {string} params.entry.moderator Name of the user who did the action
+ * @param {string} [params.entry.userName] Name of the user affected by the action
+ * @param {string} [params.entry.messageId] Id of the message affected by the action
+ * @param {string[]} [params.entry.text] Text of the message before the action
+ * @param {string} [params.entry.reason] Reason for the action
+ * @param {Function} params.callback Callback
+ */
+function createModerationEntry({ entry, callback }) {
+  const newEntry = new ModerationEntry(entry);
+  newEntry.time = new Date();
+
+  dbConnector.saveObject({
+    object: newEntry,
+    objectType: 'ModerationEntry',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { entry: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get moderation log entries for a room, newest first
+ * @param {string} params.roomName Name of the room
+ * @param {string} [params.userName] Only retrieve entries affecting this user
+ * @param {Function} params.callback Callback
+ */
+function getModerationLog({ roomName, userName, callback }) {
+  const query = { roomName };
+  const filter = { _id: 0, __v: 0 };
+  const sort = { time: -1 };
+
+  if (userName) {
+    query.userName = userName;
+  }
+
+  ModerationEntry.find(query, filter).sort(sort).lean().exec((err, entries = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getModerationLog' }) });
+
+      return;
+    }
+
+    callback({ data: { entries } });
+  });
+}
+
+exports.createModerationEntry = createModerationEntry;
+exports.getModerationLog = getModerationLog;
+exports.ModerationActions = ModerationActions;
@@ -0,0 +1,317 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const databaseConnector = require('../databaseConnector');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const nodeHackTargetSchema = new mongoose.Schema({
+  targetName: { type: String, unique: true },
+  isActive: { type: Boolean, default: true },
+  rewardType: String,
+  rewardAmount: Number,
+  docFileId: String,
+  userName: String,
+  nodeAmount: Number,
+  firewallAmount: Number,
+  triesAmount: Number,
+  timeLimit: Number,
+  claimedBy: { type: [String], default: [] },
+}, { collection: 'nodeHackTargets' });
+const nodeHackSchema = new mongoose.Schema({
+  owner: { type: String, unique: true },
+  targetName: String,
+  triesLeft: Number,
+  deadline: Date,
+  nodes: [{
+    nodeId: Number,
+    nodeType: String,
+    links: [Number],
+    userName: String,
+    password: String,
+    passwordHint: {
+      index: Number,
+      character: String,
+    },
+    passwords: [String],
+    isCracked: { type: Boolean, default: false },
+  }],
+}, { collection: 'nodeHacks' });
+
+const NodeHackTarget = mongoose.model('NodeHackTarget', nodeHackTargetSchema);
+const NodeHack = mongoose.model('NodeHack', nodeHackSchema);
+
+/**
+ * Rewards that can be unlocked by hacking the core node of a target. docFile = access to a document,
+ * credits = credits from the system, position = position of a user
+ */
+const RewardTypes = {
+  DOCFILE: 'docFile',
+  CREDITS: 'credits',
+  POSITION: 'position',
+};
+
+/**
+ * Create node hack target
+ * @param {Object} params.target New target
+ * @param {Function} params.callback Callback
+ */
+function createTarget({ target, callback }) {
+  const newTarget = new NodeHackTarget(target);
+  const query = { targetName: target.targetName };
+
+  NodeHackTarget.findOne(query).lean().exec((err, foundTarget) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'createTarget' }) });
+
+      return;
+    } else if (foundTarget) {
+      callback({ error: new errorCreator.AlreadyExists({ name: `node hack target ${target.targetName}` }) });
+
+      return;
+    }
+
+    databaseConnector.saveObject({
+      object: newTarget,
+      objectType: 'nodeHackTarget',
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: { target: data.savedObject } });
+      },
+    });
+  });
+}
+
+/**
+ * Get node hack target
+ * @param {string} params.targetName Name of the target
+ * @param {Function} params.callback Callback
+ */
+function getTarget({ targetName, callback }) {
+  const query = { targetName };
+
+  NodeHackTarget.findOne(query).lean().exec((err, target) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getTarget' }) });
+
+      return;
+    } else if (!target) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `node hack target ${targetName}` }) });
+
+      return;
+    }
+
+    callback({ data: { target } });
+  });
+}
+
+/**
+ * Claim the reward of a target for a user. Each user can only claim the reward of a target once
+ * @param {string} params.targetName Name of the target
+ * @param {string} params.userName Name of the user claiming the reward
+ * @param {Function} params.callback Callback
+ */
+function claimReward({ targetName, userName, callback }) {
+  const query = { targetName, claimedBy: { $ne: userName } };
+  const update = { $push: { claimedBy: userName } };
+  const options = { new: true };
+
+  NodeHackTarget.findOneAndUpdate(query, update, options).lean().exec((err, target) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'claimReward' }) });
+
+      return;
+    } else if (!target) {
+      callback({ error: new errorCreator.AlreadyExists({ name: `claimed reward of node hack target ${targetName}` }) });
+
+      return;
+    }
+
+    callback({ data: { target } });
+  });
+}
+
+/**
+ * Remove a user's claim on the reward of a target. Used when the reward could not be given
+ * @param {string} params.targetName Name of the target
+ * @param {string} params.userName Name of the user that claimed the reward
+ * @param {Function} params.callback Callback
+ */
+function unclaimReward({ targetName, userName, callback }) {
+  const query = { targetName };
+  const update = { $pull: { claimedBy: userName } };
+
+  NodeHackTarget.findOneAndUpdate(query, update).lean().exec((err) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'unclaimReward' }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+/**
+ * Get active node hack targets. The rewards are not retrieved
+ * @param {Function} params.callback Callback
+ */
+function getActiveTargets({ callback }) {
+  const query = { isActive: true };
+  const filter = { _id: 0, docFileId: 0, userName: 0, claimedBy: 0 };
+
+  NodeHackTarget.find(query, filter).lean().exec((err, targets = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getActiveTargets' }) });
+
+      return;
+    }
+
+    callback({ data: { targets } });
+  });
+}
+
+/**
+ * Create or replace the node hack of a user
+ * @param {Object} params.nodeHack Node hack
+ * @param {Function} params.callback Callback
+ */
+function updateNodeHack({ nodeHack, callback }) {
+  const query = { owner: nodeHack.owner };
+  const options = { new: true, upsert: true };
+
+  NodeHack.findOneAndUpdate(query, nodeHack, options).lean().exec((err, updatedHack) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'updateNodeHack' }) });
+
+      return;
+    }
+
+    callback({ data: { nodeHack: updatedHack } });
+  });
+}
+
+/**
+ * Get node hack
+ * @param {string} params.owner User name of the owner of the hack
+ * @param {Function} params.callback Callback
+ */
+function getNodeHack({ owner, callback }) {
+  const query = { owner };
+
+  NodeHack.findOne(query).lean().exec((err, nodeHack) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getNodeHack' }) });
+
+      return;
+    } else if (!nodeHack) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `node hack for owner ${owner}` }) });
+
+      return;
+    }
+
+    callback({ data: { nodeHack } });
+  });
+}
+
+/**
+ * Set node as cracked. Only succeeds if the node hasn't already been cracked
+ * @param {string} params.owner User name of the owner of the hack
+ * @param {number} params.nodeId Id of the node
+ * @param {Function} params.callback Callback
+ */
+function crackNode({ owner, nodeId, callback }) {
+  const query = { owner, nodes: { $elemMatch: { nodeId, isCracked: false } } };
+  const update = { $set: { 'nodes.$.isCracked': true } };
+  const options = { new: true };
+
+  NodeHack.findOneAndUpdate(query, update, options).lean().exec((err, nodeHack) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'crackNode' }) });
+
+      return;
+    } else if (!nodeHack) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `uncracked node ${nodeId} for owner ${owner}` }) });
+
+      return;
+    }
+
+    callback({ data: { nodeHack } });
+  });
+}
+
+/**
+ * Lower amount of node hack tries by 1
+ * @param {string} params.owner User name of the owner of the hack
+ * @param {Function} params.callback Callback
+ */
+function lowerNodeHackTries({ owner, callback }) {
+  const query = { owner };
+  const update = { $inc: { triesLeft: -1 } };
+  const options = { new: true };
+
+  NodeHack.findOneAndUpdate(query, update, options).lean().exec((err, nodeHack) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'lowerNodeHackTries' }) });
+
+      return;
+    } else if (!nodeHack) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `node hack for owner ${owner}` }) });
+
+      return;
+    }
+
+    callback({ data: { nodeHack } });
+  });
+}
+
+/**
+ * Remove node hack
+ * @param {string} params.owner User name of the owner of the hack
+ * @param {Function} params.callback Callback
+ */
+function removeNodeHack({ owner, callback }) {
+  const query = { owner };
+
+  NodeHack.findOneAndRemove(query).lean().exec((err) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeNodeHack' }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+exports.createTarget = createTarget;
+exports.getTarget = getTarget;
+exports.getActiveTargets = getActiveTargets;
+exports.updateNodeHack = updateNodeHack;
+exports.getNodeHack = getNodeHack;
+exports.crackNode = crackNode;
+exports.lowerNodeHackTries = lowerNodeHackTries;
+exports.removeNodeHack = removeNodeHack;
+exports.claimReward = claimReward;
+exports.unclaimReward = unclaimReward;
+exports.RewardTypes = RewardTypes;
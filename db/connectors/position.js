@@ -18,6 +18,8 @@
 
 const mongoose = require('mongoose');
 const errorCreator = require('../../objects/error/errorCreator');
+const dbConnector = require('../databaseConnector');
+const appConfig = require('../../config/defaults/config').app;
 
 const mapPositionSchema = new mongoose.Schema({
   coordinates: {
@@ -37,9 +39,30 @@ const mapPositionSchema = new mongoose.Schema({
   lastUpdated: Date,
   positionName: { type: String, unique: true }, // TODO Should not be unique. Should instead check for positionName + markerType
   description: [String],
+  accessGroups: { type: [String], default: [] },
 }, { collection: 'mapPositions' });
 
+const positionHistorySchema = new mongoose.Schema({
+  owner: String,
+  deviceId: String,
+  team: String,
+  coordinates: {
+    longitude: Number,
+    latitude: Number,
+    speed: Number,
+    accuracy: Number,
+    heading: Number,
+  },
+  accessGroups: { type: [String], default: [] },
+  time: { type: Date, default: Date.now },
+}, { collection: 'positionHistories' });
+
+positionHistorySchema.index({ owner: 1, time: 1 });
+positionHistorySchema.index({ deviceId: 1, time: 1 });
+positionHistorySchema.index({ time: 1 }, { expireAfterSeconds: Number(appConfig.positionHistoryRetention) });
+
 const MapPosition = mongoose.model('MapPosition', mapPositionSchema);
+const PositionHistory = mongoose.model('PositionHistory', positionHistorySchema);
 
 /**
  * Update position
@@ -57,9 +80,10 @@ const MapPosition = mongoose.model('MapPosition', mapPositionSchema);
  * @param {boolean} [params.position.isStatic] Is the position static? (most commonly used on everything non-user)
  * @param {boolean} [params.position.isPublic] Is the position public?
  * @param {string[]} [params.position.description] Position text description
+ * @param {string[]} [params.position.accessGroups] Names of the groups that the position is restricted to
  * @param {Function} params.callback Callback
  */
-function updatePosition({ position: { deviceId, positionName, coordinates, owner, team, isStatic, markerType, description, isPublic, lastUpdated }, callback }) {
+function updatePosition({ position: { deviceId, positionName, coordinates, owner, team, isStatic, markerType, description, isPublic, lastUpdated, accessGroups }, callback }) {
   const query = { $and: [{ positionName }, { owner }] };
   const update = {
     owner,
@@ -89,6 +113,10 @@ function updatePosition({ position: { deviceId, positionName, coordinates, owner
     update.deviceId = deviceId;
   }
 
+  if (typeof accessGroups !== 'undefined') {
+    update.accessGroups = accessGroups;
+  }
+
   MapPosition.findOneAndUpdate(query, update, options).lean().exec((err, position) => {
     if (err) {
       callback({ error: new errorCreator.Database({ errorObject: err }) });
@@ -332,6 +360,107 @@ function removePositionsByType({ markerType, callback }) {
   });
 }
 
+/**
+ * Create and save a position in the position history
+ * @param {Object} params.positionHistory Position to add to the history
+ * @param {string} params.positionHistory.owner User name of the owner of the position
+ * @param {string} [params.positionHistory.deviceId] Device ID
+ * @param {string} [params.positionHistory.team] Team of the owner
+ * @param {Object} params.positionHistory.coordinates GPS coordinates
+ * @param {string[]} [params.positionHistory.accessGroups] Names of the groups that the position is restricted to
+ * @param {Function} params.callback Callback
+ */
+function createPositionHistory({ positionHistory, callback }) {
+  const newPositionHistory = new PositionHistory(positionHistory);
+
+  dbConnector.saveObject({
+    object: newPositionHistory,
+    objectType: 'positionHistory',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { positionHistory: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get the latest position in the position history of a user or device
+ * @param {string} [params.owner] User name of the owner
+ * @param {string} [params.deviceId] Device ID. Will be used instead of owner, if set
+ * @param {Function} params.callback Callback
+ */
+function getLatestPositionHistory({ owner, deviceId, callback }) {
+  const query = deviceId ? { deviceId } : { owner };
+
+  PositionHistory.findOne(query).sort({ time: -1 }).lean().exec((err, positionHistory) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getLatestPositionHistory' }) });
+
+      return;
+    }
+
+    callback({ data: { positionHistory } });
+  });
+}
+
+/**
+ * Get positions from the position history of users or devices within a time window, oldest first.
+ * isTruncated is set if there are more positions after the limit
+ * @param {string} [params.owner] User name of the owner
+ * @param {string} [params.deviceId] Device ID
+ * @param {string} [params.team] Name of the team of the owners
+ * @param {Date} [params.startTime] Positions before this time will be excluded
+ * @param {Date} [params.endTime] Positions after this time will be excluded
+ * @param {number} params.limit Max amount of positions to retrieve
+ * @param {Object} [params.user] User retrieving the positions. Positions restricted to groups that the user is not a member of are excluded, if set
+ * @param {Function} params.callback Callback
+ */
+function getPositionHistory({ owner, deviceId, team, startTime, endTime, limit, user, callback }) {
+  const query = {};
+  const filter = { _id: 0, __v: 0 };
+
+  if (user) {
+    query.$or = [
+      { accessGroups: { $size: 0 } },
+      { accessGroups: { $in: user.authGroups || [] } },
+      { owner: user.userName },
+    ];
+  }
+
+  if (owner) { query.owner = owner; }
+  if (deviceId) { query.deviceId = deviceId; }
+  if (team) { query.team = team; }
+
+  if (startTime || endTime) {
+    query.time = {};
+
+    if (startTime) { query.time.$gte = startTime; }
+    if (endTime) { query.time.$lte = endTime; }
+  }
+
+  const historyQuery = PositionHistory.find(query, filter).sort({ time: 1 }).limit(limit + 1);
+
+  historyQuery.lean().exec((err, positions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getPositionHistory' }) });
+
+      return;
+    }
+
+    callback({
+      data: {
+        positions: positions.slice(0, limit),
+        isTruncated: positions.length > limit,
+      },
+    });
+  });
+}
+
 exports.updatePosition = updatePosition;
 exports.getAllStaticPositions = getAllStaticPositions;
 exports.getPosition = getPosition;
@@ -344,3 +473,6 @@ exports.removePositionsByType = removePositionsByType;
 exports.getSignalBlockPositions = getSignalBlockPositions;
 exports.getUserPositionByDeviceId = getUserPositionByDeviceId;
 exports.getUserPosition = getUserPosition;
+exports.createPositionHistory = createPositionHistory;
+exports.getLatestPositionHistory = getLatestPositionHistory;
+exports.getPositionHistory = getPositionHistory;
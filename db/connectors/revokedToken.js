@@ -0,0 +1,131 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const databaseConnector = require('../databaseConnector');
+const errorCreator = require('../../objects/error/errorCreator');
+
+/**
+ * Revoked tokens. Revocations with a tokenId revoke a single token. Revocations without a tokenId revoke all tokens issued to the user before revokedAt.
+ * Revocations are removed by the database when expiresAt has passed, as the revoked tokens will have expired by then
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  tokenId: String,
+  userName: String,
+  revokedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, expires: 0 },
+}, { collection: 'revokedTokens' });
+
+revokedTokenSchema.index({ tokenId: 1 }, { unique: true, sparse: true });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+/**
+ * Save revocation
+ * @param {Object} params.revokedToken Revocation
+ * @param {Function} params.callback Callback
+ */
+function saveRevocation({ revokedToken, callback }) {
+  databaseConnector.saveObject({
+    object: new RevokedToken(revokedToken),
+    objectType: 'revokedToken',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { revokedToken: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Revoke a single token. Each token can only be revoked once, which is used to stop a token from being used more than once.
+ * Returns NotAllowed error if the token has already been revoked
+ * @param {string} params.tokenId Id of the token
+ * @param {string} params.userName Name of the user that the token was issued to
+ * @param {Date} params.expiresAt Time when the token expires
+ * @param {Function} params.callback Callback
+ */
+function revokeToken({ tokenId, userName, expiresAt, callback }) {
+  const revokedToken = new RevokedToken({ tokenId, userName, expiresAt });
+
+  revokedToken.save((saveErr, savedToken) => {
+    if (saveErr && saveErr.code === 11000) {
+      callback({ error: new errorCreator.NotAllowed({ name: `use revoked token ${tokenId}` }) });
+
+      return;
+    } else if (saveErr) {
+      callback({ error: new errorCreator.Database({ errorObject: saveErr, name: 'revokeToken' }) });
+
+      return;
+    }
+
+    callback({ data: { revokedToken: savedToken } });
+  });
+}
+
+/**
+ * Revoke all tokens issued to a user before now
+ * @param {string} params.userName Name of the user
+ * @param {Date} params.expiresAt Time when all tokens issued before now will have expired
+ * @param {Function} params.callback Callback
+ */
+function revokeUserTokens({ userName, expiresAt, callback }) {
+  saveRevocation({
+    revokedToken: { userName, expiresAt },
+    callback,
+  });
+}
+
+/**
+ * Check if a token has been revoked, either by itself or together with all the user's tokens
+ * @param {string} params.tokenId Id of the token
+ * @param {string} params.userName Name of the user that the token was issued to
+ * @param {Date} params.issuedAt Time when the token was issued
+ * @param {Function} params.callback Callback
+ */
+function isTokenRevoked({ tokenId, userName, issuedAt, callback }) {
+  const query = {
+    $or: [{
+      userName,
+      tokenId: { $exists: false },
+      revokedAt: { $gte: issuedAt },
+    }],
+  };
+
+  if (tokenId) {
+    query.$or.push({ tokenId });
+  }
+
+  RevokedToken.findOne(query).lean().exec((err, revokedToken) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'isTokenRevoked' }) });
+
+      return;
+    }
+
+    callback({ data: { isRevoked: typeof revokedToken !== 'undefined' && revokedToken !== null } });
+  });
+}
+
+exports.revokeToken = revokeToken;
+exports.revokeUserTokens = revokeUserTokens;
+exports.isTokenRevoked = isTokenRevoked;
@@ -37,6 +37,7 @@ const roomSchema = new mongoose.Schema({
   owner: String,
   team: String,
   accessUsers: { type: [String], default: [] },
+  accessGroups: { type: [String], default: [] },
 }, { collection: 'rooms' });
 
 const Room = mongoose.model('Room', roomSchema);
@@ -63,7 +64,7 @@ function cleanRoomParameters({ room }) {
  * @param {Function} params.callback Callback
  */
 function authUserToRoom({ user, roomName, callback, password }) {
-  const query = { roomName };
+  const query = { roomName, bannedUsers: { $ne: user.userName } };
   const update = { $addToSet: { accessUsers: user.userName } };
   const options = { new: true };
 
@@ -170,6 +171,45 @@ function getRoom({ roomName, callback }) {
   });
 }
 
+/**
+ * Get rooms that are restricted to a group
+ * @param {string} params.group Name of the group
+ * @param {string[]} params.roomNames Names of the rooms to look among
+ * @param {Function} params.callback Callback
+ */
+function getGroupRooms({ group, roomNames, callback }) {
+  const query = { accessGroups: { $in: [group] }, roomName: { $in: roomNames } };
+
+  Room.find(query).lean().exec((err, rooms = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getGroupRooms' }) });
+
+      return;
+    }
+
+    callback({ data: { rooms: rooms.map(room => cleanRoomParameters({ room })) } });
+  });
+}
+
+/**
+ * Get rooms that are restricted to one or more groups
+ * @param {string[]} params.roomNames Names of the rooms to look among
+ * @param {Function} params.callback Callback
+ */
+function getRestrictedRooms({ roomNames, callback }) {
+  const query = { roomName: { $in: roomNames }, 'accessGroups.0': { $exists: true } };
+
+  Room.find(query).lean().exec((err, rooms = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getRestrictedRooms' }) });
+
+      return;
+    }
+
+    callback({ data: { rooms: rooms.map(room => cleanRoomParameters({ room })) } });
+  });
+}
+
 /**
  * Get rooms owned by user
  * @param {Object} params.user Owner
@@ -425,6 +465,8 @@ exports.authUserToRoom = authUserToRoom;
 exports.createRoom = createRoom;
 exports.getAllRooms = getAllRooms;
 exports.getRoom = getRoom;
+exports.getGroupRooms = getGroupRooms;
+exports.getRestrictedRooms = getRestrictedRooms;
 exports.banUserFromRoom = banUserFromRoom;
 exports.unbanUserFromRoom = unbanUserFromRoom;
 exports.getOwnedRooms = getOwnedRooms;
@@ -0,0 +1,211 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const databaseConnector = require('../databaseConnector');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const scheduledPaymentSchema = new mongoose.Schema({
+  creator: String,
+  from: String,
+  to: String,
+  amount: Number,
+  currency: String,
+  interval: Number,
+  startTime: Date,
+  endTime: Date,
+  nextPaymentTime: Date,
+  note: String,
+  isActive: { type: Boolean, default: true },
+  failedPayments: [{
+    time: Date,
+    amount: Number,
+    reason: String,
+  }],
+}, { collection: 'scheduledPayments' });
+
+const ScheduledPayment = mongoose.model('ScheduledPayment', scheduledPaymentSchema);
+
+/**
+ * Create and save scheduled payment
+ * @param {Object} params.scheduledPayment New scheduled payment
+ * @param {Function} params.callback Callback
+ */
+function createScheduledPayment({ scheduledPayment, callback }) {
+  const newScheduledPayment = new ScheduledPayment(scheduledPayment);
+
+  databaseConnector.saveObject({
+    object: newScheduledPayment,
+    objectType: 'scheduledPayment',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { scheduledPayment: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get active scheduled payments to or from wallets
+ * @param {string[]} params.owners Owners of the wallets
+ * @param {Function} params.callback Callback
+ */
+function getScheduledPayments({ owners, callback }) {
+  const query = {
+    isActive: true,
+    $or: [
+      { from: { $in: owners } },
+      { to: { $in: owners } },
+    ],
+  };
+
+  ScheduledPayment.find(query).sort({ nextPaymentTime: 1 }).lean().exec((err, scheduledPayments = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getScheduledPayments' }) });
+
+      return;
+    }
+
+    callback({ data: { scheduledPayments } });
+  });
+}
+
+/**
+ * Get all scheduled payments
+ * @param {Function} params.callback Callback
+ */
+function getAllScheduledPayments({ callback }) {
+  ScheduledPayment.find({}).sort({ nextPaymentTime: 1 }).lean().exec((err, scheduledPayments = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getAllScheduledPayments' }) });
+
+      return;
+    }
+
+    callback({ data: { scheduledPayments } });
+  });
+}
+
+/**
+ * Get active scheduled payments that should be paid
+ * @param {Date} params.time Payments with a payment time before this will be retrieved
+ * @param {Function} params.callback Callback
+ */
+function getDueScheduledPayments({ time, callback }) {
+  const query = { isActive: true, nextPaymentTime: { $lte: time } };
+
+  ScheduledPayment.find(query).lean().exec((err, scheduledPayments = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getDueScheduledPayments' }) });
+
+      return;
+    }
+
+    callback({ data: { scheduledPayments } });
+  });
+}
+
+/**
+ * Move a scheduled payment to its next payment time. Only succeeds if the payment time has not already been moved,
+ * which stops a payment from being made twice
+ * @param {string} params.paymentId Id of the scheduled payment
+ * @param {Date} params.paymentTime Payment time that is being paid
+ * @param {Date} params.nextPaymentTime Next payment time
+ * @param {boolean} params.isActive Should the schedule continue after this payment?
+ * @param {Function} params.callback Callback
+ */
+function claimScheduledPayment({ paymentId, paymentTime, nextPaymentTime, isActive, callback }) {
+  const query = { _id: paymentId, isActive: true, nextPaymentTime: paymentTime };
+  const update = { $set: { nextPaymentTime, isActive } };
+  const options = { new: true };
+
+  ScheduledPayment.findOneAndUpdate(query, update, options).lean().exec((err, scheduledPayment) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'claimScheduledPayment' }) });
+
+      return;
+    } else if (!scheduledPayment) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `scheduled payment ${paymentId} at ${paymentTime}` }) });
+
+      return;
+    }
+
+    callback({ data: { scheduledPayment } });
+  });
+}
+
+/**
+ * Add a failed payment to a scheduled payment
+ * @param {string} params.paymentId Id of the scheduled payment
+ * @param {Object} params.failedPayment Failed payment
+ * @param {Function} params.callback Callback
+ */
+function addFailedPayment({ paymentId, failedPayment, callback }) {
+  const query = { _id: paymentId };
+  const update = { $push: { failedPayments: failedPayment } };
+  const options = { new: true };
+
+  ScheduledPayment.findOneAndUpdate(query, update, options).lean().exec((err, scheduledPayment) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'addFailedPayment' }) });
+
+      return;
+    } else if (!scheduledPayment) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `scheduled payment ${paymentId}` }) });
+
+      return;
+    }
+
+    callback({ data: { scheduledPayment } });
+  });
+}
+
+/**
+ * Remove scheduled payment
+ * @param {string} params.paymentId Id of the scheduled payment
+ * @param {Function} params.callback Callback
+ */
+function removeScheduledPayment({ paymentId, callback }) {
+  const query = { _id: paymentId };
+
+  ScheduledPayment.findOneAndRemove(query).lean().exec((err, scheduledPayment) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeScheduledPayment' }) });
+
+      return;
+    } else if (!scheduledPayment) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `scheduled payment ${paymentId}` }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+exports.createScheduledPayment = createScheduledPayment;
+exports.getScheduledPayments = getScheduledPayments;
+exports.getAllScheduledPayments = getAllScheduledPayments;
+exports.getDueScheduledPayments = getDueScheduledPayments;
+exports.claimScheduledPayment = claimScheduledPayment;
+exports.addFailedPayment = addFailedPayment;
+exports.removeScheduledPayment = removeScheduledPayment;
@@ -0,0 +1,299 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const dbConnector = require('../databaseConnector');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const signalBlockSchema = new mongoose.Schema({
+  owner: String,
+  team: String,
+  positionName: String,
+  coordinates: {
+    longitude: Number,
+    latitude: Number,
+    accuracy: Number,
+    radius: Number,
+  },
+  blockedUsers: { type: [String], default: [] },
+  startTime: { type: Date, default: Date.now },
+  endTime: Date,
+  isActive: { type: Boolean, default: true },
+}, { collection: 'signalBlocks' });
+
+const signalCounterSchema = new mongoose.Schema({
+  owner: { type: String, unique: true },
+  amount: { type: Number, default: 0 },
+}, { collection: 'signalCounters' });
+
+const SignalBlock = mongoose.model('SignalBlock', signalBlockSchema);
+const SignalCounter = mongoose.model('SignalCounter', signalCounterSchema);
+
+/**
+ * Update active signal block
+ * @param {Object} params.query Query to find the block with
+ * @param {Object} params.update Update instructions
+ * @param {string} params.name Name used in the errors
+ * @param {Function} params.callback Callback
+ */
+function updateActiveBlock({ query, update, name, callback }) {
+  const fullQuery = Object.assign({ isActive: true }, query);
+  const options = { new: true };
+
+  SignalBlock.findOneAndUpdate(fullQuery, update, options).lean().exec((err, signalBlock) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name }) });
+
+      return;
+    } else if (!signalBlock) {
+      callback({ error: new errorCreator.DoesNotExist({ name }) });
+
+      return;
+    }
+
+    callback({ data: { signalBlock } });
+  });
+}
+
+/**
+ * Get signal blocks
+ * @param {Object} params.query Query
+ * @param {string} params.name Name used in the errors
+ * @param {Function} params.callback Callback
+ */
+function getBlocks({ query, name, callback }) {
+  SignalBlock.find(query).sort({ endTime: 1 }).lean().exec((err, signalBlocks = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name }) });
+
+      return;
+    }
+
+    callback({ data: { signalBlocks } });
+  });
+}
+
+/**
+ * Create signal block
+ * @param {Object} params.signalBlock Signal block
+ * @param {Function} params.callback Callback
+ */
+function createBlock({ signalBlock, callback }) {
+  const newBlock = new SignalBlock(signalBlock);
+
+  dbConnector.saveObject({
+    object: newBlock,
+    objectType: 'signalBlock',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { signalBlock: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get signal block
+ * @param {string} params.blockId Id of the block
+ * @param {Function} params.callback Callback
+ */
+function getBlock({ blockId, callback }) {
+  const query = { _id: blockId };
+
+  SignalBlock.findOne(query).lean().exec((err, signalBlock) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getBlock' }) });
+
+      return;
+    } else if (!signalBlock) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `signal block ${blockId}` }) });
+
+      return;
+    }
+
+    callback({ data: { signalBlock } });
+  });
+}
+
+/**
+ * Get the latest signal block created by the owner. signalBlock will be null if the owner has never created one
+ * @param {string} params.owner User name of the owner
+ * @param {Function} params.callback Callback
+ */
+function getLatestOwnerBlock({ owner, callback }) {
+  const query = { owner };
+
+  SignalBlock.findOne(query).sort({ startTime: -1 }).lean().exec((err, signalBlock) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getLatestOwnerBlock' }) });
+
+      return;
+    }
+
+    callback({ data: { signalBlock } });
+  });
+}
+
+/**
+ * Get active signal blocks
+ * @param {Function} params.callback Callback
+ */
+function getActiveBlocks({ callback }) {
+  getBlocks({
+    callback,
+    query: { isActive: true },
+    name: 'getActiveBlocks',
+  });
+}
+
+/**
+ * Get active signal blocks that are blocking the user
+ * @param {string} params.userName Name of the user
+ * @param {Function} params.callback Callback
+ */
+function getUserBlocks({ userName, callback }) {
+  getBlocks({
+    callback,
+    query: { isActive: true, blockedUsers: userName },
+    name: 'getUserBlocks',
+  });
+}
+
+/**
+ * Get active signal blocks that have passed their end time
+ * @param {Date} params.time Blocks with an end time before this will be retrieved
+ * @param {Function} params.callback Callback
+ */
+function getExpiredBlocks({ time, callback }) {
+  getBlocks({
+    callback,
+    query: { isActive: true, endTime: { $lte: time } },
+    name: 'getExpiredBlocks',
+  });
+}
+
+/**
+ * Set signal block to inactive. Only succeeds if the block is active
+ * @param {string} params.blockId Id of the block
+ * @param {Function} params.callback Callback
+ */
+function deactivateBlock({ blockId, callback }) {
+  updateActiveBlock({
+    callback,
+    query: { _id: blockId },
+    update: { $set: { isActive: false } },
+    name: `active signal block ${blockId}`,
+  });
+}
+
+/**
+ * Remove user from the users blocked by an active signal block
+ * @param {string} params.blockId Id of the block
+ * @param {string} params.userName Name of the user
+ * @param {Function} params.callback Callback
+ */
+function removeBlockedUser({ blockId, userName, callback }) {
+  updateActiveBlock({
+    callback,
+    query: { _id: blockId, blockedUsers: userName },
+    update: { $pull: { blockedUsers: userName } },
+    name: `${userName} in active signal block ${blockId}`,
+  });
+}
+
+/**
+ * Get the amount of signal counters owned by the user
+ * @param {string} params.owner User name of the owner
+ * @param {Function} params.callback Callback
+ */
+function getCounters({ owner, callback }) {
+  const query = { owner };
+
+  SignalCounter.findOne(query).lean().exec((err, counter) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getCounters' }) });
+
+      return;
+    }
+
+    callback({ data: { counter: counter || { owner, amount: 0 } } });
+  });
+}
+
+/**
+ * Increase the amount of signal counters owned by the user
+ * @param {string} params.owner User name of the owner
+ * @param {number} params.amount Amount to increase with
+ * @param {Function} params.callback Callback
+ */
+function increaseCounters({ owner, amount, callback }) {
+  const query = { owner };
+  const update = { $inc: { amount } };
+  const options = { new: true, upsert: true };
+
+  SignalCounter.findOneAndUpdate(query, update, options).lean().exec((err, counter) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'increaseCounters' }) });
+
+      return;
+    }
+
+    callback({ data: { counter } });
+  });
+}
+
+/**
+ * Use up one of the signal counters owned by the user
+ * @param {string} params.owner User name of the owner
+ * @param {Function} params.callback Callback
+ */
+function useCounter({ owner, callback }) {
+  const query = { owner, amount: { $gte: 1 } };
+  const update = { $inc: { amount: -1 } };
+  const options = { new: true };
+
+  SignalCounter.findOneAndUpdate(query, update, options).lean().exec((err, counter) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'useCounter' }) });
+
+      return;
+    } else if (!counter) {
+      callback({ error: new errorCreator.Insufficient({ name: `signal counters ${owner}` }) });
+
+      return;
+    }
+
+    callback({ data: { counter } });
+  });
+}
+
+exports.createBlock = createBlock;
+exports.getBlock = getBlock;
+exports.getLatestOwnerBlock = getLatestOwnerBlock;
+exports.getActiveBlocks = getActiveBlocks;
+exports.getUserBlocks = getUserBlocks;
+exports.getExpiredBlocks = getExpiredBlocks;
+exports.deactivateBlock = deactivateBlock;
+exports.removeBlockedUser = removeBlockedUser;
+exports.getCounters = getCounters;
+exports.increaseCounters = increaseCounters;
+exports.useCounter = useCounter;
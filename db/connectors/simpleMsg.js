@@ -91,6 +91,30 @@ function getAllSimpleMsgs({ callback }) {
   });
 }
 
+/**
+ * Search simple messages. Newest messages are retrieved first
+ * @param {RegExp} params.searchRegExp Regular expression to match
+ * @param {number} params.limit Max amount of messages to retrieve
+ * @param {Function} params.callback Callback
+ */
+function searchSimpleMsgs({ searchRegExp, limit, callback }) {
+  const query = { text: searchRegExp };
+  const filter = { _id: 0 };
+
+  const msgQuery = SimpleMsgs.find(query, filter).sort({ time: -1 }).limit(limit);
+
+  msgQuery.lean().exec((err, simpleMsgs = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'searchSimpleMsgs' }) });
+
+      return;
+    }
+
+    callback({ data: { simpleMsgs } });
+  });
+}
+
 exports.createSimpleMsg = createSimpleMsg;
 exports.removeSimpleMsgs = removeSimpleMsgs;
 exports.getAllSimpleMsgs = getAllSimpleMsgs;
+exports.searchSimpleMsgs = searchSimpleMsgs;
@@ -14,18 +14,46 @@
  limitations under the License.
  */
 
+'use strict';
+
 const mongoose = require('mongoose');
 const databaseConnector = require('../databaseConnector');
 const errorCreator = require('../../objects/error/errorCreator');
-// const GameEvent = require('../../objects/GameEvent');
 
 const timedEventSchema = new mongoose.Schema({
+  owner: String,
+  eventName: String,
+  isActive: { type: Boolean, default: false },
+  isCompleted: { type: Boolean, default: false },
+  isPaused: { type: Boolean, default: false },
+  isCancelled: { type: Boolean, default: false },
+  isFailed: { type: Boolean, default: false },
+  failedTime: Date,
+  pausedTime: Date,
+  currentStep: { type: Number, default: 0 },
+  nextTriggerTime: Date,
+  startTime: Date,
+  completedTime: Date,
   steps: [{
-    unlocks: [
-      [{
-        unlockType: String,
-      }],
-    ],
+    eventType: String,
+    timer: {
+      triggerTime: Date,
+      duration: Number,
+    },
+    message: {
+      text: [String],
+      roomName: String,
+      shouldBroadcast: Boolean,
+    },
+    coordinates: {
+      longitude: Number,
+      latitude: Number,
+    },
+    unlocks: [{
+      unlockType: String,
+      unlockValue: String,
+    }],
+    isDone: { type: Boolean, default: false },
   }],
 }, { collection: 'timedEvents' });
 
@@ -40,33 +68,40 @@ function createTimedEvent({ timedEvent, callback }) {
   const newTimedEvent = new TimedEvent(timedEvent);
 
   databaseConnector.saveObject({
-    callback,
     object: newTimedEvent,
     objectType: 'timedEvent',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { timedEvent: data.savedObject } });
+    },
   });
 }
 
 /**
  * Get timed event
- * @param {string} params.owner User name
- * @param {string} params.id Id of the event
+ * @param {string} params.eventId Id of the event
  * @param {Function} params.callback Callback
  */
-function getTimedEvent({ owner, id, callback }) {
-  const query = { owner, id };
+function getTimedEvent({ eventId, callback }) {
+  const query = { _id: eventId };
 
-  TimedEvent.findOne(query).lean().exec((error, event) => {
+  TimedEvent.findOne(query).lean().exec((error, timedEvent) => {
     if (error) {
       callback({ error: new errorCreator.Database({ errorObject: error, name: 'getTimedEvent' }) });
 
       return;
-    } else if (!event) {
-      callback({ error: new errorCreator.DoesNotExist({ name: 'getTimedEvent' }) });
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `timed event ${eventId}` }) });
 
       return;
     }
 
-    callback({ data: { event } });
+    callback({ data: { timedEvent } });
   });
 }
 
@@ -76,31 +111,367 @@ function getTimedEvent({ owner, id, callback }) {
  * @param {Function} params.callback Callback
  */
 function getTimedEventsByOwner({ owner, callback }) {
-  const now = new Date();
-  const query = {
-    owner,
-    triggerTime: { $lte: now },
-  };
+  const query = { owner };
 
-  TimedEvent.find(query).lean().exec((error, foundEvents = []) => {
+  TimedEvent.find(query).lean().exec((error, timedEvents = []) => {
     if (error) {
       callback({ error: new errorCreator.Database({ errorObject: error, name: 'getTimedEventsByOwner' }) });
 
       return;
     }
 
-    callback({
-      data: {
-        foundEvents,
-        // events: foundEvents.filter((event) => {
-        //   const future = new Date();
-        //   future.setMinutes(future.getMinutes() + event.duration);
-        // }),
-      },
-    });
+    callback({ data: { timedEvents } });
+  });
+}
+
+/**
+ * Get all timed events
+ * @param {Function} params.callback Callback
+ */
+function getAllTimedEvents({ callback }) {
+  TimedEvent.find({}).lean().exec((error, timedEvents = []) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'getAllTimedEvents' }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvents } });
+  });
+}
+
+/**
+ * Update a timed event that has not been started
+ * @param {string} params.eventId Id of the event
+ * @param {string} [params.eventName] Name of the event
+ * @param {Object[]} [params.steps] Steps in the event
+ * @param {Function} params.callback Callback
+ */
+function updateTimedEvent({ eventId, eventName, steps, callback }) {
+  const query = { _id: eventId, isActive: false, isCompleted: false, isCancelled: { $ne: true } };
+  const update = { $set: {} };
+  const options = { new: true };
+
+  if (eventName) { update.$set.eventName = eventName; }
+  if (steps) { update.$set.steps = steps; }
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'updateTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `unstarted timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Remove timed event
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function removeTimedEvent({ eventId, callback }) {
+  const query = { _id: eventId };
+
+  TimedEvent.findOneAndRemove(query).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'removeTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+/**
+ * Get all timed events that have been started and are not yet completed
+ * @param {Function} params.callback Callback
+ */
+function getActiveTimedEvents({ callback }) {
+  const query = { isActive: true, isCompleted: false, isPaused: { $ne: true } };
+
+  TimedEvent.find(query).lean().exec((error, timedEvents = []) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'getActiveTimedEvents' }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvents } });
+  });
+}
+
+/**
+ * Set timed event to active and store when its first step should be triggered
+ * @param {string} params.eventId Id of the event
+ * @param {Date} params.nextTriggerTime Time when the first step should be triggered
+ * @param {Function} params.callback Callback
+ */
+function startTimedEvent({ eventId, nextTriggerTime, callback }) {
+  const query = { _id: eventId, isActive: false, isCompleted: false, isCancelled: { $ne: true } };
+  const update = {
+    $set: {
+      nextTriggerTime,
+      isActive: true,
+      startTime: new Date(),
+    },
+  };
+  const options = { new: true };
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'startTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `inactive timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Mark a step as done and move the event to the next step.
+ * Only succeeds if the event is still active and on the expected step, which stops a step from being triggered twice
+ * @param {string} params.eventId Id of the event
+ * @param {number} params.stepIndex Index of the step that is done
+ * @param {Date} [params.nextTriggerTime] Time when the next step should be triggered
+ * @param {Function} params.callback Callback
+ */
+function completeTimedEventStep({ eventId, stepIndex, nextTriggerTime, callback }) {
+  const query = { _id: eventId, isActive: true, isPaused: { $ne: true }, currentStep: stepIndex };
+  const update = { $set: { currentStep: stepIndex + 1, isFailed: false } };
+  const options = { new: true };
+
+  update.$set[`steps.${stepIndex}.isDone`] = true;
+
+  if (nextTriggerTime) {
+    update.$set.nextTriggerTime = nextTriggerTime;
+  } else {
+    update.$unset = { nextTriggerTime: '' };
+  }
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'completeTimedEventStep' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `timed event ${eventId} on step ${stepIndex}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Set timed event to completed
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function completeTimedEvent({ eventId, callback }) {
+  const query = { _id: eventId, isCompleted: false };
+  const update = {
+    $set: {
+      isActive: false,
+      isCompleted: true,
+      isFailed: false,
+      completedTime: new Date(),
+    },
+    $unset: { nextTriggerTime: '' },
+  };
+  const options = { new: true };
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'completeTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Mark an active timed event as failed. Failed events are still active and will be resumed on the next start
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function failTimedEvent({ eventId, callback }) {
+  const query = { _id: eventId, isActive: true };
+  const update = { $set: { isFailed: true, failedTime: new Date() } };
+  const options = { new: true };
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'failTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `active timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Pause an active timed event
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function pauseTimedEvent({ eventId, callback }) {
+  const query = { _id: eventId, isActive: true, isPaused: { $ne: true } };
+  const update = { $set: { isPaused: true, pausedTime: new Date() } };
+  const options = { new: true };
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'pauseTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `active timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Resume a paused timed event
+ * @param {string} params.eventId Id of the event
+ * @param {Date} [params.nextTriggerTime] Time when the next step should be triggered
+ * @param {Function} params.callback Callback
+ */
+function resumeTimedEvent({ eventId, nextTriggerTime, callback }) {
+  const query = { _id: eventId, isActive: true, isPaused: true };
+  const update = {
+    $set: { isPaused: false },
+    $unset: { pausedTime: '' },
+  };
+  const options = { new: true };
+
+  if (nextTriggerTime) {
+    update.$set.nextTriggerTime = nextTriggerTime;
+  }
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'resumeTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `paused timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Move an active timed event to the next step without triggering the current step
+ * @param {string} params.eventId Id of the event
+ * @param {number} params.stepIndex Index of the step to skip
+ * @param {Date} [params.nextTriggerTime] Time when the next step should be triggered
+ * @param {Function} params.callback Callback
+ */
+function skipTimedEventStep({ eventId, stepIndex, nextTriggerTime, callback }) {
+  const query = { _id: eventId, isActive: true, currentStep: stepIndex };
+  const update = { $set: { currentStep: stepIndex + 1 } };
+  const options = { new: true };
+
+  if (nextTriggerTime) {
+    update.$set.nextTriggerTime = nextTriggerTime;
+  } else {
+    update.$unset = { nextTriggerTime: '' };
+  }
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'skipTimedEventStep' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `timed event ${eventId} on step ${stepIndex}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
+  });
+}
+
+/**
+ * Cancel a timed event. A cancelled event can't be started again
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function cancelTimedEvent({ eventId, callback }) {
+  const query = { _id: eventId, isCompleted: false, isCancelled: { $ne: true } };
+  const update = {
+    $set: {
+      isActive: false,
+      isPaused: false,
+      isCancelled: true,
+    },
+    $unset: { nextTriggerTime: '', pausedTime: '' },
+  };
+  const options = { new: true };
+
+  TimedEvent.findOneAndUpdate(query, update, options).lean().exec((error, timedEvent) => {
+    if (error) {
+      callback({ error: new errorCreator.Database({ errorObject: error, name: 'cancelTimedEvent' }) });
+
+      return;
+    } else if (!timedEvent) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `uncompleted timed event ${eventId}` }) });
+
+      return;
+    }
+
+    callback({ data: { timedEvent } });
   });
 }
 
 exports.createTimedEvent = createTimedEvent;
 exports.getTimedEvent = getTimedEvent;
 exports.getTimedEventsByOwner = getTimedEventsByOwner;
+exports.getActiveTimedEvents = getActiveTimedEvents;
+exports.getAllTimedEvents = getAllTimedEvents;
+exports.updateTimedEvent = updateTimedEvent;
+exports.removeTimedEvent = removeTimedEvent;
+exports.pauseTimedEvent = pauseTimedEvent;
+exports.resumeTimedEvent = resumeTimedEvent;
+exports.skipTimedEventStep = skipTimedEventStep;
+exports.cancelTimedEvent = cancelTimedEvent;
+exports.startTimedEvent = startTimedEvent;
+exports.completeTimedEventStep = completeTimedEventStep;
+exports.completeTimedEvent = completeTimedEvent;
+exports.failTimedEvent = failTimedEvent;
@@ -19,6 +19,7 @@
 const mongoose = require('mongoose');
 const databaseConnector = require('../databaseConnector');
 const errorCreator = require('../../objects/error/errorCreator');
+const appConfig = require('../../config/defaults/config').app;
 
 const transactionSchema = new mongoose.Schema({
   time: { type: Date, default: new Date() },
@@ -31,10 +32,42 @@ const transactionSchema = new mongoose.Schema({
     accuracy: Number,
   },
   note: String,
+  currency: String,
+  state: { type: String, default: 'done' },
+  stateTime: { type: Date, default: Date.now },
+  isEscrow: { type: Boolean, default: false },
+  isReleased: { type: Boolean, default: false },
+  deadline: Date,
+  missionId: String,
 }, { collection: 'transactions' });
 
 const Transaction = mongoose.model('transaction', transactionSchema);
 
+/**
+ * States of a transfer between two wallets. pending = ledger entry created, applied = both wallets have been updated, done = finished,
+ * escrow = withdrawn from the sender and held until it is released or refunded
+ */
+const TransactionStates = {
+  PENDING: 'pending',
+  ESCROW: 'escrow',
+  APPLIED: 'applied',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Create query that matches transactions made in a currency. Transactions without a currency were made in the default currency
+ * @param {string} [currency] Name of the currency. Defaults to the default currency
+ * @returns {Object} Query
+ */
+function createCurrencyQuery(currency) {
+  if (!currency || currency === appConfig.defaultCurrency) {
+    return { currency: { $in: [appConfig.defaultCurrency, null] } };
+  }
+
+  return { currency };
+}
+
 /**
  * Get transactions
  * @param {string} params.to Receiver
@@ -65,7 +98,12 @@ function getTransactions({ to, from, callback }) {
  * @param {Function} params.callback Callback
  */
 function getAllTransactions({ owner, callback }) {
-  const query = { $or: [{ to: owner }, { from: owner }] };
+  const query = {
+    $and: [
+      { $or: [{ to: owner }, { from: owner }] },
+      { state: { $ne: TransactionStates.CANCELLED } },
+    ],
+  };
 
   Transaction.find(query).lean().exec((err, transactions = []) => {
     if (err) {
@@ -101,7 +139,240 @@ function createTransaction({ transaction, callback }) {
   });
 }
 
+/**
+ * Get finished transactions made by a user/team in a currency, newest first
+ * @param {string} params.owner Name of the user/team
+ * @param {string} [params.currency] Name of the currency. Defaults to the default currency
+ * @param {Function} params.callback Callback
+ */
+function getTransactionHistory({ owner, currency, callback }) {
+  const query = {
+    $and: [
+      { $or: [{ to: owner }, { from: owner }] },
+      { state: { $in: [TransactionStates.DONE, null] } },
+      createCurrencyQuery(currency),
+    ],
+  };
+
+  Transaction.find(query).sort({ time: -1 }).lean().exec((err, transactions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getTransactionHistory' }) });
+
+      return;
+    }
+
+    callback({ data: { transactions } });
+  });
+}
+
+/**
+ * Get finished transactions in a currency made within a time range, oldest first
+ * @param {Date} [params.startDate] Transactions made before this time will be excluded
+ * @param {Date} [params.endDate] Transactions made after this time will be excluded
+ * @param {string} [params.currency] Name of the currency. Defaults to the default currency
+ * @param {Function} params.callback Callback
+ */
+function getTransactionsByTime({ startDate, endDate, currency, callback }) {
+  const query = Object.assign({ state: { $in: [TransactionStates.DONE, null] } }, createCurrencyQuery(currency));
+
+  if (startDate || endDate) {
+    query.time = {};
+
+    if (startDate) { query.time.$gte = startDate; }
+    if (endDate) { query.time.$lte = endDate; }
+  }
+
+  Transaction.find(query).sort({ time: 1 }).lean().exec((err, transactions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getTransactionsByTime' }) });
+
+      return;
+    }
+
+    callback({ data: { transactions } });
+  });
+}
+
+/**
+ * Update the state of a transaction. Only succeeds if the transaction is in the expected state
+ * @param {string} params.transactionId Id of the transaction
+ * @param {string} params.fromState Expected current state
+ * @param {string} params.toState New state
+ * @param {Function} params.callback Callback
+ */
+function updateTransactionState({ transactionId, fromState, toState, callback }) {
+  const query = { _id: transactionId, state: fromState };
+  const update = { $set: { state: toState, stateTime: new Date() } };
+  const options = { new: true };
+
+  Transaction.findOneAndUpdate(query, update, options).lean().exec((err, transaction) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'updateTransactionState' }) });
+
+      return;
+    } else if (!transaction) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `${fromState} transaction ${transactionId}` }) });
+
+      return;
+    }
+
+    callback({ data: { transaction } });
+  });
+}
+
+/**
+ * Release an escrow transaction, so that it can be deposited to the receiver. Only succeeds if the transaction is still held in escrow
+ * @param {string} params.transactionId Id of the transaction
+ * @param {Function} params.callback Callback
+ */
+function releaseEscrowTransaction({ transactionId, callback }) {
+  const query = { _id: transactionId, state: TransactionStates.ESCROW };
+  const update = { $set: { state: TransactionStates.PENDING, isReleased: true, stateTime: new Date() } };
+  const options = { new: true };
+
+  Transaction.findOneAndUpdate(query, update, options).lean().exec((err, transaction) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'releaseEscrowTransaction' }) });
+
+      return;
+    } else if (!transaction) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `escrow transaction ${transactionId}` }) });
+
+      return;
+    }
+
+    callback({ data: { transaction } });
+  });
+}
+
+/**
+ * Change the receiver of a transaction held in escrow. Only succeeds if the transaction is still held in escrow
+ * @param {string} params.transactionId Id of the transaction
+ * @param {string} params.to Owner of the wallet that will receive the amount
+ * @param {Function} params.callback Callback
+ */
+function updateEscrowReceiver({ transactionId, to, callback }) {
+  const query = { _id: transactionId, state: TransactionStates.ESCROW };
+  const update = { $set: { to } };
+  const options = { new: true };
+
+  Transaction.findOneAndUpdate(query, update, options).lean().exec((err, transaction) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'updateEscrowReceiver' }) });
+
+      return;
+    } else if (!transaction) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `escrow transaction ${transactionId}` }) });
+
+      return;
+    }
+
+    callback({ data: { transaction } });
+  });
+}
+
+/**
+ * Get transaction
+ * @param {string} params.transactionId Id of the transaction
+ * @param {Function} params.callback Callback
+ */
+function getTransaction({ transactionId, callback }) {
+  const query = { _id: transactionId };
+
+  Transaction.findOne(query).lean().exec((err, transaction) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getTransaction' }) });
+
+      return;
+    } else if (!transaction) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `transaction ${transactionId}` }) });
+
+      return;
+    }
+
+    callback({ data: { transaction } });
+  });
+}
+
+/**
+ * Get transactions held in escrow to or from wallets. Mission rewards held in escrow are excluded
+ * @param {string[]} params.owners Owners of the wallets
+ * @param {Function} params.callback Callback
+ */
+function getEscrowTransactions({ owners, callback }) {
+  const query = {
+    state: TransactionStates.ESCROW,
+    missionId: null,
+    $or: [
+      { from: { $in: owners } },
+      { to: { $in: owners } },
+    ],
+  };
+
+  Transaction.find(query).sort({ deadline: 1 }).lean().exec((err, transactions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getEscrowTransactions' }) });
+
+      return;
+    }
+
+    callback({ data: { transactions } });
+  });
+}
+
+/**
+ * Get transactions held in escrow that have passed their deadline
+ * @param {Date} params.time Transactions with a deadline before this will be retrieved
+ * @param {Function} params.callback Callback
+ */
+function getExpiredEscrowTransactions({ time, callback }) {
+  const query = { state: TransactionStates.ESCROW, deadline: { $lte: time } };
+
+  Transaction.find(query).lean().exec((err, transactions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getExpiredEscrowTransactions' }) });
+
+      return;
+    }
+
+    callback({ data: { transactions } });
+  });
+}
+
+/**
+ * Get transfers that were interrupted before they were done
+ * @param {Date} [params.olderThan] Only get transfers whose state was changed before this time
+ * @param {Function} params.callback Callback
+ */
+function getUnfinishedTransactions({ olderThan, callback }) {
+  const query = { state: { $in: [TransactionStates.PENDING, TransactionStates.APPLIED] } };
+
+  if (olderThan) {
+    query.$or = [{ stateTime: { $lt: olderThan } }, { stateTime: { $exists: false } }];
+  }
+
+  Transaction.find(query).lean().exec((err, transactions = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getUnfinishedTransactions' }) });
+
+      return;
+    }
+
+    callback({ data: { transactions } });
+  });
+}
+
 exports.createTransaction = createTransaction;
 exports.getTransactions = getTransactions;
 exports.getAllTransactions = getAllTransactions;
+exports.getTransactionHistory = getTransactionHistory;
+exports.getTransactionsByTime = getTransactionsByTime;
+exports.updateTransactionState = updateTransactionState;
+exports.getUnfinishedTransactions = getUnfinishedTransactions;
+exports.releaseEscrowTransaction = releaseEscrowTransaction;
+exports.getTransaction = getTransaction;
+exports.getEscrowTransactions = getEscrowTransactions;
+exports.getExpiredEscrowTransactions = getExpiredEscrowTransactions;
+exports.updateEscrowReceiver = updateEscrowReceiver;
+exports.TransactionStates = TransactionStates;
 
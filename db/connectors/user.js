@@ -21,6 +21,7 @@ const databaseConnector = require('../databaseConnector');
 const deviceConnector = require('./device');
 const positionConnector = require('./position');
 const errorCreator = require('../../objects/error/errorCreator');
+const passwordHasher = require('../../utils/passwordHasher');
 const dbConfig = require('../../config/defaults/config').databasePopulation;
 
 // Access levels: Lowest / Lower / Middle / Higher / Highest / God
@@ -169,14 +170,14 @@ function removeAllUserTeam({ team, callback }) {
 }
 
 /**
- * Set new group to user
+ * Add user to a group
  * @param {string} params.userName Name of the user
  * @param {string} params.group Name of the group
  * @param {Function} params.callback Callback
  */
 function addGroupToUser({ userName, group, callback }) {
   const query = { userName };
-  const update = { $push: { group } };
+  const update = { $addToSet: { authGroups: group } };
   const options = { new: true };
 
   User.findOneAndUpdate(query, update, options).lean().exec((err, user) => {
@@ -194,6 +195,94 @@ function addGroupToUser({ userName, group, callback }) {
   });
 }
 
+/**
+ * Remove user from a group
+ * @param {string} params.userName Name of the user
+ * @param {string} params.group Name of the group
+ * @param {Function} params.callback Callback
+ */
+function removeGroupFromUser({ userName, group, callback }) {
+  const query = { userName, authGroups: { $in: [group] } };
+  const update = { $pull: { authGroups: group } };
+  const options = { new: true };
+
+  User.findOneAndUpdate(query, update, options).lean().exec((err, user) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeGroupFromUser' }) });
+
+      return;
+    } else if (!user) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `user ${userName} in group ${group}` }) });
+
+      return;
+    }
+
+    callback({ data: { user: cleanUserParameters({ user }) } });
+  });
+}
+
+/**
+ * Remove group from all users that are members of it
+ * @param {string} params.group Name of the group
+ * @param {Function} params.callback Callback
+ */
+function removeGroupFromAllUsers({ group, callback }) {
+  const query = { authGroups: { $in: [group] } };
+  const update = { $pull: { authGroups: group } };
+  const options = { multi: true };
+
+  User.update(query, update, options).lean().exec((err) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeGroupFromAllUsers' }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+/**
+ * Get user names of all members of a group
+ * @param {string} params.group Name of the group
+ * @param {Function} params.callback Callback
+ */
+function getGroupMembers({ group, callback }) {
+  const query = { authGroups: { $in: [group] } };
+  const filter = { _id: 0, userName: 1 };
+  const sort = { userName: 1 };
+
+  User.find(query, filter).sort(sort).lean().exec((err, users = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getGroupMembers' }) });
+
+      return;
+    }
+
+    callback({ data: { members: users.map(user => user.userName) } });
+  });
+}
+
+/**
+ * Get names of the users that are members of at least one of the groups
+ * @param {string[]} params.groups Names of the groups
+ * @param {Function} params.callback Callback
+ */
+function getMembersOfGroups({ groups, callback }) {
+  const query = { authGroups: { $in: groups } };
+  const filter = { _id: 0, userName: 1 };
+
+  User.find(query, filter).lean().exec((err, users = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getMembersOfGroups' }) });
+
+      return;
+    }
+
+    callback({ data: { members: users.map(user => user.userName) } });
+  });
+}
+
 /**
  * Get user by device ID or device alias
  * @param {string} params.deviceCode Device ID OR device alias
@@ -262,13 +351,12 @@ function getUserById({ socketId, callback }) {
 }
 
 /**
- * Authorize user
+ * Get user and stored password, so that the password can be verified. Only verified users that aren't banned are returned
  * @param {string} params.userName Name of the user
- * @param {string} params.password Password of the user
  * @param {Function} params.callback Callback
  */
-function authUser({ userName, password, callback }) {
-  const query = { userName, password, banned: false, verified: true };
+function authUser({ userName, callback }) {
+  const query = { userName, banned: false, verified: true };
 
   User.findOne(query).lean().exec((err, user) => {
     if (err) {
@@ -281,7 +369,9 @@ function authUser({ userName, password, callback }) {
       return;
     }
 
-    callback({ data: { user: cleanUserParameters({ user }) } });
+    const storedPassword = user.password;
+
+    callback({ data: { storedPassword, user: cleanUserParameters({ user }) } });
   });
 }
 
@@ -321,7 +411,6 @@ function getUser({ userName, includeInactive, callback }) {
  * @param {Function} params.callback Callback
  */
 function createUser({ user, silentOnExists, callback }) {
-  const newUser = new User(user);
   const query = {
     $or: [
       { userName: user.userName },
@@ -346,17 +435,42 @@ function createUser({ user, silentOnExists, callback }) {
       return;
     }
 
-    databaseConnector.saveObject({
-      object: newUser,
-      objectType: 'user',
-      callback: ({ error, data }) => {
-        if (error) {
-          callback({ error });
+    /**
+     * Save the user
+     * @param {string} [hashedPassword] Hashed password
+     */
+    const saveUser = (hashedPassword) => {
+      databaseConnector.saveObject({
+        object: new User(Object.assign({}, user, { password: hashedPassword })),
+        objectType: 'user',
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          callback({ data: { user: cleanUserParameters({ user: data.savedObject, noClean: true }) } });
+        },
+      });
+    };
+
+    if (!user.password) {
+      saveUser();
+
+      return;
+    }
+
+    passwordHasher.hashPassword({
+      password: user.password,
+      callback: ({ error: hashError, data: hashData }) => {
+        if (hashError) {
+          callback({ error: hashError });
 
           return;
         }
 
-        callback({ data: { user: cleanUserParameters({ user: data.savedObject, noClean: true }) } });
+        saveUser(hashData.hashedPassword);
       },
     });
   });
@@ -673,6 +787,32 @@ function removeRoomFromUser({ userName, roomName, isWhisperRoom, callback }) {
   });
 }
 
+/**
+ * Remove rooms from user
+ * @param {string} params.userName Name of the user
+ * @param {string[]} params.roomNames Names of the rooms
+ * @param {Function} params.callback Callback
+ */
+function removeRoomsFromUser({ userName, roomNames, callback }) {
+  const query = { userName };
+  const update = { $pullAll: { rooms: roomNames } };
+  const options = { new: true };
+
+  User.findOneAndUpdate(query, update, options).lean().exec((err, user) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeRoomsFromUser' }) });
+
+      return;
+    } else if (!user) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `remove rooms user ${userName}` }) });
+
+      return;
+    }
+
+    callback({ data: { user: cleanUserParameters({ user }) } });
+  });
+}
+
 /**
  * Add whisper room to user
  * @param {string} params.userName Name of the user
@@ -845,15 +985,26 @@ function updateUserAccessLevel({ userName, accessLevel, callback }) {
 }
 
 /**
- * Set new password for user
+ * Set new password for user. The password is hashed before it is stored
  * @param {string} params.userName Name of the user
  * @param {string} params.password New password
  * @param {Function} params.callback Callback
  */
 function updateUserPassword({ userName, password, callback }) {
-  const update = { $set: { password } };
+  passwordHasher.hashPassword({
+    password,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
 
-  updateUserValue({ userName, update, callback });
+        return;
+      }
+
+      const update = { $set: { password: data.hashedPassword } };
+
+      updateUserValue({ userName, update, callback });
+    },
+  });
 }
 
 /**
@@ -1102,6 +1253,7 @@ exports.getAllUserPositions = getAllUserPositions;
 exports.getUserPosition = getUserPosition;
 exports.addRoomToUser = addRoomToUser;
 exports.removeRoomFromUser = removeRoomFromUser;
+exports.removeRoomsFromUser = removeRoomsFromUser;
 exports.addWhisperRoomToUser = addWhisperRoomToUser;
 exports.setUserLastOnline = setUserLastOnline;
 exports.updateUserPassword = updateUserPassword;
@@ -1113,6 +1265,10 @@ exports.getBannedUsers = getBannedUsers;
 exports.updateUserVisibility = updateUserVisibility;
 exports.updateUserAccessLevel = updateUserAccessLevel;
 exports.addGroupToUser = addGroupToUser;
+exports.removeGroupFromUser = removeGroupFromUser;
+exports.removeGroupFromAllUsers = removeGroupFromAllUsers;
+exports.getGroupMembers = getGroupMembers;
+exports.getMembersOfGroups = getMembersOfGroups;
 exports.updateUserOnline = updateUserOnline;
 exports.getUserByDevice = getUserByDevice;
 exports.getUser = getUser;
@@ -19,6 +19,10 @@
 const mongoose = require('mongoose');
 const databaseConnector = require('../databaseConnector');
 const errorCreator = require('../../objects/error/errorCreator');
+const dbTransaction = require('./transaction');
+const winston = require('winston');
+const appConfig = require('../../config/defaults/config').app;
+const dbConfig = require('../../config/defaults/config').databasePopulation;
 
 const walletSchema = new mongoose.Schema({
   owner: { type: String, unique: true },
@@ -26,10 +30,44 @@ const walletSchema = new mongoose.Schema({
   accessLevel: { type: Number, default: 1 },
   isProtected: { type: Boolean, default: false },
   team: String,
+  currencies: { type: mongoose.Schema.Types.Mixed, default: {} },
+  pendingTransactions: { type: [String], default: [] },
 }, { collection: 'wallets' });
 
 const Wallet = mongoose.model('Wallet', walletSchema);
 
+/**
+ * Is the currency the default currency or one of the currencies set in the config?
+ * @param {string} currency Name of the currency
+ * @returns {boolean} Is the currency valid?
+ */
+function isValidCurrency(currency) {
+  return currency === appConfig.defaultCurrency || appConfig.currencies.some(({ name }) => name === currency);
+}
+
+/**
+ * Get the path in the wallet to the amount of a currency. The default currency is stored in amount. Other currencies are stored in currencies
+ * @param {string} [currency] Name of the currency. Defaults to the default currency
+ * @returns {string} Path to the amount
+ */
+function getAmountPath(currency) {
+  return !currency || currency === appConfig.defaultCurrency ? 'amount' : `currencies.${currency}`;
+}
+
+/**
+ * Get the amount of a currency in a wallet
+ * @param {Object} params.wallet Wallet
+ * @param {string} [params.currency] Name of the currency. Defaults to the default currency
+ * @returns {number} Amount
+ */
+function getCurrencyAmount({ wallet, currency }) {
+  if (!currency || currency === appConfig.defaultCurrency) {
+    return wallet.amount;
+  }
+
+  return (wallet.currencies && wallet.currencies[currency]) || 0;
+}
+
 /**
  * Get wallets under user's access level or owner equal to user name
  * @param {Object} params.user User retrieving wallets
@@ -60,6 +98,22 @@ function getWallets({ user, callback }) {
   });
 }
 
+/**
+ * Get all wallets
+ * @param {Function} params.callback Callback
+ */
+function getAllWallets({ callback }) {
+  Wallet.find({}).lean().exec((err, wallets = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getAllWallets' }) });
+
+      return;
+    }
+
+    callback({ data: { wallets } });
+  });
+}
+
 /**
  * Get wallets owned by user or their team
  * @param {Object} params.user User retrieving wallets
@@ -148,11 +202,12 @@ function createWallet({ wallet, callback }) {
  * Increase amount in wallet
  * @param {string} params.owner Owner name
  * @param {number} params.amount Amount to increase with
+ * @param {string} [params.currency] Currency to increase. Defaults to the default currency
  * @param {Function} params.callback Callback
  */
-function increaseAmount({ owner, amount, callback }) {
+function increaseAmount({ owner, amount, currency, callback }) {
   const query = { owner };
-  const update = { $inc: { amount: Math.abs(amount) } };
+  const update = { $inc: { [getAmountPath(currency)]: Math.abs(amount) } };
   const options = { new: true };
 
   Wallet.findOneAndUpdate(query, update, options).lean().exec((err, wallet) => {
@@ -171,14 +226,16 @@ function increaseAmount({ owner, amount, callback }) {
 }
 
 /**
- * Decrease amount in wallet
+ * Decrease amount in wallet. Will not decrease the amount below 0
  * @param {string} params.owner Owner name
  * @param {number} params.amount Amount to decrease with
+ * @param {string} [params.currency] Currency to decrease. Defaults to the default currency
  * @param {Function} params.callback Callback
  */
-function decreaseAmount({ owner, amount, callback }) {
-  const query = { owner };
-  const update = { $inc: { amount: -Math.abs(amount) } };
+function decreaseAmount({ owner, amount, currency, callback }) {
+  const amountPath = getAmountPath(currency);
+  const query = { owner, [amountPath]: { $gte: Math.abs(amount) } };
+  const update = { $inc: { [amountPath]: -Math.abs(amount) } };
   const options = { new: true };
 
   Wallet.findOneAndUpdate(query, update, options).lean().exec((err, wallet) => {
@@ -187,7 +244,65 @@ function decreaseAmount({ owner, amount, callback }) {
 
       return;
     } else if (!wallet) {
-      callback({ error: new errorCreator.DoesNotExist({ name: `wallet ${owner}` }) });
+      getWallet({
+        owner,
+        callback: ({ error }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          callback({ error: new errorCreator.Insufficient({ name: `wallet ${owner} ${currency || appConfig.defaultCurrency}` }) });
+        },
+      });
+
+      return;
+    }
+
+    callback({ data: { wallet } });
+  });
+}
+
+/**
+ * Exchange an amount of one currency in a wallet to another currency. Both currencies are changed in the same update.
+ * Will not decrease the amount below 0
+ * @param {string} params.owner Owner name
+ * @param {string} params.fromCurrency Currency to exchange from
+ * @param {string} params.toCurrency Currency to exchange to
+ * @param {number} params.amount Amount of fromCurrency to withdraw
+ * @param {number} params.exchangedAmount Amount of toCurrency to deposit
+ * @param {Function} params.callback Callback
+ */
+function exchangeCurrency({ owner, fromCurrency, toCurrency, amount, exchangedAmount, callback }) {
+  const fromPath = getAmountPath(fromCurrency);
+  const query = { owner, [fromPath]: { $gte: Math.abs(amount) } };
+  const update = {
+    $inc: {
+      [fromPath]: -Math.abs(amount),
+      [getAmountPath(toCurrency)]: Math.abs(exchangedAmount),
+    },
+  };
+  const options = { new: true };
+
+  Wallet.findOneAndUpdate(query, update, options).lean().exec((err, wallet) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'exchangeCurrency' }) });
+
+      return;
+    } else if (!wallet) {
+      getWallet({
+        owner,
+        callback: ({ error }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          callback({ error: new errorCreator.Insufficient({ name: `wallet ${owner} ${fromCurrency}` }) });
+        },
+      });
 
       return;
     }
@@ -197,13 +312,561 @@ function decreaseAmount({ owner, amount, callback }) {
 }
 
 /**
- * Reset wallet amount to 0
+ * Change the amount in a wallet as part of a transfer. The transfer is added to the wallet's pending transactions in the same update
+ * Nothing will be changed if the transfer has already been added to the wallet. An AlreadyExists error is returned in that case
+ * @param {string} params.owner Owner name
+ * @param {string} params.transactionId Id of the transfer
+ * @param {number} params.amount Amount to change the wallet amount with. Negative to withdraw
+ * @param {number} [params.requiredAmount] Amount that the wallet needs to have for the change to be made
+ * @param {string} [params.currency] Currency to change. Defaults to the default currency
+ * @param {Function} params.callback Callback
+ */
+function applyTransfer({ owner, transactionId, amount, requiredAmount, currency, callback }) {
+  const amountPath = getAmountPath(currency);
+  const query = { owner, pendingTransactions: { $ne: transactionId } };
+  const update = {
+    $inc: { [amountPath]: amount },
+    $push: { pendingTransactions: transactionId },
+  };
+  const options = { new: true };
+
+  if (typeof requiredAmount === 'number') {
+    query[amountPath] = { $gte: requiredAmount };
+  }
+
+  Wallet.findOneAndUpdate(query, update, options).lean().exec((err, wallet) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'applyTransfer' }) });
+
+      return;
+    } else if (!wallet) {
+      getWallet({
+        owner,
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          } else if (data.wallet.pendingTransactions.indexOf(transactionId) > -1) {
+            callback({ error: new errorCreator.AlreadyExists({ name: `transfer ${transactionId} in wallet ${owner}` }) });
+
+            return;
+          }
+
+          callback({ error: new errorCreator.Insufficient({ name: `wallet ${owner} ${currency || appConfig.defaultCurrency}` }) });
+        },
+      });
+
+      return;
+    }
+
+    callback({ data: { wallet } });
+  });
+}
+
+/**
+ * Revert a transfer that was added to a wallet
+ * @param {string} params.owner Owner name
+ * @param {string} params.transactionId Id of the transfer
+ * @param {number} params.amount Amount that was changed in the wallet by the transfer
+ * @param {string} [params.currency] Currency that was changed. Defaults to the default currency
+ * @param {Function} params.callback Callback
+ */
+function revertTransfer({ owner, transactionId, amount, currency, callback }) {
+  const query = { owner, pendingTransactions: transactionId };
+  const update = {
+    $inc: { [getAmountPath(currency)]: -amount },
+    $pull: { pendingTransactions: transactionId },
+  };
+
+  Wallet.findOneAndUpdate(query, update).lean().exec((err) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'revertTransfer' }) });
+
+      return;
+    }
+
+    callback({ data: { success: true } });
+  });
+}
+
+/**
+ * Cancel a pending transfer. Credits withdrawn from the sender are returned
+ * @param {Object} params.transaction Transfer to cancel
+ * @param {Function} params.callback Callback
+ */
+function cancelTransfer({ transaction, callback }) {
+  const transactionId = transaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+  revertTransfer({
+    transactionId,
+    owner: transaction.from,
+    amount: -transaction.amount,
+    currency: transaction.currency,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTransaction.updateTransactionState({
+        transactionId,
+        fromState: dbTransaction.TransactionStates.PENDING,
+        toState: dbTransaction.TransactionStates.CANCELLED,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Finish a transfer that has been added to both wallets
+ * @param {Object} params.transaction Transfer to finish
+ * @param {Function} params.callback Callback
+ */
+function finishTransfer({ transaction, callback }) {
+  const transactionId = transaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+  /**
+   * Remove the transfer from the pending transactions in the wallets and set it to done
+   */
+  function removePending() {
+    const query = { owner: { $in: [transaction.from, transaction.to] } };
+    const update = { $pull: { pendingTransactions: transactionId } };
+    const options = { multi: true };
+
+    Wallet.update(query, update, options).exec((err) => {
+      if (err) {
+        callback({ error: new errorCreator.Database({ errorObject: err, name: 'finishTransfer' }) });
+
+        return;
+      }
+
+      dbTransaction.updateTransactionState({
+        transactionId,
+        fromState: dbTransaction.TransactionStates.APPLIED,
+        toState: dbTransaction.TransactionStates.DONE,
+        callback,
+      });
+    });
+  }
+
+  if (transaction.state === dbTransaction.TransactionStates.APPLIED) {
+    removePending();
+
+    return;
+  }
+
+  dbTransaction.updateTransactionState({
+    transactionId,
+    fromState: dbTransaction.TransactionStates.PENDING,
+    toState: dbTransaction.TransactionStates.APPLIED,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      removePending();
+    },
+  });
+}
+
+/**
+ * Add a pending transfer to the receiver's wallet and finish it. Cancels the transfer if the receiver's wallet could not be updated.
+ * Transfers that were already added to the receiver's wallet before being interrupted are finished without changing the wallet again
+ * @param {Object} params.transaction Transfer that has been withdrawn from the sender
+ * @param {Function} params.callback Callback
+ */
+function depositTransfer({ transaction, callback }) {
+  const transactionId = transaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+  /**
+   * Finish the transfer
+   * @param {Object} toWallet Receiver's wallet
+   */
+  function finish(toWallet) {
+    finishTransfer({
+      transaction,
+      callback: ({ error: finishError, data: finishData }) => {
+        if (finishError) {
+          callback({ error: finishError });
+
+          return;
+        }
+
+        callback({ data: { toWallet, transaction: finishData.transaction } });
+      },
+    });
+  }
+
+  applyTransfer({
+    transactionId,
+    owner: transaction.to,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    callback: ({ error, data }) => {
+      if (error && error.type === errorCreator.ErrorTypes.ALREADYEXISTS) {
+        getWallet({
+          owner: transaction.to,
+          callback: ({ error: walletError, data: walletData }) => {
+            if (walletError) {
+              callback({ error: walletError });
+
+              return;
+            }
+
+            finish(walletData.wallet);
+          },
+        });
+
+        return;
+      } else if (error) {
+        cancelTransfer({
+          transaction,
+          callback: () => { callback({ error }); },
+        });
+
+        return;
+      }
+
+      finish(data.wallet);
+    },
+  });
+}
+
+/**
+ * Create a pending transfer and withdraw the amount from the sender's wallet. The transfer is cancelled if the sender doesn't have enough.
+ * The sender and receiver can't be the same wallet
+ * @param {Object} params.transaction Transaction with amount, to, from and currency
+ * @param {Function} params.callback Callback
+ */
+function withdrawTransfer({ transaction, callback }) {
+  const amount = Math.abs(transaction.amount);
+
+  if (transaction.from === transaction.to) {
+    callback({ error: new errorCreator.InvalidData({ name: 'send to same' }) });
+
+    return;
+  }
+
+  getWallet({
+    owner: transaction.to,
+    callback: ({ error: toError }) => {
+      if (toError) {
+        callback({ error: toError });
+
+        return;
+      }
+
+      const newTransaction = Object.assign({}, transaction, { amount, state: dbTransaction.TransactionStates.PENDING });
+
+      dbTransaction.createTransaction({
+        transaction: newTransaction,
+        callback: ({ error: transactionError, data: transactionData }) => {
+          if (transactionError) {
+            callback({ error: transactionError });
+
+            return;
+          }
+
+          const createdTransaction = transactionData.transaction;
+          const transactionId = createdTransaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+          applyTransfer({
+            transactionId,
+            amount: -amount,
+            requiredAmount: amount,
+            owner: createdTransaction.from,
+            currency: createdTransaction.currency,
+            callback: ({ error: fromError, data: fromData }) => {
+              if (fromError) {
+                dbTransaction.updateTransactionState({
+                  transactionId,
+                  fromState: dbTransaction.TransactionStates.PENDING,
+                  toState: dbTransaction.TransactionStates.CANCELLED,
+                  callback: () => { callback({ error: fromError }); },
+                });
+
+                return;
+              }
+
+              callback({ data: { transaction: createdTransaction, fromWallet: fromData.wallet } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Transfer amount from one wallet to another.
+ * A ledger entry is created first and both wallets are changed in updates that are marked with it.
+ * The sender's wallet is only changed if it has enough credits.
+ * Transfers that are interrupted can be finished or cancelled with recoverTransfers
+ * @param {Object} params.transaction Transaction with amount, to, from and currency
+ * @param {Function} params.callback Callback
+ */
+function transferAmount({ transaction, callback }) {
+  withdrawTransfer({
+    transaction,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      depositTransfer({
+        transaction: data.transaction,
+        callback: ({ error: depositError, data: depositData }) => {
+          if (depositError) {
+            callback({ error: depositError });
+
+            return;
+          }
+
+          callback({
+            data: {
+              transaction: depositData.transaction,
+              fromWallet: data.fromWallet,
+              toWallet: depositData.toWallet,
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Deposit amount paid by the system to a wallet. Nothing is withdrawn, as the system does not have a wallet.
+ * A pending ledger entry is created first, so that an interrupted deposit can be finished or cancelled with recoverTransfers
+ * @param {Object} params.transaction Transaction with amount, to, from and currency
+ * @param {Function} params.callback Callback
+ */
+function depositSystemTransfer({ transaction, callback }) {
+  getWallet({
+    owner: transaction.to,
+    callback: ({ error: toError }) => {
+      if (toError) {
+        callback({ error: toError });
+
+        return;
+      }
+
+      const newTransaction = Object.assign({}, transaction, { amount: Math.abs(transaction.amount), state: dbTransaction.TransactionStates.PENDING });
+
+      dbTransaction.createTransaction({
+        transaction: newTransaction,
+        callback: ({ error: transactionError, data: transactionData }) => {
+          if (transactionError) {
+            callback({ error: transactionError });
+
+            return;
+          }
+
+          depositTransfer({
+            transaction: transactionData.transaction,
+            callback,
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Withdraw amount from the sender's wallet and hold it in escrow. It will not be deposited to the receiver until it is released
+ * @param {Object} params.transaction Transaction with amount, to, from, currency and deadline
+ * @param {Function} params.callback Callback
+ */
+function lockTransfer({ transaction, callback }) {
+  withdrawTransfer({
+    transaction: Object.assign({}, transaction, { isEscrow: true }),
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTransaction.updateTransactionState({
+        transactionId: data.transaction._id.toString(), // eslint-disable-line no-underscore-dangle
+        fromState: dbTransaction.TransactionStates.PENDING,
+        toState: dbTransaction.TransactionStates.ESCROW,
+        callback: ({ error: stateError, data: stateData }) => {
+          if (stateError) {
+            callback({ error: stateError });
+
+            return;
+          }
+
+          callback({ data: { transaction: stateData.transaction, fromWallet: data.fromWallet } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Deposit a transfer held in escrow to the receiver's wallet
+ * @param {string} params.transactionId Id of the transfer
+ * @param {Function} params.callback Callback
+ */
+function releaseTransfer({ transactionId, callback }) {
+  dbTransaction.releaseEscrowTransaction({
+    transactionId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      depositTransfer({
+        transaction: data.transaction,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Return a transfer held in escrow to the sender's wallet
+ * @param {string} params.transactionId Id of the transfer
+ * @param {Function} params.callback Callback
+ */
+function refundTransfer({ transactionId, callback }) {
+  dbTransaction.updateTransactionState({
+    transactionId,
+    fromState: dbTransaction.TransactionStates.ESCROW,
+    toState: dbTransaction.TransactionStates.PENDING,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      cancelTransfer({
+        transaction: data.transaction,
+        callback: ({ error: cancelError, data: cancelData }) => {
+          if (cancelError) {
+            callback({ error: cancelError });
+
+            return;
+          }
+
+          getWallet({
+            owner: cancelData.transaction.from,
+            callback: ({ error: walletError, data: walletData }) => {
+              if (walletError) {
+                callback({ error: walletError });
+
+                return;
+              }
+
+              callback({ data: { transaction: cancelData.transaction, fromWallet: walletData.wallet } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Finish or cancel transfers that were interrupted.
+ * Transfers that have been withdrawn from the sender are finished, unless they are held in escrow and haven't been released.
+ * Transfers paid by the system are finished if they have been deposited to the receiver. The rest are cancelled
+ * @param {Date} [params.olderThan] Only recover transfers whose state was changed before this time. Used to skip transfers that are still in progress
+ * @param {Function} params.callback Callback
+ */
+function recoverTransfers({ olderThan, callback = () => {} }) {
+  dbTransaction.getUnfinishedTransactions({
+    olderThan,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { transactions } = data;
+
+      if (transactions.length > 0) {
+        winston.info(`Recovering ${transactions.length} interrupted transfers`);
+      }
+
+      /**
+       * Recovers transfers. Recursive
+       */
+      function recoverNext() {
+        const transaction = transactions.shift();
+
+        if (!transaction) {
+          callback({ data: { success: true } });
+
+          return;
+        }
+
+        const recoverCallback = ({ error: recoverError }) => {
+          if (recoverError) {
+            winston.error(`Failed to recover transfer ${transaction._id}`, recoverError); // eslint-disable-line no-underscore-dangle
+          }
+
+          recoverNext();
+        };
+
+        if (transaction.state === dbTransaction.TransactionStates.APPLIED) {
+          finishTransfer({ transaction, callback: recoverCallback });
+
+          return;
+        }
+
+        const isSystemTransfer = transaction.from === dbConfig.systemUserName;
+        const query = {
+          owner: isSystemTransfer ? transaction.to : transaction.from,
+          pendingTransactions: transaction._id.toString(), // eslint-disable-line no-underscore-dangle
+        };
+
+        Wallet.findOne(query).lean().exec((err, wallet) => {
+          if (err) {
+            recoverCallback({ error: new errorCreator.Database({ errorObject: err, name: 'recoverTransfers' }) });
+          } else if (!wallet) {
+            cancelTransfer({ transaction, callback: recoverCallback });
+          } else if (isSystemTransfer) {
+            finishTransfer({ transaction, callback: recoverCallback });
+          } else if (transaction.isEscrow && !transaction.isReleased) {
+            dbTransaction.updateTransactionState({
+              transactionId: transaction._id.toString(), // eslint-disable-line no-underscore-dangle
+              fromState: dbTransaction.TransactionStates.PENDING,
+              toState: dbTransaction.TransactionStates.ESCROW,
+              callback: recoverCallback,
+            });
+          } else {
+            depositTransfer({ transaction, callback: recoverCallback });
+          }
+        });
+      }
+
+      recoverNext();
+    },
+  });
+}
+
+/**
+ * Reset the amount of all currencies in the wallet to 0
  * @param {string} params.owner Owner name
  * @param {Function} params.callback Callback
  */
 function resetWalletAmount({ owner, callback }) {
   const query = { owner };
-  const update = { $set: { amount: 0 } };
+  const update = { $set: { amount: 0, currencies: {} } };
   const options = { new: true };
 
   Wallet.findOneAndUpdate(query, update, options).lean().exec((err, wallet) => {
@@ -226,5 +889,15 @@ exports.decreaseAmount = decreaseAmount;
 exports.getWallet = getWallet;
 exports.createWallet = createWallet;
 exports.getWallets = getWallets;
+exports.getAllWallets = getAllWallets;
 exports.resetWalletAmount = resetWalletAmount;
 exports.getUserWallets = getUserWallets;
+exports.transferAmount = transferAmount;
+exports.depositSystemTransfer = depositSystemTransfer;
+exports.lockTransfer = lockTransfer;
+exports.releaseTransfer = releaseTransfer;
+exports.refundTransfer = refundTransfer;
+exports.recoverTransfers = recoverTransfers;
+exports.exchangeCurrency = exchangeCurrency;
+exports.getCurrencyAmount = getCurrencyAmount;
+exports.isValidCurrency = isValidCurrency;
@@ -0,0 +1,307 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const dbConnector = require('../databaseConnector');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const triggerSchema = new mongoose.Schema({
+  triggerType: String,
+  text: [String],
+  roomName: String,
+  amount: Number,
+  currency: String,
+  docFileId: String,
+  stationId: Number,
+}, { _id: false });
+
+const zoneSchema = new mongoose.Schema({
+  zoneName: { type: String, unique: true },
+  positionName: String,
+  isActive: { type: Boolean, default: true },
+  coordinates: {
+    longitude: Number,
+    latitude: Number,
+  },
+  radius: Number,
+  coordsCollection: [{
+    lat: Number,
+    lng: Number,
+  }],
+  enterTriggers: { type: [triggerSchema], default: [] },
+  exitTriggers: { type: [triggerSchema], default: [] },
+  usersInside: { type: [String], default: [] },
+}, { collection: 'zones' });
+
+const zoneEventSchema = new mongoose.Schema({
+  zoneName: String,
+  userName: String,
+  eventType: String,
+  time: { type: Date, default: Date.now },
+}, { collection: 'zoneEvents' });
+
+const Zone = mongoose.model('Zone', zoneSchema);
+const ZoneEvent = mongoose.model('ZoneEvent', zoneEventSchema);
+
+/**
+ * Update zone
+ * @param {Object} params.query Query to find the zone with
+ * @param {Object} params.update Update instructions
+ * @param {string} params.name Name used in the errors
+ * @param {Function} params.callback Callback
+ */
+function updateZoneValue({ query, update, name, callback }) {
+  const options = { new: true };
+
+  Zone.findOneAndUpdate(query, update, options).lean().exec((err, zone) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name }) });
+
+      return;
+    } else if (!zone) {
+      callback({ error: new errorCreator.DoesNotExist({ name }) });
+
+      return;
+    }
+
+    callback({ data: { zone } });
+  });
+}
+
+/**
+ * Create zone
+ * @param {Object} params.zone Zone
+ * @param {Function} params.callback Callback
+ */
+function createZone({ zone, callback }) {
+  const query = { zoneName: zone.zoneName };
+
+  Zone.findOne(query).lean().exec((err, foundZone) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'createZone' }) });
+
+      return;
+    } else if (foundZone) {
+      callback({ error: new errorCreator.AlreadyExists({ name: `zone ${zone.zoneName}` }) });
+
+      return;
+    }
+
+    dbConnector.saveObject({
+      object: new Zone(zone),
+      objectType: 'zone',
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: { zone: data.savedObject } });
+      },
+    });
+  });
+}
+
+/**
+ * Get zones
+ * @param {boolean} [params.activeOnly] Should only active zones be retrieved?
+ * @param {Function} params.callback Callback
+ */
+function getZones({ activeOnly, callback }) {
+  const query = activeOnly ? { isActive: true } : {};
+
+  Zone.find(query).lean().exec((err, zones = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getZones' }) });
+
+      return;
+    }
+
+    callback({ data: { zones } });
+  });
+}
+
+/**
+ * Get zone
+ * @param {string} params.zoneName Name of the zone
+ * @param {Function} params.callback Callback
+ */
+function getZone({ zoneName, callback }) {
+  const query = { zoneName };
+
+  Zone.findOne(query).lean().exec((err, zone) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getZone' }) });
+
+      return;
+    } else if (!zone) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `zone ${zoneName}` }) });
+
+      return;
+    }
+
+    callback({ data: { zone } });
+  });
+}
+
+/**
+ * Update zone. Users inside the zone are cleared when it is deactivated
+ * @param {string} params.zoneName Name of the zone
+ * @param {boolean} [params.isActive] Should the zone trigger on users entering or leaving it?
+ * @param {number} [params.radius] Radius (in meters) of the zone. Only used for zones that are not polygons
+ * @param {Object[]} [params.enterTriggers] Triggers that run when a user enters the zone
+ * @param {Object[]} [params.exitTriggers] Triggers that run when a user leaves the zone
+ * @param {Function} params.callback Callback
+ */
+function updateZone({ zoneName, isActive, radius, enterTriggers, exitTriggers, callback }) {
+  const update = { $set: {} };
+
+  if (typeof isActive === 'boolean') {
+    update.$set.isActive = isActive;
+
+    if (!isActive) {
+      update.$set.usersInside = [];
+    }
+  }
+
+  if (typeof radius === 'number') { update.$set.radius = radius; }
+  if (enterTriggers) { update.$set.enterTriggers = enterTriggers; }
+  if (exitTriggers) { update.$set.exitTriggers = exitTriggers; }
+
+  updateZoneValue({
+    update,
+    callback,
+    query: { zoneName },
+    name: `zone ${zoneName}`,
+  });
+}
+
+/**
+ * Add user to the users inside an active zone. Only succeeds if the user isn't already inside
+ * @param {string} params.zoneName Name of the zone
+ * @param {string} params.userName Name of the user
+ * @param {Function} params.callback Callback
+ */
+function addUserInside({ zoneName, userName, callback }) {
+  updateZoneValue({
+    callback,
+    query: { zoneName, isActive: true, usersInside: { $ne: userName } },
+    update: { $push: { usersInside: userName } },
+    name: `${userName} outside zone ${zoneName}`,
+  });
+}
+
+/**
+ * Remove user from the users inside a zone. Only succeeds if the user is inside
+ * @param {string} params.zoneName Name of the zone
+ * @param {string} params.userName Name of the user
+ * @param {Function} params.callback Callback
+ */
+function removeUserInside({ zoneName, userName, callback }) {
+  updateZoneValue({
+    callback,
+    query: { zoneName, usersInside: userName },
+    update: { $pull: { usersInside: userName } },
+    name: `${userName} inside zone ${zoneName}`,
+  });
+}
+
+/**
+ * Remove zone and its logged events
+ * @param {string} params.zoneName Name of the zone
+ * @param {Function} params.callback Callback
+ */
+function removeZone({ zoneName, callback }) {
+  const query = { zoneName };
+
+  Zone.findOneAndRemove(query).lean().exec((err, zone) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'removeZone' }) });
+
+      return;
+    } else if (!zone) {
+      callback({ error: new errorCreator.DoesNotExist({ name: `zone ${zoneName}` }) });
+
+      return;
+    }
+
+    ZoneEvent.remove(query).lean().exec((eventErr) => {
+      if (eventErr) {
+        callback({ error: new errorCreator.Database({ errorObject: eventErr, name: 'removeZone' }) });
+
+        return;
+      }
+
+      callback({ data: { success: true } });
+    });
+  });
+}
+
+/**
+ * Log a user entering or leaving a zone
+ * @param {Object} params.zoneEvent Zone event
+ * @param {string} params.zoneEvent.zoneName Name of the zone
+ * @param {string} params.zoneEvent.userName Name of the user
+ * @param {string} params.zoneEvent.eventType Type of event
+ * @param {Function} params.callback Callback
+ */
+function createZoneEvent({ zoneEvent, callback }) {
+  dbConnector.saveObject({
+    object: new ZoneEvent(zoneEvent),
+    objectType: 'zoneEvent',
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { zoneEvent: data.savedObject } });
+    },
+  });
+}
+
+/**
+ * Get logged events for a zone, newest first
+ * @param {string} params.zoneName Name of the zone
+ * @param {Function} params.callback Callback
+ */
+function getZoneEvents({ zoneName, callback }) {
+  const query = { zoneName };
+
+  ZoneEvent.find(query).sort({ time: -1 }).lean().exec((err, zoneEvents = []) => {
+    if (err) {
+      callback({ error: new errorCreator.Database({ errorObject: err, name: 'getZoneEvents' }) });
+
+      return;
+    }
+
+    callback({ data: { zoneEvents } });
+  });
+}
+
+exports.createZone = createZone;
+exports.getZones = getZones;
+exports.getZone = getZone;
+exports.updateZone = updateZone;
+exports.addUserInside = addUserInside;
+exports.removeUserInside = removeUserInside;
+exports.removeZone = removeZone;
+exports.createZoneEvent = createZoneEvent;
+exports.getZoneEvents = getZoneEvents;
@@ -3,9 +3,107 @@ const jwt = require('jsonwebtoken');
 const appConfig = require('../config/defaults/config').app;
 const errorCreator = require('../objects/error/errorCreator');
 const dbConfig = require('../config/defaults/config').databasePopulation;
+const passwordHasher = require('../utils/passwordHasher');
+const dbRevokedToken = require('../db/connectors/revokedToken');
+const crypto = require('crypto');
+const winston = require('winston');
+
+const TokenTypes = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+};
+
+/**
+ * Create signed access and refresh tokens for the user. Access tokens are short-lived and used in the Authorization header.
+ * Refresh tokens live longer and can only be used to get new tokens. The access token contains the ID of the refresh token it was created with
+ * @param {Object} params.user User
+ * @param {Function} params.callback Callback
+ */
+function signToken({ user, callback }) {
+  const issuedAt = Date.now();
+  const refreshTokenId = crypto.randomBytes(16).toString('hex');
+  const jwtUser = {
+    issuedAt,
+    _id: user._id, // eslint-disable-line no-underscore-dangle
+    userName: user.userName,
+    accessLevel: user.accessLevel,
+    visibility: user.visibility,
+    verified: user.verified,
+    banned: user.banned,
+    tokenType: TokenTypes.ACCESS,
+    refreshTokenId,
+  };
+  const refreshData = {
+    issuedAt,
+    userName: user.userName,
+    tokenType: TokenTypes.REFRESH,
+  };
+  const accessOptions = { expiresIn: Number(appConfig.accessTokenDuration), jwtid: crypto.randomBytes(16).toString('hex') };
+  const refreshOptions = { expiresIn: Number(appConfig.refreshTokenDuration), jwtid: refreshTokenId };
+
+  jwt.sign({ data: jwtUser }, appConfig.jsonKey, accessOptions, (err, token) => {
+    if (err) {
+      callback({ error: new errorCreator.Internal({ name: 'jwt', errorObject: err }) });
+
+      return;
+    }
+
+    jwt.sign({ data: refreshData }, appConfig.jsonKey, refreshOptions, (refreshErr, refreshToken) => {
+      if (refreshErr) {
+        callback({ error: new errorCreator.Internal({ name: 'jwt', errorObject: refreshErr }) });
+
+        return;
+      }
+
+      callback({
+        data: {
+          token,
+          refreshToken,
+          expiresAt: new Date(issuedAt + (Number(appConfig.accessTokenDuration) * 1000)),
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Verify token signature, expiry and type and check that it hasn't been revoked
+ * @param {string} params.token Json web token
+ * @param {string} params.tokenType Expected type of token
+ * @param {string} params.name Name used in errors
+ * @param {Function} params.callback Callback
+ */
+function verifyToken({ token, tokenType, name, callback }) {
+  jwt.verify(token, appConfig.jsonKey, (err, decoded) => {
+    if (err || !decoded || !decoded.exp || !decoded.data || decoded.data.tokenType !== tokenType) {
+      callback({ error: new errorCreator.NotAllowed({ name }) });
+
+      return;
+    }
+
+    dbRevokedToken.isTokenRevoked({
+      tokenId: decoded.jti,
+      userName: decoded.data.userName,
+      issuedAt: new Date(decoded.data.issuedAt),
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        } else if (data.isRevoked) {
+          callback({ error: new errorCreator.NotAllowed({ name: `${name}. Token revoked` }) });
+
+          return;
+        }
+
+        callback({ data: { decoded } });
+      },
+    });
+  });
+}
 
 /**
- * Create json web token
+ * Create json web token. The password is verified against the stored hash. Passwords stored in plain text or with an outdated hash are rehashed
  * @param {string} params.userName User name of user to auth
  * @param {string} params.password Password of user to auth
  * @param {Function} params.callback Callback
@@ -19,7 +117,6 @@ function createToken({ userName, password, callback }) {
 
   dbUser.authUser({
     userName,
-    password,
     callback: ({ error, data }) => {
       if (error) {
         callback({ error });
@@ -27,30 +124,56 @@ function createToken({ userName, password, callback }) {
         return;
       }
 
-      const { user } = data;
+      const { user, storedPassword } = data;
 
-      const jwtUser = {
-        _id: user._id, // eslint-disable-line no-underscore-dangle
-        userName: user.userName,
-        accessLevel: user.accessLevel,
-        visibility: user.visibility,
-        verified: user.verified,
-        banned: user.banned,
-      };
+      passwordHasher.verifyPassword({
+        password,
+        storedPassword,
+        callback: ({ error: verifyError, data: verifyData }) => {
+          if (verifyError) {
+            callback({ error: verifyError });
 
-      jwt.sign({ data: jwtUser }, appConfig.jsonKey, (err, token) => {
-        if (err) {
-          callback({ error: new errorCreator.Internal({ name: 'jwt', errorObject: err }) });
+            return;
+          } else if (!verifyData.isCorrect) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `auth user ${userName}` }) });
 
-          return;
-        }
+            return;
+          }
+
+          if (!verifyData.needsRehash) {
+            signToken({ user, callback });
 
-        callback({ data: { token } });
+            return;
+          }
+
+          dbUser.updateUserPassword({
+            userName: user.userName,
+            password,
+            callback: ({ error: updateError }) => {
+              if (updateError) {
+                winston.warn(`Failed to rehash password for user ${user.userName}`);
+              }
+
+              signToken({ user, callback });
+            },
+          });
+        },
       });
     },
   });
 }
 
+/**
+ * Get the user name stored in an access token, without verifying the token. Used to default to the user's own objects before isUserAllowed verifies the token
+ * @param {string} [params.token] Json web token
+ * @returns {string} User name. Undefined if the token could not be decoded
+ */
+function getTokenUserName({ token }) {
+  const decoded = token ? jwt.decode(token) : null;
+
+  return decoded && decoded.data ? decoded.data.userName : undefined;
+}
+
 /**
  * Checks if the user is allowed to use the command
  * @param {string} params.token Json web token
@@ -77,42 +200,163 @@ function isUserAllowed({ commandName, token, matchNameTo = '', callback = () =>
 
     callback({ data: { user: anonUser } });
   } else {
-    jwt.verify(token, appConfig.jsonKey, (err, decoded) => {
-      if (err || !decoded) {
-        callback({ error: new errorCreator.NotAllowed({ name: commandName }) });
+    verifyToken({
+      token,
+      name: commandName,
+      tokenType: TokenTypes.ACCESS,
+      callback: ({ error: tokenError, data: tokenData }) => {
+        if (tokenError) {
+          callback({ error: tokenError });
+
+          return;
+        }
+
+        const { decoded } = tokenData;
+
+        dbUser.getUserByAlias({
+          alias: decoded.data.userName,
+          callback: ({ error, data }) => {
+            if (error) {
+              callback({ error });
+
+              return;
+            }
+
+            const user = data.user;
+            const commandAccessLevel = user.userName === matchNameTo
+            || user.aliases.indexOf(matchNameTo) > -1
+            || (user.team && `${user.team}${appConfig.teamAppend}` === matchNameTo)
+            || user.shortTeam === matchNameTo
+              ? commandUsed.selfAccessLevel
+              : commandUsed.accessLevel;
+
+            if (commandAccessLevel > user.accessLevel) {
+              callback({ error: new errorCreator.NotAllowed({ name: commandName }) });
+
+              return;
+            }
+
+            callback({ data: { user: data.user, matchedUserName: user.userName === matchNameTo } });
+          },
+        });
+      },
+    });
+  }
+}
+
+/**
+ * Create new access and refresh tokens from a refresh token. The used refresh token is revoked before the new tokens are signed.
+ * Revoking fails if the token has already been revoked, so parallel refreshes with the same token only create one pair of tokens
+ * @param {string} params.refreshToken Refresh token
+ * @param {Function} params.callback Callback
+ */
+function refreshTokens({ refreshToken, callback }) {
+  verifyToken({
+    token: refreshToken,
+    name: 'refresh token',
+    tokenType: TokenTypes.REFRESH,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
 
         return;
       }
 
-      dbUser.getUserByAlias({
-        alias: decoded.data.userName,
-        callback: ({ error, data }) => {
-          if (error) {
-            callback({ error });
+      const { decoded } = data;
+
+      dbRevokedToken.revokeToken({
+        tokenId: decoded.jti,
+        userName: decoded.data.userName,
+        expiresAt: new Date(decoded.exp * 1000),
+        callback: ({ error: revokeError }) => {
+          if (revokeError) {
+            callback({ error: revokeError });
 
             return;
           }
 
-          const user = data.user;
-          const commandAccessLevel = user.userName === matchNameTo
-          || user.aliases.indexOf(matchNameTo) > -1
-          || (user.team && `${user.team}${appConfig.teamAppend}` === matchNameTo)
-          || user.shortTeam === matchNameTo
-            ? commandUsed.selfAccessLevel
-            : commandUsed.accessLevel;
+          dbUser.getUser({
+            userName: decoded.data.userName,
+            callback: ({ error: userError, data: userData }) => {
+              if (userError) {
+                callback({ error: userError });
+
+                return;
+              }
+
+              signToken({ user: userData.user, callback });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Revoke all access and refresh tokens issued to the user before now
+ * @param {string} params.userName Name of the user
+ * @param {Function} params.callback Callback
+ */
+function revokeUserTokens({ userName, callback }) {
+  dbRevokedToken.revokeUserTokens({
+    userName,
+    expiresAt: new Date(Date.now() + (Number(appConfig.refreshTokenDuration) * 1000)),
+    callback,
+  });
+}
+
+/**
+ * Revoke an access token and the refresh token that was created with it. Other tokens issued to the user are still valid.
+ * The refresh token might already have been revoked, if it has been used
+ * @param {string} params.token Access token that has been verified
+ * @param {Function} params.callback Callback
+ */
+function revokeTokenPair({ token, callback }) {
+  const decoded = jwt.decode(token);
 
-          if (commandAccessLevel > user.accessLevel) {
-            callback({ error: new errorCreator.NotAllowed({ name: commandName }) });
+  if (!decoded || !decoded.jti || !decoded.data) {
+    callback({ error: new errorCreator.InvalidData({ expected: 'access token' }) });
+
+    return;
+  }
+
+  dbRevokedToken.revokeToken({
+    tokenId: decoded.jti,
+    userName: decoded.data.userName,
+    expiresAt: new Date(decoded.exp * 1000),
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!decoded.data.refreshTokenId) {
+        callback({ data: { success: true } });
+
+        return;
+      }
+
+      dbRevokedToken.revokeToken({
+        tokenId: decoded.data.refreshTokenId,
+        userName: decoded.data.userName,
+        expiresAt: new Date(decoded.data.issuedAt + (Number(appConfig.refreshTokenDuration) * 1000)),
+        callback: ({ error: refreshError }) => {
+          if (refreshError && refreshError.type !== errorCreator.ErrorTypes.NOTALLOWED) {
+            callback({ error: refreshError });
 
             return;
           }
 
-          callback({ data: { user: data.user, matchedUserName: user.userName === matchNameTo } });
+          callback({ data: { success: true } });
         },
       });
-    });
-  }
+    },
+  });
 }
 
 exports.isUserAllowed = isUserAllowed;
 exports.createToken = createToken;
+exports.refreshTokens = refreshTokens;
+exports.revokeUserTokens = revokeUserTokens;
+exports.revokeTokenPair = revokeTokenPair;
+exports.getTokenUserName = getTokenUserName;
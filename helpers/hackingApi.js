@@ -0,0 +1,126 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const appConfig = require('../config/defaults/config').app;
+const errorCreator = require('../objects/error/errorCreator');
+const httpBackend = require('./hackingApiBackends/http');
+const simulatorBackend = require('./hackingApiBackends/simulator');
+
+/**
+ * Backends that can be used to communicate with the hacking API. Each backend has to implement setBoost, setMission and getStatus
+ * http sends requests to hackingApiHost. simulator stores everything in-process and can be used without an external API
+ * @type {Object}
+ */
+const backends = {
+  http: httpBackend,
+  simulator: simulatorBackend,
+};
+
+/**
+ * Get name of the backend to use. Defaults to the simulator in test mode or if external connections are bypassed
+ * @returns {string} Name of the backend
+ */
+function getBackendName() {
+  if (appConfig.hackingApiBackend) {
+    return appConfig.hackingApiBackend;
+  } else if (appConfig.mode === appConfig.Modes.TEST || appConfig.bypassExternalConnections) {
+    return 'simulator';
+  }
+
+  return 'http';
+}
+
+/**
+ * Get backend to use
+ * @param {Function} callback Callback
+ * @returns {Object|null} Backend. Null if it doesn't exist
+ */
+function getBackend(callback) {
+  const backend = backends[getBackendName()];
+
+  if (!backend) {
+    callback({ error: new errorCreator.DoesNotExist({ name: `hacking api backend ${getBackendName()}` }) });
+
+    return null;
+  }
+
+  return backend;
+}
+
+/**
+ * Add a backend that can be chosen with hackingApiBackend. An existing backend with the same name will be replaced
+ * @param {string} params.name Name of the backend
+ * @param {Object} params.backend Backend. It has to implement setBoost, setMission and getStatus
+ */
+function registerBackend({ name, backend }) {
+  backends[name] = backend;
+}
+
+/**
+ * Set boost (signal value) on a station
+ * @param {number} params.stationId Id of the station
+ * @param {number} params.boost New boost
+ * @param {Function} params.callback Callback
+ */
+function setBoost({ stationId, boost, callback }) {
+  const backend = getBackend(callback);
+
+  if (backend) {
+    backend.setBoost({ stationId, boost, callback });
+  }
+}
+
+/**
+ * Set calibration mission on a station
+ * @param {Object} params.mission Mission
+ * @param {Function} params.callback Callback
+ */
+function setMission({ mission, callback }) {
+  const backend = getBackend(callback);
+
+  if (backend) {
+    backend.setMission({ mission, callback });
+  }
+}
+
+/**
+ * Get status of the backend
+ * @param {Function} params.callback Callback
+ */
+function getStatus({ callback }) {
+  const backend = getBackend(callback);
+
+  if (backend) {
+    backend.getStatus({
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: Object.assign({ backend: getBackendName() }, data) });
+      },
+    });
+  }
+}
+
+exports.registerBackend = registerBackend;
+exports.setBoost = setBoost;
+exports.setMission = setMission;
+exports.getStatus = getStatus;
@@ -0,0 +1,274 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const appConfig = require('../../config/defaults/config').app;
+const http = require('http');
+const errorCreator = require('../../objects/error/errorCreator');
+const winston = require('winston');
+
+/**
+ * Requests that failed because the hacking API was unreachable. They are sent again, oldest first, when the API can be reached
+ * @type {Object[]}
+ */
+const queue = [];
+let queueTimeout = null;
+let isReachable = true;
+
+/**
+ * Post request to the hacking API
+ * @param {string} params.path Path
+ * @param {Object} params.data Data to send
+ * @param {Function} params.callback Callback. isUnreachable is set on errors that should be retried
+ */
+function postRequest({ path, data, callback }) {
+  if (!appConfig.hackingApiHost) {
+    callback({ error: new errorCreator.InvalidData({ name: 'hacking api host missing' }) });
+
+    return;
+  }
+
+  const dataString = JSON.stringify(Object.assign({ key: appConfig.hackingApiKey }, data));
+  const options = {
+    path,
+    host: appConfig.hackingApiHost,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(dataString),
+    },
+    method: 'POST',
+  };
+  let isDone = false;
+
+  /**
+   * Call callback once, even if both error and end events are triggered
+   * @param {Object} result Result sent to callback
+   */
+  const finish = (result) => {
+    if (isDone) {
+      return;
+    }
+
+    isDone = true;
+    callback(result);
+  };
+
+  const request = http.request(options, (response) => {
+    response.resume();
+    response.on('end', () => {
+      if (response.statusCode >= 500) {
+        finish({ isUnreachable: true, error: new errorCreator.External({ name: `hacking api status code ${response.statusCode}` }) });
+      } else if (response.statusCode >= 400) {
+        finish({ error: new errorCreator.External({ name: `hacking api status code ${response.statusCode}` }) });
+      } else {
+        finish({ data: { statusCode: response.statusCode } });
+      }
+    });
+  });
+
+  request.setTimeout(appConfig.hackingApiTimeout, () => request.abort());
+  request.on('error', (error) => {
+    finish({ isUnreachable: true, error: new errorCreator.External({ name: 'hacking api host', errorObject: error }) });
+  });
+  request.write(dataString);
+  request.end();
+}
+
+/**
+ * Post request to the hacking API. Requests are retried when the API is unreachable
+ * @param {string} params.path Path
+ * @param {Object} params.data Data to send
+ * @param {number} [params.retries] Amount of retries left
+ * @param {Function} params.callback Callback
+ */
+function postWithRetries({ path, data, retries = appConfig.hackingApiRetries, callback }) {
+  postRequest({
+    path,
+    data,
+    callback: (result) => {
+      if (result.isUnreachable && retries > 0) {
+        setTimeout(postWithRetries, appConfig.hackingApiRetryDelay, { path, data, callback, retries: retries - 1 });
+
+        return;
+      }
+
+      callback(result);
+    },
+  });
+}
+
+/**
+ * Send queued requests, oldest first. Sending stops and is retried later if the API is still unreachable
+ */
+function sendQueue() {
+  queueTimeout = null;
+
+  if (queue.length === 0) {
+    isReachable = true;
+
+    return;
+  }
+
+  const { path, data } = queue[0];
+
+  postRequest({
+    path,
+    data,
+    callback: ({ error, isUnreachable }) => {
+      if (isUnreachable) {
+        isReachable = false;
+        queueTimeout = setTimeout(sendQueue, appConfig.hackingApiQueueInterval);
+
+        return;
+      } else if (error) {
+        winston.warn(`Dropped queued hacking api request to ${path}`, error);
+      }
+
+      queue.shift();
+      sendQueue();
+    },
+  });
+}
+
+/**
+ * Add request to queue. A queued request with the same key is replaced, as only the latest state has to be sent
+ * @param {string} params.path Path
+ * @param {Object} params.data Data to send
+ * @param {string} [params.queueKey] Queued requests with the same key replace each other
+ * @returns {boolean} Was the request added?
+ */
+function addToQueue({ path, data, queueKey }) {
+  const queuedIndex = queueKey ? queue.findIndex(request => request.queueKey === queueKey) : -1;
+
+  if (queuedIndex > -1) {
+    queue[queuedIndex] = { path, data, queueKey };
+  } else if (queue.length >= appConfig.hackingApiMaxQueueSize) {
+    return false;
+  } else {
+    queue.push({ path, data, queueKey });
+  }
+
+  if (!queueTimeout) {
+    queueTimeout = setTimeout(sendQueue, appConfig.hackingApiQueueInterval);
+  }
+
+  return true;
+}
+
+/**
+ * Send request to the hacking API. Requests are queued if the API is unreachable or if earlier requests are waiting in the queue
+ * @param {string} params.path Path
+ * @param {Object} params.data Data to send
+ * @param {string} [params.queueKey] Queued requests with the same key replace each other
+ * @param {Function} params.callback Callback
+ */
+function send({ path, data, queueKey, callback }) {
+  /**
+   * Queue request and send the result to callback
+   */
+  const queueRequest = () => {
+    if (!addToQueue({ path, data, queueKey })) {
+      callback({ error: new errorCreator.External({ name: 'hacking api host. Queue is full' }) });
+
+      return;
+    }
+
+    callback({ data: { isQueued: true } });
+  };
+
+  if (!isReachable) {
+    queueRequest();
+
+    return;
+  }
+
+  postWithRetries({
+    path,
+    data,
+    callback: ({ error, data: responseData, isUnreachable }) => {
+      if (isUnreachable) {
+        isReachable = false;
+        queueRequest();
+
+        return;
+      } else if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: responseData });
+    },
+  });
+}
+
+/**
+ * Set boost (signal value) on a station
+ * @param {number} params.stationId Id of the station
+ * @param {number} params.boost New boost
+ * @param {Function} params.callback Callback
+ */
+function setBoost({ stationId, boost, callback }) {
+  send({
+    queueKey: `boost${stationId}`,
+    path: '/reports/set_boost',
+    data: {
+      boost,
+      station: stationId,
+    },
+    callback,
+  });
+}
+
+/**
+ * Set calibration mission on a station
+ * @param {Object} params.mission Mission
+ * @param {number} params.mission.stationId Id of the station
+ * @param {string} params.mission.owner Owner of the mission
+ * @param {string} params.mission.code Code that will be given when the mission is completed
+ * @param {Function} params.callback Callback
+ */
+function setMission({ mission, callback }) {
+  send({
+    path: '/reports/set_mission',
+    data: {
+      mission: {
+        stationId: mission.stationId,
+        owner: mission.owner,
+        code: mission.code,
+      },
+    },
+    callback,
+  });
+}
+
+/**
+ * Get status of the connection to the hacking API
+ * @param {Function} params.callback Callback
+ */
+function getStatus({ callback }) {
+  callback({
+    data: {
+      isReachable,
+      queuedRequests: queue.map(({ path, data }) => ({ path, data })),
+    },
+  });
+}
+
+exports.setBoost = setBoost;
+exports.setMission = setMission;
+exports.getStatus = getStatus;
@@ -0,0 +1,93 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Station state stored by the simulator, with station id as key
+ * @type {Object}
+ */
+const stations = {};
+
+/**
+ * Get station state. A new one is created if it doesn't exist
+ * @param {number} stationId Id of the station
+ * @returns {Object} Station state
+ */
+function getSimulatedStation(stationId) {
+  if (!stations[stationId]) {
+    stations[stationId] = {
+      stationId,
+      boost: undefined,
+      missions: [],
+      lastUpdated: new Date(),
+    };
+  }
+
+  return stations[stationId];
+}
+
+/**
+ * Set boost (signal value) on a station. The simulated station state is sent back
+ * @param {number} params.stationId Id of the station
+ * @param {number} params.boost New boost
+ * @param {Function} params.callback Callback
+ */
+function setBoost({ stationId, boost, callback }) {
+  const station = getSimulatedStation(stationId);
+
+  station.boost = boost;
+  station.lastUpdated = new Date();
+
+  callback({ data: { station } });
+}
+
+/**
+ * Set calibration mission on a station. The simulated station state is sent back
+ * @param {Object} params.mission Mission
+ * @param {number} params.mission.stationId Id of the station
+ * @param {string} params.mission.owner Owner of the mission
+ * @param {string} params.mission.code Code that will be given when the mission is completed
+ * @param {Function} params.callback Callback
+ */
+function setMission({ mission, callback }) {
+  const station = getSimulatedStation(mission.stationId);
+
+  station.missions = station.missions.filter(({ owner }) => owner !== mission.owner).concat([{
+    owner: mission.owner,
+    code: mission.code,
+  }]);
+  station.lastUpdated = new Date();
+
+  callback({ data: { station } });
+}
+
+/**
+ * Get the state of all simulated stations
+ * @param {Function} params.callback Callback
+ */
+function getStatus({ callback }) {
+  callback({
+    data: {
+      isReachable: true,
+      stations: Object.keys(stations).map(stationId => stations[stationId]),
+    },
+  });
+}
+
+exports.setBoost = setBoost;
+exports.setMission = setMission;
+exports.getStatus = getStatus;
@@ -54,10 +54,13 @@ function addMsgToHistory({ roomName, message, callback }) {
     callback: ({ error, data }) => {
       if (error) {
         callback({ error });
+
+        return;
       }
 
       const newMessage = message;
       newMessage.anonymous = data.history.anonymous;
+      newMessage._id = data.message._id; // eslint-disable-line no-underscore-dangle
 
       callback({ data: { message: newMessage } });
     },
@@ -417,6 +420,80 @@ function sendWhisperMsg({ io, token, message, socket, callback = () => {} }) {
   });
 }
 
+/**
+ * Store a broadcast message in the broadcast history and send it to all connected sockets
+ * Emits bcastMsg
+ * @param {Object} params.message Message to be sent
+ * @param {Object} [params.socket] Socket.io socket
+ * @param {Object} params.io Socket.io. Used by API, when no socket is available
+ * @param {Function} params.callback Callback
+ */
+function sendAndStoreBroadcastMsg({ message, socket, io, callback = () => {} }) {
+  const newMessage = message;
+  newMessage.extraClass = 'broadcastMsg';
+  newMessage.roomName = dbConfig.rooms.bcast.roomName;
+  newMessage.time = new Date();
+  newMessage.userName = 'SYSTEM';
+
+  addMsgToHistory({
+    roomName: newMessage.roomName,
+    message: newMessage,
+    callback: (historyData) => {
+      if (historyData.error) {
+        callback({ error: historyData.error });
+
+        return;
+      }
+
+      const data = { message: newMessage };
+
+      if (socket) {
+        socket.broadcast.to(newMessage.roomName).emit('bcastMsg', { data });
+      } else {
+        io.to(newMessage.roomName).emit('bcastMsg', { data });
+      }
+
+      callback({ data });
+    },
+  });
+}
+
+/**
+ * Store a message from the system in a room's history and send it to the room
+ * Emits chatMsg
+ * @param {Object} params.message Message to send
+ * @param {string} params.message.roomName Room to send the message to
+ * @param {Object} params.io Socket.io
+ * @param {Function} params.callback Callback
+ */
+function sendAndStoreSystemMsg({ message, io, callback = () => {} }) {
+  const newMessage = message;
+  newMessage.time = new Date();
+  newMessage.userName = dbConfig.systemUserName;
+
+  addMsgToHistory({
+    roomName: newMessage.roomName,
+    message: newMessage,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const data = {
+        message: newMessage,
+        roomName: newMessage.roomName,
+        timeZoneOffset: new Date().getTimezoneOffset(),
+      };
+
+      io.to(newMessage.roomName).emit('chatMsg', { data });
+
+      callback({ data });
+    },
+  });
+}
+
 /**
  * Sends a message with broadcastMsg class to all connected sockets
  * It is stored in a separate broadcast history
@@ -445,32 +522,11 @@ function sendBroadcastMsg({ token, message, socket, callback, io }) {
         return;
       }
 
-      const newMessage = message;
-      newMessage.extraClass = 'broadcastMsg';
-      newMessage.roomName = dbConfig.rooms.bcast.roomName;
-      newMessage.time = new Date();
-      newMessage.userName = 'SYSTEM';
-
-      addMsgToHistory({
-        roomName: newMessage.roomName,
-        message: newMessage,
-        callback: (historyData) => {
-          if (historyData.error) {
-            callback({ error: historyData.error });
-
-            return;
-          }
-
-          const data = { message: newMessage };
-
-          if (socket) {
-            socket.broadcast.to(newMessage.roomName).emit('bcastMsg', { data });
-          } else {
-            io.to(newMessage.roomName).emit('bcastMsg', { data });
-          }
-
-          callback({ data });
-        },
+      sendAndStoreBroadcastMsg({
+        message,
+        socket,
+        io,
+        callback,
       });
     },
   });
@@ -482,3 +538,5 @@ exports.sendBroadcastMsg = sendBroadcastMsg;
 exports.sendMsg = sendMsg;
 exports.sendSelfMsg = sendSelfMsg;
 exports.filterHiddenRooms = filterHiddenRooms;
+exports.sendAndStoreBroadcastMsg = sendAndStoreBroadcastMsg;
+exports.sendAndStoreSystemMsg = sendAndStoreSystemMsg;
@@ -62,6 +62,20 @@ function checkAndSendError({ response, error, title, detail, sentData }) {
 
       break;
     }
+    case errorCreator.ErrorTypes.TOOFREQUENT: {
+      sendError.status = 429;
+      sendError.title = title || 'Too frequent';
+      sendError.detail = errorDetail || 'Too frequent';
+
+      break;
+    }
+    case errorCreator.ErrorTypes.INCORRECT: {
+      sendError.status = 400;
+      sendError.title = title || 'Incorrect';
+      sendError.detail = errorDetail || 'Incorrect';
+
+      break;
+    }
     case errorCreator.ErrorTypes.INVALIDMAIL: {
       sendError.status = 400;
       sendError.title = title || 'Invalid mail address';
@@ -25,7 +25,16 @@ const authenticator = require('../helpers/authenticator');
 const appConfig = require('../config/defaults/config').app;
 const dbLanternHack = require('../db/connectors/lanternhack');
 const errorCreator = require('../objects/error/errorCreator');
-const poster = require('../helpers/poster');
+const hackingApi = require('../helpers/hackingApi');
+
+/**
+ * Get the time when the owner of a completed mission can get a new mission
+ * @param {Object} params.mission Last completed mission
+ * @returns {number} Time in milliseconds
+ */
+function getTimeoutEnd({ mission }) {
+  return new Date(mission.timeCreated).getTime() + ((appConfig.calibrationTimeout - (mission.timeoutReduction || 0)) * 60000);
+}
 
 /**
  * Get active calibration mission for user. Creates a new one if there is none for the user
@@ -94,12 +103,12 @@ function getActiveCalibrationMission({ token, stationId, callback, userName }) {
                         callback({ error: inactiveErr });
 
                         return;
-                      } else if (inactiveData.missions.length > 0 && new Date().getTime() < new Date(inactiveData.missions[inactiveData.missions.length - 1].timeCreated).getTime() + (appConfig.calibrationTimeout * 60000)) {
+                      } else if (inactiveData.missions.length > 0 && new Date().getTime() < getTimeoutEnd({ mission: inactiveData.missions[inactiveData.missions.length - 1] })) {
                         callback({
                           error: new errorCreator.TooFrequent({
                             name: 'calibration mission',
                             extraData: {
-                              timeLeft: new Date().getTime() - (new Date(inactiveData.missions[inactiveData.missions.length - 1].timeCreated).getTime() + (appConfig.calibrationTimeout * 60000)),
+                              timeLeft: new Date().getTime() - getTimeoutEnd({ mission: inactiveData.missions[inactiveData.missions.length - 1] }),
                             },
                           }),
                         });
@@ -164,17 +173,8 @@ function getActiveCalibrationMission({ token, stationId, callback, userName }) {
 
                               const mission = createData.mission;
 
-                              poster.postRequest({
-                                host: appConfig.hackingApiHost,
-                                path: '/reports/set_mission',
-                                data: {
-                                  mission: {
-                                    stationId: mission.stationId,
-                                    owner: mission.owner,
-                                    code: mission.code,
-                                  },
-                                  key: appConfig.hackingApiKey,
-                                },
+                              hackingApi.setMission({
+                                mission,
                                 callback: ({ error: requestError }) => {
                                   if (requestError) {
                                     dbCalibrationMission.removeMission({
@@ -512,3 +512,4 @@ exports.completeActiveCalibrationMission = completeActiveCalibrationMission;
 exports.cancelActiveCalibrationMission = cancelActiveCalibrationMission;
 exports.getCalibrationMissions = getCalibrationMissions;
 exports.removeCalibrationMissionsById = removeCalibrationMissionsById;
+exports.getTimeoutEnd = getTimeoutEnd;
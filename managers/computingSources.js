@@ -0,0 +1,528 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const appConfig = require('../config/defaults/config').app;
+const authenticator = require('../helpers/authenticator');
+const dbComputingSource = require('../db/connectors/computingSource');
+const dbLanternHack = require('../db/connectors/lanternhack');
+const dbCalibrationMission = require('../db/connectors/calibrationMission');
+const calibrationManager = require('./calibrationMissions');
+const errorCreator = require('../objects/error/errorCreator');
+const objectValidator = require('../utils/objectValidator');
+
+/**
+ * Actions that computing power can be spent on
+ */
+const ComputingActions = {
+  EXTENDHACKTRIES: 'extendHackTries',
+  SHORTENCALIBRATIONTIMEOUT: 'shortenCalibrationTimeout',
+};
+
+/**
+ * Create empty slots for a source
+ * @param {number} params.slotAmount Amount of slots
+ * @param {number} params.slotPower Computing power in each slot
+ * @returns {Object[]} Slots
+ */
+function createSlots({ slotAmount, slotPower }) {
+  const slots = [];
+
+  for (let i = 0; i < slotAmount; i += 1) {
+    slots.push({ owner: null, power: slotPower });
+  }
+
+  return slots;
+}
+
+/**
+ * Get slots with power left that are owned by the user
+ * @param {Object[]} params.sources Active computing sources
+ * @param {string} params.owner User name of the owner
+ * @returns {Object[]} Slots with the name of their source
+ */
+function getOwnerSlots({ sources, owner }) {
+  const ownerSlots = [];
+
+  sources.forEach((source) => {
+    source.slots.filter(slot => slot.owner === owner && slot.power > 0).forEach((slot) => {
+      ownerSlots.push({
+        sourceName: source.sourceName,
+        slotId: slot._id, // eslint-disable-line no-underscore-dangle
+        power: slot.power,
+      });
+    });
+  });
+
+  return ownerSlots;
+}
+
+/**
+ * Get the pooled power of all slots owned by the user
+ * @param {Object[]} params.sources Active computing sources
+ * @param {string} params.owner User name of the owner
+ * @returns {number} Computing power
+ */
+function getPooledPower({ sources, owner }) {
+  return getOwnerSlots({ sources, owner }).reduce((total, slot) => total + slot.power, 0);
+}
+
+/**
+ * Send updated sources to all users
+ * @param {Object[]} params.sources Updated sources
+ * @param {Object} params.io Socket io
+ */
+function emitSources({ sources, io }) {
+  io.emit('computingSources', { data: { sources } });
+}
+
+/**
+ * Spend power from the user's slots, one slot at a time, until the cost is covered
+ * @param {Object[]} params.slots Slots owned by the user
+ * @param {string} params.owner User name of the owner
+ * @param {number} params.power Amount of power left to spend
+ * @param {Object[]} [params.sources] Sources that have been updated
+ * @param {Function} params.callback Callback
+ */
+function drainPower({ slots, owner, power, sources = [], callback }) {
+  const slot = slots[0];
+
+  if (power <= 0 || !slot) {
+    callback({ data: { sources } });
+
+    return;
+  }
+
+  const slotPower = Math.min(slot.power, power);
+
+  dbComputingSource.drainSlot({
+    owner,
+    sourceName: slot.sourceName,
+    slotId: slot.slotId,
+    power: slotPower,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      drainPower({
+        owner,
+        callback,
+        slots: slots.slice(1),
+        power: power - slotPower,
+        sources: sources.filter(source => source.sourceName !== data.source.sourceName).concat([data.source]),
+      });
+    },
+  });
+}
+
+/**
+ * Check that the action can be performed by the user
+ * @param {string} params.action Action to perform
+ * @param {string} params.owner User name of the user
+ * @param {Function} params.callback Callback
+ */
+function checkAction({ action, owner, callback }) {
+  if (action === ComputingActions.EXTENDHACKTRIES) {
+    dbLanternHack.getLanternHack({ owner, callback });
+
+    return;
+  }
+
+  dbCalibrationMission.getInactiveMissions({
+    owner,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const lastMission = data.missions[data.missions.length - 1];
+
+      if (!lastMission || calibrationManager.getTimeoutEnd({ mission: lastMission }) <= new Date().getTime()) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `calibration timeout for ${owner}` }) });
+
+        return;
+      }
+
+      callback({ data: { mission: lastMission } });
+    },
+  });
+}
+
+/**
+ * Perform the action that the power was spent on
+ * @param {string} params.action Action to perform
+ * @param {string} params.owner User name of the user
+ * @param {Function} params.callback Callback
+ */
+function performAction({ action, owner, callback }) {
+  if (action === ComputingActions.EXTENDHACKTRIES) {
+    dbLanternHack.increaseHackTries({ owner, amount: 1, callback });
+
+    return;
+  }
+
+  dbCalibrationMission.reduceTimeout({
+    owner,
+    callback,
+    minutes: appConfig.calibrationTimeoutReduction,
+  });
+}
+
+/**
+ * Get computing sources and the pooled power of the user
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getComputingSources({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetComputingSources.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbComputingSource.getSources({
+        callback: ({ error: sourceError, data: sourceData }) => {
+          if (sourceError) {
+            callback({ error: sourceError });
+
+            return;
+          }
+
+          const activeSources = sourceData.sources.filter(source => source.isActive);
+          const inactiveSources = sourceData.sources.filter(source => !source.isActive);
+
+          callback({
+            data: {
+              activeSources,
+              inactiveSources,
+              power: getPooledPower({ sources: activeSources, owner: data.user.userName }),
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Create a computing source
+ * @param {Object} params.source Source to create
+ * @param {string} params.source.sourceName Name of the source
+ * @param {number} params.source.slotAmount Amount of slots that users can claim
+ * @param {number} [params.source.slotPower] Computing power in each slot
+ * @param {boolean} [params.source.isActive] Is the source active?
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function createComputingSource({ source, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateComputingSource.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ source }, { source: { sourceName: true, slotAmount: true } })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ source: { sourceName, slotAmount } }' }) });
+
+        return;
+      } else if (!(source.slotAmount > 0) || (source.slotPower !== undefined && !(source.slotPower > 0))) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'slotAmount and slotPower > 0' }) });
+
+        return;
+      }
+
+      const slotPower = source.slotPower || appConfig.computingSlotPower;
+      const newSource = {
+        slotPower,
+        sourceName: source.sourceName,
+        isActive: source.isActive === true,
+        slots: createSlots({ slotPower, slotAmount: source.slotAmount }),
+      };
+
+      dbComputingSource.createSource({
+        source: newSource,
+        callback: ({ error: sourceError, data: sourceData }) => {
+          if (sourceError) {
+            callback({ error: sourceError });
+
+            return;
+          }
+
+          emitSources({ io, sources: [sourceData.source] });
+          callback({ data: sourceData });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Activate or deactivate a computing source. Activating a source frees and refills all its slots
+ * @param {string} params.sourceName Name of the source
+ * @param {boolean} params.isActive Should the source be active?
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function updateComputingSource({ sourceName, isActive, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateComputingSource.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbComputingSource.getSourceByName({
+        sourceName,
+        callback: ({ error: sourceError, data: sourceData }) => {
+          if (sourceError) {
+            callback({ error: sourceError });
+
+            return;
+          }
+
+          const { source } = sourceData;
+          const slots = isActive && !source.isActive
+            ? createSlots({ slotAmount: source.slots.length, slotPower: source.slotPower || appConfig.computingSlotPower })
+            : undefined;
+
+          dbComputingSource.setActiveSource({
+            sourceName,
+            isActive,
+            slots,
+            callback: ({ error: updateError, data: updateData }) => {
+              if (updateError) {
+                callback({ error: updateError });
+
+                return;
+              }
+
+              emitSources({ io, sources: [updateData.source] });
+              callback({ data: updateData });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Claim a free slot on an active computing source. A user can only claim one slot on each source
+ * @param {string} params.sourceName Name of the source
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function claimComputingSlot({ sourceName, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UseComputingSource.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const owner = data.user.userName;
+
+      dbComputingSource.getSourceByName({
+        sourceName,
+        callback: ({ error: sourceError, data: sourceData }) => {
+          if (sourceError) {
+            callback({ error: sourceError });
+
+            return;
+          } else if (!sourceData.source.isActive) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `active computing source ${sourceName}` }) });
+
+            return;
+          } else if (sourceData.source.slots.some(slot => slot.owner === owner)) {
+            callback({ error: new errorCreator.AlreadyExists({ name: `slot owned by ${owner} on computing source ${sourceName}` }) });
+
+            return;
+          }
+
+          dbComputingSource.claimSlot({
+            sourceName,
+            owner,
+            callback: ({ error: claimError, data: claimData }) => {
+              if (claimError) {
+                callback({ error: claimError });
+
+                return;
+              }
+
+              emitSources({ io, sources: [claimData.source] });
+              callback({ data: claimData });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Release the user's slot on a computing source. Power left in the slot stays in it for the next user
+ * @param {string} params.sourceName Name of the source
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function releaseComputingSlot({ sourceName, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UseComputingSource.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbComputingSource.releaseSlot({
+        sourceName,
+        owner: data.user.userName,
+        callback: ({ error: releaseError, data: releaseData }) => {
+          if (releaseError) {
+            callback({ error: releaseError });
+
+            return;
+          }
+
+          emitSources({ io, sources: [releaseData.source] });
+          callback({ data: releaseData });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Spend pooled power from the user's slots on active sources on an action
+ * @param {string} params.action Action to spend power on. extendHackTries adds a try to the user's lantern hack.
+ * shortenCalibrationTimeout shortens the time until the user can get a new calibration mission
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function useComputingPower({ action, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UseComputingSource.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (Object.keys(ComputingActions).map(key => ComputingActions[key]).indexOf(action) === -1) {
+        callback({ error: new errorCreator.InvalidData({ expected: `action ${Object.keys(ComputingActions).map(key => ComputingActions[key]).join(', ')}` }) });
+
+        return;
+      }
+
+      const owner = data.user.userName;
+      const cost = action === ComputingActions.EXTENDHACKTRIES ? appConfig.hackTryPowerCost : appConfig.calibrationTimeoutPowerCost;
+
+      dbComputingSource.getOwnerSources({
+        owner,
+        callback: ({ error: sourceError, data: sourceData }) => {
+          if (sourceError) {
+            callback({ error: sourceError });
+
+            return;
+          }
+
+          const power = getPooledPower({ owner, sources: sourceData.sources });
+
+          if (power < cost) {
+            callback({ error: new errorCreator.Insufficient({ name: `computing power ${power}/${cost}` }) });
+
+            return;
+          }
+
+          checkAction({
+            action,
+            owner,
+            callback: ({ error: checkError }) => {
+              if (checkError) {
+                callback({ error: checkError });
+
+                return;
+              }
+
+              drainPower({
+                owner,
+                power: cost,
+                slots: getOwnerSlots({ owner, sources: sourceData.sources }),
+                callback: ({ error: drainError, data: drainData }) => {
+                  if (drainError) {
+                    callback({ error: drainError });
+
+                    return;
+                  }
+
+                  emitSources({ io, sources: drainData.sources });
+
+                  performAction({
+                    action,
+                    owner,
+                    callback: ({ error: actionError, data: actionData }) => {
+                      if (actionError) {
+                        callback({ error: actionError });
+
+                        return;
+                      }
+
+                      callback({ data: Object.assign({ power: power - cost }, actionData) });
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+exports.getComputingSources = getComputingSources;
+exports.createComputingSource = createComputingSource;
+exports.updateComputingSource = updateComputingSource;
+exports.claimComputingSlot = claimComputingSlot;
+exports.releaseComputingSlot = releaseComputingSlot;
+exports.useComputingPower = useComputingPower;
+exports.ComputingActions = ComputingActions;
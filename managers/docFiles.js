@@ -21,8 +21,252 @@ const dbConfig = require('../config/defaults/config').databasePopulation;
 const errorCreator = require('../objects/error/errorCreator');
 const textTools = require('../utils/textTools');
 const dbDocFile = require('../db/connectors/docFile');
+const dbGameCode = require('../db/connectors/gameCode');
 const authenticator = require('../helpers/authenticator');
 const objectValidator = require('../utils/objectValidator');
+const accessChecker = require('../utils/accessChecker');
+const passwordHasher = require('../utils/passwordHasher');
+const groupManager = require('./groups');
+
+/**
+ * Get the alias that the user is acting as
+ * @param {Object} params.user User
+ * @param {string} [params.userName] User name sent by the user
+ * @returns {string} Alias. Undefined if the user is not acting as an alias
+ */
+function getAlias({ user, userName }) {
+  return userName && userName !== user.userName ? userName : undefined;
+}
+
+/**
+ * Is the docFile locked with a code that the user has not entered?
+ * Creators, users that have unlocked the docFile and admins have access to locked docFiles
+ * @param {Object} params.docFile DocFile
+ * @param {Object} params.user User
+ * @returns {boolean} Is the docFile locked for the user?
+ */
+function isLockedForUser({ docFile, user }) {
+  return docFile.isLocked
+    && docFile.creator !== user.userName
+    && (user.creatorAliases || []).indexOf(docFile.customCreator) === -1
+    && docFile.accessUsers.indexOf(user.userName) === -1
+    && user.accessLevel < dbConfig.AccessLevels.LOWERADMIN;
+}
+
+/**
+ * Can the user view the docFile? The user needs access to the docFile and to have unlocked it, if it is locked
+ * @param {Object} params.docFile DocFile
+ * @param {Object} params.user User
+ * @returns {boolean} Can the user view the docFile?
+ */
+function canViewDocFile({ docFile, user }) {
+  return accessChecker.hasAccessTo({ objectToAccess: docFile, user }) && !isLockedForUser({ docFile, user });
+}
+
+/**
+ * Create docFile that can be sent to users. Only the title of locked docFiles will be sent
+ * @param {Object} params.docFile DocFile
+ * @returns {Object} DocFile to send
+ */
+function createDocFileToSend({ docFile }) {
+  if (docFile.isLocked) {
+    return { title: docFile.title, isLocked: true };
+  }
+
+  const docFileToSend = docFile;
+
+  if (!docFileToSend.isPublic) {
+    docFileToSend.docFileId = null;
+  }
+
+  return docFileToSend;
+}
+
+/**
+ * Check that a game code that will be linked to a docFile exists and is owned by the user. Admins can link any game code
+ * @param {string} [params.gameCode] Game code. Nothing will be checked if it is not set
+ * @param {Object} params.user User linking the game code
+ * @param {Function} params.callback Callback
+ */
+function checkLinkedGameCode({ gameCode, user, callback }) {
+  if (!gameCode) {
+    callback({ data: { success: true } });
+
+    return;
+  }
+
+  dbGameCode.getGameCodeByCode({
+    code: gameCode,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (data.gameCode.owner !== user.userName && user.accessLevel < dbConfig.AccessLevels.LOWERADMIN) {
+        callback({ error: new errorCreator.NotAllowed({ name: `${user.userName} linking game code owned by other user` }) });
+
+        return;
+      }
+
+      callback({ data: { success: true } });
+    },
+  });
+}
+
+/**
+ * Store the current state of the docFile as a revision
+ * @param {Object} params.docFile DocFile
+ * @param {string} params.author User name of the user that made the revision
+ * @param {string} [params.alias] Alias used by the author
+ * @param {number} [params.rollbackFrom] Revision that the docFile was rolled back to, if the revision is a rollback
+ * @param {Function} params.callback Callback
+ */
+function createRevision({ docFile, author, alias, rollbackFrom, callback }) {
+  dbDocFile.createRevision({
+    callback,
+    revision: {
+      author,
+      alias,
+      rollbackFrom,
+      docFileId: docFile.docFileId,
+      revision: docFile.revision,
+      title: docFile.title,
+      text: docFile.text,
+      visibility: docFile.visibility,
+      isPublic: docFile.isPublic,
+      team: docFile.team,
+    },
+  });
+}
+
+/**
+ * Store the current state of a docFile created before revisions were stored as its first revision
+ * @param {Object} params.docFile DocFile
+ * @param {Function} params.callback Callback
+ */
+function createLegacyRevision({ docFile, callback }) {
+  if (typeof docFile.revision === 'number') {
+    callback({ data: { success: true } });
+
+    return;
+  }
+
+  createRevision({
+    callback,
+    docFile: Object.assign({}, docFile, { revision: 1 }),
+    author: docFile.creator,
+    alias: docFile.customCreator,
+  });
+}
+
+/**
+ * Update docFile, store the new revision and send it to clients
+ * @param {Object} params.previousDocFile DocFile before the update
+ * @param {Object} params.changes Changes to the docFile
+ * @param {Object} params.user User updating the docFile
+ * @param {string} [params.alias] Alias used by the user
+ * @param {number} [params.rollbackFrom] Revision that the docFile is rolled back to
+ * @param {Object} [params.socket] Socket io
+ * @param {Object} params.io Socket io. Will be used if socket is undefined
+ * @param {Function} params.callback Callback
+ */
+function changeDocFile({ previousDocFile, changes, user, alias, rollbackFrom, socket, io, callback }) {
+  createLegacyRevision({
+    docFile: previousDocFile,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbDocFile.updateDocFile({
+        docFileId: previousDocFile.docFileId,
+        previousRevision: previousDocFile.revision,
+        revision: (previousDocFile.revision || 1) + 1,
+        title: changes.title,
+        text: changes.text,
+        visibility: changes.visibility,
+        isPublic: changes.isPublic,
+        accessGroups: changes.accessGroups,
+        team: changes.team,
+        callback: ({ error: updateError, data: updateData }) => {
+          if (updateError) {
+            callback({ error: updateError });
+
+            return;
+          }
+
+          createRevision({
+            alias,
+            rollbackFrom,
+            docFile: updateData.docFile,
+            author: user.userName,
+            callback: ({ error: revisionError }) => {
+              if (revisionError) {
+                callback({ error: revisionError });
+
+                return;
+              }
+
+              const { revision: newRevision } = updateData.docFile;
+
+              const dataToSend = {
+                docFile: createDocFileToSend({ docFile: Object.assign({}, updateData.docFile) }),
+                revision: newRevision,
+                updating: true,
+                oldTeam: previousDocFile.team,
+                oldTitle: previousDocFile.title,
+              };
+
+              if (updateData.docFile.accessGroups && updateData.docFile.accessGroups.length > 0) {
+                groupManager.emitToGroupMembers({
+                  socket,
+                  io,
+                  accessGroups: updateData.docFile.accessGroups,
+                  event: 'docFile',
+                  data: dataToSend,
+                });
+              } else if (socket) {
+                socket.broadcast.emit('docFile', { data: dataToSend });
+              } else {
+                io.emit('docFile', { data: dataToSend });
+              }
+
+              callback({ data: updateData });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Hash the unlock code of a docFile. Codes are hashed in lower case, as they are not case sensitive
+ * @param {string} [params.unlockCode] Unlock code. Nothing will be hashed if it is not set
+ * @param {Function} params.callback Callback
+ */
+function hashUnlockCode({ unlockCode, callback }) {
+  if (!unlockCode) {
+    callback({ data: {} });
+
+    return;
+  }
+
+  passwordHasher.hashPassword({
+    password: unlockCode.toLowerCase(),
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { unlockCode: data.hashedPassword } });
+    },
+  });
+}
 
 /**
  * Create a docFile
@@ -67,41 +311,94 @@ function createDocFile({ token, userName, socket, io, docFile, callback }) {
       } else if (docFile.docFileId.length > appConfig.docFileIdMaxLength || docFile.docFileId === '') {
         callback({ error: new errorCreator.InvalidCharacters({ expected: `Id length: ${appConfig.docFileIdMaxLength}` }) });
 
+        return;
+      } else if (docFile.unlockCode && (typeof docFile.unlockCode !== 'string' || docFile.unlockCode.length > appConfig.docFileUnlockCodeMaxLength)) {
+        callback({ error: new errorCreator.InvalidCharacters({ expected: `Unlock code length: ${appConfig.docFileUnlockCodeMaxLength}` }) });
+
+        return;
+      } else if (!accessChecker.canUseGroups({ accessGroups: docFile.accessGroups, user: data.user })) {
+        callback({ error: new errorCreator.NotAllowed({ name: 'access groups' }) });
+
         return;
       }
 
       const newDocFile = docFile;
+      newDocFile.revision = 1;
       newDocFile.creator = data.user.userName;
       newDocFile.docFileId = newDocFile.docFileId.toLowerCase();
       newDocFile.team = newDocFile.team ? data.user.team : undefined;
 
+      newDocFile.isLocked = Boolean(newDocFile.unlockCode || newDocFile.gameCode);
+
       if (docFile.customCreator) {
         newDocFile.customCreator = docFile.customCreator;
         newDocFile.accessUsers = [newDocFile.creator];
       }
 
-      dbDocFile.createDocFile({
-        docFile: newDocFile,
-        callback: (createData) => {
-          if (createData.error) {
-            callback({ error: createData.error });
+      checkLinkedGameCode({
+        gameCode: newDocFile.gameCode,
+        user: data.user,
+        callback: ({ error: gameCodeError }) => {
+          if (gameCodeError) {
+            callback({ error: gameCodeError });
 
             return;
           }
 
-          callback({ data: { docFile: createData.data.docFile } });
+          hashUnlockCode({
+            unlockCode: newDocFile.unlockCode,
+            callback: ({ error: hashError, data: hashData }) => {
+              if (hashError) {
+                callback({ error: hashError });
 
-          const docFileToSend = createData.data.docFile;
-
-          if (!docFileToSend.isPublic) {
-            docFileToSend.docFileId = null;
-          }
+                return;
+              }
 
-          if (socket) {
-            socket.broadcast.emit('docFile', { data: { docFile: docFileToSend } });
-          } else {
-            io.emit('docFile', { data: { docFile: docFileToSend } });
-          }
+              newDocFile.unlockCode = hashData.unlockCode;
+
+              dbDocFile.createDocFile({
+                docFile: newDocFile,
+                callback: (createData) => {
+                  if (createData.error) {
+                    callback({ error: createData.error });
+
+                    return;
+                  }
+
+                  createRevision({
+                    docFile: createData.data.docFile,
+                    author: data.user.userName,
+                    alias: newDocFile.customCreator || getAlias({ user: data.user, userName }),
+                    callback: ({ error: revisionError }) => {
+                      if (revisionError) {
+                        callback({ error: revisionError });
+
+                        return;
+                      }
+
+                      callback({ data: { docFile: createData.data.docFile } });
+
+                      const docFileToSend = createDocFileToSend({ docFile: createData.data.docFile });
+
+                      if (newDocFile.accessGroups && newDocFile.accessGroups.length > 0) {
+                        groupManager.emitToGroupMembers({
+                          socket,
+                          io,
+                          accessGroups: newDocFile.accessGroups,
+                          event: 'docFile',
+                          data: { docFile: docFileToSend, revision: newDocFile.revision },
+                        });
+                      } else if (socket) {
+                        socket.broadcast.emit('docFile', { data: { docFile: docFileToSend, revision: newDocFile.revision } });
+                      } else {
+                        io.emit('docFile', { data: { docFile: docFileToSend, revision: newDocFile.revision } });
+                      }
+                    },
+                  });
+                },
+              });
+            },
+          });
         },
       });
     },
@@ -134,11 +431,15 @@ function updateDocFile({ docFile, socket, io, token, userName, callback }) {
       } else if (docFile.title && docFile.title.length > appConfig.docFileTitleMaxLength) {
         callback({ error: new errorCreator.InvalidCharacters({ expected: `Title length: ${appConfig.docFileTitleMaxLength}` }) });
 
+        return;
+      } else if (!accessChecker.canUseGroups({ accessGroups: docFile.accessGroups, user: data.user })) {
+        callback({ error: new errorCreator.NotAllowed({ name: 'access groups' }) });
+
         return;
       }
 
       const user = data.user;
-      const { docFileId = docFile.docFileId.toLowerCase(), title, text, visibility, isPublic } = docFile;
+      const { docFileId = docFile.docFileId.toLowerCase(), title, text, visibility, isPublic, accessGroups } = docFile;
 
       dbDocFile.getDocFile({
         docFileId,
@@ -155,38 +456,20 @@ function updateDocFile({ docFile, socket, io, token, userName, callback }) {
             return;
           }
 
-          dbDocFile.updateDocFile({
-            docFileId,
-            title,
-            text,
-            visibility,
-            isPublic,
-            team: docFile.team ? data.user.team : undefined,
-            callback: ({ error: updateError, data: updateData }) => {
-              if (updateError) {
-                callback({ error: updateError });
-
-                return;
-              }
-
-              const previousDocFile = foundData.docFile;
-              const updatedDocFile = updateData.docFile;
-              updatedDocFile.docFileId = updatedDocFile.isPublic ? updatedDocFile.docFileId : null;
-
-              const dataToSend = {
-                docFile: updatedDocFile,
-                updating: true,
-                oldTeam: previousDocFile.team,
-                oldTitle: foundData.docFile.title,
-              };
-
-              if (socket) {
-                socket.broadcast.emit('docFile', { data: dataToSend });
-              } else {
-                io.emit('docFile', { data: dataToSend });
-              }
-
-              callback({ data: updateData });
+          changeDocFile({
+            user,
+            socket,
+            io,
+            callback,
+            previousDocFile: foundData.docFile,
+            alias: getAlias({ user, userName }),
+            changes: {
+              title,
+              text,
+              visibility,
+              isPublic,
+              accessGroups,
+              team: docFile.team ? data.user.team : undefined,
             },
           });
         },
@@ -226,8 +509,13 @@ function getAllDocFiles({ token, callback }) {
 
           const docFiles = docData.docFiles;
 
-          const filteredDocFiles = docFiles.map((docFile) => {
+          const filteredDocFiles = docFiles.filter(docFile => accessChecker.isInAccessGroups({ objectToAccess: docFile, user })).map((docFile) => {
+            if (isLockedForUser({ docFile, user })) {
+              return { title: docFile.title, isLocked: true };
+            }
+
             const filteredDocFile = docFile;
+            filteredDocFile.isLocked = false;
 
             if ((docFile.team && user.team && docFile.team !== user.team) || (!docFile.isPublic && docFile.creator !== user.userName && user.creatorAliases.indexOf(docFile.customCreator) === -1)) {
               if (docFile.accessUsers.indexOf(user.userName) === -1) {
@@ -297,7 +585,15 @@ function getDocFiles({ token, callback }) {
             return;
           }
 
-          callback({ data: docData });
+          const docFiles = docData.docFiles.filter(docFile => accessChecker.isInAccessGroups({ objectToAccess: docFile, user })).map((docFile) => {
+            if (isLockedForUser({ docFile, user })) {
+              return { title: docFile.title, isLocked: true };
+            }
+
+            return docFile;
+          });
+
+          callback({ data: { docFiles } });
         },
       });
     },
@@ -330,6 +626,10 @@ function getDocFile({ title, docFileId, token, callback }) {
           if (docError) {
             callback({ error: docError });
 
+            return;
+          } else if (!canViewDocFile({ docFile: docData.docFile, user: data.user })) {
+            callback({ error: new errorCreator.NotAllowed({ name: `docFile ${docData.docFile.title}` }) });
+
             return;
           }
 
@@ -358,8 +658,430 @@ function getDocFile({ title, docFileId, token, callback }) {
   });
 }
 
+/**
+ * Get revisions of a docFile that the user has access to
+ * @param {string} params.docFileId ID of the docFile
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getDocFileRevisions({ docFileId, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetDocFileRevisions.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbDocFile.getDocFile({
+        docFileId,
+        user: data.user,
+        callback: ({ error: docError, data: docData }) => {
+          if (docError) {
+            callback({ error: docError });
+
+            return;
+          } else if (!canViewDocFile({ docFile: docData.docFile, user: data.user })) {
+            callback({ error: new errorCreator.NotAllowed({ name: `docFile ${docData.docFile.title}` }) });
+
+            return;
+          }
+
+          dbDocFile.getRevisions({
+            docFileId,
+            callback: ({ error: revisionsError, data: revisionsData }) => {
+              if (revisionsError) {
+                callback({ error: revisionsError });
+
+                return;
+              }
+
+              callback({ data: { revisions: revisionsData.revisions, currentRevision: docData.docFile.revision } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get a revision of a docFile that the user has access to
+ * @param {string} params.docFileId ID of the docFile
+ * @param {number} params.revision Revision number
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getDocFileRevision({ docFileId, revision, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetDocFileRevisions.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!Number.isInteger(revision)) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'revision: Number' }) });
+
+        return;
+      }
+
+      dbDocFile.getDocFile({
+        docFileId,
+        user: data.user,
+        callback: ({ error: docError, data: docData }) => {
+          if (docError) {
+            callback({ error: docError });
+
+            return;
+          } else if (!canViewDocFile({ docFile: docData.docFile, user: data.user })) {
+            callback({ error: new errorCreator.NotAllowed({ name: `docFile ${docData.docFile.title}` }) });
+
+            return;
+          }
+
+          dbDocFile.getRevision({
+            docFileId,
+            revision,
+            callback,
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get the differences between two revisions of a docFile that the user has access to
+ * @param {string} params.docFileId ID of the docFile
+ * @param {number} params.fromRevision Revision to compare from
+ * @param {number} params.toRevision Revision to compare to
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getDocFileDiff({ docFileId, fromRevision, toRevision, token, callback }) {
+  if (!Number.isInteger(fromRevision) || !Number.isInteger(toRevision)) {
+    callback({ error: new errorCreator.InvalidData({ expected: '{ fromRevision: Number, toRevision: Number }' }) });
+
+    return;
+  }
+
+  getDocFileRevision({
+    docFileId,
+    token,
+    revision: fromRevision,
+    callback: ({ error, data: fromData }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbDocFile.getRevision({
+        docFileId,
+        revision: toRevision,
+        callback: ({ error: toError, data: toData }) => {
+          if (toError) {
+            callback({ error: toError });
+
+            return;
+          }
+
+          const { revision: from } = fromData;
+          const { revision: to } = toData;
+
+          callback({
+            data: {
+              diff: {
+                docFileId,
+                fromRevision,
+                toRevision,
+                oldTitle: from.title,
+                newTitle: to.title,
+                text: textTools.createLineDiff({ oldText: from.text, newText: to.text }),
+              },
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Roll back a docFile to a previous revision. The rollback is stored as a new revision. Only the creator of the docFile or an admin can roll it back
+ * @param {string} params.docFileId ID of the docFile
+ * @param {number} params.revision Revision to roll back to
+ * @param {string} params.token jwt
+ * @param {Object} [params.socket] Socket io
+ * @param {Object} params.io Socket io. Will be used if socket is undefined
+ * @param {Function} params.callback Callback
+ */
+function rollbackDocFile({ docFileId, revision, token, socket, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.RollbackDocFile.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      if (!Number.isInteger(revision)) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'revision: Number' }) });
+
+        return;
+      }
+
+      const { user } = data;
+
+      dbDocFile.getDocFile({
+        docFileId,
+        user,
+        callback: ({ error: docError, data: docData }) => {
+          if (docError) {
+            callback({ error: docError });
+
+            return;
+          } else if (docData.docFile.creator !== user.userName && user.accessLevel < dbConfig.AccessLevels.LOWERADMIN) {
+            callback({ error: new errorCreator.NotAllowed({ name: `${user.userName} rolling back doc owned by other user` }) });
+
+            return;
+          }
+
+          dbDocFile.getRevision({
+            docFileId,
+            revision,
+            callback: ({ error: revisionError, data: revisionData }) => {
+              if (revisionError) {
+                callback({ error: revisionError });
+
+                return;
+              }
+
+              const { revision: oldRevision } = revisionData;
+
+              changeDocFile({
+                user,
+                socket,
+                io,
+                callback,
+                previousDocFile: docData.docFile,
+                rollbackFrom: revision,
+                changes: {
+                  title: oldRevision.title,
+                  text: oldRevision.text,
+                  visibility: oldRevision.visibility,
+                  isPublic: oldRevision.isPublic,
+                  team: oldRevision.team,
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Check if the code unlocks the docFile. Codes are not case sensitive and are stored hashed. DocFiles linked to a game code are unlocked with the game code, as long as it exists
+ * @param {Object} params.docFile DocFile
+ * @param {string} params.code Code sent by the user
+ * @param {Function} params.callback Callback
+ */
+function checkUnlockCode({ docFile, code, callback }) {
+  const sentCode = code.toLowerCase();
+
+  if (docFile.unlockCode) {
+    passwordHasher.verifyPassword({
+      password: sentCode,
+      storedPassword: docFile.unlockCode,
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        callback({ data: { isCorrect: data.isCorrect } });
+      },
+    });
+
+    return;
+  } else if (docFile.gameCode !== sentCode) {
+    callback({ data: { isCorrect: false } });
+
+    return;
+  }
+
+  dbGameCode.getGameCodeByCode({
+    code: docFile.gameCode,
+    callback: ({ error }) => {
+      if (error) {
+        if (error.type === errorCreator.ErrorTypes.DOESNOTEXIST) {
+          callback({ data: { isCorrect: false } });
+
+          return;
+        }
+
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: { isCorrect: true } });
+    },
+  });
+}
+
+/**
+ * Unlock a locked docFile with a code. The user will be given access to the docFile and its creator will be notified.
+ * Attempts are rate limited per user and docFile
+ * @param {string} [params.docFileId] ID of the docFile. Title will be used if it is not set
+ * @param {string} [params.title] Title of the docFile
+ * @param {string} params.code Code that unlocks the docFile
+ * @param {string} params.token jwt
+ * @param {Object} [params.socket] Socket io
+ * @param {Object} params.io Socket io. Will be used if socket is undefined
+ * @param {Function} params.callback Callback
+ */
+function unlockDocFile({ docFileId, title, code, token, socket, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UnlockDocFile.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ code }, { code: true }) || (!docFileId && !title)) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ code, docFileId || title }' }) });
+
+        return;
+      } else if (typeof code !== 'string' || code.length > appConfig.docFileUnlockCodeMaxLength) {
+        callback({ error: new errorCreator.InvalidData({ expected: `{ code: string, length: ${appConfig.docFileUnlockCodeMaxLength} }` }) });
+
+        return;
+      }
+
+      const { user } = data;
+
+      dbDocFile.getLockedDocFile({
+        docFileId,
+        title,
+        callback: ({ error: docError, data: docData }) => {
+          if (docError) {
+            callback({ error: docError });
+
+            return;
+          }
+
+          const { docFile } = docData;
+
+          if (!accessChecker.hasAccessTo({ objectToAccess: docFile, user })) {
+            callback({ error: new errorCreator.NotAllowed({ name: `docFile ${docFile.title}` }) });
+
+            return;
+          } else if (!isLockedForUser({ docFile, user })) {
+            dbDocFile.getDocFile({ docFileId: docFile.docFileId, user, callback });
+
+            return;
+          }
+
+          const since = new Date(new Date().getTime() - Number(appConfig.docFileUnlockPeriod));
+
+          dbDocFile.claimUnlockAttempt({
+            since,
+            docFileId: docFile.docFileId,
+            userName: user.userName,
+            maxAttempts: Number(appConfig.docFileUnlockAttempts),
+            callback: ({ error: attemptsError, data: attemptsData }) => {
+              if (attemptsError) {
+                callback({ error: attemptsError });
+
+                return;
+              }
+
+              const { unlockAttempt, isClaimed } = attemptsData;
+
+              if (!isClaimed) {
+                callback({
+                  error: new errorCreator.TooFrequent({
+                    name: `unlock docFile ${docFile.title}`,
+                    extraData: { timeLeft: (new Date(unlockAttempt.periodStart).getTime() + Number(appConfig.docFileUnlockPeriod)) - new Date().getTime() },
+                  }),
+                });
+
+                return;
+              }
+
+              checkUnlockCode({
+                docFile,
+                code,
+                callback: ({ error: checkError, data: checkData }) => {
+                  if (checkError) {
+                    callback({ error: checkError });
+
+                    return;
+                  } else if (!checkData.isCorrect) {
+                    callback({
+                      error: new errorCreator.Incorrect({
+                        name: 'unlock code',
+                        extraData: { attemptsLeft: Number(appConfig.docFileUnlockAttempts) - unlockAttempt.attempts },
+                      }),
+                    });
+
+                    return;
+                  }
+
+                  dbDocFile.addAccessUser({
+                    docFileId: docFile.docFileId,
+                    userName: user.userName,
+                    callback: ({ error: accessError, data: accessData }) => {
+                      if (accessError) {
+                        callback({ error: accessError });
+
+                        return;
+                      }
+
+                      callback({ data: accessData });
+
+                      const dataToSend = {
+                        docFile: { docFileId: docFile.docFileId, title: docFile.title },
+                        userName: user.userName,
+                      };
+                      const creatorRoom = docFile.creator + appConfig.whisperAppend;
+
+                      if (socket) {
+                        socket.to(creatorRoom).emit('docFileUnlocked', { data: dataToSend });
+                      } else {
+                        io.to(creatorRoom).emit('docFileUnlocked', { data: dataToSend });
+                      }
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
 exports.createDocFile = createDocFile;
 exports.updateDocFile = updateDocFile;
 exports.getDocFiles = getDocFiles;
 exports.getDocFile = getDocFile;
 exports.getAllDocFiles = getAllDocFiles;
+exports.getDocFileRevisions = getDocFileRevisions;
+exports.getDocFileRevision = getDocFileRevision;
+exports.getDocFileDiff = getDocFileDiff;
+exports.rollbackDocFile = rollbackDocFile;
+exports.unlockDocFile = unlockDocFile;
+exports.isLockedForUser = isLockedForUser;
@@ -0,0 +1,463 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const winston = require('winston');
+const dbGroup = require('../db/connectors/group');
+const dbUser = require('../db/connectors/user');
+const dbRoom = require('../db/connectors/room');
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const errorCreator = require('../objects/error/errorCreator');
+const objectValidator = require('../utils/objectValidator');
+const textTools = require('../utils/textTools');
+const authenticator = require('../helpers/authenticator');
+const accessChecker = require('../utils/accessChecker');
+
+/**
+ * Send changed group membership to the user
+ * @param {string} params.userName Name of the user
+ * @param {string} params.groupName Name of the group
+ * @param {boolean} params.isMember Is the user a member of the group?
+ * @param {Object} params.io Socket io
+ */
+function emitMembership({ userName, groupName, isMember, io }) {
+  io.to(userName + appConfig.whisperAppend).emit('group', { data: { group: { groupName }, isMember } });
+}
+
+/**
+ * Emit event to the members of the groups. Used for objects that are restricted to groups, as they can't be broadcasted to everyone
+ * @param {string[]} params.accessGroups Names of the groups
+ * @param {string} params.event Name of the event
+ * @param {Object} params.data Data to emit
+ * @param {Object} [params.socket] Socket io. The event will not be sent to the socket
+ * @param {Object} [params.io] Socket io. Used if socket is not set
+ */
+function emitToGroupMembers({ accessGroups, event, data, socket, io }) {
+  dbUser.getMembersOfGroups({
+    groups: accessGroups,
+    callback: ({ error, data: membersData }) => {
+      if (error) {
+        winston.warn(`Failed to emit ${event} to the members of groups`, error);
+
+        return;
+      } else if (membersData.members.length === 0) {
+        return;
+      }
+
+      const emitter = membersData.members.reduce((toEmit, userName) => toEmit.to(userName + appConfig.whisperAppend), socket ? socket.broadcast : io);
+
+      emitter.emit(event, { data });
+    },
+  });
+}
+
+/**
+ * Make the user unfollow rooms restricted to the group that the user no longer has access to.
+ * The user's socket leaves the rooms, so that no more messages are received from them
+ * @param {Object} params.user User that has been removed from the group
+ * @param {string} params.groupName Name of the group
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function removeRestrictedRooms({ user, groupName, io, callback }) {
+  dbRoom.getGroupRooms({
+    group: groupName,
+    roomNames: user.rooms,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const roomNames = data.rooms.filter(room => !accessChecker.isInAccessGroups({ objectToAccess: room, user })).map(room => room.roomName);
+
+      if (roomNames.length === 0) {
+        callback({ data: { roomNames } });
+
+        return;
+      }
+
+      dbUser.removeRoomsFromUser({
+        roomNames,
+        userName: user.userName,
+        callback: ({ error: removeError }) => {
+          if (removeError) {
+            callback({ error: removeError });
+
+            return;
+          }
+
+          const userSocket = io.sockets.sockets[user.socketId];
+
+          roomNames.forEach((roomName) => {
+            const dataToEmit = {
+              room: { roomName },
+              userName: user.userName,
+              isFollowing: false,
+            };
+
+            if (userSocket) {
+              userSocket.leave(roomName);
+            }
+
+            io.to(roomName).emit('roomFollower', { data: dataToEmit });
+            io.to(user.userName + appConfig.whisperAppend).emit('unfollow', { data: dataToEmit });
+          });
+
+          callback({ data: { roomNames } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Make removed members of a group unfollow the rooms that they no longer have access to. Members are handled one at a time
+ * @param {string[]} params.userNames Names of the removed members
+ * @param {string} params.groupName Name of the group
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function removeMembersFromRestrictedRooms({ userNames, groupName, io, callback }) {
+  if (userNames.length === 0) {
+    callback({ data: { success: true } });
+
+    return;
+  }
+
+  dbUser.getUser({
+    userName: userNames[0],
+    includeInactive: true,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      removeRestrictedRooms({
+        groupName,
+        io,
+        user: data.user,
+        callback: ({ error: roomError }) => {
+          if (roomError) {
+            callback({ error: roomError });
+
+            return;
+          }
+
+          removeMembersFromRestrictedRooms({
+            groupName,
+            io,
+            callback,
+            userNames: userNames.slice(1),
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Create group
+ * @param {Object} params.group New group
+ * @param {string} params.group.groupName Name of the group
+ * @param {string[]} [params.group.description] Description of the group
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function createGroup({ group, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateGroup.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ group }, { group: { groupName: true } })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ group: { groupName } }' }) });
+
+        return;
+      } else if (group.groupName.length > appConfig.groupNameMaxLength || !textTools.isAlphaNumeric(group.groupName)) {
+        callback({ error: new errorCreator.InvalidCharacters({ expected: `a-z 0-9 length: ${appConfig.groupNameMaxLength}` }) });
+
+        return;
+      }
+
+      dbGroup.createGroup({
+        callback,
+        group: {
+          groupName: group.groupName.toLowerCase(),
+          description: group.description,
+          owner: data.user.userName,
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get all groups
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getGroups({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetGroups.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbGroup.getGroups({ callback });
+    },
+  });
+}
+
+/**
+ * Get group and its members
+ * @param {string} params.groupName Name of the group
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getGroup({ groupName, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetGroups.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbGroup.getGroup({
+        groupName,
+        callback: ({ error: groupError, data: groupData }) => {
+          if (groupError) {
+            callback({ error: groupError });
+
+            return;
+          }
+
+          dbUser.getGroupMembers({
+            group: groupName,
+            callback: ({ error: membersError, data: membersData }) => {
+              if (membersError) {
+                callback({ error: membersError });
+
+                return;
+              }
+
+              callback({ data: { group: groupData.group, members: membersData.members } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Remove group and remove all users from it. Objects restricted to the group will stay restricted to it.
+ * Removed users unfollow rooms that they no longer have access to
+ * @param {string} params.groupName Name of the group
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function removeGroup({ groupName, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.RemoveGroup.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbUser.getGroupMembers({
+        group: groupName,
+        callback: ({ error: membersError, data: membersData }) => {
+          if (membersError) {
+            callback({ error: membersError });
+
+            return;
+          }
+
+          dbGroup.removeGroup({
+            groupName,
+            callback: ({ error: removeError }) => {
+              if (removeError) {
+                callback({ error: removeError });
+
+                return;
+              }
+
+              dbUser.removeGroupFromAllUsers({
+                group: groupName,
+                callback: ({ error: usersError }) => {
+                  if (usersError) {
+                    callback({ error: usersError });
+
+                    return;
+                  }
+
+                  membersData.members.forEach(userName => emitMembership({ userName, groupName, io, isMember: false }));
+
+                  removeMembersFromRestrictedRooms({
+                    groupName,
+                    io,
+                    userNames: membersData.members,
+                    callback: ({ error: roomError }) => {
+                      if (roomError) {
+                        callback({ error: roomError });
+
+                        return;
+                      }
+
+                      callback({ data: { success: true } });
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Add user to group
+ * @param {string} params.groupName Name of the group
+ * @param {string} params.userName Name of the user to add
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function addGroupMember({ groupName, userName, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateGroupMembers.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ userName }, { userName: true })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ userName }' }) });
+
+        return;
+      }
+
+      dbGroup.getGroup({
+        groupName,
+        callback: ({ error: groupError }) => {
+          if (groupError) {
+            callback({ error: groupError });
+
+            return;
+          }
+
+          dbUser.addGroupToUser({
+            userName,
+            group: groupName,
+            callback: ({ error: addError }) => {
+              if (addError) {
+                callback({ error: addError });
+
+                return;
+              }
+
+              emitMembership({ userName, groupName, io, isMember: true });
+
+              callback({ data: { group: { groupName }, userName } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Remove user from group. The user unfollows rooms that the user no longer has access to
+ * @param {string} params.groupName Name of the group
+ * @param {string} params.userName Name of the user to remove
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function removeGroupMember({ groupName, userName, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateGroupMembers.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbUser.removeGroupFromUser({
+        userName,
+        group: groupName,
+        callback: ({ error: removeError, data: removeData }) => {
+          if (removeError) {
+            callback({ error: removeError });
+
+            return;
+          }
+
+          emitMembership({ userName, groupName, io, isMember: false });
+
+          removeRestrictedRooms({
+            groupName,
+            io,
+            user: removeData.user,
+            callback: ({ error: roomError }) => {
+              if (roomError) {
+                callback({ error: roomError });
+
+                return;
+              }
+
+              callback({ data: { group: { groupName }, userName } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+exports.createGroup = createGroup;
+exports.getGroups = getGroups;
+exports.getGroup = getGroup;
+exports.removeGroup = removeGroup;
+exports.addGroupMember = addGroupMember;
+exports.removeGroupMember = removeGroupMember;
+exports.emitToGroupMembers = emitToGroupMembers;
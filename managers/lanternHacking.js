@@ -26,7 +26,8 @@ const authenticator = require('../helpers/authenticator');
 const lanternRoundManager = require('../managers/lanternRounds');
 const lanternStationManager = require('../managers/lanternStations');
 const lanternTeamManager = require('../managers/lanternTeams');
-const poster = require('../helpers/poster');
+const hackingApi = require('../helpers/hackingApi');
+const gameUserManager = require('../utils/gameUserManager');
 
 /**
  * Lower/increase signal value on all stations towards default value
@@ -90,14 +91,9 @@ function resetStations({ io, callback = () => {} }) {
                   return;
                 }
 
-                poster.postRequest({
-                  host: appConfig.hackingApiHost,
-                  path: '/reports/set_boost',
-                  data: {
-                    station: stationId,
-                    boost: newSignalValue,
-                    key: appConfig.hackingApiKey,
-                  },
+                hackingApi.setBoost({
+                  stationId,
+                  boost: newSignalValue,
                   callback: () => {},
                 });
               },
@@ -161,14 +157,9 @@ function updateSignalValue({ stationId, boostingSignal, callback }) {
               return;
             }
 
-            poster.postRequest({
-              host: appConfig.hackingApiHost,
-              path: '/reports/set_boost',
-              data: {
-                station: stationId,
-                boost: ceilSignalValue,
-                key: appConfig.hackingApiKey,
-              },
+            hackingApi.setBoost({
+              stationId,
+              boost: ceilSignalValue,
               callback: ({ error: requestError, data: requestData }) => {
                 if (requestError) {
                   callback({ error: requestError });
@@ -214,70 +205,113 @@ function createHackData({ lanternHack, callback }) {
 
       const passwords = data.passwords;
       const correctUser = lanternHack.gameUsers.find(gameUser => gameUser.isCorrect);
+      const difficulty = lanternHack.difficulty && lanternHack.difficulty.tier ? lanternHack.difficulty : lanternStationManager.getStationDifficulty({});
+      const hackData = {
+        passwords: textTools.shuffleArray(passwords).slice(0, difficulty.fakePasswordAmount).concat(lanternHack.gameUsers.map(gameUser => gameUser.password)),
+        triesLeft: lanternHack.triesLeft,
+        userName: correctUser.userName,
+        passwordType: correctUser.passwordType,
+        hints: correctUser.hints || [],
+        stationId: lanternHack.stationId,
+        difficulty: difficulty.tier,
+        deadline: lanternHack.deadline,
+      };
+
+      if (correctUser.passwordHint && typeof correctUser.passwordHint.index === 'number') {
+        hackData.passwordHint = correctUser.passwordHint;
+      }
 
-      callback({
-        data: {
-          passwords: textTools.shuffleArray(passwords).slice(0, 13).concat(lanternHack.gameUsers.map(gameUser => gameUser.password)),
-          triesLeft: lanternHack.triesLeft,
-          userName: correctUser.userName,
-          passwordType: correctUser.passwordType,
-          passwordHint: correctUser.passwordHint,
-          stationId: lanternHack.stationId,
-        },
-      });
+      callback({ data: hackData });
     },
   });
 }
 
 /**
- * Create lantern hack for user
+ * Has the time limit of the lantern hack passed?
+ * @param {Object} params.lanternHack Lantern hack
+ * @returns {boolean} Has the time limit passed?
+ */
+function hasTimedOut({ lanternHack }) {
+  return lanternHack.deadline ? new Date(lanternHack.deadline).getTime() < new Date().getTime() : false;
+}
+
+/**
+ * Create hints about the correct password
+ * @param {string} params.password Correct password
+ * @param {string[]} params.hintTypes Types of hints to create
+ * @returns {Object} Index hint and other hints
+ */
+function createPasswordHints({ password, hintTypes }) {
+  const randomIndex = Math.floor(Math.random() * password.length);
+
+  return {
+    passwordHint: hintTypes.indexOf(gameUserManager.HintTypes.INDEX) > -1 ? { index: randomIndex, character: password.charAt(randomIndex) } : undefined,
+    hints: gameUserManager.createHints(password).filter(hint => hintTypes.indexOf(hint.split(' ')[0]) > -1),
+  };
+}
+
+/**
+ * Create lantern hack for user. The difficulty settings of the station decide the amount of decoy users, hints, tries and time limit
  * @param {number} params.stationId Station id
  * @param {string} params.owner User name of the hack owner
- * @param {number} params.triesLeft Amount of hacking tries before the hack fails
  * @param {Function} params.callback Callback
  */
-function createLanternHack({ stationId, owner, triesLeft, callback }) {
-  dbLanternHack.getGameUsers({
+function createLanternHack({ stationId, owner, callback }) {
+  dbLanternHack.getStation({
     stationId,
-    callback: ({ error, data }) => {
-      if (error) {
-        callback({ error });
-
-        return;
-      } else if (data.gameUsers.length <= 0) {
-        callback({ error: new errorCreator.DoesNotExist({ name: 'game users' }) });
+    callback: ({ error: stationError, data: stationData }) => {
+      if (stationError) {
+        callback({ error: stationError });
 
         return;
       }
 
-      const gameUsers = textTools.shuffleArray(data.gameUsers).slice(0, 2).map((gameUser) => {
-        const passwordRand = Math.floor(Math.random() * (gameUser.passwords.length));
-        const password = gameUser.passwords[passwordRand];
-        const randomIndex = Math.floor(Math.random() * password.length);
-
-        return {
-          password,
-          userName: gameUser.userName,
-          passwordHint: { index: randomIndex, character: password.charAt(randomIndex) },
-        };
-      });
-
-      // Set first game user + password to the right combination
-      gameUsers[0].isCorrect = true;
+      const difficulty = lanternStationManager.getStationDifficulty({ station: stationData.station });
 
-      dbLanternHack.updateLanternHack({
+      dbLanternHack.getGameUsers({
         stationId,
-        owner,
-        gameUsers,
-        triesLeft,
-        callback: ({ error: updateError, data: updateData }) => {
-          if (updateError) {
-            callback({ error: updateError });
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          } else if (data.gameUsers.length <= 0) {
+            callback({ error: new errorCreator.DoesNotExist({ name: 'game users' }) });
 
             return;
           }
 
-          callback({ data: { lanternHack: updateData.lanternHack } });
+          const gameUsers = textTools.shuffleArray(data.gameUsers).slice(0, difficulty.decoyUsers + 1).map((gameUser) => {
+            const passwordRand = Math.floor(Math.random() * (gameUser.passwords.length));
+            const password = gameUser.passwords[passwordRand];
+
+            return {
+              password,
+              userName: gameUser.userName,
+            };
+          });
+
+          // Set first game user + password to the right combination
+          gameUsers[0].isCorrect = true;
+          Object.assign(gameUsers[0], createPasswordHints({ password: gameUsers[0].password, hintTypes: difficulty.hintTypes }));
+
+          dbLanternHack.updateLanternHack({
+            stationId,
+            owner,
+            gameUsers,
+            difficulty,
+            triesLeft: difficulty.triesAmount,
+            deadline: difficulty.timeLimit > 0 ? new Date(new Date().getTime() + difficulty.timeLimit) : undefined,
+            callback: ({ error: updateError, data: updateData }) => {
+              if (updateError) {
+                callback({ error: updateError });
+
+                return;
+              }
+
+              callback({ data: { lanternHack: updateData.lanternHack } });
+            },
+          });
         },
       });
     },
@@ -322,6 +356,23 @@ function manipulateStation({ password, boostingSignal, token, callback }) {
           const lanternHack = hackLanternData.lanternHack;
           const correctUser = lanternHack.gameUsers.find(gameUser => gameUser.isCorrect);
 
+          if (hasTimedOut({ lanternHack })) {
+            dbLanternHack.removeLanternHack({
+              owner: user.userName,
+              callback: ({ error: removeError }) => {
+                if (removeError) {
+                  callback({ error: removeError });
+
+                  return;
+                }
+
+                callback({ data: { success: false, triesLeft: lanternHack.triesLeft, timedOut: true } });
+              },
+            });
+
+            return;
+          }
+
           if (correctUser.password === password.toLowerCase() && lanternHack.triesLeft > 0) {
             updateSignalValue({
               boostingSignal,
@@ -435,14 +486,13 @@ function getLanternHack({ stationId, token, callback }) {
           }
 
           /**
-           * Generates a new hack if the chosen station is different from the users previous choice
+           * Generates a new hack if the chosen station is different from the users previous choice or the time limit has passed
            * Different users + passwords are connected to specific stations
            */
-          if (!lanternHackData || lanternHackData.lanternHack.stationId !== stationId) {
+          if (!lanternHackData || lanternHackData.lanternHack.stationId !== stationId || hasTimedOut({ lanternHack: lanternHackData.lanternHack })) {
             createLanternHack({
               stationId,
               owner: user.userName,
-              triesLeft: appConfig.hackingTriesAmount,
               callback: ({ error: createError, data: createdData }) => {
                 if (createError) {
                   callback({ error: createError });
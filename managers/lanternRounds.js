@@ -17,11 +17,222 @@
 'use strict';
 
 const dbConfig = require('../config/defaults/config').databasePopulation;
+const appConfig = require('../config/defaults/config').app;
 const authenticator = require('../helpers/authenticator');
 const dbLanternHack = require('../db/connectors/lanternhack');
 const lanternStationManager = require('./lanternStations');
 const textTools = require('../utils/textTools');
 const messenger = require('../helpers/messenger');
+const errorCreator = require('../objects/error/errorCreator');
+const winston = require('winston');
+
+/**
+ * Send round to all clients and broadcast that the lantern is online or offline
+ * @param {Object} params.io Socket io
+ * @param {Object} params.round Round
+ */
+function announceRound({ io, round }) {
+  const dataToSend = {
+    timeLeft: textTools.getDifference({ laterDate: round.isActive ? round.endTime : round.startTime, firstDate: new Date() }),
+    round,
+  };
+  const message = round.isActive ? {
+    text: [
+      'LANTERN ACTIVITY DETECTED',
+      'LANTERN ONLINE',
+    ],
+    intro: ['ATTENTION! SIGNAL DETECTED', '----------'],
+    extro: ['----------', 'END OF MESSAGE'],
+  } : {
+    text: [
+      'DISCONNECTING',
+      'LANTERN OFFLINE',
+    ],
+    intro: ['ATTENTION! SIGNAL LOST', '----------'],
+    extro: ['----------', 'END OF MESSAGE'],
+  };
+
+  io.emit('lanternRound', { data: dataToSend });
+
+  if (!round.isActive) {
+    lanternStationManager.resetStations({ callback: () => {} });
+  }
+
+  messenger.sendAndStoreBroadcastMsg({
+    io,
+    message,
+    callback: () => {},
+  });
+}
+
+/**
+ * Send round to all clients. The start time of an inactive round is set to the start time of the next scheduled round
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function showNextRound({ io, callback }) {
+  dbLanternHack.getLanternRound({
+    callback: ({ error, data: round }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (round.isActive) {
+        callback({ data: round });
+
+        return;
+      }
+
+      dbLanternHack.getNextScheduledLanternRound({
+        callback: ({ error: nextError, data: nextData }) => {
+          if (nextError) {
+            callback({ error: nextError });
+
+            return;
+          } else if (!nextData.round) {
+            callback({ data: round });
+
+            return;
+          }
+
+          dbLanternHack.updateLanternRound({
+            startTime: nextData.round.startTime,
+            endTime: nextData.round.endTime,
+            callback: ({ error: updateError, data: updatedRound }) => {
+              if (updateError) {
+                callback({ error: updateError });
+
+                return;
+              }
+
+              io.emit('lanternRound', {
+                data: {
+                  timeLeft: textTools.getDifference({ laterDate: updatedRound.startTime, firstDate: new Date() }),
+                  round: updatedRound,
+                },
+              });
+
+              callback({ data: updatedRound });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * End the active round. Scheduled rounds that have started are set to ended
+ * @param {Object} params.io Socket io
+ * @param {Date} [params.startTime] Start time of the next round. Defaults to the start time of the next scheduled round
+ * @param {Function} params.callback Callback
+ */
+function endRound({ io, startTime, callback }) {
+  dbLanternHack.endStartedScheduledLanternRounds({
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbLanternHack.getNextScheduledLanternRound({
+        callback: ({ error: nextError, data: nextData }) => {
+          if (nextError) {
+            callback({ error: nextError });
+
+            return;
+          }
+
+          dbLanternHack.endLanternRound({
+            startTime: startTime || (nextData.round ? nextData.round.startTime : undefined),
+            callback: ({ error: roundError, data: round }) => {
+              if (roundError) {
+                callback({ error: roundError });
+
+                return;
+              }
+
+              announceRound({ io, round });
+
+              callback({ data: round });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Start the next scheduled round if it is time, or end the active round if its end time has passed
+ * Rounds without an end time later than their start time will not be ended automatically
+ * @param {Object} params.io Socket io
+ */
+function runRoundSchedule({ io }) {
+  const now = new Date();
+  const logError = ({ error }) => {
+    if (error) {
+      winston.warn('Failed to run lantern round schedule', error);
+    }
+  };
+
+  dbLanternHack.getLanternRound({
+    callback: ({ error, data: round }) => {
+      if (error) {
+        logError({ error });
+
+        return;
+      }
+
+      const startTime = new Date(round.startTime);
+      const endTime = new Date(round.endTime);
+
+      if (round.isActive) {
+        if (endTime > startTime && endTime <= now) {
+          endRound({ io, callback: logError });
+        }
+
+        return;
+      }
+
+      dbLanternHack.claimDueScheduledLanternRound({
+        time: now,
+        callback: ({ error: claimError, data: claimData }) => {
+          if (claimError || !claimData.round) {
+            logError({ error: claimError });
+
+            return;
+          }
+
+          dbLanternHack.updateLanternRound({
+            isActive: true,
+            startTime: claimData.round.startTime,
+            endTime: claimData.round.endTime,
+            callback: ({ error: updateError, data: updatedRound }) => {
+              if (updateError) {
+                logError({ error: updateError });
+
+                return;
+              }
+
+              announceRound({ io, round: updatedRound });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Start interval that starts and ends scheduled rounds. The schedule is stored in the database and will continue after a restart
+ * @param {Object} params.io Socket io
+ */
+function startRoundScheduler({ io }) {
+  runRoundSchedule({ io });
+  setInterval(runRoundSchedule, appConfig.lanternRoundInterval, { io });
+}
 
 /**
  * Get lantern round
@@ -56,7 +267,8 @@ function getLanternRound({ token, callback }) {
 
 /**
  * Start lantern round
- * @param {number} params.roundId ID of the round to start
+ * @param {Object} params.io socket io
+ * @param {Date} [params.endTime] The round will end automatically at this time
  * @param {string} params.token jwt
  * @param {Function} params.callback Callback
  */
@@ -80,27 +292,12 @@ function startLanternRound({ io, endTime, token, callback }) {
             return;
           }
 
-
           const dataToSend = {
             timeLeft: textTools.getDifference({ laterDate: startLanternData.endTime, firstDate: new Date() }),
             round: startLanternData,
           };
 
-          io.emit('lanternRound', { data: dataToSend });
-
-          messenger.sendBroadcastMsg({
-            io,
-            token,
-            message: {
-              text: [
-                'LANTERN ACTIVITY DETECTED',
-                'LANTERN ONLINE',
-              ],
-              intro: ['ATTENTION! SIGNAL DETECTED', '----------'],
-              extro: ['----------', 'END OF MESSAGE'],
-            },
-            callback: () => {},
-          });
+          announceRound({ io, round: startLanternData });
 
           callback({ data: dataToSend });
         },
@@ -112,6 +309,7 @@ function startLanternRound({ io, endTime, token, callback }) {
 /**
  * End lantern round
  * @param {Object} params.io socket io
+ * @param {Date} [params.startTime] Start time of the next round. Defaults to the start time of the next scheduled round
  * @param {string} params.token jwt
  * @param {Function} params.callback Callback
  */
@@ -126,39 +324,10 @@ function endLanternRound({ startTime, io, token, callback }) {
         return;
       }
 
-      dbLanternHack.endLanternRound({
+      endRound({
+        io,
         startTime,
-        callback: ({ error: roundError, data }) => {
-          if (roundError) {
-            callback({ error: roundError });
-
-            return;
-          }
-
-          const dataToSend = {
-            timeLeft: textTools.getDifference({ laterDate: data.startTime, firstDate: new Date() }),
-            round: data,
-          };
-
-          io.emit('lanternRound', { data: dataToSend });
-
-          callback({ data });
-
-          lanternStationManager.resetStations({ callback: () => {} });
-          messenger.sendBroadcastMsg({
-            io,
-            token,
-            message: {
-              text: [
-                'DISCONNECTING',
-                'LANTERN OFFLINE',
-              ],
-              intro: ['ATTENTION! SIGNAL LOST', '----------'],
-              extro: ['----------', 'END OF MESSAGE'],
-            },
-            callback: () => {},
-          });
-        },
+        callback,
       });
     },
   });
@@ -192,7 +361,6 @@ function updateLanternRound({ io, token, startTime, endTime, isActive, callback
             return;
           }
 
-
           dbLanternHack.updateLanternRound({
             startTime,
             endTime,
@@ -204,53 +372,133 @@ function updateLanternRound({ io, token, startTime, endTime, isActive, callback
                 return;
               }
 
+              callback({ data });
+
+              if (data.isActive !== currentData.isActive) {
+                announceRound({ io, round: data });
+
+                return;
+              }
+
               const next = data.isActive ? data.endTime : data.startTime;
 
-              const dataToSend = {
-                timeLeft: textTools.getDifference({ laterDate: next, firstDate: new Date() }),
-                round: data,
-              };
+              io.emit('lanternRound', {
+                data: {
+                  timeLeft: textTools.getDifference({ laterDate: next, firstDate: new Date() }),
+                  round: data,
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
 
-              io.emit('lanternRound', { data: dataToSend });
+/**
+ * Get scheduled rounds that haven't ended
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getScheduledLanternRounds({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetLanternRound.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
 
-              callback({ data });
+        return;
+      }
 
-              if (!isActive) {
-                lanternStationManager.resetStations({ callback: () => {} });
-              }
+      dbLanternHack.getScheduledLanternRounds({ callback });
+    },
+  });
+}
 
-              if (isActive !== currentData.isActive) {
-                if (isActive) {
-                  messenger.sendBroadcastMsg({
-                    io,
-                    token,
-                    message: {
-                      text: [
-                        'LANTERN ACTIVITY DETECTED',
-                        'LANTERN ONLINE',
-                      ],
-                      intro: ['ATTENTION! SIGNAL DETECTED', '----------'],
-                      extro: ['----------', 'END OF MESSAGE'],
-                    },
-                    callback: () => {},
-                  });
-                } else {
-                  messenger.sendBroadcastMsg({
-                    io,
-                    token,
-                    message: {
-                      text: [
-                        'DISCONNECTING',
-                        'LANTERN OFFLINE',
-                      ],
-                      intro: ['ATTENTION! SIGNAL LOST', '----------'],
-                      extro: ['----------', 'END OF MESSAGE'],
-                    },
-                    callback: () => {},
-                  });
-                }
-              }
-            },
+/**
+ * Add a round to the schedule. It will start and end automatically
+ * @param {Object} params.round New round
+ * @param {Date} params.round.startTime Time when the round will start
+ * @param {Date} params.round.endTime Time when the round will end
+ * @param {Object} params.io Socket io
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function createScheduledLanternRound({ round, io, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateLanternRound.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const startTime = new Date(round.startTime);
+      const endTime = new Date(round.endTime);
+
+      if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || endTime <= startTime || endTime <= new Date()) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'startTime < endTime and endTime in the future' }) });
+
+        return;
+      }
+
+      dbLanternHack.createScheduledLanternRound({
+        round: {
+          startTime,
+          endTime,
+          creator: data.user.userName,
+        },
+        callback: ({ error: createError, data: createData }) => {
+          if (createError) {
+            callback({ error: createError });
+
+            return;
+          }
+
+          showNextRound({
+            io,
+            callback: () => callback({ data: createData }),
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Remove a round that hasn't started from the schedule
+ * @param {string} params.roundId Id of the scheduled round
+ * @param {Object} params.io Socket io
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function removeScheduledLanternRound({ roundId, io, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateLanternRound.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbLanternHack.removeScheduledLanternRound({
+        roundId,
+        callback: ({ error: removeError, data }) => {
+          if (removeError) {
+            callback({ error: removeError });
+
+            return;
+          }
+
+          showNextRound({
+            io,
+            callback: () => callback({ data }),
           });
         },
       });
@@ -262,3 +510,7 @@ exports.startLanternRound = startLanternRound;
 exports.endLanternRound = endLanternRound;
 exports.getLanternRound = getLanternRound;
 exports.updateLanternRound = updateLanternRound;
+exports.getScheduledLanternRounds = getScheduledLanternRounds;
+exports.createScheduledLanternRound = createScheduledLanternRound;
+exports.removeScheduledLanternRound = removeScheduledLanternRound;
+exports.startRoundScheduler = startRoundScheduler;
@@ -20,6 +20,63 @@ const dbConfig = require('../config/defaults/config').databasePopulation;
 const authenticator = require('../helpers/authenticator');
 const dbLanternHack = require('../db/connectors/lanternhack');
 const appConfig = require('../config/defaults/config').app;
+const hackingApi = require('../helpers/hackingApi');
+const errorCreator = require('../objects/error/errorCreator');
+const gameUserManager = require('../utils/gameUserManager');
+
+/**
+ * Difficulty settings that are numbers
+ */
+const difficultyNumbers = ['decoyUsers', 'fakePasswordAmount', 'triesAmount', 'timeLimit'];
+
+/**
+ * Create difficulty settings for a station. Settings that are not set will use the settings of the tier
+ * @param {Object} params.difficulty Difficulty settings
+ * @returns {Object|null} Difficulty settings. null if they are invalid
+ */
+function createDifficulty({ difficulty }) {
+  const tier = difficulty.tier || appConfig.defaultLanternHackDifficulty;
+  const hintTypes = Object.keys(gameUserManager.HintTypes).map(key => gameUserManager.HintTypes[key]);
+
+  if (!appConfig.lanternHackDifficulties[tier]) {
+    return null;
+  } else if (difficultyNumbers.some(key => difficulty[key] !== undefined && !(typeof difficulty[key] === 'number' && difficulty[key] >= 0))) {
+    return null;
+  } else if (difficulty.triesAmount === 0) {
+    return null;
+  } else if (difficulty.hintTypes !== undefined && (!Array.isArray(difficulty.hintTypes) || difficulty.hintTypes.some(hintType => hintTypes.indexOf(hintType) === -1))) {
+    return null;
+  }
+
+  const newDifficulty = { tier };
+
+  difficultyNumbers.forEach((key) => {
+    if (typeof difficulty[key] === 'number') { newDifficulty[key] = difficulty[key]; }
+  });
+
+  if (difficulty.hintTypes) { newDifficulty.hintTypes = difficulty.hintTypes; }
+
+  return newDifficulty;
+}
+
+/**
+ * Get the difficulty settings for lantern hacks on a station. Settings set on the station override the settings of its tier
+ * @param {Object} [params.station] Lantern station
+ * @returns {Object} Difficulty settings
+ */
+function getStationDifficulty({ station = {} }) {
+  const stationDifficulty = station.difficulty || {};
+  const tier = appConfig.lanternHackDifficulties[stationDifficulty.tier] ? stationDifficulty.tier : appConfig.defaultLanternHackDifficulty;
+  const difficulty = Object.assign({ tier }, appConfig.lanternHackDifficulties[tier]);
+
+  difficultyNumbers.forEach((key) => {
+    if (typeof stationDifficulty[key] === 'number') { difficulty[key] = stationDifficulty[key]; }
+  });
+
+  if (stationDifficulty.hintTypes && stationDifficulty.hintTypes.length > 0) { difficulty.hintTypes = stationDifficulty.hintTypes; }
+
+  return difficulty;
+}
 
 /**
  * Get lantern stations
@@ -117,7 +174,16 @@ function createLanternStation({ io, station, token, callback }) {
         return;
       }
 
+      const difficulty = station.difficulty ? createDifficulty({ difficulty: station.difficulty }) : undefined;
+
+      if (difficulty === null) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'valid difficulty' }) });
+
+        return;
+      }
+
       const newStation = station;
+      newStation.difficulty = difficulty;
       newStation.calibrationReward = typeof newStation.calibrationReward === 'number'
       && newStation.calibrationReward >= appConfig.calibrationRewardMinimum
       && newStation.calibrationReward <= appConfig.calibrationRewardMax
@@ -160,6 +226,13 @@ function updateLanternStation({ io, station, stationId, token, callback }) {
       }
 
       const { isUnderAttack, isActive, stationName, owner, calibrationReward, resetOwner } = station;
+      const difficulty = station.difficulty ? createDifficulty({ difficulty: station.difficulty }) : undefined;
+
+      if (difficulty === null) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'valid difficulty' }) });
+
+        return;
+      }
 
       dbLanternHack.updateLanternStation({
         resetOwner,
@@ -169,6 +242,7 @@ function updateLanternStation({ io, station, stationId, token, callback }) {
         stationName,
         owner,
         calibrationReward: typeof calibrationReward === 'number' && calibrationReward >= appConfig.calibrationRewardMinimum && calibrationReward <= appConfig.calibrationRewardMax ? calibrationReward : undefined,
+        difficulty,
         callback: ({ error: updateError, data: updateData }) => {
           if (updateError) {
             callback({ error: updateError });
@@ -220,9 +294,42 @@ function deleteLanternStation({ token, stationId, callback }) {
   });
 }
 
+/**
+ * Get status of the hacking API backend. The simulator backend sends the boosts and missions it has stored for each station
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getHackingApiStatus({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetHackingApiStatus.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      hackingApi.getStatus({
+        callback: ({ error: statusError, data }) => {
+          if (statusError) {
+            callback({ error: statusError });
+
+            return;
+          }
+
+          callback({ data: { status: data } });
+        },
+      });
+    },
+  });
+}
+
 exports.getLanternStations = getLanternStations;
+exports.getHackingApiStatus = getHackingApiStatus;
 exports.createLanternStation = createLanternStation;
 exports.updateLanternStation = updateLanternStation;
 exports.getLanternStation = getLanternStation;
 exports.resetStations = resetStations;
 exports.deleteLanternStation = deleteLanternStation;
+exports.getStationDifficulty = getStationDifficulty;
@@ -21,6 +21,237 @@ const authenticator = require('../helpers/authenticator');
 const dbLanternHack = require('../db/connectors/lanternhack');
 const objectValidator = require('../utils/objectValidator');
 const errorCreator = require('../objects/error/errorCreator');
+const appConfig = require('../config/defaults/config').app;
+const winston = require('winston');
+
+/**
+ * Does the station give points to its owner? Stations have to be active, owned by a team and have a signal value above the signal threshold
+ * @param {Object} station Station
+ * @returns {boolean} Does the station give points?
+ */
+function isScoringStation(station) {
+  return station.isActive && typeof station.owner === 'number' && station.signalValue > appConfig.signalThreshold;
+}
+
+/**
+ * Get the start time of the round that scores should be retrieved from.
+ * Defaults to the active round or, if no round is active, the latest round that has scores
+ * @param {Date} [params.roundStartTime] Start time of the round
+ * @param {Function} params.callback Callback
+ */
+function getScoreRoundStartTime({ roundStartTime, callback }) {
+  if (roundStartTime) {
+    const startTime = new Date(roundStartTime);
+
+    if (isNaN(startTime.getTime())) {
+      callback({ error: new errorCreator.InvalidData({ expected: 'roundStartTime is a date' }) });
+
+      return;
+    }
+
+    callback({ data: { roundStartTime: startTime } });
+
+    return;
+  }
+
+  dbLanternHack.getLanternRound({
+    callback: ({ error, data: round }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (round.isActive) {
+        callback({ data: { roundStartTime: round.startTime } });
+
+        return;
+      }
+
+      dbLanternHack.getScoredRoundStartTimes({
+        callback: ({ error: startTimesError, data: startTimesData }) => {
+          if (startTimesError) {
+            callback({ error: startTimesError });
+
+            return;
+          }
+
+          callback({ data: { roundStartTime: startTimesData.startTimes[0] } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Create leaderboard. Teams are sorted by total points. Points from the active or latest round and the amount of stations that currently give points are added to each team
+ * @param {Function} params.callback Callback
+ */
+function createLeaderboard({ callback }) {
+  getScoreRoundStartTime({
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { roundStartTime } = data;
+
+      dbLanternHack.getLanternScores({
+        roundStartTime,
+        callback: ({ error: scoreError, data: scoreData }) => {
+          if (scoreError) {
+            callback({ error: scoreError });
+
+            return;
+          }
+
+          dbLanternHack.getTeams({
+            callback: ({ error: teamError, data: teamData }) => {
+              if (teamError) {
+                callback({ error: teamError });
+
+                return;
+              }
+
+              dbLanternHack.getActiveStations({
+                callback: ({ error: stationError, data: stationData }) => {
+                  if (stationError) {
+                    callback({ error: stationError });
+
+                    return;
+                  }
+
+                  const scoringStations = stationData.stations.filter(isScoringStation);
+                  const teams = teamData.teams.map(team => ({
+                    teamId: team.teamId,
+                    teamName: team.teamName,
+                    shortName: team.shortName,
+                    isActive: team.isActive,
+                    points: team.points,
+                    roundPoints: scoreData.scores.filter(score => score.teamId === team.teamId).reduce((total, score) => total + score.points, 0),
+                    scoringStations: scoringStations.filter(station => station.owner === team.teamId).length,
+                  })).sort((a, b) => (b.points - a.points) || (b.roundPoints - a.roundPoints));
+
+                  teams.forEach((team, index) => {
+                    const leaderboardTeam = team;
+                    const previousTeam = teams[index - 1];
+
+                    leaderboardTeam.rank = previousTeam && previousTeam.points === team.points ? previousTeam.rank : index + 1;
+                  });
+
+                  callback({
+                    data: {
+                      leaderboard: {
+                        roundStartTime,
+                        teams,
+                      },
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Award points to teams for each station they own that gives points. Does nothing if no round is active.
+ * Updated teams and the leaderboard are sent to all clients
+ * @param {Object} params.io Socket io
+ */
+function awardPoints({ io }) {
+  dbLanternHack.getLanternRound({
+    callback: ({ error, data: round }) => {
+      if (error || !round.isActive) {
+        return;
+      }
+
+      dbLanternHack.getActiveStations({
+        callback: ({ error: stationError, data: stationData }) => {
+          if (stationError) {
+            return;
+          }
+
+          const teamStations = {};
+          const updatedTeams = [];
+
+          stationData.stations.filter(isScoringStation).forEach((station) => {
+            teamStations[station.owner] = (teamStations[station.owner] || []).concat([station.stationId]);
+          });
+
+          const teamIds = Object.keys(teamStations).map(teamId => Number(teamId));
+
+          /**
+           * Award points to the team at the index and continue with the next team. The leaderboard is sent when all teams have been awarded
+           * @param {number} index Index of the team id
+           */
+          const awardTeam = (index) => {
+            if (index >= teamIds.length) {
+              if (updatedTeams.length === 0) {
+                return;
+              }
+
+              createLeaderboard({
+                callback: ({ error: leaderboardError, data: leaderboardData }) => {
+                  if (leaderboardError) {
+                    return;
+                  }
+
+                  io.emit('lanternTeams', { data: { teams: updatedTeams, leaderboard: leaderboardData.leaderboard } });
+                },
+              });
+
+              return;
+            }
+
+            const teamId = teamIds[index];
+            const stations = teamStations[teamId];
+            const points = stations.length * appConfig.lanternStationPoints;
+
+            dbLanternHack.addLanternTeamPoints({
+              teamId,
+              points,
+              callback: ({ error: teamError, data: teamData }) => {
+                if (teamError) {
+                  winston.warn(`Failed to award points to lantern team ${teamId}`);
+                  awardTeam(index + 1);
+
+                  return;
+                }
+
+                updatedTeams.push(teamData.team);
+
+                dbLanternHack.createLanternScore({
+                  score: {
+                    teamId,
+                    points,
+                    stations,
+                    roundStartTime: round.startTime,
+                    totalPoints: teamData.team.points,
+                  },
+                  callback: () => awardTeam(index + 1),
+                });
+              },
+            });
+          };
+
+          awardTeam(0);
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Start interval that awards points to teams for the stations they own
+ * @param {Object} params.io Socket io
+ */
+function startScoreInterval({ io }) {
+  setInterval(awardPoints, appConfig.lanternScoreInterval, { io });
+}
 
 /**
  * Get lantern teams
@@ -162,7 +393,91 @@ function updateLanternTeam({ teamId, io, team, token, callback }) {
   });
 }
 
+/**
+ * Get leaderboard with teams sorted by points
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getLanternLeaderboard({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetLanternTeam.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      createLeaderboard({ callback });
+    },
+  });
+}
+
+/**
+ * Get points awarded to teams during a round
+ * @param {string} params.token jwt
+ * @param {Date} [params.roundStartTime] Start time of the round. Defaults to the active round or, if no round is active, the latest round that has scores
+ * @param {Function} params.callback Callback
+ */
+function getLanternScores({ token, roundStartTime, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetLanternTeam.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      getScoreRoundStartTime({
+        roundStartTime,
+        callback: ({ error: startTimeError, data: startTimeData }) => {
+          if (startTimeError) {
+            callback({ error: startTimeError });
+
+            return;
+          }
+
+          dbLanternHack.getScoredRoundStartTimes({
+            callback: ({ error: startTimesError, data: startTimesData }) => {
+              if (startTimesError) {
+                callback({ error: startTimesError });
+
+                return;
+              }
+
+              dbLanternHack.getLanternScores({
+                roundStartTime: startTimeData.roundStartTime,
+                callback: ({ error: scoreError, data: scoreData }) => {
+                  if (scoreError) {
+                    callback({ error: scoreError });
+
+                    return;
+                  }
+
+                  callback({
+                    data: {
+                      roundStartTime: startTimeData.roundStartTime,
+                      roundStartTimes: startTimesData.startTimes,
+                      scores: scoreData.scores,
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
 exports.deleteLanternTeam = deleteLanternTeam;
+exports.getLanternLeaderboard = getLanternLeaderboard;
+exports.getLanternScores = getLanternScores;
+exports.startScoreInterval = startScoreInterval;
 exports.getLanternTeams = getLanternTeams;
 exports.createLanternTeam = createLanternTeam;
 exports.updateLanternTeam = updateLanternTeam;
@@ -0,0 +1,540 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const dbMission = require('../db/connectors/mission');
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const errorCreator = require('../objects/error/errorCreator');
+const objectValidator = require('../utils/objectValidator');
+const authenticator = require('../helpers/authenticator');
+const transactionManager = require('./transactions');
+
+/**
+ * Is the user the owner of the mission or a member of the team that owns it?
+ * @param {Object} params.user User
+ * @param {Object} params.mission Mission
+ * @returns {boolean} Is the user the owner?
+ */
+function isMissionOwner({ user, mission }) {
+  return mission.owner === user.userName || (typeof user.team === 'string' && mission.owner === user.team + appConfig.teamAppend);
+}
+
+/**
+ * Send the mission to its owner, agent and applicants
+ * @param {Object} params.mission Mission
+ * @param {Object} params.io Socket io
+ */
+function emitMission({ mission, io }) {
+  const ownerRoom = mission.owner.indexOf(appConfig.teamAppend) > -1 ? mission.owner : mission.owner + appConfig.whisperAppend;
+  const rooms = [ownerRoom].concat(mission.applicants.map(applicant => applicant + appConfig.whisperAppend));
+
+  if (mission.agent && mission.applicants.indexOf(mission.agent) === -1) {
+    rooms.push(mission.agent + appConfig.whisperAppend);
+  }
+
+  rooms.forEach(room => io.to(room).emit('mission', { data: { mission } }));
+}
+
+/**
+ * Get a mission that the user owns
+ * @param {string} params.missionId Id of the mission
+ * @param {Object} params.user User
+ * @param {Function} params.callback Callback
+ */
+function getOwnedMission({ missionId, user, callback }) {
+  dbMission.getMission({
+    missionId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!isMissionOwner({ user, mission: data.mission })) {
+        callback({ error: new errorCreator.NotAllowed({ name: `update mission ${missionId}` }) });
+
+        return;
+      }
+
+      callback({ data });
+    },
+  });
+}
+
+/**
+ * Create a mission. The credit reward is withdrawn from the creator's or their team's wallet and held until the mission is completed or cancelled
+ * @param {Object} params.mission New mission
+ * @param {string} params.mission.title Title of the mission
+ * @param {string} [params.mission.description] Description of the mission
+ * @param {string} [params.mission.requirement] What the agent has to do to complete the mission
+ * @param {number} [params.mission.rewardAmount] Credits paid to the agent when the mission is completed
+ * @param {string} [params.mission.rewardCurrency] Currency of the reward. Defaults to the default currency
+ * @param {boolean} [params.mission.applicationRequired] Do agents have to be approved by the creator? Agents are assigned directly when they apply if false
+ * @param {number} [params.mission.visibility] Minimum access level required to see the mission
+ * @param {number} [params.mission.accessLevel] Minimum access level required to apply for the mission
+ * @param {boolean} [params.fromTeam] Is the mission posted by the user's team? The reward will be paid from the team's wallet
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function createMission({ mission, fromTeam, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateMission.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ mission }, { mission: { title: true } })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ mission: { title } }' }) });
+
+        return;
+      } else if (mission.rewardAmount && !(mission.rewardAmount > 0)) {
+        callback({ error: new errorCreator.Insufficient({ name: 'reward is 0 or less' }) });
+
+        return;
+      } else if (fromTeam && !data.user.team) {
+        callback({ error: new errorCreator.DoesNotExist({ name: 'not part of team' }) });
+
+        return;
+      }
+
+      const { user } = data;
+      const newMission = {
+        title: mission.title,
+        description: mission.description,
+        requirement: mission.requirement,
+        applicationRequired: mission.applicationRequired === true,
+        creator: user.userName,
+        owner: fromTeam ? user.team + appConfig.teamAppend : user.userName,
+        rewardAmount: mission.rewardAmount ? Math.abs(mission.rewardAmount) : 0,
+        rewardCurrency: mission.rewardCurrency || appConfig.defaultCurrency,
+        rewardType: 'credits',
+        visibility: typeof mission.visibility === 'number' ? mission.visibility : dbConfig.AccessLevels.BASIC,
+        accessLevel: typeof mission.accessLevel === 'number' ? mission.accessLevel : dbConfig.AccessLevels.BASIC,
+      };
+
+      dbMission.createMission({
+        mission: newMission,
+        callback: ({ error: missionError, data: missionData }) => {
+          if (missionError) {
+            callback({ error: missionError });
+
+            return;
+          }
+
+          const createdMission = missionData.mission;
+          const missionId = createdMission._id.toString(); // eslint-disable-line no-underscore-dangle
+
+          if (createdMission.rewardAmount === 0) {
+            emitMission({ io, mission: createdMission });
+
+            callback({ data: { mission: createdMission } });
+
+            return;
+          }
+
+          transactionManager.createRewardTransaction({
+            user,
+            fromTeam,
+            missionId,
+            io,
+            amount: createdMission.rewardAmount,
+            currency: createdMission.rewardCurrency,
+            callback: ({ error: rewardError, data: rewardData }) => {
+              if (rewardError) {
+                dbMission.removeMission({
+                  missionId,
+                  callback: () => { callback({ error: rewardError }); },
+                });
+
+                return;
+              }
+
+              dbMission.updateMissionTransaction({
+                missionId,
+                transactionId: rewardData.transaction._id.toString(), // eslint-disable-line no-underscore-dangle
+                callback: ({ error: updateError, data: updateData }) => {
+                  if (updateError) {
+                    callback({ error: updateError });
+
+                    return;
+                  }
+
+                  emitMission({ io, mission: updateData.mission });
+
+                  callback({ data: { mission: updateData.mission, wallet: rewardData.wallet } });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get open and assigned missions that the user can see, and missions that the user or their team has created or is assigned to
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getMissions({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetMissions.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+      const owners = [user.userName];
+
+      if (user.team) {
+        owners.push(user.team + appConfig.teamAppend);
+      }
+
+      dbMission.getMissions({
+        user,
+        owners,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Apply for a mission. The user is assigned as agent directly if the mission doesn't require applications to be approved
+ * @param {string} params.missionId Id of the mission
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function applyForMission({ missionId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.ApplyForMission.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+
+      dbMission.getMission({
+        missionId,
+        callback: ({ error: missionError, data: missionData }) => {
+          if (missionError) {
+            callback({ error: missionError });
+
+            return;
+          }
+
+          const { mission } = missionData;
+
+          if (mission.visibility > user.accessLevel) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `mission ${missionId}` }) });
+
+            return;
+          } else if (mission.accessLevel > user.accessLevel || isMissionOwner({ user, mission })) {
+            callback({ error: new errorCreator.NotAllowed({ name: `apply for mission ${missionId}` }) });
+
+            return;
+          } else if (mission.state !== dbMission.MissionStates.OPEN) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `open mission ${missionId}` }) });
+
+            return;
+          }
+
+          const updateCallback = ({ error: updateError, data: updateData }) => {
+            if (updateError) {
+              callback({ error: updateError });
+
+              return;
+            }
+
+            emitMission({ io, mission: updateData.mission });
+
+            callback({ data: { mission: updateData.mission } });
+          };
+
+          if (mission.applicationRequired) {
+            dbMission.addMissionApplicant({
+              missionId,
+              userName: user.userName,
+              callback: updateCallback,
+            });
+
+            return;
+          }
+
+          dbMission.assignMissionAgent({
+            missionId,
+            agent: user.userName,
+            callback: updateCallback,
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Assign one of the applicants of a mission as its agent. Only the owner of the mission can assign agents
+ * @param {string} params.missionId Id of the mission
+ * @param {string} params.agent Name of the user to assign
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function assignMissionAgent({ missionId, agent, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateMission.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!agent) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ agent }' }) });
+
+        return;
+      }
+
+      getOwnedMission({
+        missionId,
+        user: data.user,
+        callback: ({ error: missionError, data: missionData }) => {
+          if (missionError) {
+            callback({ error: missionError });
+
+            return;
+          } else if (missionData.mission.applicants.indexOf(agent) === -1) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `applicant ${agent}` }) });
+
+            return;
+          }
+
+          dbMission.assignMissionAgent({
+            missionId,
+            agent,
+            callback: ({ error: updateError, data: updateData }) => {
+              if (updateError) {
+                callback({ error: updateError });
+
+                return;
+              }
+
+              emitMission({ io, mission: updateData.mission });
+
+              callback({ data: { mission: updateData.mission } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Approve the completion of a mission. The reward is paid to the agent. Only the owner of the mission can complete it
+ * @param {string} params.missionId Id of the mission
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function completeMission({ missionId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateMission.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      getOwnedMission({
+        missionId,
+        user: data.user,
+        callback: ({ error: missionError, data: missionData }) => {
+          if (missionError) {
+            callback({ error: missionError });
+
+            return;
+          }
+
+          const { mission } = missionData;
+
+          if (mission.state !== dbMission.MissionStates.ASSIGNED) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `assigned mission ${missionId}` }) });
+
+            return;
+          }
+
+          const updateState = () => {
+            dbMission.updateMissionState({
+              missionId,
+              fromStates: [dbMission.MissionStates.ASSIGNED],
+              toState: dbMission.MissionStates.COMPLETED,
+              callback: ({ error: updateError, data: updateData }) => {
+                if (updateError) {
+                  callback({ error: updateError });
+
+                  return;
+                }
+
+                emitMission({ io, mission: updateData.mission });
+
+                callback({ data: { mission: updateData.mission } });
+              },
+            });
+          };
+
+          if (!mission.transactionId) {
+            updateState();
+
+            return;
+          }
+
+          transactionManager.updateRewardReceiver({
+            transactionId: mission.transactionId,
+            to: mission.agent,
+            callback: ({ error: receiverError }) => {
+              if (receiverError) {
+                callback({ error: receiverError });
+
+                return;
+              }
+
+              transactionManager.finishRewardTransaction({
+                io,
+                transactionId: mission.transactionId,
+                shouldRefund: false,
+                callback: ({ error: rewardError }) => {
+                  if (rewardError) {
+                    callback({ error: rewardError });
+
+                    return;
+                  }
+
+                  updateState();
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Cancel a mission that hasn't been completed. The reward is returned to the owner. Only the owner of the mission can cancel it
+ * @param {string} params.missionId Id of the mission
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function cancelMission({ missionId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateMission.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      getOwnedMission({
+        missionId,
+        user: data.user,
+        callback: ({ error: missionError, data: missionData }) => {
+          if (missionError) {
+            callback({ error: missionError });
+
+            return;
+          }
+
+          const { mission } = missionData;
+          const activeStates = [dbMission.MissionStates.OPEN, dbMission.MissionStates.ASSIGNED];
+
+          if (activeStates.indexOf(mission.state) === -1) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `active mission ${missionId}` }) });
+
+            return;
+          }
+
+          const updateState = () => {
+            dbMission.updateMissionState({
+              missionId,
+              fromStates: activeStates,
+              toState: dbMission.MissionStates.CANCELLED,
+              callback: ({ error: updateError, data: updateData }) => {
+                if (updateError) {
+                  callback({ error: updateError });
+
+                  return;
+                }
+
+                emitMission({ io, mission: updateData.mission });
+
+                callback({ data: { mission: updateData.mission } });
+              },
+            });
+          };
+
+          if (!mission.transactionId) {
+            updateState();
+
+            return;
+          }
+
+          transactionManager.finishRewardTransaction({
+            io,
+            transactionId: mission.transactionId,
+            shouldRefund: true,
+            callback: ({ error: rewardError }) => {
+              if (rewardError) {
+                callback({ error: rewardError });
+
+                return;
+              }
+
+              updateState();
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+exports.createMission = createMission;
+exports.getMissions = getMissions;
+exports.applyForMission = applyForMission;
+exports.assignMissionAgent = assignMissionAgent;
+exports.completeMission = completeMission;
+exports.cancelMission = cancelMission;
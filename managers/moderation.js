@@ -0,0 +1,737 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const dbUser = require('../db/connectors/user');
+const dbRoom = require('../db/connectors/room');
+const dbChatHistory = require('../db/connectors/chatHistory');
+const dbModerationLog = require('../db/connectors/moderationLog');
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const errorCreator = require('../objects/error/errorCreator');
+const textTools = require('../utils/textTools');
+const objectValidator = require('../utils/objectValidator');
+const authenticator = require('../helpers/authenticator');
+const roomManager = require('./rooms');
+
+/**
+ * Is the user allowed to moderate the room? Owners and admins of the room can moderate it, as can users with access to ModerateAllRooms
+ * @param {Object} params.user User
+ * @param {Object} params.room Room
+ * @returns {boolean} Is the user allowed to moderate the room?
+ */
+function isRoomModerator({ user, room }) {
+  return room.owner === user.userName
+    || (room.admins || []).indexOf(user.userName) > -1
+    || user.accessLevel >= dbConfig.apiCommands.ModerateAllRooms.accessLevel;
+}
+
+/**
+ * Emit to everyone in a room
+ * @param {string} params.roomName Name of the room
+ * @param {string} params.event Event to emit
+ * @param {Object} params.data Data to emit
+ * @param {Object} [params.socket] Socket.io socket. The sender will not receive the emit
+ * @param {Object} params.io Socket.io. Used if socket isn't set
+ */
+function emitToRoom({ roomName, event, data, socket, io }) {
+  if (socket) {
+    socket.broadcast.to(roomName).emit(event, { data });
+  } else {
+    io.to(roomName).emit(event, { data });
+  }
+}
+
+/**
+ * Authenticate the user as a moderator of the room
+ * @param {string} params.token jwt
+ * @param {string} params.roomName Name of the room
+ * @param {Function} params.callback Callback
+ */
+function authModerator({ token, roomName, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.ModerateRoom.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ roomName }, { roomName: true })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ roomName }' }) });
+
+        return;
+      }
+
+      const user = data.user;
+
+      dbRoom.getRoom({
+        roomName: roomName.toLowerCase(),
+        callback: ({ error: roomError, data: roomData }) => {
+          if (roomError) {
+            callback({ error: roomError });
+
+            return;
+          } else if (!isRoomModerator({ user, room: roomData.room })) {
+            callback({ error: new errorCreator.NotAllowed({ name: `moderate room ${roomName}` }) });
+
+            return;
+          }
+
+          callback({ data: { user, room: roomData.room } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get a message that is stored in the room's history
+ * @param {string} params.roomName Name of the room
+ * @param {string} params.messageId Id of the message
+ * @param {Function} params.callback Callback
+ */
+function getRoomMessage({ roomName, messageId, callback }) {
+  dbChatHistory.getMessage({
+    messageId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (data.message.historyName !== roomName) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `message ${messageId} in ${roomName}` }) });
+
+        return;
+      }
+
+      callback({ data });
+    },
+  });
+}
+
+/**
+ * Store an action in the moderation log
+ * @param {Object} params.entry Log entry
+ * @param {Object} params.result Data to send to the callback after the entry has been stored
+ * @param {Function} params.callback Callback
+ */
+function logAction({ entry, result, callback }) {
+  dbModerationLog.createModerationEntry({
+    entry,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: Object.assign({ entry: data.entry }, result) });
+    },
+  });
+}
+
+/**
+ * Make a user stop following a room and remove the room from the user's socket
+ * Users that are not following the room are left as they are
+ * @param {Object} params.user User to remove
+ * @param {Object} params.room Room to remove the user from
+ * @param {boolean} [params.isBanned] Was the user banned from the room?
+ * @param {Object} params.io Socket.io
+ * @param {Function} params.callback Callback
+ */
+function removeUserFromRoom({ user, room, isBanned, io, callback }) {
+  const { roomName } = room;
+
+  if (user.rooms.indexOf(roomName) === -1) {
+    callback({ data: { isFollowing: false } });
+
+    return;
+  }
+
+  dbUser.removeRoomFromUser({
+    roomName,
+    userName: user.userName,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const userSocket = io.sockets.connected[user.socketId];
+      const dataToEmit = {
+        room: { roomName },
+        userName: user.userName,
+        isFollowing: false,
+      };
+
+      if (userSocket) {
+        userSocket.leave(roomName);
+      }
+
+      io.to(roomName).emit('roomFollower', { data: dataToEmit });
+      io.to(user.userName + appConfig.whisperAppend).emit('unfollow', { data: Object.assign({ isKicked: true, isBanned: isBanned === true }, dataToEmit) });
+
+      callback({ data: { isFollowing: false } });
+    },
+  });
+}
+
+/**
+ * Get a user that is going to be kicked or banned from a room. The owner of the room and rooms that are required for the user can't be moderated
+ * @param {string} params.userName Name of the user
+ * @param {Object} params.room Room
+ * @param {Function} params.callback Callback
+ */
+function getUserToModerate({ userName, room, callback }) {
+  if (!userName) {
+    callback({ error: new errorCreator.InvalidData({ expected: '{ userName }' }) });
+
+    return;
+  } else if (userName === room.owner) {
+    callback({ error: new errorCreator.NotAllowed({ name: `moderate owner of ${room.roomName}` }) });
+
+    return;
+  }
+
+  dbUser.getUser({
+    userName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (roomManager.isRequiredRoom({ roomName: room.roomName, socketId: data.user.socketId, user: data.user })) {
+        callback({ error: new errorCreator.NotAllowed({ name: `remove ${userName} from required room ${room.roomName}` }) });
+
+        return;
+      }
+
+      callback({ data });
+    },
+  });
+}
+
+/**
+ * Edit the text of a message. Only the sender can edit the message and only within appConfig.messageEditWindow after it was sent
+ * @param {string} params.token jwt
+ * @param {string} params.messageId Id of the message
+ * @param {string[]} params.text New text
+ * @param {string} [params.roomName] Name of the room that the message has to be in
+ * @param {Object} [params.socket] Socket.io socket
+ * @param {Object} params.io Socket.io. Used if socket isn't set
+ * @param {Function} params.callback Callback
+ */
+function editMessage({ token, messageId, text, roomName: sentRoomName, socket, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.EditMessage.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ messageId, text }, { messageId: true, text: true }) || !Array.isArray(text)) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ messageId, text: [] }' }) });
+
+        return;
+      } else if (text.join('').length > appConfig.messageMaxLength) {
+        callback({ error: new errorCreator.InvalidCharacters({ expected: `text length ${appConfig.messageMaxLength}` }) });
+
+        return;
+      }
+
+      const user = data.user;
+
+      dbChatHistory.getMessage({
+        messageId,
+        callback: ({ error: messageError, data: messageData }) => {
+          if (messageError) {
+            callback({ error: messageError });
+
+            return;
+          }
+
+          const message = messageData.message;
+
+          if (sentRoomName && message.historyName !== sentRoomName.toLowerCase()) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `message ${messageId} in ${sentRoomName}` }) });
+
+            return;
+          } else if (message.userName !== user.userName && user.aliases.indexOf(message.userName) === -1) {
+            callback({ error: new errorCreator.NotAllowed({ name: 'edit message sent by another user' }) });
+
+            return;
+          } else if (new Date() - new Date(message.time) > appConfig.messageEditWindow) {
+            callback({ error: new errorCreator.NotAllowed({ name: 'edit message after edit window' }) });
+
+            return;
+          }
+
+          dbChatHistory.updateMessageText({
+            messageId,
+            text: textTools.cleanText(text),
+            callback: ({ error: updateError, data: updateData }) => {
+              if (updateError) {
+                callback({ error: updateError });
+
+                return;
+              }
+
+              const updatedMessage = updateData.message;
+              const roomName = updatedMessage.historyName;
+
+              emitToRoom({
+                socket,
+                io,
+                roomName,
+                event: 'chatMsgUpdate',
+                data: {
+                  roomName,
+                  message: {
+                    _id: updatedMessage._id, // eslint-disable-line no-underscore-dangle
+                    text: updatedMessage.text,
+                    editedAt: updatedMessage.editedAt,
+                  },
+                },
+              });
+
+              logAction({
+                callback,
+                entry: {
+                  roomName,
+                  messageId,
+                  action: dbModerationLog.ModerationActions.EDITMESSAGE,
+                  moderator: user.userName,
+                  userName: message.userName,
+                  text: message.text,
+                },
+                result: { message: updatedMessage },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Remove a message from a room's history. Removed messages can't be restored
+ * @param {string} params.token jwt
+ * @param {string} params.roomName Name of the room
+ * @param {string} params.messageId Id of the message
+ * @param {string} [params.reason] Reason for removing the message
+ * @param {Object} [params.socket] Socket.io socket
+ * @param {Object} params.io Socket.io. Used if socket isn't set
+ * @param {Function} params.callback Callback
+ */
+function removeMessage({ token, roomName, messageId, reason, socket, io, callback }) {
+  authModerator({
+    token,
+    roomName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user, room } = data;
+
+      getRoomMessage({
+        messageId,
+        roomName: room.roomName,
+        callback: ({ error: messageError, data: messageData }) => {
+          if (messageError) {
+            callback({ error: messageError });
+
+            return;
+          }
+
+          const message = messageData.message;
+
+          dbChatHistory.removeMessage({
+            messageId,
+            callback: ({ error: removeError }) => {
+              if (removeError) {
+                callback({ error: removeError });
+
+                return;
+              }
+
+              emitToRoom({
+                socket,
+                io,
+                roomName: room.roomName,
+                event: 'chatMsgRemove',
+                data: { messageId, roomName: room.roomName },
+              });
+
+              logAction({
+                callback,
+                entry: {
+                  messageId,
+                  reason,
+                  roomName: room.roomName,
+                  action: dbModerationLog.ModerationActions.REMOVEMESSAGE,
+                  moderator: user.userName,
+                  userName: message.userName,
+                  text: message.text,
+                },
+                result: { messageId },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Hide or show a message in a room's history. Hidden messages are removed from connected clients and are not retrieved with the history
+ * @param {string} params.token jwt
+ * @param {string} params.roomName Name of the room
+ * @param {string} params.messageId Id of the message
+ * @param {boolean} params.isHidden Should the message be hidden?
+ * @param {string} [params.reason] Reason for hiding the message
+ * @param {Object} [params.socket] Socket.io socket
+ * @param {Object} params.io Socket.io. Used if socket isn't set
+ * @param {Function} params.callback Callback
+ */
+function hideMessage({ token, roomName, messageId, isHidden, reason, socket, io, callback }) {
+  authModerator({
+    token,
+    roomName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (typeof isHidden !== 'boolean') {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ isHidden: boolean }' }) });
+
+        return;
+      }
+
+      const { user, room } = data;
+
+      getRoomMessage({
+        messageId,
+        roomName: room.roomName,
+        callback: ({ error: messageError }) => {
+          if (messageError) {
+            callback({ error: messageError });
+
+            return;
+          }
+
+          dbChatHistory.updateMessageVisibility({
+            messageId,
+            isHidden,
+            callback: ({ error: updateError, data: updateData }) => {
+              if (updateError) {
+                callback({ error: updateError });
+
+                return;
+              }
+
+              const message = updateData.message;
+
+              if (isHidden) {
+                emitToRoom({
+                  socket,
+                  io,
+                  roomName: room.roomName,
+                  event: 'chatMsgRemove',
+                  data: { messageId, roomName: room.roomName },
+                });
+              } else {
+                const messageToSend = Object.assign({}, message);
+
+                if (room.anonymous) {
+                  messageToSend.userName = dbConfig.anonymousUserName;
+                }
+
+                emitToRoom({
+                  socket,
+                  io,
+                  roomName: room.roomName,
+                  event: 'chatMsg',
+                  data: {
+                    message: messageToSend,
+                    roomName: room.roomName,
+                    timeZoneOffset: new Date().getTimezoneOffset(),
+                  },
+                });
+              }
+
+              logAction({
+                callback,
+                entry: {
+                  messageId,
+                  reason,
+                  roomName: room.roomName,
+                  action: isHidden ? dbModerationLog.ModerationActions.HIDEMESSAGE : dbModerationLog.ModerationActions.SHOWMESSAGE,
+                  moderator: user.userName,
+                  userName: message.userName,
+                },
+                result: { message },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Kick a user from a room. The user will stop following the room, but can follow it again
+ * @param {string} params.token jwt
+ * @param {string} params.roomName Name of the room
+ * @param {string} params.userName Name of the user to kick
+ * @param {string} [params.reason] Reason for the kick
+ * @param {Object} params.io Socket.io
+ * @param {Function} params.callback Callback
+ */
+function kickUserFromRoom({ token, roomName, userName, reason, io, callback }) {
+  authModerator({
+    token,
+    roomName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user, room } = data;
+
+      getUserToModerate({
+        userName,
+        room,
+        callback: ({ error: userError, data: userData }) => {
+          if (userError) {
+            callback({ error: userError });
+
+            return;
+          } else if (userData.user.rooms.indexOf(room.roomName) === -1) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `${userName} following ${room.roomName}` }) });
+
+            return;
+          }
+
+          removeUserFromRoom({
+            io,
+            room,
+            user: userData.user,
+            callback: ({ error: removeError }) => {
+              if (removeError) {
+                callback({ error: removeError });
+
+                return;
+              }
+
+              logAction({
+                callback,
+                entry: {
+                  userName,
+                  reason,
+                  roomName: room.roomName,
+                  action: dbModerationLog.ModerationActions.KICK,
+                  moderator: user.userName,
+                },
+                result: { userName, roomName: room.roomName },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Ban a user from a room. The user will stop following the room and will not be able to follow it again until unbanned
+ * @param {string} params.token jwt
+ * @param {string} params.roomName Name of the room
+ * @param {string} params.userName Name of the user to ban
+ * @param {string} [params.reason] Reason for the ban
+ * @param {Object} params.io Socket.io
+ * @param {Function} params.callback Callback
+ */
+function banUserFromRoom({ token, roomName, userName, reason, io, callback }) {
+  authModerator({
+    token,
+    roomName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user, room } = data;
+
+      getUserToModerate({
+        userName,
+        room,
+        callback: ({ error: userError, data: userData }) => {
+          if (userError) {
+            callback({ error: userError });
+
+            return;
+          }
+
+          dbRoom.banUserFromRoom({
+            userName,
+            roomName: room.roomName,
+            callback: ({ error: banError }) => {
+              if (banError) {
+                callback({ error: banError });
+
+                return;
+              }
+
+              removeUserFromRoom({
+                io,
+                room,
+                user: userData.user,
+                isBanned: true,
+                callback: ({ error: removeError }) => {
+                  if (removeError) {
+                    callback({ error: removeError });
+
+                    return;
+                  }
+
+                  logAction({
+                    callback,
+                    entry: {
+                      userName,
+                      reason,
+                      roomName: room.roomName,
+                      action: dbModerationLog.ModerationActions.BAN,
+                      moderator: user.userName,
+                    },
+                    result: { userName, roomName: room.roomName },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Unban a user from a room
+ * @param {string} params.token jwt
+ * @param {string} params.roomName Name of the room
+ * @param {string} params.userName Name of the user to unban
+ * @param {string} [params.reason] Reason for the unban
+ * @param {Function} params.callback Callback
+ */
+function unbanUserFromRoom({ token, roomName, userName, reason, callback }) {
+  authModerator({
+    token,
+    roomName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!userName) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ userName }' }) });
+
+        return;
+      }
+
+      const { user, room } = data;
+
+      if ((room.bannedUsers || []).indexOf(userName) === -1) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `ban ${userName} in ${room.roomName}` }) });
+
+        return;
+      }
+
+      dbRoom.unbanUserFromRoom({
+        userName,
+        roomName: room.roomName,
+        callback: ({ error: unbanError }) => {
+          if (unbanError) {
+            callback({ error: unbanError });
+
+            return;
+          }
+
+          logAction({
+            callback,
+            entry: {
+              userName,
+              reason,
+              roomName: room.roomName,
+              action: dbModerationLog.ModerationActions.UNBAN,
+              moderator: user.userName,
+            },
+            result: { userName, roomName: room.roomName },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get the moderation log for a room, newest first
+ * @param {string} params.token jwt
+ * @param {string} params.roomName Name of the room
+ * @param {string} [params.userName] Only retrieve entries affecting this user
+ * @param {Function} params.callback Callback
+ */
+function getModerationLog({ token, roomName, userName, callback }) {
+  authModerator({
+    token,
+    roomName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbModerationLog.getModerationLog({
+        userName,
+        callback,
+        roomName: data.room.roomName,
+      });
+    },
+  });
+}
+
+exports.editMessage = editMessage;
+exports.removeMessage = removeMessage;
+exports.hideMessage = hideMessage;
+exports.kickUserFromRoom = kickUserFromRoom;
+exports.banUserFromRoom = banUserFromRoom;
+exports.unbanUserFromRoom = unbanUserFromRoom;
+exports.getModerationLog = getModerationLog;
@@ -0,0 +1,643 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const appConfig = require('../config/defaults/config').app;
+const authenticator = require('../helpers/authenticator');
+const dbNodeHack = require('../db/connectors/nodeHack');
+const dbLanternHack = require('../db/connectors/lanternhack');
+const dbDocFile = require('../db/connectors/docFile');
+const dbPosition = require('../db/connectors/position');
+const errorCreator = require('../objects/error/errorCreator');
+const objectValidator = require('../utils/objectValidator');
+const textTools = require('../utils/textTools');
+const transactionManager = require('./transactions');
+
+/**
+ * Types of nodes in a node hack. entry = starting point, firewall = password without a user name or hint,
+ * password = password of a game user with a hint, core = password of a game user that unlocks the reward when cracked
+ */
+const NodeTypes = {
+  ENTRY: 'entry',
+  FIREWALL: 'firewall',
+  PASSWORD: 'password',
+  CORE: 'core',
+};
+
+/**
+ * Create the lock on a node from a game user's password
+ * @param {Object} params.gameUser Game user
+ * @param {string[]} params.fakePasswords Fake passwords to mix with the correct one
+ * @returns {Object} Password, hint and passwords to choose from
+ */
+function createLock({ gameUser, fakePasswords }) {
+  const password = gameUser.passwords[Math.floor(Math.random() * gameUser.passwords.length)];
+  const hintIndex = Math.floor(Math.random() * password.length);
+  const wrongPasswords = textTools.shuffleArray(fakePasswords.filter(fakePassword => fakePassword !== password)).slice(0, appConfig.nodeHackPasswordAmount - 1);
+
+  return {
+    password,
+    userName: gameUser.userName,
+    passwordHint: { index: hintIndex, character: password.charAt(hintIndex) },
+    passwords: textTools.shuffleArray(wrongPasswords.concat([password])),
+  };
+}
+
+/**
+ * Create a graph of nodes. Every node is linked to at least one earlier node, so that the core can always be reached from the entry
+ * @param {Object[]} params.gameUsers Game users whose passwords lock the nodes
+ * @param {string[]} params.fakePasswords Fake passwords
+ * @param {number} params.nodeAmount Amount of nodes, including the entry and core
+ * @param {number} params.firewallAmount Amount of firewall nodes
+ * @returns {Object[]} Nodes
+ */
+function createNodes({ gameUsers, fakePasswords, nodeAmount, firewallAmount }) {
+  const middleIds = [];
+
+  for (let nodeId = 1; nodeId < nodeAmount - 1; nodeId += 1) {
+    middleIds.push(nodeId);
+  }
+
+  const firewallIds = textTools.shuffleArray(middleIds).slice(0, firewallAmount);
+  const shuffledUsers = textTools.shuffleArray(gameUsers.slice());
+  const nodes = [];
+
+  for (let nodeId = 0; nodeId < nodeAmount; nodeId += 1) {
+    const node = { nodeId, links: [], isCracked: nodeId === 0 };
+
+    if (nodeId === 0) {
+      node.nodeType = NodeTypes.ENTRY;
+    } else if (nodeId === nodeAmount - 1) {
+      node.nodeType = NodeTypes.CORE;
+    } else {
+      node.nodeType = firewallIds.indexOf(nodeId) > -1 ? NodeTypes.FIREWALL : NodeTypes.PASSWORD;
+    }
+
+    if (nodeId > 0) {
+      // The core is never linked directly to the entry, unless there are no other nodes
+      const firstLinkId = node.nodeType === NodeTypes.CORE && nodeId > 1 ? 1 : 0;
+      const linkId = firstLinkId + Math.floor(Math.random() * (nodeId - firstLinkId));
+
+      node.links.push(linkId);
+      nodes[linkId].links.push(nodeId);
+      Object.assign(node, createLock({ fakePasswords, gameUser: shuffledUsers[(nodeId - 1) % shuffledUsers.length] }));
+    }
+
+    nodes.push(node);
+  }
+
+  return nodes;
+}
+
+/**
+ * Can the node be attacked? Nodes that are linked to a cracked node can be attacked
+ * @param {Object} params.nodeHack Node hack
+ * @param {Object} params.node Node
+ * @returns {boolean} Can the node be attacked?
+ */
+function isReachable({ nodeHack, node }) {
+  const crackedIds = nodeHack.nodes.filter(hackNode => hackNode.isCracked).map(hackNode => hackNode.nodeId);
+
+  return !node.isCracked && node.links.some(linkId => crackedIds.indexOf(linkId) > -1);
+}
+
+/**
+ * Create client hack data. Passwords and nodes that can't be reached are not sent
+ * @param {Object} params.nodeHack Node hack
+ * @returns {Object} Client hack data
+ */
+function createClientData({ nodeHack }) {
+  return {
+    targetName: nodeHack.targetName,
+    triesLeft: nodeHack.triesLeft,
+    deadline: nodeHack.deadline,
+    nodes: nodeHack.nodes.map((node) => {
+      const clientNode = {
+        nodeId: node.nodeId,
+        nodeType: node.nodeType,
+        links: node.links,
+        isCracked: node.isCracked,
+        isReachable: isReachable({ nodeHack, node }),
+      };
+
+      if (node.nodeType === NodeTypes.PASSWORD || node.nodeType === NodeTypes.CORE) {
+        clientNode.userName = node.userName;
+        clientNode.passwordHint = node.passwordHint;
+      }
+
+      if (clientNode.isReachable) {
+        clientNode.passwords = node.passwords;
+      }
+
+      return clientNode;
+    }),
+  };
+}
+
+/**
+ * Give the reward of a target to a user. Credits can only be claimed once per user and target
+ * @param {Object} params.target Hacked target
+ * @param {Object} params.user User that hacked the target
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function giveReward({ target, user, io, callback }) {
+  if (target.rewardType === dbNodeHack.RewardTypes.DOCFILE) {
+    dbDocFile.addAccessUser({
+      docFileId: target.docFileId,
+      userName: user.userName,
+      callback,
+    });
+
+    return;
+  } else if (target.rewardType === dbNodeHack.RewardTypes.POSITION) {
+    dbPosition.getUserPosition({
+      userName: target.userName,
+      callback,
+    });
+
+    return;
+  }
+
+  dbNodeHack.claimReward({
+    targetName: target.targetName,
+    userName: user.userName,
+    callback: ({ error: claimError }) => {
+      if (claimError) {
+        callback({ error: claimError });
+
+        return;
+      }
+
+      transactionManager.createSystemTransaction({
+        io,
+        transaction: {
+          to: user.userName,
+          from: dbConfig.systemUserName,
+          amount: target.rewardAmount,
+          note: `HACK OF ${target.targetName}`,
+        },
+        callback: ({ error, data }) => {
+          if (error) {
+            dbNodeHack.unclaimReward({
+              targetName: target.targetName,
+              userName: user.userName,
+              callback: () => { callback({ error }); },
+            });
+
+            return;
+          }
+
+          callback({ data: { transaction: data.transaction, wallet: data.toWallet } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Remove a node hack that has failed
+ * @param {Object} params.nodeHack Node hack
+ * @param {Object} params.failData Data sent to the user
+ * @param {Function} params.callback Callback
+ */
+function failNodeHack({ nodeHack, failData, callback }) {
+  dbNodeHack.removeNodeHack({
+    owner: nodeHack.owner,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      callback({ data: Object.assign({ success: false, triesLeft: nodeHack.triesLeft }, failData) });
+    },
+  });
+}
+
+/**
+ * Has the time to finish the node hack run out?
+ * @param {Object} params.nodeHack Node hack
+ * @returns {boolean} Has the time run out?
+ */
+function hasTimedOut({ nodeHack }) {
+  return new Date(nodeHack.deadline).getTime() < new Date().getTime();
+}
+
+/**
+ * Get active node hack targets
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getNodeHackTargets({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.HackNode.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbNodeHack.getActiveTargets({ callback });
+    },
+  });
+}
+
+/**
+ * Create node hack target
+ * @param {Object} params.target Target to create
+ * @param {string} params.target.targetName Name of the target
+ * @param {string} params.target.rewardType Type of reward. docFile, credits or position
+ * @param {number} [params.target.rewardAmount] Amount of credits. Required if the reward type is credits
+ * @param {string} [params.target.docFileId] Id of the document that will be unlocked. Required if the reward type is docFile
+ * @param {string} [params.target.userName] User name of the user whose position will be revealed. Required if the reward type is position
+ * @param {number} [params.target.nodeAmount] Amount of nodes, including the entry and core
+ * @param {number} [params.target.firewallAmount] Amount of firewall nodes
+ * @param {number} [params.target.triesAmount] Amount of failed guesses before the hack fails
+ * @param {number} [params.target.timeLimit] Amount of milliseconds before the hack fails
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function createNodeHackTarget({ target, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateNodeHackTarget.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ target }, { target: { targetName: true, rewardType: true } })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ target: { targetName, rewardType } }' }) });
+
+        return;
+      } else if (target.rewardType === dbNodeHack.RewardTypes.CREDITS && !(target.rewardAmount > 0)) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'rewardAmount > 0' }) });
+
+        return;
+      } else if (target.rewardType === dbNodeHack.RewardTypes.DOCFILE && !target.docFileId) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'docFileId' }) });
+
+        return;
+      } else if (target.rewardType === dbNodeHack.RewardTypes.POSITION && !target.userName) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'userName' }) });
+
+        return;
+      } else if (Object.keys(dbNodeHack.RewardTypes).map(key => dbNodeHack.RewardTypes[key]).indexOf(target.rewardType) === -1) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'rewardType docFile, credits or position' }) });
+
+        return;
+      } else if (target.nodeAmount !== undefined && !(target.nodeAmount >= 2)) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'nodeAmount >= 2' }) });
+
+        return;
+      }
+
+      const newTarget = {
+        targetName: target.targetName,
+        rewardType: target.rewardType,
+        rewardAmount: target.rewardAmount,
+        docFileId: target.docFileId,
+        userName: target.userName,
+        nodeAmount: target.nodeAmount,
+        firewallAmount: target.firewallAmount,
+        triesAmount: target.triesAmount,
+        timeLimit: target.timeLimit,
+        isActive: target.isActive !== false,
+      };
+
+      dbNodeHack.createTarget({
+        target: newTarget,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Start a node hack on a target. Replaces the user's previous node hack
+ * @param {string} params.targetName Name of the target
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function createNodeHack({ targetName, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.HackNode.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbNodeHack.getTarget({
+        targetName,
+        callback: ({ error: targetError, data: targetData }) => {
+          if (targetError) {
+            callback({ error: targetError });
+
+            return;
+          } else if (!targetData.target.isActive) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `active node hack target ${targetName}` }) });
+
+            return;
+          }
+
+          const { target } = targetData;
+
+          if (target.rewardType === dbNodeHack.RewardTypes.CREDITS && target.claimedBy && target.claimedBy.indexOf(data.user.userName) > -1) {
+            callback({ error: new errorCreator.AlreadyExists({ name: `claimed reward of node hack target ${targetName}` }) });
+
+            return;
+          }
+
+          dbLanternHack.getGameUsers({
+            callback: ({ error: usersError, data: usersData }) => {
+              if (usersError) {
+                callback({ error: usersError });
+
+                return;
+              }
+
+              const gameUsers = usersData.gameUsers.filter(gameUser => gameUser.passwords && gameUser.passwords.length > 0);
+
+              if (gameUsers.length === 0) {
+                callback({ error: new errorCreator.DoesNotExist({ name: 'game users' }) });
+
+                return;
+              }
+
+              dbLanternHack.getAllFakePasswords({
+                callback: ({ error: passwordError, data: passwordData }) => {
+                  if (passwordError) {
+                    callback({ error: passwordError });
+
+                    return;
+                  }
+
+                  const nodes = createNodes({
+                    gameUsers,
+                    fakePasswords: passwordData.passwords,
+                    nodeAmount: target.nodeAmount || appConfig.nodeHackNodeAmount,
+                    firewallAmount: typeof target.firewallAmount === 'number' ? target.firewallAmount : appConfig.nodeHackFirewallAmount,
+                  });
+                  const nodeHack = {
+                    nodes,
+                    targetName,
+                    owner: data.user.userName,
+                    triesLeft: target.triesAmount || appConfig.nodeHackTriesAmount,
+                    deadline: new Date(new Date().getTime() + (target.timeLimit || appConfig.nodeHackTimeLimit)),
+                  };
+
+                  dbNodeHack.updateNodeHack({
+                    nodeHack,
+                    callback: ({ error: hackError, data: hackData }) => {
+                      if (hackError) {
+                        callback({ error: hackError });
+
+                        return;
+                      }
+
+                      callback({ data: { nodeHack: createClientData({ nodeHack: hackData.nodeHack }) } });
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get the user's node hack
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getNodeHack({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.HackNode.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbNodeHack.getNodeHack({
+        owner: data.user.userName,
+        callback: ({ error: hackError, data: hackData }) => {
+          if (hackError) {
+            callback({ error: hackError });
+
+            return;
+          }
+
+          const { nodeHack } = hackData;
+
+          if (hasTimedOut({ nodeHack })) {
+            failNodeHack({
+              nodeHack,
+              failData: {},
+              callback: ({ error: failError }) => {
+                if (failError) {
+                  callback({ error: failError });
+
+                  return;
+                }
+
+                callback({ error: new errorCreator.DoesNotExist({ name: `node hack for owner ${nodeHack.owner}` }) });
+              },
+            });
+
+            return;
+          }
+
+          callback({ data: { nodeHack: createClientData({ nodeHack }) } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Guess the password of a node in the user's node hack. A wrong guess lowers the amount of tries.
+ * Cracking the core node finishes the hack and unlocks the reward of the target
+ * @param {number} params.nodeId Id of the node
+ * @param {string} params.password Password guess
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function crackNode({ nodeId, password, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.HackNode.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ nodeId, password }, { nodeId: true, password: true })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ nodeId, password }' }) });
+
+        return;
+      } else if (typeof password !== 'string') {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ password: string }' }) });
+
+        return;
+      }
+
+      const { user } = data;
+
+      dbNodeHack.getNodeHack({
+        owner: user.userName,
+        callback: ({ error: hackError, data: hackData }) => {
+          if (hackError) {
+            callback({ error: hackError });
+
+            return;
+          }
+
+          const { nodeHack } = hackData;
+          const node = nodeHack.nodes.find(hackNode => hackNode.nodeId === Number(nodeId));
+
+          if (hasTimedOut({ nodeHack })) {
+            failNodeHack({ nodeHack, callback, failData: { timedOut: true } });
+
+            return;
+          } else if (!node || !isReachable({ nodeHack, node })) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `reachable node ${nodeId}` }) });
+
+            return;
+          }
+
+          if (node.password === password.toLowerCase()) {
+            dbNodeHack.crackNode({
+              owner: user.userName,
+              nodeId: node.nodeId,
+              callback: ({ error: crackError, data: crackData }) => {
+                if (crackError) {
+                  callback({ error: crackError });
+
+                  return;
+                } else if (node.nodeType !== NodeTypes.CORE) {
+                  callback({ data: { success: true, nodeHack: createClientData({ nodeHack: crackData.nodeHack }) } });
+
+                  return;
+                }
+
+                dbNodeHack.getTarget({
+                  targetName: nodeHack.targetName,
+                  callback: ({ error: targetError, data: targetData }) => {
+                    if (targetError) {
+                      callback({ error: targetError });
+
+                      return;
+                    }
+
+                    giveReward({
+                      io,
+                      user,
+                      target: targetData.target,
+                      callback: ({ error: rewardError, data: rewardData }) => {
+                        if (rewardError) {
+                          callback({ error: rewardError });
+
+                          return;
+                        }
+
+                        dbNodeHack.removeNodeHack({
+                          owner: user.userName,
+                          callback: ({ error: removeError }) => {
+                            if (removeError) {
+                              callback({ error: removeError });
+
+                              return;
+                            }
+
+                            callback({
+                              data: {
+                                success: true,
+                                isCompleted: true,
+                                reward: Object.assign({ rewardType: targetData.target.rewardType }, rewardData),
+                              },
+                            });
+                          },
+                        });
+                      },
+                    });
+                  },
+                });
+              },
+            });
+
+            return;
+          }
+
+          dbNodeHack.lowerNodeHackTries({
+            owner: user.userName,
+            callback: ({ error: lowerError, data: lowerData }) => {
+              if (lowerError) {
+                callback({ error: lowerError });
+
+                return;
+              }
+
+              const { nodeHack: loweredHack } = lowerData;
+
+              if (loweredHack.triesLeft <= 0) {
+                failNodeHack({ nodeHack: loweredHack, callback, failData: {} });
+
+                return;
+              }
+
+              const failData = {
+                success: false,
+                triesLeft: loweredHack.triesLeft,
+                nodeHack: createClientData({ nodeHack: loweredHack }),
+              };
+
+              if (node.nodeType === NodeTypes.FIREWALL) {
+                const sentPassword = Array.from(password.toLowerCase());
+
+                failData.matches = { amount: sentPassword.filter((char, index) => node.password.charAt(index) === char).length };
+              }
+
+              callback({ data: failData });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+exports.getNodeHackTargets = getNodeHackTargets;
+exports.createNodeHackTarget = createNodeHackTarget;
+exports.createNodeHack = createNodeHack;
+exports.getNodeHack = getNodeHack;
+exports.crackNode = crackNode;
+exports.NodeTypes = NodeTypes;
@@ -16,14 +16,82 @@
 
 'use strict';
 
+const winston = require('winston');
 const dbUser = require('../db/connectors/user');
 const dbConfig = require('../config/defaults/config').databasePopulation;
 const authenticator = require('../helpers/authenticator');
 const objectValidator = require('../utils/objectValidator');
+const accessChecker = require('../utils/accessChecker');
 const errorCreator = require('../objects/error/errorCreator');
 const appConfig = require('../config/defaults/config').app;
 const dbPosition = require('../db/connectors/position');
 const mapCreator = require('../utils/mapCreator');
+const zoneManager = require('./zones');
+const textTools = require('../utils/textTools');
+const groupManager = require('./groups');
+
+/**
+ * Replays that are running, by socket ID
+ */
+const positionReplays = {};
+
+/**
+ * Add position to the position history of the user or device. Positions are only stored if position history is enabled
+ * and enough time has passed since the last stored position
+ * @param {Object} params.position Position
+ * @param {Function} params.callback Callback
+ */
+function addToPositionHistory({ position, callback }) {
+  if (!appConfig.positionHistory) {
+    callback({ data: { isStored: false } });
+
+    return;
+  }
+
+  dbPosition.getLatestPositionHistory({
+    owner: position.owner,
+    deviceId: position.deviceId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (data.positionHistory && new Date() - new Date(data.positionHistory.time) < Number(appConfig.positionHistoryInterval)) {
+        callback({ data: { isStored: false } });
+
+        return;
+      }
+
+      dbPosition.createPositionHistory({
+        positionHistory: {
+          owner: position.owner,
+          deviceId: position.deviceId,
+          team: position.team,
+          coordinates: position.coordinates,
+          accessGroups: position.accessGroups,
+        },
+        callback: ({ error: createError }) => {
+          if (createError) {
+            callback({ error: createError });
+
+            return;
+          }
+
+          callback({ data: { isStored: true } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Is the user a member of one of the groups that can retrieve recent position history?
+ * @param {Object} params.user User
+ * @returns {boolean} Is the user a member?
+ */
+function isInPositionHistoryGroups({ user }) {
+  return (user.authGroups || []).some(group => appConfig.positionHistoryGroups.indexOf(group) > -1);
+}
 
 /**
  * Get position from all users
@@ -158,7 +226,23 @@ function updateUserPosition({ position, token, socket, io, callback }) {
                 io.to(dbConfig.rooms.public.roomName).emit('mapPositions', { data: dataToSend });
               }
 
-              callback({ data: { position: positionData.position } });
+              addToPositionHistory({
+                position: positionData.position,
+                callback: ({ error: historyError }) => {
+                  if (historyError) {
+                    winston.warn('Failed to add position to position history', historyError);
+                  }
+                },
+              });
+              zoneManager.checkZones({
+                token,
+                io,
+                userName: user.userName,
+                coordinates: positionData.position.coordinates,
+                callback: () => {
+                  callback({ data: { position: positionData.position } });
+                },
+              });
             },
           });
         },
@@ -196,6 +280,10 @@ function updatePosition({ position, token, socket, io, callback }) {
       } else if (position.coordinates.accuracy > appConfig.minimumPositionAccuracy) {
         callback({ error: new errorCreator.InvalidData({ name: 'accuracy' }) });
 
+        return;
+      } else if (!accessChecker.canUseGroups({ accessGroups: position.accessGroups, user: data.user })) {
+        callback({ error: new errorCreator.NotAllowed({ name: 'access groups' }) });
+
         return;
       }
 
@@ -226,7 +314,26 @@ function updatePosition({ position, token, socket, io, callback }) {
             currentTime: new Date(),
           };
 
-          if (updatedPosition.team && !updatedPosition.isPublic) {
+          if (updatedPosition.deviceId) {
+            addToPositionHistory({
+              position: updatedPosition,
+              callback: ({ error: historyError }) => {
+                if (historyError) {
+                  winston.warn('Failed to add position to position history', historyError);
+                }
+              },
+            });
+          }
+
+          if (updatedPosition.accessGroups && updatedPosition.accessGroups.length > 0) {
+            groupManager.emitToGroupMembers({
+              socket,
+              io,
+              accessGroups: updatedPosition.accessGroups,
+              event: 'mapPositions',
+              data: dataToSend,
+            });
+          } else if (updatedPosition.team && !updatedPosition.isPublic) {
             const roomName = `${updatedPosition}${appConfig.teamAppend}`;
 
             if (socket) {
@@ -343,7 +450,7 @@ function getPositions({ types, token, callback }) {
           default: {
             callback({
               data: {
-                positions,
+                positions: positions.filter(position => accessChecker.isInAccessGroups({ objectToAccess: position, user })),
                 team: user.team,
                 currentTime: (new Date()),
               },
@@ -372,9 +479,239 @@ function getAllPositions({ token, callback }) {
   });
 }
 
+/**
+ * Get positions from the position history of a user, device or team within a time window.
+ * Admins can retrieve the whole history. Members of the position history groups can only retrieve recent positions
+ * and positions that are not restricted to groups that they are not members of.
+ * isTruncated is set if there were more positions than the limit. The rest can be retrieved with the time of the last position as startTime
+ * @param {string} [params.userName] Name of the user
+ * @param {string} [params.deviceId] Device ID
+ * @param {string} [params.teamName] Name of the team
+ * @param {string|number} [params.startTime] Positions before this time will be excluded
+ * @param {string|number} [params.endTime] Positions after this time will be excluded
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getPositionHistory({ userName, deviceId, teamName, startTime, endTime, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetPositionHistory.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if ([userName, deviceId, teamName].filter(value => value).length !== 1) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ userName || deviceId || teamName }' }) });
+
+        return;
+      } else if ((startTime && !textTools.convertToDate(startTime)) || (endTime && !textTools.convertToDate(endTime))) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ startTime: Date, endTime: Date }' }) });
+
+        return;
+      }
+
+      const user = data.user;
+      const isAdmin = user.accessLevel >= dbConfig.AccessLevels.LOWERADMIN;
+
+      if (!isAdmin && !isInPositionHistoryGroups({ user })) {
+        callback({ error: new errorCreator.NotAllowed({ name: 'position history' }) });
+
+        return;
+      }
+
+      const earliestTime = isAdmin ? null : new Date(Date.now() - Number(appConfig.positionHistoryRecentPeriod));
+      let start = textTools.convertToDate(startTime);
+
+      if (earliestTime && (!start || start < earliestTime)) {
+        start = earliestTime;
+      }
+
+      dbPosition.getPositionHistory({
+        deviceId,
+        user: isAdmin ? undefined : user,
+        owner: userName,
+        team: teamName,
+        startTime: start,
+        endTime: textTools.convertToDate(endTime),
+        limit: Number(appConfig.maxPositionHistoryPoints),
+        callback: ({ error: historyError, data: historyData }) => {
+          if (historyError) {
+            callback({ error: historyError });
+
+            return;
+          }
+
+          callback({ data: historyData });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get tracks from the position history of a user, device or team within a time window. There is one track per user or device.
+ * Tracks are sent as a GeoJSON FeatureCollection. Each track is a LineString, or a Point if it only has one position
+ * @param {string} [params.userName] Name of the user
+ * @param {string} [params.deviceId] Device ID
+ * @param {string} [params.teamName] Name of the team
+ * @param {string|number} [params.startTime] Positions before this time will be excluded
+ * @param {string|number} [params.endTime] Positions after this time will be excluded
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getPositionTrack({ userName, deviceId, teamName, startTime, endTime, token, callback }) {
+  getPositionHistory({
+    userName,
+    deviceId,
+    teamName,
+    startTime,
+    endTime,
+    token,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const tracks = {};
+
+      data.positions.forEach((position) => {
+        const trackName = deviceId ? position.deviceId : position.owner;
+
+        if (!tracks[trackName]) {
+          tracks[trackName] = {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: [] },
+            properties: { owner: position.owner, deviceId: position.deviceId, team: position.team, times: [] },
+          };
+        }
+
+        tracks[trackName].geometry.coordinates.push([position.coordinates.longitude, position.coordinates.latitude]);
+        tracks[trackName].properties.times.push(position.time);
+      });
+
+      const features = Object.keys(tracks).map((trackName) => {
+        const track = tracks[trackName];
+
+        if (track.geometry.coordinates.length === 1) {
+          track.geometry = { type: 'Point', coordinates: track.geometry.coordinates[0] };
+        }
+
+        return track;
+      });
+
+      callback({ data: { track: { type: 'FeatureCollection', features }, isTruncated: data.isTruncated } });
+    },
+  });
+}
+
+/**
+ * Stop the position replay running on the socket
+ * @param {Object} params.socket Socket io
+ * @param {Function} [params.callback] Callback
+ */
+function stopPositionReplay({ socket, callback = () => {} }) {
+  const replay = positionReplays[socket.id];
+
+  if (!replay) {
+    callback({ data: { isStopped: false } });
+
+    return;
+  }
+
+  clearInterval(replay);
+  delete positionReplays[socket.id];
+
+  callback({ data: { isStopped: true } });
+}
+
+/**
+ * Replay positions from the position history of a user, device or team on the socket.
+ * Positions are emitted in parts with positionReplay, faster than real time, and positionReplayEnded is emitted when all have been sent.
+ * Only one replay can run at a time on a socket. A new replay will stop the running one
+ * @param {string} [params.userName] Name of the user
+ * @param {string} [params.deviceId] Device ID
+ * @param {string} [params.teamName] Name of the team
+ * @param {string|number} [params.startTime] Positions before this time will be excluded
+ * @param {string|number} [params.endTime] Positions after this time will be excluded
+ * @param {number} [params.speed] How many times faster than real time the positions will be replayed
+ * @param {string} params.token jwt
+ * @param {Object} params.socket Socket io
+ * @param {Function} params.callback Callback
+ */
+function replayPositionHistory({ userName, deviceId, teamName, startTime, endTime, speed, token, socket, callback }) {
+  const replaySpeed = Number(speed || appConfig.positionReplaySpeed);
+
+  if (!(replaySpeed >= 1 && replaySpeed <= appConfig.maxPositionReplaySpeed)) {
+    callback({ error: new errorCreator.InvalidData({ expected: `{ speed: 1-${appConfig.maxPositionReplaySpeed} }` }) });
+
+    return;
+  }
+
+  getPositionHistory({
+    userName,
+    deviceId,
+    teamName,
+    startTime,
+    endTime,
+    token,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { positions } = data;
+      const replayStep = Number(appConfig.positionReplayInterval) * replaySpeed;
+      let replayTime = positions.length > 0 ? new Date(positions[0].time).getTime() : 0;
+      let positionIndex = 0;
+
+      stopPositionReplay({ socket });
+
+      if (positions.length > 0) {
+        positionReplays[socket.id] = setInterval(() => {
+          const positionsToSend = [];
+
+          while (positionIndex < positions.length && new Date(positions[positionIndex].time).getTime() <= replayTime) {
+            positionsToSend.push(positions[positionIndex]);
+            positionIndex += 1;
+          }
+
+          if (positionsToSend.length > 0) {
+            socket.emit('positionReplay', { data: { positions: positionsToSend, replayTime: new Date(replayTime) } });
+          }
+
+          if (positionIndex === positions.length) {
+            stopPositionReplay({ socket });
+            socket.emit('positionReplayEnded', { data: { replayTime: new Date(replayTime) } });
+          }
+
+          replayTime += replayStep;
+        }, Number(appConfig.positionReplayInterval));
+      }
+
+      callback({
+        data: {
+          speed: replaySpeed,
+          amount: positions.length,
+          startTime: positions.length > 0 ? positions[0].time : null,
+          endTime: positions.length > 0 ? positions[positions.length - 1].time : null,
+        },
+      });
+    },
+  });
+}
+
 exports.getAllUserPositions = getAllUserPositions;
 exports.getUserPosition = getUserPosition;
 exports.updateUserPosition = updateUserPosition;
 exports.updatePosition = updatePosition;
 exports.getPositions = getPositions;
 exports.getAllPositions = getAllPositions;
+exports.getPositionHistory = getPositionHistory;
+exports.getPositionTrack = getPositionTrack;
+exports.replayPositionHistory = replayPositionHistory;
+exports.stopPositionReplay = stopPositionReplay;
@@ -23,23 +23,12 @@ const dbConfig = require('../config/defaults/config').databasePopulation;
 const errorCreator = require('../objects/error/errorCreator');
 const textTools = require('../utils/textTools');
 const objectValidator = require('../utils/objectValidator');
+const accessChecker = require('../utils/accessChecker');
+const groupManager = require('./groups');
 const authenticator = require('../helpers/authenticator');
 const messenger = require('../helpers/messenger');
 const dbRoom = require('../db/connectors/room');
 
-/*
- * Sort messages based on timestamp
- */
-const messageSort = (a, b) => {
-  if (a.time < b.time) {
-    return -1;
-  } else if (a.time > b.time) {
-    return 1;
-  }
-
-  return 0;
-};
-
 /**
  * Authenticate user to room
  * @param {Object} params.token jwt
@@ -73,21 +62,36 @@ function authUserToRoom({ token, room, callback }) {
         return;
       }
 
-      dbRoom.authUserToRoom({
-        user: data.user,
+      dbRoom.getRoom({
         roomName: lowerRoomName,
-        password: room.password,
-        callback: ({ error: roomError, data: roomData }) => {
-          if (roomError) {
-            callback({ error: roomError });
+        callback: ({ error: getError, data: getData }) => {
+          if (getError && getError.type !== errorCreator.ErrorTypes.DOESNOTEXIST) {
+            callback({ error: getError });
+
+            return;
+          } else if (getData && !accessChecker.isInAccessGroups({ objectToAccess: getData.room, user: data.user })) {
+            callback({ data: { isAllowed: false, isFollowing: false, room: { roomName: lowerRoomName } } });
 
             return;
           }
 
-          const dataToSend = roomData;
-          dataToSend.isFollowing = roomData.isAllowed && data.user.rooms.indexOf(roomData.room.roomName) > -1;
+          dbRoom.authUserToRoom({
+            user: data.user,
+            roomName: lowerRoomName,
+            password: room.password,
+            callback: ({ error: roomError, data: roomData }) => {
+              if (roomError) {
+                callback({ error: roomError });
+
+                return;
+              }
+
+              const dataToSend = roomData;
+              dataToSend.isFollowing = roomData.isAllowed && data.user.rooms.indexOf(roomData.room.roomName) > -1;
 
-          callback({ data: dataToSend });
+              callback({ data: dataToSend });
+            },
+          });
         },
       });
     },
@@ -113,13 +117,18 @@ function isRequiredRoom({ roomName, socketId, user }) {
 }
 
 /**
- * Gets getHistory (messages) from one or more rooms
- * @param {string[]} params.rooms The rooms to retrieve the getHistory from
+ * Gets getHistory (messages) from a room. Retrieves a page of the newest messages, which can be narrowed down by time and search words
+ * @param {string} params.roomName The room to retrieve the history from
  * @param {Object} [params.socket] Socket io
  * @param {boolean} [params.whisperTo] Is it whispers to a user?
+ * @param {number} [params.limit] Amount of messages to retrieve
+ * @param {string} [params.cursor] Cursor returned by the previous page. Older messages will be retrieved
+ * @param {string} [params.before] Only retrieve messages sent before this time
+ * @param {string} [params.after] Only retrieve messages sent after this time
+ * @param {string} [params.search] Only retrieve messages that contain the words
  * @param {Function} params.callback Callback
  */
-function getHistory({ token, callback, socket, roomName, whisperTo }) {
+function getHistory({ token, callback, socket, roomName, whisperTo, limit, cursor, before, after, search }) {
   authenticator.isUserAllowed({
     token,
     commandName: dbConfig.apiCommands.GetHistory.name,
@@ -131,6 +140,14 @@ function getHistory({ token, callback, socket, roomName, whisperTo }) {
       } else if (!objectValidator.isValidData({ roomName }, { roomName: true })) {
         callback({ error: new errorCreator.InvalidData({ expected: '{ roomName }' }) });
 
+        return;
+      } else if ((before && !textTools.convertToDate(before)) || (after && !textTools.convertToDate(after))) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ before: Date, after: Date }' }) });
+
+        return;
+      } else if (limit && Number.isNaN(Number(limit))) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ limit: number }' }) });
+
         return;
       }
 
@@ -153,43 +170,59 @@ function getHistory({ token, callback, socket, roomName, whisperTo }) {
         return;
       }
 
-      dbChatHistory.getHistory({
+      dbRoom.getRoom({
         roomName: roomToGet,
-        callback: ({ error: historyError, data: historyData }) => {
-          if (historyError) {
-            callback({ error: historyError });
+        callback: ({ error: roomError, data: roomData }) => {
+          if (roomError && roomError.type !== errorCreator.ErrorTypes.DOESNOTEXIST) {
+            callback({ error: roomError });
+
+            return;
+          } else if (roomData && !accessChecker.isInAccessGroups({ objectToAccess: roomData.room, user })) {
+            callback({ error: new errorCreator.NotAllowed({ name: `room ${roomToGet}` }) });
 
             return;
           }
 
-          const history = historyData.history;
+          dbChatHistory.getHistory({
+            whisperTo,
+            limit,
+            cursor,
+            search,
+            roomName: roomToGet,
+            before: textTools.convertToDate(before),
+            after: textTools.convertToDate(after),
+            callback: ({ error: historyError, data: historyData }) => {
+              if (historyError) {
+                callback({ error: historyError });
+
+                return;
+              }
 
-          const messages = history.messages.map((message) => {
-            if (history.anonymous) {
-              const anonMessage = message;
+              const history = historyData.history;
 
-              anonMessage.time = new Date();
-              anonMessage.time.setHours(0);
-              anonMessage.time.setMinutes(0);
-              anonMessage.time.setSeconds(0);
-              anonMessage.userName = dbConfig.anonymousUserName;
+              const messages = history.messages.map((message) => {
+                if (history.anonymous) {
+                  const anonMessage = message;
 
-              return anonMessage;
-            }
+                  anonMessage.time = new Date();
+                  anonMessage.time.setHours(0);
+                  anonMessage.time.setMinutes(0);
+                  anonMessage.time.setSeconds(0);
+                  anonMessage.userName = dbConfig.anonymousUserName;
 
-            return message;
-          }).sort(messageSort);
+                  return anonMessage;
+                }
 
-          const historyToSend = history;
-          historyToSend.timeZoneOffset = new Date().getTimezoneOffset();
+                return message;
+              });
 
-          if (whisperTo) {
-            historyToSend.messages = messages.filter(message => message.roomName === `${whisperTo}${appConfig.whisperAppend}` || message.userName === whisperTo);
-          } else {
-            historyToSend.messages = messages;
-          }
+              const historyToSend = history;
+              historyToSend.timeZoneOffset = new Date().getTimezoneOffset();
+              historyToSend.messages = messages;
 
-          callback({ data: { history: historyToSend } });
+              callback({ data: { history: historyToSend } });
+            },
+          });
         },
       });
     },
@@ -261,6 +294,10 @@ function createRoom({ room, token, socket, io, callback }) {
         || room.roomName.toLowerCase().indexOf(appConfig.teamAppend) > -1) {
         callback({ error: new errorCreator.InvalidCharacters({ expected: 'not protected words' }) });
 
+        return;
+      } else if (!accessChecker.canUseGroups({ accessGroups: room.accessGroups, user: data.user })) {
+        callback({ error: new errorCreator.NotAllowed({ name: 'access groups' }) });
+
         return;
       }
 
@@ -296,7 +333,15 @@ function createRoom({ room, token, socket, io, callback }) {
                 isProtected: typeof newRoom.password !== 'undefined' && newRoom.password !== '',
               };
 
-              if (socket) {
+              if (createdRoom.accessGroups.length > 0) {
+                groupManager.emitToGroupMembers({
+                  socket,
+                  io,
+                  accessGroups: createdRoom.accessGroups,
+                  event: 'room',
+                  data: dataToEmit,
+                });
+              } else if (socket) {
                 socket.broadcast.emit('room', { data: dataToEmit });
               } else if (io) {
                 io.emit('room', { data: dataToEmit });
@@ -623,7 +668,7 @@ function getRooms({ token, socket, callback }) {
             return;
           }
 
-          const filteredRooms = roomsData.rooms.map((room) => {
+          const filteredRooms = roomsData.rooms.filter(room => accessChecker.isInAccessGroups({ objectToAccess: room, user })).map((room) => {
             return {
               roomName: room.roomName,
               password: room.password && room.password !== '',
@@ -854,7 +899,7 @@ function getRoom({ token, roomName, callback }) {
             callback({ error: roomError });
 
             return;
-          } else if (data.user.accessLevel < roomData.room.visibility) {
+          } else if (data.user.accessLevel < roomData.room.visibility || !accessChecker.isInAccessGroups({ objectToAccess: roomData.room, user: data.user })) {
             callback({ error: new errorCreator.NotAllowed({ name: `room ${sentRoomName}` }) });
 
             return;
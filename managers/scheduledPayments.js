@@ -0,0 +1,334 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const dbScheduledPayment = require('../db/connectors/scheduledPayment');
+const dbWallet = require('../db/connectors/wallet');
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const errorCreator = require('../objects/error/errorCreator');
+const authenticator = require('../helpers/authenticator');
+const transactionManager = require('./transactions');
+const winston = require('winston');
+
+/**
+ * Create a scheduled payment
+ * @param {string} params.token jwt
+ * @param {Object} params.scheduledPayment New scheduled payment
+ * @param {string} [params.scheduledPayment.from] Owner of the wallet to pay from. Payments without a sender are paid by the system
+ * @param {string} params.scheduledPayment.to Owner of the wallet to pay to
+ * @param {number} params.scheduledPayment.amount Amount to pay each time
+ * @param {string} [params.scheduledPayment.currency] Currency to pay in. Defaults to the default currency
+ * @param {number} params.scheduledPayment.interval Minutes between each payment
+ * @param {Date} [params.scheduledPayment.startTime] Time of the first payment. Defaults to now
+ * @param {Date} [params.scheduledPayment.endTime] No payments will be made after this time
+ * @param {string} [params.scheduledPayment.note] Note added to each transaction
+ * @param {Function} params.callback Callback
+ */
+function createScheduledPayment({ token, scheduledPayment, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateScheduledPayment.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const startTime = scheduledPayment.startTime ? new Date(scheduledPayment.startTime) : new Date();
+      const endTime = scheduledPayment.endTime ? new Date(scheduledPayment.endTime) : undefined;
+      const newScheduledPayment = {
+        startTime,
+        endTime,
+        creator: data.user.userName,
+        from: scheduledPayment.from || dbConfig.systemUserName,
+        to: scheduledPayment.to,
+        amount: Number(scheduledPayment.amount),
+        currency: scheduledPayment.currency || appConfig.defaultCurrency,
+        interval: Number(scheduledPayment.interval),
+        note: scheduledPayment.note,
+        nextPaymentTime: startTime,
+      };
+
+      if (!(newScheduledPayment.amount > 0) || !(newScheduledPayment.interval >= 1)) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'amount > 0 and interval >= 1' }) });
+
+        return;
+      } else if (isNaN(startTime.getTime()) || (endTime && !(endTime > startTime))) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'startTime < endTime' }) });
+
+        return;
+      } else if (newScheduledPayment.from === newScheduledPayment.to) {
+        callback({ error: new errorCreator.InvalidData({ name: 'send to same' }) });
+
+        return;
+      } else if (!dbWallet.isValidCurrency(newScheduledPayment.currency)) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `currency ${newScheduledPayment.currency}` }) });
+
+        return;
+      }
+
+      dbWallet.getWallet({
+        owner: newScheduledPayment.to,
+        callback: ({ error: toError }) => {
+          if (toError) {
+            callback({ error: toError });
+
+            return;
+          }
+
+          /**
+           * Save the scheduled payment
+           */
+          const savePayment = () => {
+            dbScheduledPayment.createScheduledPayment({
+              scheduledPayment: newScheduledPayment,
+              callback,
+            });
+          };
+
+          if (newScheduledPayment.from === dbConfig.systemUserName) {
+            savePayment();
+
+            return;
+          }
+
+          dbWallet.getWallet({
+            owner: newScheduledPayment.from,
+            callback: ({ error: fromError }) => {
+              if (fromError) {
+                callback({ error: fromError });
+
+                return;
+              }
+
+              savePayment();
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get upcoming scheduled payments to and from a user's or team's wallet.
+ * Payments to and from the user's team wallet are included when a user retrieves their own payments
+ * @param {string} params.token jwt
+ * @param {string} [params.owner] Owner of the wallet. Defaults to the user
+ * @param {Function} params.callback Callback
+ */
+function getScheduledPayments({ token, owner, callback }) {
+  const paymentOwner = owner || authenticator.getTokenUserName({ token });
+
+  authenticator.isUserAllowed({
+    token,
+    matchNameTo: paymentOwner,
+    commandName: dbConfig.apiCommands.GetScheduledPayments.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+      const owners = [paymentOwner];
+
+      if (user.team && paymentOwner === user.userName) {
+        owners.push(user.team + appConfig.teamAppend);
+      }
+
+      dbScheduledPayment.getScheduledPayments({
+        owners,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Get all scheduled payments
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getAllScheduledPayments({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetAllScheduledPayments.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbScheduledPayment.getAllScheduledPayments({ callback });
+    },
+  });
+}
+
+/**
+ * Remove a scheduled payment
+ * @param {string} params.token jwt
+ * @param {string} params.paymentId Id of the scheduled payment
+ * @param {Function} params.callback Callback
+ */
+function removeScheduledPayment({ token, paymentId, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.RemoveScheduledPayment.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbScheduledPayment.removeScheduledPayment({
+        paymentId,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Make a payment that is due. The schedule is moved to its next payment time before the payment is made.
+ * Payments that were missed while the server was down are only paid once
+ * @param {Object} params.scheduledPayment Scheduled payment
+ * @param {Date} params.now Current time
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function makeScheduledPayment({ scheduledPayment, now, io, callback }) {
+  const paymentId = scheduledPayment._id; // eslint-disable-line no-underscore-dangle
+  const paymentTime = new Date(scheduledPayment.nextPaymentTime);
+  const nextPaymentTime = new Date(paymentTime);
+
+  while (nextPaymentTime <= now) {
+    nextPaymentTime.setMinutes(nextPaymentTime.getMinutes() + scheduledPayment.interval);
+  }
+
+  dbScheduledPayment.claimScheduledPayment({
+    paymentId,
+    paymentTime,
+    nextPaymentTime,
+    isActive: !scheduledPayment.endTime || nextPaymentTime <= new Date(scheduledPayment.endTime),
+    callback: ({ error: claimError }) => {
+      if (claimError) {
+        callback({ error: claimError });
+
+        return;
+      }
+
+      transactionManager.createSystemTransaction({
+        io,
+        transaction: {
+          from: scheduledPayment.from,
+          to: scheduledPayment.to,
+          amount: scheduledPayment.amount,
+          currency: scheduledPayment.currency,
+          note: scheduledPayment.note,
+        },
+        callback: ({ error: transactionError }) => {
+          if (!transactionError) {
+            callback({ data: { success: true } });
+
+            return;
+          }
+
+          const failedPayment = {
+            time: now,
+            amount: scheduledPayment.amount,
+            reason: transactionError.type,
+          };
+
+          dbScheduledPayment.addFailedPayment({
+            paymentId,
+            failedPayment,
+            callback: ({ error: failedError, data: failedData }) => {
+              if (failedError) {
+                callback({ error: failedError });
+
+                return;
+              }
+
+              [scheduledPayment.from, scheduledPayment.to].filter(owner => owner !== dbConfig.systemUserName).forEach((owner) => {
+                io.to(transactionManager.getWalletRoom(owner)).emit('scheduledPayment', {
+                  data: {
+                    failedPayment,
+                    scheduledPayment: failedData.scheduledPayment,
+                  },
+                });
+              });
+
+              callback({ error: transactionError });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Make all scheduled payments that are due
+ * @param {Object} params.io Socket io
+ */
+function makeDueScheduledPayments({ io }) {
+  const now = new Date();
+
+  dbScheduledPayment.getDueScheduledPayments({
+    time: now,
+    callback: ({ error, data }) => {
+      if (error) {
+        winston.error('Failed to get due scheduled payments', error);
+
+        return;
+      }
+
+      data.scheduledPayments.forEach((scheduledPayment) => {
+        makeScheduledPayment({
+          scheduledPayment,
+          now,
+          io,
+          callback: ({ error: paymentError }) => {
+            if (paymentError) {
+              winston.warn(`Scheduled payment ${scheduledPayment._id} failed`); // eslint-disable-line no-underscore-dangle
+            }
+          },
+        });
+      });
+    },
+  });
+}
+
+/**
+ * Start interval that makes due scheduled payments
+ * @param {Object} params.io Socket io
+ */
+function startScheduledPaymentInterval({ io }) {
+  setInterval(makeDueScheduledPayments, appConfig.scheduledPaymentInterval, { io });
+}
+
+exports.createScheduledPayment = createScheduledPayment;
+exports.getScheduledPayments = getScheduledPayments;
+exports.getAllScheduledPayments = getAllScheduledPayments;
+exports.removeScheduledPayment = removeScheduledPayment;
+exports.startScheduledPaymentInterval = startScheduledPaymentInterval;
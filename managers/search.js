@@ -0,0 +1,378 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const errorCreator = require('../objects/error/errorCreator');
+const textTools = require('../utils/textTools');
+const dbDocFile = require('../db/connectors/docFile');
+const dbChatHistory = require('../db/connectors/chatHistory');
+const dbRoom = require('../db/connectors/room');
+const dbSimpleMsg = require('../db/connectors/simpleMsg');
+const authenticator = require('../helpers/authenticator');
+const accessChecker = require('../utils/accessChecker');
+const docFileManager = require('./docFiles');
+
+/**
+ * Types of objects that can be searched
+ */
+const SearchTypes = {
+  DOCFILES: 'docFiles',
+  MESSAGES: 'messages',
+  BROADCASTS: 'broadcasts',
+  SIMPLEMSGS: 'simpleMsgs',
+};
+
+/**
+ * Get the amount of words that can be found in the text
+ * @param {string[]} params.words Lower case words
+ * @param {string|string[]} [params.text] Text to search in
+ * @returns {number} Amount of words found
+ */
+function countMatchedWords({ words, text = [] }) {
+  const fullText = (Array.isArray(text) ? text.join('\n') : `${text}`).toLowerCase();
+
+  return words.filter(word => fullText.indexOf(word) > -1).length;
+}
+
+/**
+ * Can the user use the command? Used to skip search types that the user does not have access to
+ * @param {Object} params.user User
+ * @param {string} params.commandName Name of the command
+ * @returns {boolean} Can the user use the command?
+ */
+function canUseCommand({ user, commandName }) {
+  return user.accessLevel >= dbConfig.apiCommands[commandName].accessLevel;
+}
+
+/**
+ * Create message that can be sent to the user. Messages in anonymous rooms have their sender and time removed
+ * @param {Object} params.message Message
+ * @param {Object} [params.history] History that the message belongs to
+ * @returns {Object} Message
+ */
+function createMessageToSend({ message, history = {} }) {
+  const messageToSend = message;
+
+  if (history.anonymous) {
+    messageToSend.time = new Date();
+    messageToSend.time.setHours(0);
+    messageToSend.time.setMinutes(0);
+    messageToSend.time.setSeconds(0);
+    messageToSend.userName = dbConfig.anonymousUserName;
+  }
+
+  return messageToSend;
+}
+
+/**
+ * Search docFiles. Follows the same access rules as retrieving docFiles. Only the title of locked docFiles is searched
+ * @param {Object} params.user User
+ * @param {string[]} params.words Lower case words
+ * @param {RegExp} params.searchRegExp Regular expression that matches any of the words
+ * @param {Function} params.callback Callback
+ */
+function searchDocFiles({ user, words, searchRegExp, callback }) {
+  dbDocFile.searchDocFiles({
+    searchRegExp,
+    accessLevel: user.accessLevel,
+    userName: user.userName,
+    creatorAliases: user.creatorAliases || [],
+    authGroups: user.authGroups || [],
+    limit: Number(appConfig.maxSearchMatches),
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const results = data.docFiles.filter(docFile => accessChecker.isInAccessGroups({ objectToAccess: docFile, user })).map((docFile) => {
+        const titleScore = countMatchedWords({ words, text: docFile.title }) * Number(appConfig.searchTitleWeight);
+
+        if (docFileManager.isLockedForUser({ docFile, user })) {
+          return { type: SearchTypes.DOCFILES, score: titleScore, docFile: { title: docFile.title, isLocked: true }, lines: [] };
+        }
+
+        const { text = [] } = docFile;
+        const docFileToSend = docFile;
+
+        delete docFileToSend.text;
+
+        return {
+          type: SearchTypes.DOCFILES,
+          score: titleScore + countMatchedWords({ words, text }),
+          docFile: docFileToSend,
+          lines: text.filter(line => searchRegExp.test(line)),
+        };
+      }).filter(result => result.score > 0);
+
+      callback({ data: { results } });
+    },
+  });
+}
+
+/**
+ * Search messages in rooms. Only rooms that the user is following and still passes the group restriction of are searched
+ * @param {Object} params.user User
+ * @param {Object} [params.socket] Socket io
+ * @param {string[]} params.words Lower case words
+ * @param {RegExp} params.searchRegExp Regular expression that matches any of the words
+ * @param {Function} params.callback Callback
+ */
+function searchMessages({ user, socket, words, searchRegExp, callback }) {
+  const socketRoom = socket ? socket.id : user.socketId || '';
+  const followedRooms = user.rooms.concat([socketRoom]).filter(roomName => roomName !== dbConfig.rooms.bcast.roomName);
+
+  dbRoom.getRestrictedRooms({
+    roomNames: followedRooms,
+    callback: ({ error: roomError, data: roomData }) => {
+      if (roomError) {
+        callback({ error: roomError });
+
+        return;
+      }
+
+      const deniedRooms = roomData.rooms.filter(room => !accessChecker.isInAccessGroups({ objectToAccess: room, user })).map(room => room.roomName);
+      const roomNames = followedRooms.filter(roomName => deniedRooms.indexOf(roomName) === -1);
+
+      dbChatHistory.searchMessages({
+        roomNames,
+        searchRegExp,
+        limit: Number(appConfig.maxSearchMatches),
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          const results = data.messages.map((message) => {
+            const history = data.histories.find(roomHistory => roomHistory.roomName === message.historyName);
+
+            return {
+              type: SearchTypes.MESSAGES,
+              score: countMatchedWords({ words, text: message.text }),
+              message: createMessageToSend({ message, history }),
+            };
+          });
+
+          callback({ data: { results } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Search broadcasts
+ * @param {string[]} params.words Lower case words
+ * @param {RegExp} params.searchRegExp Regular expression that matches any of the words
+ * @param {Function} params.callback Callback
+ */
+function searchBroadcasts({ words, searchRegExp, callback }) {
+  dbChatHistory.searchMessages({
+    searchRegExp,
+    roomNames: [dbConfig.rooms.bcast.roomName],
+    limit: Number(appConfig.maxSearchMatches),
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const results = data.messages.map(message => ({
+        type: SearchTypes.BROADCASTS,
+        score: countMatchedWords({ words, text: message.text }),
+        message,
+      }));
+
+      callback({ data: { results } });
+    },
+  });
+}
+
+/**
+ * Search simple messages
+ * @param {string[]} params.words Lower case words
+ * @param {RegExp} params.searchRegExp Regular expression that matches any of the words
+ * @param {Function} params.callback Callback
+ */
+function searchSimpleMsgs({ words, searchRegExp, callback }) {
+  dbSimpleMsg.searchSimpleMsgs({
+    searchRegExp,
+    limit: Number(appConfig.maxSearchMatches),
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const results = data.simpleMsgs.map(simpleMsg => ({
+        type: SearchTypes.SIMPLEMSGS,
+        score: countMatchedWords({ words, text: simpleMsg.text }),
+        simpleMsg,
+      }));
+
+      callback({ data: { results } });
+    },
+  });
+}
+
+/**
+ * Run searches one after another and collect their results
+ * @param {Function[]} params.searches Search functions that will be called with the search parameters
+ * @param {Object} params.searchParams Parameters sent to each search function
+ * @param {Object[]} [params.results] Results collected so far
+ * @param {Function} params.callback Callback
+ */
+function runSearches({ searches, searchParams, results = [], callback }) {
+  if (searches.length === 0) {
+    callback({ data: { results } });
+
+    return;
+  }
+
+  searches[0](Object.assign({}, searchParams, {
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      runSearches({
+        searchParams,
+        callback,
+        searches: searches.slice(1),
+        results: results.concat(data.results),
+      });
+    },
+  }));
+}
+
+/**
+ * Get the time of a search result. Used to rank results with the same score
+ * @param {Object} result Search result
+ * @returns {number} Time in milliseconds. 0 if the result has no time
+ */
+function getResultTime(result) {
+  const object = result.message || result.simpleMsg;
+
+  return object && object.time ? new Date(object.time).getTime() : 0;
+}
+
+/**
+ * Search docFiles, messages in rooms that the user follows, broadcasts and simple messages.
+ * Results are ranked by how many of the words they contain, with matches in docFile titles weighing more, and then by time
+ * @param {string} params.text Words to search for
+ * @param {string[]} [params.types] Types to search. Defaults to all types. Types that the user doesn't have access to are skipped
+ * @param {number} [params.limit] Amount of results to retrieve
+ * @param {number} [params.offset] Amount of results to skip
+ * @param {string} params.token jwt
+ * @param {Object} [params.socket] Socket io
+ * @param {Function} params.callback Callback
+ */
+function search({ text, types, limit, offset, token, socket, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.Search.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const typeValues = Object.keys(SearchTypes).map(key => SearchTypes[key]);
+      const typesToSearch = types || typeValues;
+      const resultLimit = Number(limit || appConfig.searchResultsLimit);
+      const resultOffset = Number(offset || 0);
+
+      if (typeof text !== 'string' || text.trim() === '') {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ text }' }) });
+
+        return;
+      } else if (text.length > appConfig.searchTextMaxLength) {
+        callback({ error: new errorCreator.InvalidCharacters({ expected: `length: ${appConfig.searchTextMaxLength}` }) });
+
+        return;
+      } else if (!Array.isArray(typesToSearch) || typesToSearch.some(type => typeValues.indexOf(type) === -1)) {
+        callback({ error: new errorCreator.InvalidData({ expected: `{ types: ${typeValues.join(', ')} }` }) });
+
+        return;
+      } else if (!(resultLimit >= 1 && resultLimit <= appConfig.maxSearchResultsLimit) || !(resultOffset >= 0)) {
+        callback({ error: new errorCreator.InvalidData({ expected: `{ limit: 1-${appConfig.maxSearchResultsLimit}, offset: number }` }) });
+
+        return;
+      }
+
+      const user = data.user;
+      const words = textTools.createSearchWords(text);
+      const searches = [];
+
+      if (typesToSearch.indexOf(SearchTypes.DOCFILES) > -1 && canUseCommand({ user, commandName: dbConfig.apiCommands.GetDocFile.name })) {
+        searches.push(searchDocFiles);
+      }
+
+      if (typesToSearch.indexOf(SearchTypes.MESSAGES) > -1 && canUseCommand({ user, commandName: dbConfig.apiCommands.GetHistory.name })) {
+        searches.push(searchMessages);
+      }
+
+      if (typesToSearch.indexOf(SearchTypes.BROADCASTS) > -1 && canUseCommand({ user, commandName: dbConfig.apiCommands.GetBroadcasts.name })) {
+        searches.push(searchBroadcasts);
+      }
+
+      if (typesToSearch.indexOf(SearchTypes.SIMPLEMSGS) > -1 && canUseCommand({ user, commandName: dbConfig.apiCommands.GetSimpleMsgs.name })) {
+        searches.push(searchSimpleMsgs);
+      }
+
+      runSearches({
+        searches,
+        searchParams: {
+          user,
+          socket,
+          words,
+          searchRegExp: textTools.createSearchRegExp(words),
+        },
+        callback: ({ error: searchError, data: searchData }) => {
+          if (searchError) {
+            callback({ error: searchError });
+
+            return;
+          }
+
+          const results = searchData.results.sort((a, b) => b.score - a.score || getResultTime(b) - getResultTime(a));
+
+          callback({
+            data: {
+              results: results.slice(resultOffset, resultOffset + resultLimit),
+              totalResults: results.length,
+              timeZoneOffset: new Date().getTimezoneOffset(),
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+exports.search = search;
+exports.SearchTypes = SearchTypes;
@@ -0,0 +1,632 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const winston = require('winston');
+const dbSignalBlock = require('../db/connectors/signalBlock');
+const dbPosition = require('../db/connectors/position');
+const dbUser = require('../db/connectors/user');
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const errorCreator = require('../objects/error/errorCreator');
+const authenticator = require('../helpers/authenticator');
+const mapCreator = require('../utils/mapCreator');
+const textTools = require('../utils/textTools');
+
+/**
+ * Get the time when the owner of the signal block can create a new one
+ * @param {Object} params.signalBlock Latest signal block created by the owner
+ * @returns {Date} Time when the cooldown ends
+ */
+function getCooldownEnd({ signalBlock }) {
+  return new Date(new Date(signalBlock.startTime).getTime() + Number(appConfig.signalBlockCooldown));
+}
+
+/**
+ * Get the names of the users with a position within the radius of the signal block
+ * @param {Object} params.coordinates Coordinates of the signal block
+ * @param {Object[]} params.positions User positions
+ * @returns {string[]} Names of the users
+ */
+function getUsersInRange({ coordinates, positions }) {
+  return positions.filter((position) => {
+    const accuracy = position.coordinates.accuracy;
+    const accuracyAdjustment = accuracy > appConfig.signalBlockBufferArea ? appConfig.signalBlockBufferArea : accuracy;
+
+    return mapCreator.getDistance(coordinates, position.coordinates) - accuracyAdjustment < appConfig.signalBlockRadius;
+  }).map(position => position.owner);
+}
+
+/**
+ * Remove the signal block from the user. The user will be set as blocked by the next active block affecting them, if there is one
+ * @param {string} params.userName Name of the user
+ * @param {Object} params.signalBlock Signal block that the user is removed from
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function releaseUser({ userName, signalBlock, io, callback }) {
+  dbSignalBlock.getUserBlocks({
+    userName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const remainingBlocks = data.signalBlocks;
+
+      if (remainingBlocks.length > 0) {
+        dbUser.updateUserBlockedBy({
+          userName,
+          callback,
+          blockedBy: remainingBlocks[0].owner,
+        });
+
+        return;
+      }
+
+      dbUser.removeUserBlockedBy({
+        userName,
+        callback: ({ error: removeError, data: removeData }) => {
+          if (removeError) {
+            callback({ error: removeError });
+
+            return;
+          }
+
+          io.to(userName + appConfig.whisperAppend).emit('unblocked', {
+            data: {
+              blockedBy: signalBlock.owner,
+              signalBlockId: signalBlock._id, // eslint-disable-line no-underscore-dangle
+            },
+          });
+
+          callback({ data: removeData });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Deactivate the signal block, remove its position and release the users blocked by it
+ * @param {string} params.blockId Id of the signal block
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function endSignalBlock({ blockId, io, callback }) {
+  dbSignalBlock.deactivateBlock({
+    blockId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { signalBlock } = data;
+
+      dbPosition.removePosition({
+        positionName: signalBlock.positionName,
+        markerType: 'signalBlock',
+        callback: ({ error: removeError }) => {
+          if (removeError) {
+            callback({ error: removeError });
+
+            return;
+          }
+
+          io.to(dbConfig.rooms.public.roomName).emit('mapPositions', {
+            data: {
+              positions: [{ positionName: signalBlock.positionName, markerType: 'signalBlock' }],
+              shouldRemove: true,
+            },
+          });
+
+          signalBlock.blockedUsers.forEach((userName) => {
+            releaseUser({
+              userName,
+              signalBlock,
+              io,
+              callback: ({ error: releaseError }) => {
+                if (releaseError) {
+                  winston.warn(`Failed to release ${userName} from signal block ${blockId}`);
+                }
+              },
+            });
+          });
+
+          callback({ data: { signalBlock } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * End the signal block when it expires. Blocks that are still active after a restart are ended by the signal block interval
+ * @param {Object} params.signalBlock Signal block
+ * @param {Object} params.io Socket io
+ */
+function scheduleExpiry({ signalBlock, io }) {
+  setTimeout(() => {
+    endSignalBlock({
+      io,
+      blockId: signalBlock._id, // eslint-disable-line no-underscore-dangle
+      callback: () => {},
+    });
+  }, new Date(signalBlock.endTime).getTime() - new Date().getTime());
+}
+
+/**
+ * Check if the user is allowed to create a new signal block
+ * @param {string} params.owner User name of the owner
+ * @param {Function} params.callback Callback
+ */
+function checkCooldown({ owner, callback }) {
+  dbSignalBlock.getLatestOwnerBlock({
+    owner,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { signalBlock } = data;
+
+      if (signalBlock && signalBlock.isActive) {
+        callback({ error: new errorCreator.AlreadyExists({ name: `active signal block ${owner}` }) });
+
+        return;
+      } else if (signalBlock && getCooldownEnd({ signalBlock }) > new Date()) {
+        callback({
+          error: new errorCreator.TooFrequent({
+            name: 'signal block',
+            extraData: { timeLeft: getCooldownEnd({ signalBlock }).getTime() - new Date().getTime() },
+          }),
+        });
+
+        return;
+      }
+
+      callback({ data: { success: true } });
+    },
+  });
+}
+
+/**
+ * Create a position with a radius at the user's position. The user's position has to be recent and accurate
+ * @param {Object} params.user Owner of the signal block
+ * @param {string[]} params.description Description shown on position on client
+ * @param {Function} params.callback Callback
+ */
+function createBlockPosition({ user, description, callback }) {
+  dbPosition.getPosition({
+    positionName: user.userName,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (data.position.coordinates.accuracy > appConfig.minimumPositionAccuracy) {
+        callback({ error: new errorCreator.Insufficient({ name: 'accuracy' }) });
+
+        return;
+      } else if (textTools.calculateMinutesDifference({ firstDate: new Date(data.position.lastUpdated), secondDate: new Date() }) > appConfig.maxPositionAge) {
+        callback({ error: new errorCreator.Insufficient({ name: 'age' }) });
+
+        return;
+      }
+
+      const coordinates = data.position.coordinates;
+      coordinates.radius = appConfig.signalBlockRadius;
+
+      const blockPosition = {
+        coordinates,
+        positionName: `signalBlock-${user.userName}`,
+        owner: user.userName,
+        markerType: 'signalBlock',
+        isPublic: true,
+        lastUpdated: new Date(),
+        description: [description[0] + user.userName],
+      };
+
+      if (user.team) {
+        blockPosition.team = user.team;
+      }
+
+      dbPosition.updatePosition({
+        callback,
+        position: blockPosition,
+      });
+    },
+  });
+}
+
+/**
+ * Create a signal block at the user's position. Users within its radius are blocked until it expires, is cancelled or they counter it
+ * @param {string} params.token jwt
+ * @param {string[]} [params.description] Description shown on position on client. The user name of the owner is appended to it
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function createSignalBlock({ token, description = [''], io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateSignalBlock.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+
+      checkCooldown({
+        owner: user.userName,
+        callback: ({ error: cooldownError }) => {
+          if (cooldownError) {
+            callback({ error: cooldownError });
+
+            return;
+          }
+
+          createBlockPosition({
+            user,
+            description,
+            callback: ({ error: positionError, data: positionData }) => {
+              if (positionError) {
+                callback({ error: positionError });
+
+                return;
+              }
+
+              const { position } = positionData;
+
+              dbPosition.getUserPositions({
+                callback: ({ error: userPositionsError, data: userPositionsData }) => {
+                  if (userPositionsError) {
+                    callback({ error: userPositionsError });
+
+                    return;
+                  }
+
+                  const startTime = new Date();
+                  const signalBlock = {
+                    startTime,
+                    owner: user.userName,
+                    team: user.team,
+                    positionName: position.positionName,
+                    coordinates: position.coordinates,
+                    blockedUsers: getUsersInRange({ coordinates: position.coordinates, positions: userPositionsData.positions }),
+                    endTime: new Date(startTime.getTime() + Number(appConfig.signalBlockTime)),
+                  };
+
+                  dbSignalBlock.createBlock({
+                    signalBlock,
+                    callback: ({ error: createError, data: createData }) => {
+                      if (createError) {
+                        callback({ error: createError });
+
+                        return;
+                      }
+
+                      const newBlock = createData.signalBlock;
+
+                      newBlock.blockedUsers.forEach((userName) => {
+                        dbUser.updateUserBlockedBy({
+                          userName,
+                          blockedBy: user.userName,
+                          callback: () => {},
+                        });
+
+                        io.to(userName + appConfig.whisperAppend).emit('signalBlock', {
+                          data: {
+                            position,
+                            blockedBy: user.userName,
+                            signalBlock: newBlock,
+                          },
+                        });
+                      });
+
+                      io.to(dbConfig.rooms.public.roomName).emit('mapPositions', {
+                        data: {
+                          positions: [position],
+                          currentTime: new Date(),
+                        },
+                      });
+
+                      scheduleExpiry({ io, signalBlock: newBlock });
+
+                      callback({ data: { position, signalBlock: newBlock } });
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get active signal blocks, the amount of signal counters owned by the user and when the user can create a new signal block
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getSignalBlocks({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetSignalBlocks.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+
+      dbSignalBlock.getActiveBlocks({
+        callback: ({ error: blocksError, data: blocksData }) => {
+          if (blocksError) {
+            callback({ error: blocksError });
+
+            return;
+          }
+
+          dbSignalBlock.getCounters({
+            owner: user.userName,
+            callback: ({ error: counterError, data: counterData }) => {
+              if (counterError) {
+                callback({ error: counterError });
+
+                return;
+              }
+
+              dbSignalBlock.getLatestOwnerBlock({
+                owner: user.userName,
+                callback: ({ error: latestError, data: latestData }) => {
+                  if (latestError) {
+                    callback({ error: latestError });
+
+                    return;
+                  }
+
+                  const { signalBlock: latestBlock } = latestData;
+
+                  callback({
+                    data: {
+                      signalBlocks: blocksData.signalBlocks,
+                      counterAmount: counterData.counter.amount,
+                      cooldownEnd: latestBlock ? getCooldownEnd({ signalBlock: latestBlock }) : null,
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Cancel an active signal block. Only the owner of the block or an admin can cancel it
+ * @param {string} params.blockId Id of the signal block
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function cancelSignalBlock({ blockId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CancelSignalBlock.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+
+      dbSignalBlock.getBlock({
+        blockId,
+        callback: ({ error: blockError, data: blockData }) => {
+          if (blockError) {
+            callback({ error: blockError });
+
+            return;
+          } else if (blockData.signalBlock.owner !== user.userName && user.accessLevel < dbConfig.AccessLevels.LOWERADMIN) {
+            callback({ error: new errorCreator.NotAllowed({ name: `cancel signal block ${blockId}` }) });
+
+            return;
+          }
+
+          endSignalBlock({
+            blockId,
+            io,
+            callback,
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Use a signal counter to remove the user from an active signal block that is blocking them
+ * @param {string} params.blockId Id of the signal block
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function counterSignalBlock({ blockId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CounterSignalBlock.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+
+      dbSignalBlock.getBlock({
+        blockId,
+        callback: ({ error: blockError, data: blockData }) => {
+          if (blockError) {
+            callback({ error: blockError });
+
+            return;
+          } else if (!blockData.signalBlock.isActive || blockData.signalBlock.blockedUsers.indexOf(user.userName) === -1) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `${user.userName} in active signal block ${blockId}` }) });
+
+            return;
+          }
+
+          dbSignalBlock.useCounter({
+            owner: user.userName,
+            callback: ({ error: counterError, data: counterData }) => {
+              if (counterError) {
+                callback({ error: counterError });
+
+                return;
+              }
+
+              dbSignalBlock.removeBlockedUser({
+                blockId,
+                userName: user.userName,
+                callback: ({ error: removeError, data: removeData }) => {
+                  if (removeError) {
+                    callback({ error: removeError });
+
+                    return;
+                  }
+
+                  releaseUser({
+                    io,
+                    userName: user.userName,
+                    signalBlock: removeData.signalBlock,
+                    callback: ({ error: releaseError }) => {
+                      if (releaseError) {
+                        callback({ error: releaseError });
+
+                        return;
+                      }
+
+                      callback({ data: { signalBlock: removeData.signalBlock, counterAmount: counterData.counter.amount } });
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Give signal counters to a user
+ * @param {string} params.owner Name of the user that will receive the counters
+ * @param {number} params.amount Amount of counters
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function giveSignalCounters({ owner, amount, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GiveSignalCounters.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!Number.isInteger(amount) || amount <= 0) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'amount > 0' }) });
+
+        return;
+      }
+
+      dbUser.getUser({
+        userName: owner,
+        callback: ({ error: userError }) => {
+          if (userError) {
+            callback({ error: userError });
+
+            return;
+          }
+
+          dbSignalBlock.increaseCounters({
+            owner,
+            amount,
+            callback,
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * End signal blocks that have expired
+ * @param {Object} params.io Socket io
+ */
+function endExpiredSignalBlocks({ io }) {
+  dbSignalBlock.getExpiredBlocks({
+    time: new Date(),
+    callback: ({ error, data }) => {
+      if (error) {
+        return;
+      }
+
+      data.signalBlocks.forEach((signalBlock) => {
+        endSignalBlock({
+          io,
+          blockId: signalBlock._id, // eslint-disable-line no-underscore-dangle
+          callback: () => {},
+        });
+      });
+    },
+  });
+}
+
+/**
+ * Start interval that ends signal blocks that have expired
+ * @param {Object} params.io Socket io
+ */
+function startSignalBlockInterval({ io }) {
+  setInterval(endExpiredSignalBlocks, appConfig.signalBlockInterval, { io });
+}
+
+exports.createSignalBlock = createSignalBlock;
+exports.getSignalBlocks = getSignalBlocks;
+exports.cancelSignalBlock = cancelSignalBlock;
+exports.counterSignalBlock = counterSignalBlock;
+exports.giveSignalCounters = giveSignalCounters;
+exports.startSignalBlockInterval = startSignalBlockInterval;
@@ -0,0 +1,512 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const dbTimedEvent = require('../db/connectors/timedEvent');
+const EventChain = require('../objects/EventChain');
+const GameEvent = require('../objects/GameEvent');
+const winston = require('winston');
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const authenticator = require('../helpers/authenticator');
+const objectValidator = require('../utils/objectValidator');
+const errorCreator = require('../objects/error/errorCreator');
+
+/**
+ * Event chains that are currently running. Key is the id of the timed event
+ * @type {Object}
+ */
+const runningChains = {};
+
+/**
+ * Run the event chain of a timed event that has been started
+ * @param {Object} params.timedEvent Timed event
+ * @param {Object} params.io Socket io
+ */
+function runTimedEvent({ timedEvent, io }) {
+  const eventId = timedEvent._id.toString(); // eslint-disable-line no-underscore-dangle
+
+  if (runningChains[eventId]) {
+    runningChains[eventId].stop();
+  }
+
+  const eventChain = new EventChain({
+    timedEvent,
+    io,
+    onComplete: () => {
+      delete runningChains[eventId];
+    },
+    onFail: () => {
+      delete runningChains[eventId];
+    },
+  });
+
+  runningChains[eventId] = eventChain;
+  eventChain.triggerStep();
+}
+
+/**
+ * Stop and remove a running event chain
+ * @param {string} params.eventId Id of the event
+ */
+function stopTimedEvent({ eventId }) {
+  const runningChain = runningChains[eventId];
+
+  if (runningChain) {
+    runningChain.stop();
+    delete runningChains[eventId];
+  }
+}
+
+/**
+ * Are the steps valid? Each step needs a message, coordinates or items to unlock
+ * @param {Object[]} steps Steps to check
+ * @returns {boolean} Are the steps valid?
+ */
+function isValidSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return false;
+  }
+
+  return steps.every((step) => {
+    if (!step.message && !step.coordinates && (!step.unlocks || step.unlocks.length === 0)) {
+      return false;
+    } else if (step.message && !objectValidator.isValidData({ step }, { step: { message: { text: true } } })) {
+      return false;
+    } else if (step.coordinates && (typeof step.coordinates.longitude !== 'number' || typeof step.coordinates.latitude !== 'number')) {
+      return false;
+    } else if (step.unlocks && !step.unlocks.every(unlock => unlock.unlockValue && Object.keys(GameEvent.UnlockTypes).map(type => GameEvent.UnlockTypes[type]).indexOf(unlock.unlockType) > -1)) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Create a timed event
+ * @param {string} params.token jwt
+ * @param {Object} params.timedEvent New timed event
+ * @param {string} [params.timedEvent.eventName] Name of the event
+ * @param {Object[]} params.timedEvent.steps Steps that will be triggered in order. See GameEvent
+ * @param {Function} params.callback Callback
+ */
+function createTimedEvent({ token, timedEvent, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateTimedEvent.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ timedEvent }, { timedEvent: { steps: true } }) || !isValidSteps(timedEvent.steps)) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ timedEvent: { steps: [{ message: { text } } or { coordinates: { longitude, latitude } } or { unlocks: [{ unlockType, unlockValue }] }] } }' }) });
+
+        return;
+      }
+
+      dbTimedEvent.createTimedEvent({
+        timedEvent: {
+          eventName: timedEvent.eventName,
+          owner: data.user.userName,
+          steps: timedEvent.steps,
+        },
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Get all timed events
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getTimedEvents({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetTimedEvents.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.getAllTimedEvents({ callback });
+    },
+  });
+}
+
+/**
+ * Get timed event
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function getTimedEvent({ token, eventId, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetTimedEvents.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.getTimedEvent({ eventId, callback });
+    },
+  });
+}
+
+/**
+ * Update a timed event that has not been started
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Object} params.timedEvent Values to update
+ * @param {string} [params.timedEvent.eventName] Name of the event
+ * @param {Object[]} [params.timedEvent.steps] Steps that will replace the existing ones
+ * @param {Function} params.callback Callback
+ */
+function updateTimedEvent({ token, eventId, timedEvent, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateTimedEvent.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ timedEvent }, { timedEvent: true }) || (timedEvent.steps && !isValidSteps(timedEvent.steps))) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ timedEvent: { eventName, steps } }' }) });
+
+        return;
+      }
+
+      dbTimedEvent.updateTimedEvent({
+        eventId,
+        eventName: timedEvent.eventName,
+        steps: timedEvent.steps,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Remove a timed event. It will be stopped if it is running
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function removeTimedEvent({ token, eventId, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.RemoveTimedEvent.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.removeTimedEvent({
+        eventId,
+        callback: ({ error: removeError, data }) => {
+          if (removeError) {
+            callback({ error: removeError });
+
+            return;
+          }
+
+          stopTimedEvent({ eventId });
+          callback({ data });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Start a timed event
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function startTimedEvent({ token, eventId, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.StartTimedEvent.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.getTimedEvent({
+        eventId,
+        callback: ({ error: getError, data }) => {
+          if (getError) {
+            callback({ error: getError });
+
+            return;
+          }
+
+          const firstStep = data.timedEvent.steps[0];
+
+          dbTimedEvent.startTimedEvent({
+            eventId,
+            nextTriggerTime: firstStep ? new GameEvent(firstStep).getTriggerTime(new Date()) : new Date(),
+            callback: ({ error: startError, data: startData }) => {
+              if (startError) {
+                callback({ error: startError });
+
+                return;
+              }
+
+              const { timedEvent } = startData;
+
+              runTimedEvent({ timedEvent, io });
+              callback({ data: { timedEvent } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Pause an active timed event. Time left until the next step is kept and used when the event is resumed
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function pauseTimedEvent({ token, eventId, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.PauseTimedEvent.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.pauseTimedEvent({
+        eventId,
+        callback: ({ error: pauseError, data }) => {
+          if (pauseError) {
+            callback({ error: pauseError });
+
+            return;
+          }
+
+          stopTimedEvent({ eventId });
+          callback({ data });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Resume a paused timed event
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function resumeTimedEvent({ token, eventId, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.ResumeTimedEvent.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.getTimedEvent({
+        eventId,
+        callback: ({ error: getError, data }) => {
+          if (getError) {
+            callback({ error: getError });
+
+            return;
+          } else if (!data.timedEvent.isPaused) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `paused timed event ${eventId}` }) });
+
+            return;
+          }
+
+          const { nextTriggerTime, pausedTime } = data.timedEvent;
+          const timeLeft = nextTriggerTime && pausedTime ? Math.max(new Date(nextTriggerTime) - new Date(pausedTime), 0) : 0;
+
+          dbTimedEvent.resumeTimedEvent({
+            eventId,
+            nextTriggerTime: new Date(Date.now() + timeLeft),
+            callback: ({ error: resumeError, data: resumeData }) => {
+              if (resumeError) {
+                callback({ error: resumeError });
+
+                return;
+              }
+
+              const { timedEvent } = resumeData;
+
+              runTimedEvent({ timedEvent, io });
+              callback({ data: { timedEvent } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Skip the current step of an active timed event. The step will not be triggered
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function skipTimedEventStep({ token, eventId, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.SkipTimedEventStep.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.getTimedEvent({
+        eventId,
+        callback: ({ error: getError, data }) => {
+          if (getError) {
+            callback({ error: getError });
+
+            return;
+          } else if (!data.timedEvent.isActive || data.timedEvent.currentStep >= data.timedEvent.steps.length) {
+            callback({ error: new errorCreator.DoesNotExist({ name: `step to skip in timed event ${eventId}` }) });
+
+            return;
+          }
+
+          const { currentStep, steps, isPaused, pausedTime } = data.timedEvent;
+          const nextStep = steps[currentStep + 1];
+
+          dbTimedEvent.skipTimedEventStep({
+            eventId,
+            stepIndex: currentStep,
+            nextTriggerTime: nextStep ? new GameEvent(nextStep).getTriggerTime(isPaused ? pausedTime : new Date()) : undefined,
+            callback: ({ error: skipError, data: skipData }) => {
+              if (skipError) {
+                callback({ error: skipError });
+
+                return;
+              }
+
+              const { timedEvent } = skipData;
+
+              if (!timedEvent.isPaused) {
+                runTimedEvent({ timedEvent, io });
+              }
+
+              callback({ data: { timedEvent } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Cancel a timed event. Remaining steps will not be triggered
+ * @param {string} params.token jwt
+ * @param {string} params.eventId Id of the event
+ * @param {Function} params.callback Callback
+ */
+function cancelTimedEvent({ token, eventId, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CancelTimedEvent.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTimedEvent.cancelTimedEvent({
+        eventId,
+        callback: ({ error: cancelError, data }) => {
+          if (cancelError) {
+            callback({ error: cancelError });
+
+            return;
+          }
+
+          stopTimedEvent({ eventId });
+          callback({ data });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Resume all timed events that were active when the server stopped, including events that were marked as failed.
+ * Steps that should have been triggered while the server was down will be triggered immediately
+ * @param {Object} params.io Socket io
+ * @param {Function} [params.callback] Callback
+ */
+function resumeTimedEvents({ io, callback = () => {} }) {
+  dbTimedEvent.getActiveTimedEvents({
+    callback: ({ error, data }) => {
+      if (error) {
+        winston.error('Failed to resume timed events', error);
+        callback({ error });
+
+        return;
+      }
+
+      data.timedEvents.forEach(timedEvent => runTimedEvent({ timedEvent, io }));
+      callback({ data: { timedEvents: data.timedEvents } });
+    },
+  });
+}
+
+exports.createTimedEvent = createTimedEvent;
+exports.getTimedEvents = getTimedEvents;
+exports.getTimedEvent = getTimedEvent;
+exports.updateTimedEvent = updateTimedEvent;
+exports.removeTimedEvent = removeTimedEvent;
+exports.startTimedEvent = startTimedEvent;
+exports.pauseTimedEvent = pauseTimedEvent;
+exports.resumeTimedEvent = resumeTimedEvent;
+exports.skipTimedEventStep = skipTimedEventStep;
+exports.cancelTimedEvent = cancelTimedEvent;
+exports.resumeTimedEvents = resumeTimedEvents;
@@ -22,6 +22,8 @@ const dbConfig = require('../config/defaults/config').databasePopulation;
 const errorCreator = require('../objects/error/errorCreator');
 const dbTransaction = require('../db/connectors/transaction');
 const authenticator = require('../helpers/authenticator');
+const dbInvitation = require('../db/connectors/invitationList');
+const winston = require('winston');
 
 /**
  * Get all user/team transactions
@@ -112,6 +114,90 @@ function getTransactions({ owner, token, callback }) {
   });
 }
 
+/**
+ * Get the finished transactions of a wallet, newest first, with the wallet balance after each transaction.
+ * Balances are calculated backwards from the current amount in the wallet
+ * @param {string} params.token jwt
+ * @param {string} params.owner Owner of the wallet
+ * @param {Date} [params.startDate] Transactions made before this time will be excluded
+ * @param {Date} [params.endDate] Transactions made after this time will be excluded
+ * @param {number} [params.page] Page to retrieve. Starts at 1
+ * @param {number} [params.pageSize] Amount of transactions per page
+ * @param {string} [params.currency] Currency to get the history for. Defaults to the default currency
+ * @param {Function} params.callback Callback
+ */
+function getTransactionHistory({ token, owner, startDate, endDate, page = 1, pageSize = appConfig.transactionPageSize, currency = appConfig.defaultCurrency, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    matchNameTo: owner,
+    commandName: dbConfig.apiCommands.GetTransaction.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const start = startDate ? new Date(startDate) : undefined;
+      const end = endDate ? new Date(endDate) : undefined;
+      const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+      const size = Math.min(Math.max(parseInt(pageSize, 10) || appConfig.transactionPageSize, 1), appConfig.transactionMaxPageSize);
+
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'startDate and endDate to be dates' }) });
+
+        return;
+      } else if (!dbWallet.isValidCurrency(currency)) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `currency ${currency}` }) });
+
+        return;
+      }
+
+      dbWallet.getWallet({
+        owner,
+        callback: ({ error: walletError, data: walletData }) => {
+          if (walletError) {
+            callback({ error: walletError });
+
+            return;
+          }
+
+          dbTransaction.getTransactionHistory({
+            owner,
+            currency,
+            callback: ({ error: transactionError, data: transactionData }) => {
+              if (transactionError) {
+                callback({ error: transactionError });
+
+                return;
+              }
+
+              let balance = dbWallet.getCurrencyAmount({ wallet: walletData.wallet, currency });
+              const transactions = transactionData.transactions.map((transaction) => {
+                const entry = transaction;
+                entry.balance = balance;
+                balance -= entry.to === owner ? entry.amount : -entry.amount;
+
+                return entry;
+              }).filter(transaction => (!start || new Date(transaction.time) >= start) && (!end || new Date(transaction.time) <= end));
+
+              callback({
+                data: {
+                  currency,
+                  page: pageNumber,
+                  pageSize: size,
+                  totalCount: transactions.length,
+                  transactions: transactions.slice((pageNumber - 1) * size, pageNumber * size),
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
 /**
  * Create transaction
  * @param {Object} [params.user] User of the sender
@@ -134,6 +220,10 @@ function createTransaction({ user, transaction, io, fromTeam, socket, callback }
   } else if (transaction.amount <= 0) {
     callback({ error: new errorCreator.Insufficient({ name: 'amount is 0 or less' }) });
 
+    return;
+  } else if (transaction.currency && !dbWallet.isValidCurrency(transaction.currency)) {
+    callback({ error: new errorCreator.DoesNotExist({ name: `currency ${transaction.currency}` }) });
+
     return;
   }
 
@@ -144,6 +234,7 @@ function createTransaction({ user, transaction, io, fromTeam, socket, callback }
   newTransaction.amount = Math.abs(newTransaction.amount);
   newTransaction.time = new Date();
   newTransaction.from = fromTeam ? user.team + appConfig.teamAppend : user.userName;
+  newTransaction.currency = newTransaction.currency || appConfig.defaultCurrency;
 
   if (newTransaction.from === newTransaction.to) {
     callback({ error: new errorCreator.InvalidData({ name: 'send to same' }) });
@@ -151,99 +242,139 @@ function createTransaction({ user, transaction, io, fromTeam, socket, callback }
     return;
   }
 
-  dbWallet.getWallet({
-    owner: newTransaction.from,
-    callback: (walletData) => {
-      if (walletData.error) {
-        callback({ error: walletData.error });
+  dbWallet.transferAmount({
+    transaction: newTransaction,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
 
         return;
-      } else if (walletData.data.wallet.amount - newTransaction.amount < 0) {
-        callback({ error: new errorCreator.Insufficient({ name: 'transfer too much' }) });
+      }
 
-        return;
+      const { transaction: createdTransaction, fromWallet: decreasedWallet, toWallet: increasedWallet } = data;
+
+      if (socket) {
+        socket.broadcast.to(fromRoom).emit('transaction', {
+          data: {
+            transaction: createdTransaction,
+            wallet: decreasedWallet,
+          },
+        });
+
+        socket.broadcast.to(toRoom).emit('transaction', {
+          data: {
+            transaction: createdTransaction,
+            wallet: increasedWallet,
+          },
+        });
+      } else {
+        io.to(toRoom).emit('transaction', {
+          data: {
+            transaction: createdTransaction,
+            wallet: increasedWallet,
+          },
+        });
+
+        io.to(fromRoom).emit('transaction', {
+          data: {
+            transaction: createdTransaction,
+            wallet: decreasedWallet,
+          },
+        });
       }
 
-      dbTransaction.createTransaction({
-        transaction: newTransaction,
-        callback: (transactionData) => {
-          if (transactionData.error) {
-            callback({ error: transactionData.error });
+      const dataToSend = {
+        transaction: createdTransaction,
+        wallet: decreasedWallet,
+      };
 
-            return;
-          }
+      if (user.team && createdTransaction.to === user.team + appConfig.teamAppend) {
+        dataToSend.toWallet = increasedWallet;
+      }
 
-          const createdTransaction = transactionData.data.transaction;
+      callback({ data: dataToSend });
+    },
+  });
+}
 
-          dbWallet.decreaseAmount({
-            owner: createdTransaction.from,
-            amount: createdTransaction.amount,
-            callback: (decreasedWalletData) => {
-              if (decreasedWalletData.error) {
-                callback({ error: decreasedWalletData.error });
+/**
+ * Get the room that wallet events should be sent to
+ * @param {string} owner Owner of the wallet
+ * @returns {string} Room name
+ */
+function getWalletRoom(owner) {
+  return owner.indexOf(appConfig.teamAppend) > -1 ? owner : owner + appConfig.whisperAppend;
+}
 
-                return;
-              }
+/**
+ * Create transaction between wallets without a user. Used by the server for scheduled payments.
+ * Transactions from the system user are paid by the system and will not decrease any wallet. They are created as pending and only set to done after the wallet has been increased
+ * @param {Object} params.transaction Transaction to create
+ * @param {string} params.transaction.from Owner of the wallet to transfer from
+ * @param {string} params.transaction.to Owner of the wallet to transfer to
+ * @param {number} params.transaction.amount Amount to transfer
+ * @param {string} [params.transaction.currency] Currency to transfer. Defaults to the default currency
+ * @param {string} [params.transaction.note] Note
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function createSystemTransaction({ transaction, io, callback }) {
+  const newTransaction = transaction;
+  newTransaction.amount = Math.abs(newTransaction.amount);
+  newTransaction.time = new Date();
+  newTransaction.currency = newTransaction.currency || appConfig.defaultCurrency;
 
-              dbWallet.increaseAmount({
-                owner: createdTransaction.to,
-                amount: createdTransaction.amount,
-                callback: (increasedWalletData) => {
-                  if (increasedWalletData.error) {
-                    callback({ error: increasedWalletData.error });
-
-                    return;
-                  }
-
-                  const { wallet: increasedWallet } = increasedWalletData.data;
-                  const { wallet: decreasedWallet } = decreasedWalletData.data;
-
-                  if (socket) {
-                    socket.broadcast.to(fromRoom).emit('transaction', {
-                      data: {
-                        transaction: createdTransaction,
-                        wallet: decreasedWallet,
-                      },
-                    });
-
-                    socket.broadcast.to(toRoom).emit('transaction', {
-                      data: {
-                        transaction: createdTransaction,
-                        wallet: increasedWallet,
-                      },
-                    });
-                  } else {
-                    io.to(toRoom).emit('transaction', {
-                      data: {
-                        transaction: createdTransaction,
-                        wallet: increasedWallet,
-                      },
-                    });
-
-                    io.to(fromRoom).emit('transaction', {
-                      data: {
-                        transaction: createdTransaction,
-                        wallet: decreasedWallet,
-                      },
-                    });
-                  }
-
-                  const dataToSend = {
-                    transaction,
-                    wallet: decreasedWallet,
-                  };
-
-                  if (user.team && createdTransaction.to === user.team + appConfig.teamAppend) {
-                    dataToSend.toWallet = increasedWallet;
-                  }
-
-                  callback({ data: dataToSend });
-                },
-              });
-            },
-          });
+  if (newTransaction.from === dbConfig.systemUserName) {
+    dbWallet.depositSystemTransfer({
+      transaction: newTransaction,
+      callback: ({ error, data }) => {
+        if (error) {
+          callback({ error });
+
+          return;
+        }
+
+        const { transaction: createdTransaction, toWallet } = data;
+
+        io.to(getWalletRoom(createdTransaction.to)).emit('transaction', {
+          data: {
+            transaction: createdTransaction,
+            wallet: toWallet,
+          },
+        });
+
+        callback({ data: { transaction: createdTransaction, toWallet } });
+      },
+    });
+
+    return;
+  }
+
+  dbWallet.transferAmount({
+    transaction: newTransaction,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { transaction: createdTransaction, fromWallet, toWallet } = data;
+
+      io.to(getWalletRoom(createdTransaction.from)).emit('transaction', {
+        data: {
+          transaction: createdTransaction,
+          wallet: fromWallet,
         },
       });
+      io.to(getWalletRoom(createdTransaction.to)).emit('transaction', {
+        data: {
+          transaction: createdTransaction,
+          wallet: toWallet,
+        },
+      });
+
+      callback({ data });
     },
   });
 }
@@ -279,6 +410,576 @@ function createTransactionBasedOnToken({ transaction, io, socket, fromTeam, toke
   });
 }
 
+/**
+ * Is the user the owner of the wallet or a member of the team that owns it?
+ * @param {Object} params.user User
+ * @param {string} params.owner Owner of the wallet
+ * @returns {boolean} Is the user the owner?
+ */
+function isWalletOwner({ user, owner }) {
+  return owner === user.userName || (typeof user.team === 'string' && owner === user.team + appConfig.teamAppend);
+}
+
+/**
+ * Send wallet event to the sender and receiver of an escrow transaction. Wallets are only sent to the party whose wallet was changed
+ * @param {Object} params.io Socket io
+ * @param {Object} params.transaction Escrow transaction
+ * @param {Object} [params.fromWallet] Updated wallet of the sender
+ * @param {Object} [params.toWallet] Updated wallet of the receiver
+ */
+function emitEscrowTransaction({ io, transaction, fromWallet, toWallet }) {
+  io.to(getWalletRoom(transaction.from)).emit('wallet', { data: { transaction, wallet: fromWallet } });
+  io.to(getWalletRoom(transaction.to)).emit('wallet', { data: { transaction, wallet: toWallet } });
+}
+
+/**
+ * Deposit or refund an escrow transaction and remove the invitation from the receiver
+ * @param {Object} params.transaction Escrow transaction
+ * @param {boolean} params.shouldRefund Should the amount be returned to the sender?
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function finishEscrowTransaction({ transaction, shouldRefund, io, callback }) {
+  const transactionId = transaction._id.toString(); // eslint-disable-line no-underscore-dangle
+  const finishTransfer = shouldRefund ? dbWallet.refundTransfer : dbWallet.releaseTransfer;
+
+  finishTransfer({
+    transactionId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { transaction: finishedTransaction, fromWallet, toWallet } = data;
+
+      // Mission rewards are not sent as invitations
+      if (finishedTransaction.missionId) {
+        emitEscrowTransaction({ io, fromWallet, toWallet, transaction: finishedTransaction });
+
+        callback({ data: { fromWallet, toWallet, transaction: finishedTransaction } });
+
+        return;
+      }
+
+      dbInvitation.removeInvitationFromList({
+        userName: finishedTransaction.to,
+        itemName: transactionId,
+        invitationType: 'escrow',
+        callback: ({ error: invitationError }) => {
+          if (invitationError) {
+            winston.warn(`Failed to remove escrow invitation ${transactionId}`);
+          }
+
+          emitEscrowTransaction({ io, fromWallet, toWallet, transaction: finishedTransaction });
+
+          callback({ data: { fromWallet, toWallet, transaction: finishedTransaction } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get an escrow transaction and check that the user is allowed to finish it
+ * @param {string} params.transactionId Id of the transaction
+ * @param {Object} params.user User finishing the transaction
+ * @param {boolean} params.isSender Has the user to own the sending wallet? The user has to own the receiving wallet if false
+ * @param {Function} params.callback Callback
+ */
+function getEscrowTransaction({ transactionId, user, isSender, callback }) {
+  dbTransaction.getTransaction({
+    transactionId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { transaction } = data;
+
+      if (transaction.state !== dbTransaction.TransactionStates.ESCROW) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `escrow transaction ${transactionId}` }) });
+
+        return;
+      } else if (transaction.missionId) {
+        callback({ error: new errorCreator.NotAllowed({ name: `escrow transaction ${transactionId} held for mission ${transaction.missionId}` }) });
+
+        return;
+      } else if (!isWalletOwner({ user, owner: isSender ? transaction.from : transaction.to })) {
+        callback({ error: new errorCreator.NotAllowed({ name: `escrow transaction ${transactionId}` }) });
+
+        return;
+      }
+
+      callback({ data: { transaction } });
+    },
+  });
+}
+
+/**
+ * Create a transaction that is held in escrow. The amount is withdrawn from the sender and held until the receiver confirms it or the sender releases it.
+ * It is returned to the sender if the receiver declines it or the deadline passes. The receiver gets an escrow invitation
+ * @param {Object} params.transaction New transaction
+ * @param {string} params.transaction.to Owner of the wallet to transfer to
+ * @param {number} params.transaction.amount Amount to transfer
+ * @param {string} [params.transaction.currency] Currency to transfer. Defaults to the default currency
+ * @param {string} [params.transaction.note] Note
+ * @param {Date} [params.transaction.deadline] The amount will be returned to the sender after this time. Defaults to appConfig.escrowDuration minutes from now
+ * @param {boolean} [params.fromTeam] Is the transaction made from the user's team?
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function createEscrowTransaction({ transaction, fromTeam, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateTransaction.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+      const deadline = transaction.deadline ? new Date(transaction.deadline) : new Date(Date.now() + (appConfig.escrowDuration * 60000));
+      const newTransaction = {
+        deadline,
+        to: transaction.to,
+        from: fromTeam ? user.team + appConfig.teamAppend : user.userName,
+        amount: Math.abs(transaction.amount),
+        currency: transaction.currency || appConfig.defaultCurrency,
+        note: transaction.note,
+        time: new Date(),
+      };
+
+      if (fromTeam && !user.team) {
+        callback({ error: new errorCreator.DoesNotExist({ name: 'not part of team' }) });
+
+        return;
+      } else if (!(transaction.amount > 0)) {
+        callback({ error: new errorCreator.Insufficient({ name: 'amount is 0 or less' }) });
+
+        return;
+      } else if (isNaN(deadline.getTime()) || deadline <= newTransaction.time) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'deadline in the future' }) });
+
+        return;
+      } else if (newTransaction.from === newTransaction.to || user.userName === newTransaction.to) {
+        callback({ error: new errorCreator.InvalidData({ name: 'send to same' }) });
+
+        return;
+      } else if (!dbWallet.isValidCurrency(newTransaction.currency)) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `currency ${newTransaction.currency}` }) });
+
+        return;
+      }
+
+      dbWallet.lockTransfer({
+        transaction: newTransaction,
+        callback: ({ error: lockError, data: lockData }) => {
+          if (lockError) {
+            callback({ error: lockError });
+
+            return;
+          }
+
+          const { transaction: createdTransaction, fromWallet } = lockData;
+          const transactionId = createdTransaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+          dbInvitation.addInvitationToList({
+            userName: createdTransaction.to,
+            invitation: {
+              invitationType: 'escrow',
+              itemName: transactionId,
+              sender: createdTransaction.from,
+              time: createdTransaction.time,
+            },
+            callback: ({ error: invitationError }) => {
+              if (invitationError) {
+                dbWallet.refundTransfer({
+                  transactionId,
+                  callback: () => { callback({ error: invitationError }); },
+                });
+
+                return;
+              }
+
+              emitEscrowTransaction({ io, fromWallet, transaction: createdTransaction });
+
+              callback({ data: { transaction: createdTransaction, wallet: fromWallet } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Receiver confirms an escrow transaction. The amount is deposited to the receiver
+ * @param {string} params.transactionId Id of the transaction
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function confirmEscrowTransaction({ transactionId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.AcceptInvitation.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      getEscrowTransaction({
+        transactionId,
+        user: data.user,
+        isSender: false,
+        callback: ({ error: transactionError, data: transactionData }) => {
+          if (transactionError) {
+            callback({ error: transactionError });
+
+            return;
+          }
+
+          finishEscrowTransaction({
+            io,
+            transaction: transactionData.transaction,
+            shouldRefund: false,
+            callback: ({ error: finishError, data: finishData }) => {
+              if (finishError) {
+                callback({ error: finishError });
+
+                return;
+              }
+
+              callback({ data: { transaction: finishData.transaction, wallet: finishData.toWallet } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Receiver declines an escrow transaction. The amount is returned to the sender
+ * @param {string} params.transactionId Id of the transaction
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function declineEscrowTransaction({ transactionId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.DeclineInvitation.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      getEscrowTransaction({
+        transactionId,
+        user: data.user,
+        isSender: false,
+        callback: ({ error: transactionError, data: transactionData }) => {
+          if (transactionError) {
+            callback({ error: transactionError });
+
+            return;
+          }
+
+          finishEscrowTransaction({
+            io,
+            transaction: transactionData.transaction,
+            shouldRefund: true,
+            callback: ({ error: finishError, data: finishData }) => {
+              if (finishError) {
+                callback({ error: finishError });
+
+                return;
+              }
+
+              callback({ data: { transaction: finishData.transaction } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Sender releases an escrow transaction. The amount is deposited to the receiver
+ * @param {string} params.transactionId Id of the transaction
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function releaseEscrowTransaction({ transactionId, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateTransaction.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      getEscrowTransaction({
+        transactionId,
+        user: data.user,
+        isSender: true,
+        callback: ({ error: transactionError, data: transactionData }) => {
+          if (transactionError) {
+            callback({ error: transactionError });
+
+            return;
+          }
+
+          finishEscrowTransaction({
+            io,
+            transaction: transactionData.transaction,
+            shouldRefund: false,
+            callback: ({ error: finishError, data: finishData }) => {
+              if (finishError) {
+                callback({ error: finishError });
+
+                return;
+              }
+
+              callback({ data: { transaction: finishData.transaction } });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get transactions held in escrow to and from the user's and their team's wallets
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getEscrowTransactions({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetInvitations.name,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { user } = data;
+      const owners = [user.userName];
+
+      if (user.team) {
+        owners.push(user.team + appConfig.teamAppend);
+      }
+
+      dbTransaction.getEscrowTransactions({
+        owners,
+        callback: ({ error: transactionError, data: transactionData }) => {
+          if (transactionError) {
+            callback({ error: transactionError });
+
+            return;
+          }
+
+          const { transactions } = transactionData;
+
+          callback({
+            data: {
+              toTransactions: transactions.filter(transaction => owners.indexOf(transaction.to) > -1),
+              fromTransactions: transactions.filter(transaction => owners.indexOf(transaction.from) > -1),
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Withdraw a mission reward from the creator's wallet and hold it in escrow until the mission is completed or cancelled.
+ * The creator is the receiver until an agent is assigned to the mission
+ * @param {Object} params.user User creating the mission
+ * @param {boolean} [params.fromTeam] Is the reward paid from the user's team?
+ * @param {number} params.amount Amount to hold
+ * @param {string} [params.currency] Currency of the reward. Defaults to the default currency
+ * @param {string} params.missionId Id of the mission
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function createRewardTransaction({ user, fromTeam, amount, currency = appConfig.defaultCurrency, missionId, io, callback }) {
+  if (fromTeam && !user.team) {
+    callback({ error: new errorCreator.DoesNotExist({ name: 'not part of team' }) });
+
+    return;
+  } else if (!(amount > 0)) {
+    callback({ error: new errorCreator.Insufficient({ name: 'amount is 0 or less' }) });
+
+    return;
+  } else if (!dbWallet.isValidCurrency(currency)) {
+    callback({ error: new errorCreator.DoesNotExist({ name: `currency ${currency}` }) });
+
+    return;
+  }
+
+  const from = fromTeam ? user.team + appConfig.teamAppend : user.userName;
+
+  dbWallet.lockTransfer({
+    transaction: {
+      from,
+      currency,
+      missionId,
+      to: from,
+      amount: Math.abs(amount),
+      note: `Reward for mission ${missionId}`,
+      time: new Date(),
+    },
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { transaction, fromWallet } = data;
+
+      io.to(getWalletRoom(from)).emit('wallet', { data: { transaction, wallet: fromWallet } });
+
+      callback({ data: { transaction, wallet: fromWallet } });
+    },
+  });
+}
+
+/**
+ * Set the receiver of a mission reward held in escrow
+ * @param {string} params.transactionId Id of the transaction
+ * @param {string} params.to Owner of the wallet that will receive the reward
+ * @param {Function} params.callback Callback
+ */
+function updateRewardReceiver({ transactionId, to, callback }) {
+  dbWallet.getWallet({
+    owner: to,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbTransaction.updateEscrowReceiver({
+        transactionId,
+        to,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Pay a mission reward held in escrow to its receiver or return it to the creator
+ * @param {string} params.transactionId Id of the transaction
+ * @param {boolean} params.shouldRefund Should the reward be returned to the creator?
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function finishRewardTransaction({ transactionId, shouldRefund, io, callback }) {
+  dbTransaction.getTransaction({
+    transactionId,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (data.transaction.state !== dbTransaction.TransactionStates.ESCROW || !data.transaction.missionId) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `mission reward ${transactionId}` }) });
+
+        return;
+      }
+
+      finishEscrowTransaction({
+        io,
+        shouldRefund,
+        callback,
+        transaction: data.transaction,
+      });
+    },
+  });
+}
+
+/**
+ * Return escrow transactions that have passed their deadline to their senders
+ * @param {Object} params.io Socket io
+ */
+function refundExpiredEscrowTransactions({ io }) {
+  dbTransaction.getExpiredEscrowTransactions({
+    time: new Date(),
+    callback: ({ error, data }) => {
+      if (error) {
+        return;
+      }
+
+      data.transactions.forEach((transaction) => {
+        finishEscrowTransaction({
+          transaction,
+          io,
+          shouldRefund: true,
+          callback: ({ error: refundError }) => {
+            if (refundError) {
+              winston.warn(`Refund of escrow transaction ${transaction._id} failed`); // eslint-disable-line no-underscore-dangle
+            }
+          },
+        });
+      });
+    },
+  });
+}
+
+/**
+ * Start interval that refunds escrow transactions that have passed their deadline
+ * @param {Object} params.io Socket io
+ */
+function startEscrowInterval({ io }) {
+  setInterval(refundExpiredEscrowTransactions, appConfig.escrowInterval, { io });
+}
+
+/**
+ * Start interval that finishes or cancels transfers that were interrupted. Only transfers that haven't changed state for a while are recovered
+ */
+function startTransferRecoveryInterval() {
+  setInterval(() => {
+    dbWallet.recoverTransfers({ olderThan: new Date(Date.now() - appConfig.transferRecoveryAge) });
+  }, appConfig.transferRecoveryInterval);
+}
+
 exports.createTransactionBasedOnToken = createTransactionBasedOnToken;
 exports.getTransactions = getTransactions;
+exports.getTransactionHistory = getTransactionHistory;
 exports.createTransaction = createTransaction;
+exports.createSystemTransaction = createSystemTransaction;
+exports.createEscrowTransaction = createEscrowTransaction;
+exports.confirmEscrowTransaction = confirmEscrowTransaction;
+exports.declineEscrowTransaction = declineEscrowTransaction;
+exports.releaseEscrowTransaction = releaseEscrowTransaction;
+exports.getEscrowTransactions = getEscrowTransactions;
+exports.startEscrowInterval = startEscrowInterval;
+exports.getWalletRoom = getWalletRoom;
+exports.startTransferRecoveryInterval = startTransferRecoveryInterval;
+exports.createRewardTransaction = createRewardTransaction;
+exports.updateRewardReceiver = updateRewardReceiver;
+exports.finishRewardTransaction = finishRewardTransaction;
@@ -127,8 +127,11 @@ function createUser({ token, user, callback, origin = '' }) {
                   accessLevel: createdUser.accessLevel,
                   owner: createdUser.userName,
                   amount: appConfig.defaultWalletAmount,
+                  currencies: {},
                 };
 
+                appConfig.currencies.forEach(({ name, defaultAmount = 0 }) => { wallet.currencies[name] = defaultAmount; });
+
                 dbWallet.createWallet({
                   wallet,
                   callback: ({ error: walletError, data: walletData }) => {
@@ -285,7 +288,7 @@ function listUsers({ includeInactive, token, callback, team = {} }) {
 }
 
 /**
- * Change password
+ * Change password. All tokens issued to the user are revoked
  * @param {string} params.key Password request key
  * @param {string} params.password Password
  * @param {Function} params.callback Callback
@@ -316,7 +319,18 @@ function changePassword({ key, password, callback }) {
             return;
           }
 
-          callback({ data: { success: true } });
+          authenticator.revokeUserTokens({
+            userName: data.event.owner,
+            callback: ({ error: revokeError }) => {
+              if (revokeError) {
+                callback({ error: revokeError });
+
+                return;
+              }
+
+              callback({ data: { success: true } });
+            },
+          });
         },
       });
     },
@@ -497,6 +511,8 @@ function login({ user, device, socket, io, callback }) {
                       callback({
                         data: {
                           token: tokenData.token,
+                          refreshToken: tokenData.refreshToken,
+                          expiresAt: tokenData.expiresAt,
                           user: authUser,
                         },
                       });
@@ -513,7 +529,7 @@ function login({ user, device, socket, io, callback }) {
 }
 
 /**
- * Logout user from socket client
+ * Logout user from socket client. The access token and the refresh token that was created with it are revoked. The user's other devices stay logged in
  * @param {Object} params.device Device that is logging out
  * @param {string} params.token jwt
  * @param {Object} params.socket Socket io
@@ -569,7 +585,19 @@ function logout({ device, token, socket, callback }) {
                   }
 
                   roomManager.leaveSocketRooms({ socket });
-                  callback({ data: { success: true } });
+
+                  authenticator.revokeTokenPair({
+                    token,
+                    callback: ({ error: revokeError }) => {
+                      if (revokeError) {
+                        callback({ error: revokeError });
+
+                        return;
+                      }
+
+                      callback({ data: { success: true } });
+                    },
+                  });
                 },
               });
             },
@@ -689,7 +717,7 @@ function unbanUser({ token, user, callback }) {
 }
 
 /**
- * Ban user
+ * Ban user. All tokens issued to the user are revoked
  * @param {Object} params.user User to ban
  * @param {Object} params.io socket io
  * @param {string} params.token jwt
@@ -739,7 +767,18 @@ function banUser({ user, io, token, callback }) {
 
               io.to(userName + appConfig.whisperAppend).emit('ban');
 
-              callback({ data: { success: true } });
+              authenticator.revokeUserTokens({
+                userName,
+                callback: ({ error: revokeError }) => {
+                  if (revokeError) {
+                    callback({ error: revokeError });
+
+                    return;
+                  }
+
+                  callback({ data: { success: true } });
+                },
+              });
             },
           });
         },
@@ -20,14 +20,18 @@ const dbWallet = require('../db/connectors/wallet');
 const dbConfig = require('../config/defaults/config').databasePopulation;
 const errorCreator = require('../objects/error/errorCreator');
 const authenticator = require('../helpers/authenticator');
+const dbTransaction = require('../db/connectors/transaction');
+const appConfig = require('../config/defaults/config').app;
+const dbExchangeRate = require('../db/connectors/exchangeRate');
 
 /**
  * Decrease wallet amount
  * @param {string} params.owner Name of the owner of the wallet
  * @param {number} params.amount The amount to decrease wallet amount with
+ * @param {string} [params.currency] Currency to decrease. Defaults to the default currency
  * @param {Function} params.callback Callback
  */
-function decreaseWalletAmount({ owner, amount, token, callback }) {
+function decreaseWalletAmount({ owner, amount, currency = appConfig.defaultCurrency, token, callback }) {
   authenticator.isUserAllowed({
     token,
     commandName: dbConfig.apiCommands.DecreaseWalletAmount.name,
@@ -39,35 +43,29 @@ function decreaseWalletAmount({ owner, amount, token, callback }) {
       } else if (amount <= 0) {
         callback({ error: new errorCreator.InvalidData({ name: 'amount is 0' }) });
 
+        return;
+      } else if (!dbWallet.isValidCurrency(currency)) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `currency ${currency}` }) });
+
         return;
       }
 
-      dbWallet.getWallet({
+      dbWallet.decreaseAmount({
+        amount,
         owner,
-        callback: ({ error: walletError, data: walletData }) => {
-          if (walletError) {
-            callback({ error: walletError });
+        currency,
+        callback: ({ error: decreasedError, data: decreasedData }) => {
+          if (decreasedError && decreasedError.type === errorCreator.ErrorTypes.INSUFFICIENT) {
+            callback({ error: new errorCreator.InvalidData({ name: 'wallet amount' }) });
 
             return;
-          } else if (walletData.wallet.amount < amount) {
-            callback({ error: new errorCreator.InvalidData({ name: 'wallet amount' }) });
+          } else if (decreasedError) {
+            callback({ error: decreasedError });
 
             return;
           }
 
-          dbWallet.decreaseAmount({
-            amount,
-            owner,
-            callback: ({ error: decreasedError, data: decreasedData }) => {
-              if (decreasedError) {
-                callback({ error: decreasedError });
-
-                return;
-              }
-
-              callback({ data: decreasedData });
-            },
-          });
+          callback({ data: decreasedData });
         },
       });
     },
@@ -78,9 +76,10 @@ function decreaseWalletAmount({ owner, amount, token, callback }) {
  * Increase wallet amount
  * @param {string} params.owner Name of the owner of the wallet
  * @param {number} params.amount The amount to increase wallet amount with
+ * @param {string} [params.currency] Currency to increase. Defaults to the default currency
  * @param {Function} params.callback Callback
  */
-function increaseWalletAmount({ owner, amount, token, callback }) {
+function increaseWalletAmount({ owner, amount, currency = appConfig.defaultCurrency, token, callback }) {
   authenticator.isUserAllowed({
     token,
     commandName: dbConfig.apiCommands.IncreaseWalletAmount.name,
@@ -92,6 +91,10 @@ function increaseWalletAmount({ owner, amount, token, callback }) {
       } else if (amount <= 0) {
         callback({ error: new errorCreator.InvalidData({ name: 'amount is 0' }) });
 
+        return;
+      } else if (!dbWallet.isValidCurrency(currency)) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `currency ${currency}` }) });
+
         return;
       }
 
@@ -107,6 +110,7 @@ function increaseWalletAmount({ owner, amount, token, callback }) {
           dbWallet.increaseAmount({
             amount,
             owner,
+            currency,
             callback: ({ error: decreasedError, data: decreasedData }) => {
               if (decreasedError) {
                 callback({ error: decreasedError });
@@ -227,8 +231,326 @@ function emptyWallet({ owner, token, callback }) {
   });
 }
 
+/**
+ * Get economy statistics. Includes the total amount in all wallets, the wallets with the highest amounts,
+ * amounts transferred between teams and amounts transferred per hour
+ * @param {string} params.token jwt
+ * @param {Date} [params.startDate] Transactions made before this time will be excluded
+ * @param {Date} [params.endDate] Transactions made after this time will be excluded
+ * @param {number} [params.topHolderAmount] Amount of wallets with the highest amounts to return
+ * @param {string} [params.currency] Currency to get statistics for. Defaults to the default currency
+ * @param {Function} params.callback Callback
+ */
+function getWalletStats({ token, startDate, endDate, topHolderAmount = 10, currency = appConfig.defaultCurrency, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetWalletStats.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const start = startDate ? new Date(startDate) : undefined;
+      const end = endDate ? new Date(endDate) : undefined;
+
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'startDate and endDate to be dates' }) });
+
+        return;
+      } else if (!dbWallet.isValidCurrency(currency)) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `currency ${currency}` }) });
+
+        return;
+      }
+
+      dbWallet.getAllWallets({
+        callback: ({ error: walletError, data: walletData }) => {
+          if (walletError) {
+            callback({ error: walletError });
+
+            return;
+          }
+
+          dbTransaction.getTransactionsByTime({
+            startDate: start,
+            endDate: end,
+            currency,
+            callback: ({ error: transactionError, data: transactionData }) => {
+              if (transactionError) {
+                callback({ error: transactionError });
+
+                return;
+              }
+
+              const wallets = walletData.wallets.map(wallet => ({
+                owner: wallet.owner,
+                team: wallet.team,
+                amount: dbWallet.getCurrencyAmount({ wallet, currency }),
+              }));
+              const walletTeams = {};
+              const teamFlows = {};
+              const hourVolumes = {};
+
+              wallets.forEach((wallet) => {
+                walletTeams[wallet.owner] = wallet.owner.indexOf(appConfig.teamAppend) > -1 ? wallet.owner.replace(appConfig.teamAppend, '') : wallet.team;
+              });
+
+              transactionData.transactions.forEach((transaction) => {
+                const fromTeam = walletTeams[transaction.from];
+                const toTeam = walletTeams[transaction.to];
+                const hour = new Date(transaction.time);
+                hour.setMinutes(0, 0, 0);
+
+                const hourKey = hour.toISOString();
+                const hourVolume = hourVolumes[hourKey] || { hour, amount: 0, transactionCount: 0 };
+                hourVolume.amount += transaction.amount;
+                hourVolume.transactionCount += 1;
+                hourVolumes[hourKey] = hourVolume;
+
+                if (fromTeam && toTeam && fromTeam !== toTeam) {
+                  const flowKey = `${fromTeam} ${toTeam}`;
+                  const teamFlow = teamFlows[flowKey] || { fromTeam, toTeam, amount: 0, transactionCount: 0 };
+                  teamFlow.amount += transaction.amount;
+                  teamFlow.transactionCount += 1;
+                  teamFlows[flowKey] = teamFlow;
+                }
+              });
+
+              callback({
+                data: {
+                  currency,
+                  moneySupply: wallets.reduce((total, wallet) => total + wallet.amount, 0),
+                  topHolders: wallets.sort((a, b) => b.amount - a.amount).slice(0, topHolderAmount),
+                  teamFlows: Object.keys(teamFlows).map(flowKey => teamFlows[flowKey]),
+                  volumePerHour: Object.keys(hourVolumes).sort().map(hourKey => hourVolumes[hourKey]),
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Get the currencies that wallets can hold
+ * @returns {{name: string, isDefault: boolean}[]} Currencies
+ */
+function getCurrencies() {
+  return [{ name: appConfig.defaultCurrency, isDefault: true }].concat(appConfig.currencies.map(({ name }) => ({ name, isDefault: false })));
+}
+
+/**
+ * Get exchange rates between currencies
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getExchangeRates({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetExchangeRates.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbExchangeRate.getExchangeRates({
+        callback: ({ error: rateError, data: rateData }) => {
+          if (rateError) {
+            callback({ error: rateError });
+
+            return;
+          }
+
+          callback({ data: { currencies: getCurrencies(), exchangeRates: rateData.exchangeRates } });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Set the exchange rate and fee from one currency to another
+ * @param {Object} params.exchangeRate Exchange rate
+ * @param {string} params.exchangeRate.fromCurrency Currency to exchange from
+ * @param {string} params.exchangeRate.toCurrency Currency to exchange to
+ * @param {number} params.exchangeRate.rate Amount of toCurrency received for 1 fromCurrency
+ * @param {number} [params.exchangeRate.fee] Percentage (0 - 100) of the exchanged amount that is withheld
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function setExchangeRate({ exchangeRate, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.SetExchangeRate.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const { fromCurrency, toCurrency } = exchangeRate;
+      const rate = Number(exchangeRate.rate);
+      const fee = Number(exchangeRate.fee || 0);
+
+      if (!dbWallet.isValidCurrency(fromCurrency) || !dbWallet.isValidCurrency(toCurrency)) {
+        callback({ error: new errorCreator.DoesNotExist({ name: `currency ${fromCurrency} ${toCurrency}` }) });
+
+        return;
+      } else if (fromCurrency === toCurrency || !(rate > 0) || !(fee >= 0 && fee < 100)) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'different currencies, rate > 0 and 0 <= fee < 100' }) });
+
+        return;
+      }
+
+      dbExchangeRate.setExchangeRate({
+        exchangeRate: { fromCurrency, toCurrency, rate, fee },
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Remove the exchange rate from one currency to another
+ * @param {string} params.fromCurrency Currency to exchange from
+ * @param {string} params.toCurrency Currency to exchange to
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function removeExchangeRate({ fromCurrency, toCurrency, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.SetExchangeRate.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbExchangeRate.removeExchangeRate({
+        fromCurrency,
+        toCurrency,
+        callback,
+      });
+    },
+  });
+}
+
+/**
+ * Exchange an amount of one currency in a wallet to another currency.
+ * The exchange rate's fee is withheld from the exchanged amount, which is rounded down.
+ * Two transactions with the system user are created, so that the history of each currency shows the exchange
+ * @param {string} params.owner Owner of the wallet
+ * @param {string} params.fromCurrency Currency to exchange from
+ * @param {string} params.toCurrency Currency to exchange to
+ * @param {number} params.amount Amount of fromCurrency to exchange
+ * @param {string} params.token jwt
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function exchangeCurrency({ owner, fromCurrency, toCurrency, amount, token, io, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    matchNameTo: owner,
+    commandName: dbConfig.apiCommands.ExchangeCurrency.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!(amount > 0)) {
+        callback({ error: new errorCreator.InvalidData({ expected: 'amount > 0' }) });
+
+        return;
+      }
+
+      dbExchangeRate.getExchangeRate({
+        fromCurrency,
+        toCurrency,
+        callback: ({ error: rateError, data: rateData }) => {
+          if (rateError) {
+            callback({ error: rateError });
+
+            return;
+          }
+
+          const { rate, fee } = rateData.exchangeRate;
+          const exchangedAmount = Math.floor(amount * rate * ((100 - fee) / 100));
+
+          if (exchangedAmount <= 0) {
+            callback({ error: new errorCreator.Insufficient({ name: `exchanged ${toCurrency} amount is 0` }) });
+
+            return;
+          }
+
+          dbWallet.exchangeCurrency({
+            owner,
+            fromCurrency,
+            toCurrency,
+            amount,
+            exchangedAmount,
+            callback: ({ error: walletError, data: walletData }) => {
+              if (walletError) {
+                callback({ error: walletError });
+
+                return;
+              }
+
+              const { wallet } = walletData;
+              const time = new Date();
+              const note = `Exchange ${fromCurrency} to ${toCurrency}`;
+              const room = owner.indexOf(appConfig.teamAppend) > -1 ? owner : owner + appConfig.whisperAppend;
+
+              dbTransaction.createTransaction({
+                transaction: { time, note, amount, from: owner, to: dbConfig.systemUserName, currency: fromCurrency },
+                callback: ({ error: fromError, data: fromData }) => {
+                  if (fromError) {
+                    callback({ error: fromError });
+
+                    return;
+                  }
+
+                  dbTransaction.createTransaction({
+                    transaction: { time, note, amount: exchangedAmount, from: dbConfig.systemUserName, to: owner, currency: toCurrency },
+                    callback: ({ error: toError, data: toData }) => {
+                      if (toError) {
+                        callback({ error: toError });
+
+                        return;
+                      }
+
+                      const transactions = [fromData.transaction, toData.transaction];
+
+                      transactions.forEach(transaction => io.to(room).emit('transaction', { data: { transaction, wallet } }));
+
+                      callback({ data: { transactions, wallet } });
+                    },
+                  });
+                },
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
 exports.decreaseWalletAmount = decreaseWalletAmount;
 exports.increaseWalletAmount = increaseWalletAmount;
 exports.getWallets = getWallets;
 exports.getWallet = getWallet;
 exports.emptyWallet = emptyWallet;
+exports.getWalletStats = getWalletStats;
+exports.getExchangeRates = getExchangeRates;
+exports.setExchangeRate = setExchangeRate;
+exports.removeExchangeRate = removeExchangeRate;
+exports.exchangeCurrency = exchangeCurrency;
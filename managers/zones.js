@@ -0,0 +1,568 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const winston = require('winston');
+const dbZone = require('../db/connectors/zone');
+const dbPosition = require('../db/connectors/position');
+const dbUser = require('../db/connectors/user');
+const dbRoom = require('../db/connectors/room');
+const dbDocFile = require('../db/connectors/docFile');
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+const errorCreator = require('../objects/error/errorCreator');
+const objectValidator = require('../utils/objectValidator');
+const authenticator = require('../helpers/authenticator');
+const messenger = require('../helpers/messenger');
+const mapCreator = require('../utils/mapCreator');
+const transactionManager = require('./transactions');
+const calibrationManager = require('./calibrationMissions');
+
+/**
+ * Effects that can be triggered when a user enters or leaves a zone
+ */
+const TriggerTypes = {
+  MESSAGE: 'message',
+  ROOM: 'room',
+  WALLET: 'wallet',
+  DOCFILE: 'docFile',
+  CALIBRATIONMISSION: 'calibrationMission',
+};
+
+/**
+ * Types of logged zone events
+ */
+const ZoneEventTypes = {
+  ENTER: 'enter',
+  EXIT: 'exit',
+};
+
+/**
+ * Does the trigger have a valid type and the parameters needed by its type?
+ * @param {Object} trigger Trigger
+ * @returns {boolean} Is the trigger valid?
+ */
+function isValidTrigger(trigger) {
+  switch (trigger.triggerType) {
+    case TriggerTypes.MESSAGE: {
+      return Array.isArray(trigger.text) && trigger.text.length > 0;
+    }
+    case TriggerTypes.ROOM: {
+      return typeof trigger.roomName === 'string';
+    }
+    case TriggerTypes.WALLET: {
+      return typeof trigger.amount === 'number' && trigger.amount > 0;
+    }
+    case TriggerTypes.DOCFILE: {
+      return typeof trigger.docFileId === 'string';
+    }
+    case TriggerTypes.CALIBRATIONMISSION: {
+      return true;
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+/**
+ * Are all triggers valid?
+ * @param {Object[]} [triggers] Triggers
+ * @returns {boolean} Are the triggers valid?
+ */
+function isValidTriggers(triggers = []) {
+  return Array.isArray(triggers) && triggers.every(trigger => trigger && isValidTrigger(trigger));
+}
+
+/**
+ * Get the area of a static position. Google Maps positions are checked first, then positions stored in the database
+ * @param {string} params.positionName Name of the position
+ * @param {Function} params.callback Callback
+ */
+function getPositionArea({ positionName, callback }) {
+  mapCreator.getGooglePositions({
+    callback: ({ data: googleData }) => {
+      const googlePosition = googleData.positions.find(position => position.positionName === positionName);
+
+      if (googlePosition && googlePosition.geometry === 'polygon') {
+        callback({ data: { coordsCollection: googlePosition.coordinates.coordsCollection } });
+
+        return;
+      } else if (googlePosition && googlePosition.geometry === 'point') {
+        callback({
+          data: {
+            coordinates: {
+              latitude: Number(googlePosition.coordinates.latitude),
+              longitude: Number(googlePosition.coordinates.longitude),
+            },
+          },
+        });
+
+        return;
+      } else if (googlePosition) {
+        callback({ error: new errorCreator.InvalidData({ expected: `polygon or point position ${positionName}` }) });
+
+        return;
+      }
+
+      dbPosition.getPosition({
+        positionName,
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          const { coordinates } = data.position;
+
+          callback({
+            data: {
+              coordinates: {
+                latitude: coordinates.latitude,
+                longitude: coordinates.longitude,
+              },
+              radius: coordinates.radius,
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Is the position within the zone?
+ * @param {Object} params.zone Zone
+ * @param {Object} params.coordinates GPS coordinates
+ * @returns {boolean} Is the position within the zone?
+ */
+function isWithinZone({ zone, coordinates }) {
+  if (zone.coordsCollection && zone.coordsCollection.length > 2) {
+    return mapCreator.isWithinPolygon({ coordinates, coordsCollection: zone.coordsCollection });
+  }
+
+  return mapCreator.getDistance(zone.coordinates, coordinates) < zone.radius;
+}
+
+/**
+ * Run a trigger on a user
+ * @param {Object} params.trigger Trigger
+ * @param {Object} params.zone Zone that caused the trigger
+ * @param {string} params.userName Name of the user
+ * @param {string} params.token jwt of the user. Used when starting calibration missions
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback
+ */
+function runTrigger({ trigger, zone, userName, token, io, callback }) {
+  const userRoom = userName + appConfig.whisperAppend;
+
+  switch (trigger.triggerType) {
+    case TriggerTypes.MESSAGE: {
+      messenger.sendAndStoreSystemMsg({
+        io,
+        callback,
+        message: { text: trigger.text, roomName: userRoom },
+      });
+
+      break;
+    }
+    case TriggerTypes.ROOM: {
+      dbRoom.getRoom({
+        roomName: trigger.roomName,
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          const { room } = data;
+
+          dbUser.addRoomToUser({
+            userName,
+            roomName: room.roomName,
+            callback: ({ error: addError }) => {
+              if (addError) {
+                callback({ error: addError });
+
+                return;
+              }
+
+              io.to(userRoom).emit('follow', { data: { room } });
+              io.to(room.roomName).emit('roomFollower', { data: { userName, roomName: room.roomName, isFollowing: true } });
+
+              callback({ data: { room } });
+            },
+          });
+        },
+      });
+
+      break;
+    }
+    case TriggerTypes.WALLET: {
+      transactionManager.createSystemTransaction({
+        io,
+        callback,
+        transaction: {
+          from: dbConfig.systemUserName,
+          to: userName,
+          amount: trigger.amount,
+          currency: trigger.currency,
+          note: `Zone ${zone.zoneName}`,
+        },
+      });
+
+      break;
+    }
+    case TriggerTypes.DOCFILE: {
+      dbDocFile.addAccessUser({
+        userName,
+        docFileId: trigger.docFileId,
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          io.to(userRoom).emit('docFile', { data: { docFile: data.docFile } });
+
+          callback({ data });
+        },
+      });
+
+      break;
+    }
+    case TriggerTypes.CALIBRATIONMISSION: {
+      calibrationManager.getActiveCalibrationMission({
+        token,
+        stationId: trigger.stationId,
+        callback: ({ error, data }) => {
+          if (error) {
+            callback({ error });
+
+            return;
+          }
+
+          io.to(userRoom).emit('calibrationMission', { data });
+
+          callback({ data });
+        },
+      });
+
+      break;
+    }
+    default: {
+      callback({ error: new errorCreator.InvalidData({ expected: 'valid trigger type' }) });
+
+      break;
+    }
+  }
+}
+
+/**
+ * Store that the user has entered or left the zone, log it and run the zone's triggers for the event.
+ * Nothing happens if the user was already stored as inside or outside the zone
+ * @param {Object} params.zone Zone
+ * @param {string} params.eventType Type of event
+ * @param {string} params.userName Name of the user
+ * @param {string} params.token jwt of the user
+ * @param {Object} params.io Socket io
+ * @param {Function} params.callback Callback. Called after the event has been logged. Triggers are run after the callback
+ */
+function changeUserPresence({ zone, eventType, userName, token, io, callback }) {
+  const isEntering = eventType === ZoneEventTypes.ENTER;
+  const updateFunc = isEntering ? dbZone.addUserInside : dbZone.removeUserInside;
+
+  updateFunc({
+    userName,
+    zoneName: zone.zoneName,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbZone.createZoneEvent({
+        zoneEvent: { eventType, userName, zoneName: zone.zoneName },
+        callback: ({ error: eventError }) => {
+          if (eventError) {
+            winston.warn(`Failed to log ${eventType} on zone ${zone.zoneName} for ${userName}`);
+          }
+
+          callback({ data: { eventType, zoneName: zone.zoneName } });
+        },
+      });
+
+      io.to(userName + appConfig.whisperAppend).emit('zone', { data: { eventType, zoneName: zone.zoneName } });
+
+      (isEntering ? zone.enterTriggers : zone.exitTriggers).forEach((trigger) => {
+        runTrigger({
+          trigger,
+          zone,
+          userName,
+          token,
+          io,
+          callback: ({ error: triggerError }) => {
+            if (triggerError) {
+              winston.warn(`Failed to run ${trigger.triggerType} trigger on zone ${zone.zoneName} for ${userName}`);
+            }
+          },
+        });
+      });
+    },
+  });
+}
+
+/**
+ * Check if the user has entered or left any active zones and run their triggers
+ * @param {string} params.userName Name of the user
+ * @param {Object} params.coordinates GPS coordinates of the user
+ * @param {string} params.token jwt of the user
+ * @param {Object} params.io Socket io
+ * @param {Function} [params.callback] Callback. Called with the zones that the user entered or left, after the events have been logged
+ */
+function checkZones({ userName, coordinates, token, io, callback = () => {} }) {
+  dbZone.getZones({
+    activeOnly: true,
+    callback: ({ error, data }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      const changedZones = data.zones.filter(zone => isWithinZone({ zone, coordinates }) !== (zone.usersInside.indexOf(userName) > -1));
+      const zoneEvents = [];
+
+      /**
+       * Change the user's presence in the zones, one at a time
+       * @param {Object[]} zones Zones left to change presence in
+       */
+      function changePresence(zones) {
+        const zone = zones[0];
+
+        if (!zone) {
+          callback({ data: { zoneEvents } });
+
+          return;
+        }
+
+        changeUserPresence({
+          zone,
+          userName,
+          token,
+          io,
+          eventType: zone.usersInside.indexOf(userName) > -1 ? ZoneEventTypes.EXIT : ZoneEventTypes.ENTER,
+          callback: ({ data: presenceData }) => {
+            if (presenceData) {
+              zoneEvents.push(presenceData);
+            }
+
+            changePresence(zones.slice(1));
+          },
+        });
+      }
+
+      changePresence(changedZones);
+    },
+  });
+}
+
+/**
+ * Get zones
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getZones({ token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetZones.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbZone.getZones({ callback });
+    },
+  });
+}
+
+/**
+ * Get logged events for a zone
+ * @param {string} params.zoneName Name of the zone
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function getZoneEvents({ zoneName, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.GetZones.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbZone.getZone({
+        zoneName,
+        callback: ({ error: zoneError }) => {
+          if (zoneError) {
+            callback({ error: zoneError });
+
+            return;
+          }
+
+          dbZone.getZoneEvents({
+            zoneName,
+            callback,
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Create a zone with the area of a static position
+ * @param {Object} params.zone Zone to create
+ * @param {string} params.zone.zoneName Name of the zone
+ * @param {string} params.zone.positionName Name of the static position with the area of the zone
+ * @param {number} [params.zone.radius] Radius (in meters) of the zone. Only used for positions that are not polygons
+ * @param {Object[]} [params.zone.enterTriggers] Triggers that run when a user enters the zone
+ * @param {Object[]} [params.zone.exitTriggers] Triggers that run when a user leaves the zone
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function createZone({ zone, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.CreateZone.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if (!objectValidator.isValidData({ zone }, { zone: { zoneName: true, positionName: true } })) {
+        callback({ error: new errorCreator.InvalidData({ expected: '{ zone: { zoneName, positionName } }' }) });
+
+        return;
+      } else if (!isValidTriggers(zone.enterTriggers) || !isValidTriggers(zone.exitTriggers)) {
+        callback({ error: new errorCreator.InvalidData({ expected: `triggers with triggerType ${Object.keys(TriggerTypes).map(type => TriggerTypes[type]).join(', ')}` }) });
+
+        return;
+      }
+
+      getPositionArea({
+        positionName: zone.positionName,
+        callback: ({ error: areaError, data: areaData }) => {
+          if (areaError) {
+            callback({ error: areaError });
+
+            return;
+          }
+
+          dbZone.createZone({
+            callback,
+            zone: {
+              zoneName: zone.zoneName,
+              positionName: zone.positionName,
+              coordinates: areaData.coordinates,
+              coordsCollection: areaData.coordsCollection,
+              radius: zone.radius || areaData.radius || appConfig.defaultZoneRadius,
+              enterTriggers: zone.enterTriggers,
+              exitTriggers: zone.exitTriggers,
+            },
+          });
+        },
+      });
+    },
+  });
+}
+
+/**
+ * Update zone
+ * @param {string} params.zoneName Name of the zone
+ * @param {Object} params.zone Values to update
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function updateZone({ zoneName, zone, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.UpdateZone.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      } else if ((zone.enterTriggers && !isValidTriggers(zone.enterTriggers)) || (zone.exitTriggers && !isValidTriggers(zone.exitTriggers))) {
+        callback({ error: new errorCreator.InvalidData({ expected: `triggers with triggerType ${Object.keys(TriggerTypes).map(type => TriggerTypes[type]).join(', ')}` }) });
+
+        return;
+      }
+
+      dbZone.updateZone({
+        zoneName,
+        callback,
+        isActive: zone.isActive,
+        radius: zone.radius,
+        enterTriggers: zone.enterTriggers,
+        exitTriggers: zone.exitTriggers,
+      });
+    },
+  });
+}
+
+/**
+ * Remove zone
+ * @param {string} params.zoneName Name of the zone
+ * @param {string} params.token jwt
+ * @param {Function} params.callback Callback
+ */
+function removeZone({ zoneName, token, callback }) {
+  authenticator.isUserAllowed({
+    token,
+    commandName: dbConfig.apiCommands.RemoveZone.name,
+    callback: ({ error }) => {
+      if (error) {
+        callback({ error });
+
+        return;
+      }
+
+      dbZone.removeZone({
+        zoneName,
+        callback,
+      });
+    },
+  });
+}
+
+exports.checkZones = checkZones;
+exports.getZones = getZones;
+exports.getZoneEvents = getZoneEvents;
+exports.createZone = createZone;
+exports.updateZone = updateZone;
+exports.removeZone = removeZone;
+exports.TriggerTypes = TriggerTypes;
+exports.ZoneEventTypes = ZoneEventTypes;
@@ -1,23 +1,97 @@
+const winston = require('winston');
 const GameEvent = require('./GameEvent');
+const errorCreator = require('./error/errorCreator');
+const dbTimedEvent = require('../db/connectors/timedEvent');
+const dbDocFile = require('../db/connectors/docFile');
+const dbCommand = require('../db/connectors/command');
+const dbPosition = require('../db/connectors/position');
+const messenger = require('../helpers/messenger');
+const appConfig = require('../config/defaults/config').app;
+const dbConfig = require('../config/defaults/config').databasePopulation;
+
+/**
+ * Max delay accepted by setTimeout
+ * @type {number}
+ */
+const maxTimeout = 2147483647;
+
+/**
+ * Log the error and run the action again after a delay. Gives up when the action has been retried too many times
+ * @param {string} params.name Description of the action, used in the log
+ * @param {Object} params.error Error that caused the retry
+ * @param {number} params.retries Amount of times the action has already been retried
+ * @param {Function} params.action Action to retry. Called with the new amount of retries
+ * @param {Function} [params.onGiveUp] Called when the action will not be retried
+ * @returns {Object} Timeout for the retry. Undefined if the action will not be retried
+ */
+function retryAction({ name, error, retries, action, onGiveUp = () => {} }) {
+  if (retries >= appConfig.timedEventMaxRetries) {
+    winston.error(`Failed to ${name}. Giving up after ${retries} retries`, error);
+    onGiveUp();
+
+    return undefined;
+  }
+
+  winston.warn(`Failed to ${name}. Retrying`, error);
+
+  return setTimeout(() => { action(retries + 1); }, appConfig.timedEventRetryDelay);
+}
 
 /**
  * Unlock item
  * @param {Object} params.unlock Unlock
  * @param {Object} params.io socket io
+ * @param {number} [params.retries] Amount of times the unlock has been retried
  */
-function unlockItem({ unlock, io }) {
+function unlockItem({ unlock, io, retries = 0 }) {
+  const retryUnlock = ({ error }) => {
+    retryAction({
+      error,
+      retries,
+      name: `unlock ${unlock.unlockType} ${unlock.unlockValue}`,
+      action: (newRetries) => { unlockItem({ unlock, io, retries: newRetries }); },
+    });
+  };
+
   switch (unlock.unlockType) {
     case GameEvent.UnlockTypes.DOCFILE: {
+      dbDocFile.setDocFilePublic({
+        docFileId: unlock.unlockValue,
+        callback: ({ error, data }) => {
+          if (error) {
+            retryUnlock({ error });
+
+            return;
+          }
+
+          io.emit('docFile', { data: { docFile: data.docFile } });
+        },
+      });
+
       break;
     }
     case GameEvent.UnlockTypes.COMMAND: {
+      dbCommand.updateCommandAccess({
+        commandName: unlock.unlockValue,
+        accessLevel: dbConfig.AccessLevels.ANONYMOUS,
+        visibility: dbConfig.AccessLevels.ANONYMOUS,
+        callback: ({ error, data }) => {
+          if (error) {
+            retryUnlock({ error });
+
+            return;
+          }
+
+          io.emit('commands', { data: { commands: [data.command] } });
+        },
+      });
+
       break;
     }
     default: {
       break;
     }
   }
-  io.emit('');
 }
 
 /**
@@ -34,35 +108,251 @@ function unlockAllItems({ unlocks, io }) {
   });
 }
 
+/**
+ * Send the message attached to an event
+ * @param {Object} params.message Message
+ * @param {Object} params.io Socket io
+ */
+function sendEventMessage({ message, io }) {
+  const newMessage = { text: message.text };
+
+  if (message.shouldBroadcast) {
+    messenger.sendAndStoreBroadcastMsg({ message: newMessage, io });
+  } else if (message.roomName) {
+    newMessage.roomName = message.roomName;
+
+    messenger.sendAndStoreSystemMsg({ message: newMessage, io });
+  }
+}
+
+/**
+ * Create a public map position for an event
+ * @param {Object} params.coordinates GPS coordinates
+ * @param {string} params.positionName Name of the position
+ * @param {string[]} [params.description] Description of the position
+ * @param {Object} params.io Socket io
+ * @param {number} [params.retries] Amount of times the creation has been retried
+ */
+function createEventPosition({ coordinates, positionName, description, io, retries = 0 }) {
+  dbPosition.updatePosition({
+    position: {
+      coordinates,
+      positionName,
+      description,
+      owner: dbConfig.systemUserName,
+      markerType: 'custom',
+      isPublic: true,
+      lastUpdated: new Date(),
+    },
+    callback: ({ error, data }) => {
+      if (error) {
+        retryAction({
+          error,
+          retries,
+          name: `create event position ${positionName}`,
+          action: (newRetries) => { createEventPosition({ coordinates, positionName, description, io, retries: newRetries }); },
+        });
+
+        return;
+      }
+
+      io.emit('mapPositions', {
+        data: {
+          positions: [data.position],
+          currentTime: new Date(),
+        },
+      });
+    },
+  });
+}
+
 class EventChain {
-  constructor({ owner, io, eventSteps = [] }) {
-    this.eventSteps = eventSteps;
-    this.owner = owner;
+  /**
+   * Chain of events stored in a timed event. Progress is stored in the database after each step,
+   * which allows the chain to be resumed after a restart
+   * @param {Object} params.timedEvent Timed event from the database
+   * @param {Object} params.io Socket io
+   * @param {Function} [params.onComplete] Called when the last step has been triggered
+   * @param {Function} [params.onFail] Called when progress could not be stored and the event has been marked as failed
+   */
+  constructor({ timedEvent, io, onComplete = () => {}, onFail = () => {} }) {
+    this.timedEvent = timedEvent;
+    this.eventId = timedEvent._id; // eslint-disable-line no-underscore-dangle
+    this.eventSteps = timedEvent.steps.map(step => new GameEvent(step));
     this.io = io;
+    this.onComplete = onComplete;
+    this.onFail = onFail;
     this.timeoutInProgress = null;
   }
 
+  /**
+   * Schedule the current step. Steps that should already have been triggered will be triggered immediately
+   */
   triggerStep() {
-    if (this.eventSteps.length > 0) {
-      const nextGameEvent = this.eventSteps.shift();
-
-      if (nextGameEvent.timer) {
-        const now = new Date();
-        const future = new Date(nextGameEvent.timer.triggerTime);
-        future.setMinutes(future.getMinutes() + nextGameEvent.duration);
-
-        this.timeoutInProgress = setTimeout(() => {
-          unlockAllItems({ unlocks: nextGameEvent.unlocks });
-          this.triggerStep();
-        }, future - now);
-      } else {
-        unlockAllItems({ unlocks: nextGameEvent.unlocks });
-        this.triggerStep();
-      }
+    const stepIndex = this.timedEvent.currentStep;
+
+    if (stepIndex >= this.eventSteps.length) {
+      this.complete();
+
+      return;
+    }
+
+    const triggerTime = this.timedEvent.nextTriggerTime ? new Date(this.timedEvent.nextTriggerTime) : new Date();
+    const delay = triggerTime - new Date();
+
+    if (delay > maxTimeout) {
+      this.timeoutInProgress = setTimeout(() => { this.triggerStep(); }, maxTimeout);
+    } else if (delay > 0) {
+      this.timeoutInProgress = setTimeout(() => { this.runStep({ stepIndex }); }, delay);
     } else {
-      // TODO Chain completion
+      this.runStep({ stepIndex });
     }
   }
+
+  /**
+   * Mark the step as done in the database and trigger it.
+   * The step is stored as done before it is triggered, to avoid it being triggered twice
+   * @param {number} params.stepIndex Index of the step to run
+   * @param {number} [params.retries] Amount of times the step has been retried
+   */
+  runStep({ stepIndex, retries = 0 }) {
+    const gameEvent = this.eventSteps[stepIndex];
+    const nextGameEvent = this.eventSteps[stepIndex + 1];
+    const now = new Date();
+
+    this.timeoutInProgress = null;
+
+    dbTimedEvent.completeTimedEventStep({
+      eventId: this.eventId,
+      nextTriggerTime: nextGameEvent ? nextGameEvent.getTriggerTime(now) : undefined,
+      stepIndex,
+      callback: ({ error, data }) => {
+        if (error) {
+          if (error.type === errorCreator.ErrorTypes.DOESNOTEXIST) {
+            winston.warn(`Timed event ${this.eventId} is no longer active on step ${stepIndex}`);
+
+            return;
+          }
+
+          this.timeoutInProgress = retryAction({
+            error,
+            retries,
+            name: `store step ${stepIndex} in timed event ${this.eventId}`,
+            action: (newRetries) => { this.runStep({ stepIndex, retries: newRetries }); },
+            onGiveUp: () => { this.fail(); },
+          });
+
+          return;
+        }
+
+        this.timedEvent = data.timedEvent;
+        gameEvent.setIsDone(true);
+
+        if (gameEvent.message && gameEvent.message.text && gameEvent.message.text.length > 0) {
+          sendEventMessage({ message: gameEvent.message, io: this.io });
+        }
+
+        if (gameEvent.coordinates && typeof gameEvent.coordinates.latitude === 'number') {
+          createEventPosition({
+            coordinates: gameEvent.coordinates,
+            positionName: `${this.timedEvent.eventName || this.eventId}-${stepIndex}`,
+            description: gameEvent.message ? gameEvent.message.text : undefined,
+            io: this.io,
+          });
+        }
+
+        unlockAllItems({ unlocks: gameEvent.unlocks, io: this.io });
+
+        this.io.to(this.timedEvent.owner + appConfig.whisperAppend).emit('timedEvent', {
+          data: {
+            timedEvent: this.timedEvent,
+            triggeredStep: stepIndex,
+          },
+        });
+
+        this.triggerStep();
+      },
+    });
+  }
+
+  /**
+   * Set the timed event as completed and report it to the owner
+   * @param {number} [params.retries] Amount of times the completion has been retried
+   */
+  complete({ retries = 0 } = {}) {
+    dbTimedEvent.completeTimedEvent({
+      eventId: this.eventId,
+      callback: ({ error, data }) => {
+        if (error) {
+          if (error.type === errorCreator.ErrorTypes.DOESNOTEXIST) {
+            winston.warn(`Timed event ${this.eventId} has already been completed`);
+            this.onComplete({ timedEvent: this.timedEvent });
+
+            return;
+          }
+
+          this.timeoutInProgress = retryAction({
+            error,
+            retries,
+            name: `complete timed event ${this.eventId}`,
+            action: (newRetries) => { this.complete({ retries: newRetries }); },
+            onGiveUp: () => { this.fail(); },
+          });
+
+          return;
+        }
+
+        this.timedEvent = data.timedEvent;
+
+        this.io.to(this.timedEvent.owner + appConfig.whisperAppend).emit('timedEvent', {
+          data: {
+            timedEvent: this.timedEvent,
+            isCompleted: true,
+          },
+        });
+
+        this.onComplete({ timedEvent: this.timedEvent });
+      },
+    });
+  }
+
+  /**
+   * Mark the timed event as failed and report it to the owner. The event stays active and will be resumed on the next start
+   */
+  fail() {
+    this.timeoutInProgress = null;
+
+    dbTimedEvent.failTimedEvent({
+      eventId: this.eventId,
+      callback: ({ error, data }) => {
+        if (error) {
+          winston.error(`Failed to mark timed event ${this.eventId} as failed`, error);
+          this.onFail({ timedEvent: this.timedEvent });
+
+          return;
+        }
+
+        this.timedEvent = data.timedEvent;
+
+        this.io.to(this.timedEvent.owner + appConfig.whisperAppend).emit('timedEvent', {
+          data: {
+            timedEvent: this.timedEvent,
+            isFailed: true,
+          },
+        });
+
+        this.onFail({ timedEvent: this.timedEvent });
+      },
+    });
+  }
+
+  /**
+   * Stop the scheduled step. Progress stored in the database is kept
+   */
+  stop() {
+    clearTimeout(this.timeoutInProgress);
+    this.timeoutInProgress = null;
+  }
 }
 
 module.exports = EventChain;
@@ -11,9 +11,8 @@ class GameEvent {
    *
    * @param {string} params.eventType Type of event
    * @param {Object} [params.timer] Timer
-   * @param {Date} [params.timer.triggerDate] Date to trigger the event
-   * @param {Date} [params.timer.triggerDate] Date to trigger the event
-   * @param {number} params.timer.duration Amount of minutes that the event should last
+   * @param {Date} [params.timer.triggerTime] Date to trigger the event. Defaults to when the previous event was triggered
+   * @param {number} params.timer.duration Amount of minutes to wait after trigger time before the event is triggered
    * @param {Object} [params.message] Message
    * @param {string[]} params.message.text Array with text to be sent as message
    * @param {string} [params.message.roomName] Name of the room to send a message to
@@ -24,21 +23,37 @@ class GameEvent {
    * @param {Object[]} [params.unlocks] Items that will be sent to public
    * @param {string} params.unlocks[].unlockType Type of item to send to public
    * @param {string} params.unlocks[].unlockValue Value that will be used to send item to public
+   * @param {boolean} [params.isDone] Has the event been triggered?
    */
-  constructor({ eventType, timer, message, coordinates, unlocks = [] }) {
+  constructor({ eventType, timer, message, coordinates, unlocks = [], isDone = false }) {
     this.eventType = eventType;
     this.timer = timer;
     this.message = message;
     this.coordinates = coordinates;
     this.unlocks = unlocks;
-    this.isDone = false;
+    this.isDone = isDone;
   }
 
   setIsDone(isDone) {
     this.isDone = isDone;
   }
+
+  /**
+   * Get the time when the event should be triggered
+   * @param {Date} previousTime Time when the previous event was triggered
+   * @returns {Date} Time when the event should be triggered
+   */
+  getTriggerTime(previousTime = new Date()) {
+    const triggerTime = new Date(this.timer && this.timer.triggerTime ? this.timer.triggerTime : previousTime);
+
+    if (this.timer && this.timer.duration) {
+      triggerTime.setMinutes(triggerTime.getMinutes() + this.timer.duration);
+    }
+
+    return triggerTime;
+  }
 }
 
 module.exports = GameEvent;
-exports.EventTypes = EventTypes;
-exports.UnlockTypes = UnlockTypes;
+module.exports.EventTypes = EventTypes;
+module.exports.UnlockTypes = UnlockTypes;
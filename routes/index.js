@@ -30,11 +30,15 @@ const walletHandler = require('./socketHandlers/wallet');
 const calibrationJobHandler = require('./socketHandlers/calibrationMission');
 const simpleMessageHandler = require('./socketHandlers/simpleMsg');
 const hackingHandler = require('./socketHandlers/hacking');
-// const timedEventHandler = require('./socketHandlers/team');
+const timedEventHandler = require('./socketHandlers/timedEvent');
 const chatHandler = require('./socketHandlers/chat');
 const userHandler = require('./socketHandlers/user');
 const gameCodeHandler = require('./socketHandlers/gameCode');
 const docFileHandler = require('./socketHandlers/docFile');
+const missionHandler = require('./socketHandlers/mission');
+const computingSourceHandler = require('./socketHandlers/computingSource');
+const nodeHackingHandler = require('./socketHandlers/nodeHacking');
+const searchHandler = require('./socketHandlers/search');
 
 const router = new express.Router();
 
@@ -154,9 +158,13 @@ function handle(io) {
     calibrationJobHandler.handle(socket, io);
     simpleMessageHandler.handle(socket, io);
     hackingHandler.handle(socket, io);
-    // timedEventHandler.handle(socket, io);
+    timedEventHandler.handle(socket, io);
     gameCodeHandler.handle(socket, io);
     docFileHandler.handle(socket, io);
+    missionHandler.handle(socket, io);
+    computingSourceHandler.handle(socket, io);
+    nodeHackingHandler.handle(socket, io);
+    searchHandler.handle(socket, io);
   });
 
   return router;
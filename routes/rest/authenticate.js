@@ -51,11 +51,15 @@ function handle() {
    *  }
    *
    * @apiSuccess {Object} data
-   * @apiSuccess {String} data.token JSON Web Token. To be used in the Authorization header
+   * @apiSuccess {String} data.token JSON Web Token. To be used in the Authorization header. It expires after a short time
+   * @apiSuccess {String} data.refreshToken Token used to get new tokens on /authenticate/refresh
+   * @apiSuccess {Date} data.expiresAt Time when data.token expires
    * @apiSuccessExample {json} Success-Response:
    *  {
    *    "data": {
-   *      "token": ""
+   *      "token": "",
+   *      "refreshToken": "",
+   *      "expiresAt": "2016-10-14T11:54:18.694Z"
    *    }
    *  }
    */
@@ -83,6 +87,58 @@ function handle() {
     });
   });
 
+  /**
+   * @api {post} /authenticate/refresh Refresh JSON Web Token
+   * @apiVersion 6.0.0
+   * @apiName RefreshToken
+   * @apiGroup Authenticate
+   *
+   * @apiDescription Create new tokens with a refresh token. The sent refresh token can't be used again.
+   * Refresh tokens stop working when the user is banned or logged out
+   *
+   * @apiParam {Object} data
+   * @apiParam {String} data.refreshToken Refresh token
+   * @apiParamExample {json} Request-Example:
+   *  {
+   *    "data": {
+   *      "refreshToken": ""
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {String} data.token JSON Web Token. To be used in the Authorization header
+   * @apiSuccess {String} data.refreshToken New refresh token
+   * @apiSuccess {Date} data.expiresAt Time when data.token expires
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "token": "",
+   *      "refreshToken": "",
+   *      "expiresAt": "2016-10-14T11:54:18.694Z"
+   *    }
+   *  }
+   */
+  router.post('/refresh', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { refreshToken: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { refreshToken } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    authenticator.refreshTokens({
+      refreshToken: request.body.data.refreshToken,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   return router;
 }
 
@@ -0,0 +1,365 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const computingSourceManager = require('../../managers/computingSources');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @param {Object} io Socket io
+ * @returns {Object} Router
+ */
+function handle(io) {
+  /**
+   * @api {get} /computingSources Get computing sources
+   * @apiVersion 6.0.0
+   * @apiName GetComputingSources
+   * @apiGroup ComputingSources
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get computing sources and the pooled power in the user's slots on active sources
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.activeSources Sources where slots can be claimed
+   * @apiSuccess {Object[]} data.inactiveSources Sources that are turned off
+   * @apiSuccess {number} data.power Pooled power that the user can spend
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "activeSources": [{
+   *        "sourceName": "Relay 1",
+   *        "isActive": true,
+   *        "slotPower": 10,
+   *        "slots": [{
+   *          "_id": "58093459d3b44c3400858273",
+   *          "owner": "rez",
+   *          "power": 10
+   *        }]
+   *      }],
+   *      "inactiveSources": [],
+   *      "power": 10
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    computingSourceManager.getComputingSources({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /computingSources Create a computing source
+   * @apiVersion 6.0.0
+   * @apiName CreateComputingSource
+   * @apiGroup ComputingSources
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Create a computing source with slots that users can claim
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.source Source
+   * @apiParam {string} data.source.sourceName Name of the source
+   * @apiParam {number} data.source.slotAmount Amount of slots that users can claim
+   * @apiParam {number} [data.source.slotPower] Computing power in each slot. Defaults to the default slot power
+   * @apiParam {boolean} [data.source.isActive] Should the source be active? Defaults to false
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "source": {
+   *        "sourceName": "Relay 1",
+   *        "slotAmount": 4,
+   *        "isActive": true
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.source Created source
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "source": {
+   *        "sourceName": "Relay 1",
+   *        "isActive": true,
+   *        "slotPower": 10,
+   *        "slots": [{
+   *          "_id": "58093459d3b44c3400858273",
+   *          "owner": null,
+   *          "power": 10
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { source: { sourceName: true, slotAmount: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { source: { sourceName, slotAmount } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    computingSourceManager.createComputingSource({
+      io,
+      source: request.body.data.source,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /computingSources/power Spend computing power
+   * @apiVersion 6.0.0
+   * @apiName UseComputingPower
+   * @apiGroup ComputingSources
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Spend pooled power from the user's slots on active sources on an action.
+   * extendHackTries adds a try to the user's lantern hack. shortenCalibrationTimeout shortens the time until the user can get a new calibration mission
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.action Action to spend power on. Available actions: extendHackTries, shortenCalibrationTimeout
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "action": "extendHackTries"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {number} data.power Pooled power left
+   * @apiSuccess {Object} [data.lanternHack] Updated lantern hack. Sent if the action was extendHackTries
+   * @apiSuccess {Object} [data.mission] Updated calibration mission. Sent if the action was shortenCalibrationTimeout
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "power": 5,
+   *      "lanternHack": {
+   *        "owner": "rez",
+   *        "stationId": 1,
+   *        "triesLeft": 4
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/power', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { action: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { action } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    computingSourceManager.useComputingPower({
+      io,
+      action: request.body.data.action,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /computingSources/:sourceName Activate or deactivate a computing source
+   * @apiVersion 6.0.0
+   * @apiName UpdateComputingSource
+   * @apiGroup ComputingSources
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Activate or deactivate a computing source. Activating a source frees and refills all its slots.
+   * Power in slots on inactive sources can't be spent
+   *
+   * @apiParam {string} sourceName Name of the source
+   *
+   * @apiParam {Object} data
+   * @apiParam {boolean} data.isActive Should the source be active?
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "isActive": true
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.source Updated source
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "source": {
+   *        "sourceName": "Relay 1",
+   *        "isActive": true,
+   *        "slotPower": 10,
+   *        "slots": [{
+   *          "_id": "58093459d3b44c3400858273",
+   *          "owner": null,
+   *          "power": 10
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:sourceName', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { isActive: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { isActive } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    computingSourceManager.updateComputingSource({
+      io,
+      sourceName: request.params.sourceName,
+      isActive: request.body.data.isActive === true,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /computingSources/:sourceName/claim Claim a slot
+   * @apiVersion 6.0.0
+   * @apiName ClaimComputingSlot
+   * @apiGroup ComputingSources
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Claim a free slot on an active computing source. A user can only claim one slot on each source
+   *
+   * @apiParam {string} sourceName Name of the source
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.source Updated source
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "source": {
+   *        "sourceName": "Relay 1",
+   *        "isActive": true,
+   *        "slots": [{
+   *          "_id": "58093459d3b44c3400858273",
+   *          "owner": "rez",
+   *          "power": 10
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:sourceName/claim', (request, response) => {
+    computingSourceManager.claimComputingSlot({
+      io,
+      sourceName: request.params.sourceName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /computingSources/:sourceName/release Release a slot
+   * @apiVersion 6.0.0
+   * @apiName ReleaseComputingSlot
+   * @apiGroup ComputingSources
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Release the user's slot on a computing source. Power left in the slot stays in it for the next user
+   *
+   * @apiParam {string} sourceName Name of the source
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.source Updated source
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "source": {
+   *        "sourceName": "Relay 1",
+   *        "isActive": true,
+   *        "slots": [{
+   *          "_id": "58093459d3b44c3400858273",
+   *          "owner": null,
+   *          "power": 10
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:sourceName/release', (request, response) => {
+    computingSourceManager.releaseComputingSlot({
+      io,
+      sourceName: request.params.sourceName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
@@ -21,6 +21,7 @@ const objectValidator = require('../../utils/objectValidator');
 const docFileManager = require('../../managers/docFiles');
 const restErrorChecker = require('../../helpers/restErrorChecker');
 const errorCreator = require('../../objects/error/errorCreator');
+const textTools = require('../../utils/textTools');
 
 const router = new express.Router();
 
@@ -146,6 +147,8 @@ function handle(io) {
    * @apiParam {String} data.docFile.docFileId ID of the docFile. Will be used to retrieve this specific docFile
    * @apiParam {String[]} data.docFile.text Content of the docFile
    * @apiParam {Boolean} data.docFile.isPublic Should the docFile be public? Non-public docFiles can only be retrieved with its docFile ID
+   * @apiParam {String} [data.docFile.unlockCode] Code that users have to enter to unlock the docFile
+   * @apiParam {String} [data.docFile.gameCode] Game code that unlocks the docFile. The game code has to be owned by the creator
    * @apiParamExample {json} Request-Example:
    *   {
    *    "data": {
@@ -205,6 +208,361 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {post} /docFiles/unlock Unlock a locked docFile
+   * @apiVersion 6.0.0
+   * @apiName UnlockDocFile
+   * @apiGroup DocFiles
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Unlock a docFile that is locked with a code. The user will be given access to the docFile and its creator will be notified.
+   * Users can only make a limited amount of incorrect guesses within a period of time
+   *
+   * @apiParam {Object} data
+   * @apiParam {String} [data.docFileId] ID of the docFile. Title will be used if it is not set
+   * @apiParam {String} [data.title] Title of the docFile
+   * @apiParam {String} data.code Code that unlocks the docFile
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "title": "Secret",
+   *      "code": "swordfish"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.docFile Unlocked docFile
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "docFile": {
+   *        "title": "Secret",
+   *        "docFileId": "secret",
+   *        "creator": "rez5",
+   *        "text": [
+   *          "Hello world!"
+   *        ],
+   *        "isPublic": true,
+   *        "isLocked": true,
+   *        "accessUsers": ["raz"]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/unlock', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { code: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { code, docFileId || title } }' }), sentData: request.body.data });
+
+      return;
+    } else if (typeof request.body.data.code !== 'string') {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { code: string } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    docFileManager.unlockDocFile({
+      io,
+      docFileId: request.body.data.docFileId,
+      title: request.body.data.title,
+      code: request.body.data.code,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /docFiles/:docFileId Update a docFile
+   * @apiVersion 6.0.0
+   * @apiName UpdateDocFile
+   * @apiGroup DocFiles
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Update a docFile. Only the creator of the docFile can update it. The previous version will be kept as a revision
+   *
+   * @apiParam {String} docFileId ID of the docFile
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.docFile DocFile
+   * @apiParam {String} [data.docFile.title] Title for the docFile
+   * @apiParam {String[]} [data.docFile.text] Content of the docFile
+   * @apiParam {Boolean} [data.docFile.isPublic] Should the docFile be public?
+   * @apiParam {Number} [data.docFile.visibility] Access level needed to see the docFile
+   * @apiParam {String} [data.userName] Alias that will be stored as the author of the revision
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "docFile": {
+   *        "title": "Hello again",
+   *        "text": [
+   *          "Hello world!"
+   *        ]
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.docFile Updated docFile
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "docFile": {
+   *        "title": "Hello again",
+   *        "docFileId": "hello",
+   *        "creator": "rez5",
+   *        "text": [
+   *          "Hello world!"
+   *        ],
+   *        "isPublic": true,
+   *        "visibility": 0,
+   *        "revision": 2
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:docFileId', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { docFile: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { docFile } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    const docFile = request.body.data.docFile;
+    docFile.docFileId = request.params.docFileId;
+
+    docFileManager.updateDocFile({
+      io,
+      docFile,
+      userName: request.body.data.userName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /docFiles/:docFileId/revisions Get revisions of a docFile
+   * @apiVersion 6.0.0
+   * @apiName GetDocFileRevisions
+   * @apiGroup DocFiles
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Retrieve all revisions of a docFile, oldest first. Text is not included. Use /docFiles/:docFileId/revisions/:revision to retrieve it
+   *
+   * @apiParam {String} docFileId ID of the docFile
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.revisions Revisions of the docFile
+   * @apiSuccess {Number} data.currentRevision Current revision of the docFile
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "revisions": [
+   *        {
+   *          "docFileId": "hello",
+   *          "revision": 1,
+   *          "title": "Hello",
+   *          "author": "rez5",
+   *          "alias": "raz",
+   *          "time": "2017-03-20T10:02:21.324Z"
+   *        }
+   *      ],
+   *      "currentRevision": 1
+   *    }
+   *  }
+   */
+  router.get('/:docFileId/revisions', (request, response) => {
+    docFileManager.getDocFileRevisions({
+      docFileId: request.params.docFileId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /docFiles/:docFileId/revisions/:revision Get a revision of a docFile
+   * @apiVersion 6.0.0
+   * @apiName GetDocFileRevision
+   * @apiGroup DocFiles
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Retrieve a specific revision of a docFile
+   *
+   * @apiParam {String} docFileId ID of the docFile
+   * @apiParam {Number} revision Revision number
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.revision Found revision
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "revision": {
+   *        "docFileId": "hello",
+   *        "revision": 1,
+   *        "title": "Hello",
+   *        "text": [
+   *          "Hello world!",
+   *          "This is great"
+   *        ],
+   *        "isPublic": true,
+   *        "visibility": 0,
+   *        "author": "rez5",
+   *        "time": "2017-03-20T10:02:21.324Z"
+   *      }
+   *    }
+   *  }
+   */
+  router.get('/:docFileId/revisions/:revision', (request, response) => {
+    docFileManager.getDocFileRevision({
+      docFileId: request.params.docFileId,
+      revision: textTools.convertToInt(request.params.revision),
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /docFiles/:docFileId/diff Get differences between two revisions
+   * @apiVersion 6.0.0
+   * @apiName GetDocFileDiff
+   * @apiGroup DocFiles
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Compare the text of two revisions of a docFile, line by line
+   *
+   * @apiParam {String} docFileId ID of the docFile
+   * @apiParam {Number} from [Query] Revision to compare from
+   * @apiParam {Number} to [Query] Revision to compare to
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.diff Differences between the revisions. Each line is marked as unchanged, removed or added
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "diff": {
+   *        "docFileId": "hello",
+   *        "fromRevision": 1,
+   *        "toRevision": 2,
+   *        "oldTitle": "Hello",
+   *        "newTitle": "Hello again",
+   *        "text": [
+   *          { "change": "unchanged", "line": "Hello world!" },
+   *          { "change": "removed", "line": "This is great" }
+   *        ]
+   *      }
+   *    }
+   *  }
+   */
+  router.get('/:docFileId/diff', (request, response) => {
+    if (!objectValidator.isValidData(request.query, { from: true, to: true })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '?from=&to=' }), sentData: request.body.data });
+
+      return;
+    }
+
+    docFileManager.getDocFileDiff({
+      docFileId: request.params.docFileId,
+      fromRevision: textTools.convertToInt(request.query.from),
+      toRevision: textTools.convertToInt(request.query.to),
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /docFiles/:docFileId/revisions/:revision/rollback Roll back a docFile
+   * @apiVersion 6.0.0
+   * @apiName RollbackDocFile
+   * @apiGroup DocFiles
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Roll back a docFile to a previous revision. The rollback will be stored as a new revision. Only the creator of the docFile or an admin can roll it back
+   *
+   * @apiParam {String} docFileId ID of the docFile
+   * @apiParam {Number} revision Revision to roll back to
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.docFile Rolled back docFile
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "docFile": {
+   *        "title": "Hello",
+   *        "docFileId": "hello",
+   *        "creator": "rez5",
+   *        "text": [
+   *          "Hello world!",
+   *          "This is great"
+   *        ],
+   *        "isPublic": true,
+   *        "visibility": 0,
+   *        "revision": 3
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:docFileId/revisions/:revision/rollback', (request, response) => {
+    docFileManager.rollbackDocFile({
+      io,
+      docFileId: request.params.docFileId,
+      revision: textTools.convertToInt(request.params.revision),
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   return router;
 }
 
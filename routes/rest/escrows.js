@@ -0,0 +1,295 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const transactionManager = require('../../managers/transactions');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @param {Object} io Socket io
+ * @returns {Object} Router
+ */
+function handle(io) {
+  /**
+   * @api {get} /escrows Get escrow transactions
+   * @apiVersion 6.0.0
+   * @apiName GetEscrowTransactions
+   * @apiGroup Escrows
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get transactions held in escrow to and from the user's and their team's wallets
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.toTransactions Transactions that the user or their team can confirm or decline
+   * @apiSuccess {Object[]} data.fromTransactions Transactions that the user or their team can release
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "toTransactions": [{
+   *        "_id": "58093459d3b44c3400858273",
+   *        "from": "rez",
+   *        "to": "abc",
+   *        "amount": 10,
+   *        "currency": "credits",
+   *        "note": "Access codes",
+   *        "state": "escrow",
+   *        "deadline": "2016-10-15T11:00:00.000Z"
+   *      }],
+   *      "fromTransactions": []
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    transactionManager.getEscrowTransactions({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /escrows Create an escrow transaction
+   * @apiVersion 6.0.0
+   * @apiName CreateEscrowTransaction
+   * @apiGroup Escrows
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Withdraw an amount from the user's or their team's wallet and hold it until the receiver confirms it or the sender releases it.
+   * It is returned to the sender if the receiver declines it or the deadline passes. The receiver gets an invitation with type escrow
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.transaction Transaction
+   * @apiParam {string} data.transaction.to User or team wallet name of the receiver
+   * @apiParam {number} data.transaction.amount Amount to transfer
+   * @apiParam {string} [data.transaction.currency] Currency to transfer. Defaults to the default currency
+   * @apiParam {string} [data.transaction.note] Note to the receiver
+   * @apiParam {Date} [data.transaction.deadline] The amount will be returned to the sender after this time. Defaults to 24 hours from now
+   * @apiParam {boolean} [data.isTeamWallet] Should the transaction be made from the user's team?
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "transaction": {
+   *        "to": "abc",
+   *        "amount": 10,
+   *        "note": "Access codes",
+   *        "deadline": "2016-10-15T11:00:00.000Z"
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.transaction Transaction held in escrow
+   * @apiSuccess {Object} data.wallet Wallet of the sender with the amount withdrawn
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "transaction": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "from": "rez",
+   *        "to": "abc",
+   *        "amount": 10,
+   *        "currency": "credits",
+   *        "note": "Access codes",
+   *        "state": "escrow",
+   *        "deadline": "2016-10-15T11:00:00.000Z"
+   *      },
+   *      "wallet": {
+   *        "owner": "rez",
+   *        "amount": 5
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { transaction: { to: true, amount: true } } }) || isNaN(request.body.data.transaction.amount)) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { transaction: { to, amount } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    transactionManager.createEscrowTransaction({
+      io,
+      transaction: request.body.data.transaction,
+      fromTeam: request.body.data.isTeamWallet,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /escrows/:transactionId/confirm Confirm an escrow transaction
+   * @apiVersion 6.0.0
+   * @apiName ConfirmEscrowTransaction
+   * @apiGroup Escrows
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Receiver confirms the transaction. The amount is deposited to the receiver's wallet
+   *
+   * @apiParam {string} transactionId Id of the transaction
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.transaction Finished transaction
+   * @apiSuccess {Object} data.wallet Wallet of the receiver
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "transaction": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "from": "rez",
+   *        "to": "abc",
+   *        "amount": 10,
+   *        "state": "done"
+   *      },
+   *      "wallet": {
+   *        "owner": "abc",
+   *        "amount": 13
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:transactionId/confirm', (request, response) => {
+    transactionManager.confirmEscrowTransaction({
+      io,
+      transactionId: request.params.transactionId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /escrows/:transactionId/decline Decline an escrow transaction
+   * @apiVersion 6.0.0
+   * @apiName DeclineEscrowTransaction
+   * @apiGroup Escrows
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Receiver declines the transaction. The amount is returned to the sender's wallet
+   *
+   * @apiParam {string} transactionId Id of the transaction
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.transaction Cancelled transaction
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "transaction": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "from": "rez",
+   *        "to": "abc",
+   *        "amount": 10,
+   *        "state": "cancelled"
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:transactionId/decline', (request, response) => {
+    transactionManager.declineEscrowTransaction({
+      io,
+      transactionId: request.params.transactionId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /escrows/:transactionId/release Release an escrow transaction
+   * @apiVersion 6.0.0
+   * @apiName ReleaseEscrowTransaction
+   * @apiGroup Escrows
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Sender releases the transaction. The amount is deposited to the receiver's wallet
+   *
+   * @apiParam {string} transactionId Id of the transaction
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.transaction Finished transaction
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "transaction": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "from": "rez",
+   *        "to": "abc",
+   *        "amount": 10,
+   *        "state": "done"
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:transactionId/release', (request, response) => {
+    transactionManager.releaseEscrowTransaction({
+      io,
+      transactionId: request.params.transactionId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
@@ -0,0 +1,185 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const walletManager = require('../../managers/wallets');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @returns {Object} Router
+ */
+function handle() {
+  /**
+   * @api {get} /exchangeRates Get currencies and exchange rates
+   * @apiVersion 6.0.0
+   * @apiName GetExchangeRates
+   * @apiGroup ExchangeRates
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get the currencies that wallets can hold and the exchange rates between them
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.currencies Currencies
+   * @apiSuccess {Object[]} data.exchangeRates Exchange rates
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "currencies": [{
+   *        "name": "credits",
+   *        "isDefault": true
+   *      }, {
+   *        "name": "tokens",
+   *        "isDefault": false
+   *      }],
+   *      "exchangeRates": [{
+   *        "fromCurrency": "credits",
+   *        "toCurrency": "tokens",
+   *        "rate": 0.5,
+   *        "fee": 10,
+   *        "lastUpdated": "2016-10-14T11:00:00.000Z"
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    walletManager.getExchangeRates({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /exchangeRates Set an exchange rate
+   * @apiVersion 6.0.0
+   * @apiName SetExchangeRate
+   * @apiGroup ExchangeRates
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Set the exchange rate and fee from one currency to another. The rate will be created if it doesn't exist
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.exchangeRate Exchange rate
+   * @apiParam {string} data.exchangeRate.fromCurrency Currency to exchange from
+   * @apiParam {string} data.exchangeRate.toCurrency Currency to exchange to
+   * @apiParam {number} data.exchangeRate.rate Amount of toCurrency received for 1 fromCurrency
+   * @apiParam {number} [data.exchangeRate.fee] Percentage (0 - 100) of the exchanged amount that is withheld. Default is 0
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "exchangeRate": {
+   *        "fromCurrency": "credits",
+   *        "toCurrency": "tokens",
+   *        "rate": 0.5,
+   *        "fee": 10
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.exchangeRate Updated exchange rate
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "exchangeRate": {
+   *        "fromCurrency": "credits",
+   *        "toCurrency": "tokens",
+   *        "rate": 0.5,
+   *        "fee": 10,
+   *        "lastUpdated": "2016-10-14T11:00:00.000Z"
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { exchangeRate: { fromCurrency: true, toCurrency: true, rate: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { exchangeRate: { fromCurrency, toCurrency, rate } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    walletManager.setExchangeRate({
+      exchangeRate: request.body.data.exchangeRate,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /exchangeRates/:fromCurrency/:toCurrency Delete an exchange rate
+   * @apiVersion 6.0.0
+   * @apiName RemoveExchangeRate
+   * @apiGroup ExchangeRates
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Delete an exchange rate. The currencies can no longer be exchanged in that direction
+   *
+   * @apiParam {string} fromCurrency Currency to exchange from
+   * @apiParam {string} toCurrency Currency to exchange to
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "success": true
+   *    }
+   *  }
+   */
+  router.delete('/:fromCurrency/:toCurrency', (request, response) => {
+    walletManager.removeExchangeRate({
+      fromCurrency: request.params.fromCurrency,
+      toCurrency: request.params.toCurrency,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
@@ -0,0 +1,314 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const groupManager = require('../../managers/groups');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @param {Object} io Socket io
+ * @returns {Object} Router
+ */
+function handle(io) {
+  /**
+   * @api {get} /groups Get groups
+   * @apiVersion 6.0.0
+   * @apiName GetGroups
+   * @apiGroup Groups
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get all groups. Groups, such as factions and secret societies, can be used to restrict access to docFiles, rooms and positions
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.groups Groups
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "groups": [{
+   *        "groupName": "raven",
+   *        "description": ["The Order of the Raven"],
+   *        "owner": "rez5"
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    groupManager.getGroups({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /groups/:groupName Get group
+   * @apiVersion 6.0.0
+   * @apiName GetGroup
+   * @apiGroup Groups
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get group and the user names of its members
+   *
+   * @apiParam {string} groupName Name of the group
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.group Group
+   * @apiSuccess {string[]} data.members User names of the members of the group
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "group": {
+   *        "groupName": "raven",
+   *        "description": ["The Order of the Raven"],
+   *        "owner": "rez5"
+   *      },
+   *      "members": ["raz"]
+   *    }
+   *  }
+   */
+  router.get('/:groupName', (request, response) => {
+    groupManager.getGroup({
+      groupName: request.params.groupName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /groups Create a group
+   * @apiVersion 6.0.0
+   * @apiName CreateGroup
+   * @apiGroup Groups
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Create a group
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.group Group
+   * @apiParam {string} data.group.groupName Name of the group. Only a-z and 0-9 are allowed
+   * @apiParam {string[]} [data.group.description] Description of the group
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "group": {
+   *        "groupName": "raven",
+   *        "description": ["The Order of the Raven"]
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.group Created group
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "group": {
+   *        "groupName": "raven",
+   *        "description": ["The Order of the Raven"],
+   *        "owner": "rez5"
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { group: { groupName: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { group: { groupName } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    groupManager.createGroup({
+      group: request.body.data.group,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /groups/:groupName Delete a group
+   * @apiVersion 6.0.0
+   * @apiName RemoveGroup
+   * @apiGroup Groups
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Delete a group. All members will be removed from it. DocFiles, rooms and positions restricted to the group will stay restricted to it
+   *
+   * @apiParam {string} groupName Name of the group
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "success": true
+   *    }
+   *  }
+   */
+  router.delete('/:groupName', (request, response) => {
+    groupManager.removeGroup({
+      io,
+      groupName: request.params.groupName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /groups/:groupName/members Add a member to a group
+   * @apiVersion 6.0.0
+   * @apiName AddGroupMember
+   * @apiGroup Groups
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Add a user to a group. The user will be notified
+   *
+   * @apiParam {string} groupName Name of the group
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.userName Name of the user to add
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "userName": "raz"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.group Group
+   * @apiSuccess {string} data.userName Name of the added user
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "group": {
+   *        "groupName": "raven"
+   *      },
+   *      "userName": "raz"
+   *    }
+   *  }
+   */
+  router.post('/:groupName/members', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { userName: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { userName } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    groupManager.addGroupMember({
+      io,
+      groupName: request.params.groupName,
+      userName: request.body.data.userName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /groups/:groupName/members/:userName Remove a member from a group
+   * @apiVersion 6.0.0
+   * @apiName RemoveGroupMember
+   * @apiGroup Groups
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Remove a user from a group. The user will be notified
+   *
+   * @apiParam {string} groupName Name of the group
+   * @apiParam {string} userName Name of the user to remove
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.group Group
+   * @apiSuccess {string} data.userName Name of the removed user
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "group": {
+   *        "groupName": "raven"
+   *      },
+   *      "userName": "raz"
+   *    }
+   *  }
+   */
+  router.delete('/:groupName/members/:userName', (request, response) => {
+    groupManager.removeGroupMember({
+      io,
+      groupName: request.params.groupName,
+      userName: request.params.userName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
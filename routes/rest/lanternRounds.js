@@ -19,6 +19,8 @@
 const express = require('express');
 const lanternRoundManager = require('../../managers/lanternRounds');
 const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+const objectValidator = require('../../utils/objectValidator');
 
 const router = new express.Router();
 
@@ -206,6 +208,145 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {get} /lanternRounds/scheduled Get scheduled lantern rounds
+   * @apiVersion 6.0.0
+   * @apiName GetScheduledLanternRounds
+   * @apiGroup LanternRounds
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get scheduled lantern rounds that haven't ended, sorted by start time
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.rounds Scheduled rounds
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "rounds": [{
+   *        "creator": "admin",
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "endTime": "2016-10-14T12:54:18.694Z",
+   *        "isStarted": false,
+   *        "isEnded": false
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/scheduled', (request, response) => {
+    lanternRoundManager.getScheduledLanternRounds({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /lanternRounds/scheduled Schedule a lantern round
+   * @apiVersion 6.0.0
+   * @apiName CreateScheduledLanternRound
+   * @apiGroup LanternRounds
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Add a round to the schedule. It will start and end automatically. Rounds in the schedule can't overlap
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.round Round
+   * @apiParam {Date} data.round.startTime Time when the round will start
+   * @apiParam {Date} data.round.endTime Time when the round will end. Has to be later than startTime and in the future
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "round": {
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "endTime": "2016-10-14T12:54:18.694Z"
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.round Scheduled round
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "round": {
+   *        "creator": "admin",
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "endTime": "2016-10-14T12:54:18.694Z",
+   *        "isStarted": false,
+   *        "isEnded": false
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/scheduled', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { round: { startTime: true, endTime: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { round: { startTime, endTime } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    lanternRoundManager.createScheduledLanternRound({
+      io,
+      round: request.body.data.round,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /lanternRounds/scheduled/:roundId Remove a scheduled lantern round
+   * @apiVersion 6.0.0
+   * @apiName RemoveScheduledLanternRound
+   * @apiGroup LanternRounds
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Remove a round that hasn't started from the schedule
+   *
+   * @apiParam {string} roundId Id of the scheduled round
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "success": true
+   *    }
+   *  }
+   */
+  router.delete('/scheduled/:roundId', (request, response) => {
+    lanternRoundManager.removeScheduledLanternRound({
+      io,
+      roundId: request.params.roundId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   return router;
 }
 
@@ -117,6 +117,53 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {get} /lanternStations/hackingApi Get status of the hacking API
+   * @apiVersion 6.0.0
+   * @apiName GetHackingApiStatus
+   * @apiGroup LanternStations
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get status of the backend used to communicate with the hacking API.
+   * The http backend sends requests that are queued while the API is unreachable. The simulator backend sends the state it has stored for each station
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.status Status of the backend
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "status": {
+   *        "backend": "simulator",
+   *        "isReachable": true,
+   *        "stations": [{
+   *          "stationId": 1,
+   *          "boost": 120,
+   *          "missions": [{
+   *            "owner": "raz",
+   *            "code": 123456
+   *          }],
+   *          "lastUpdated": "2016-10-14T11:54:18.694Z"
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.get('/hackingApi', (request, response) => {
+    lanternStationManager.getHackingApiStatus({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   /**
    * @api {get} /lanternStations/:stationId Get lantern station
    * @apiVersion 6.0.0
@@ -180,6 +227,13 @@ function handle(io) {
    * @apiParam {string} data.station.stationName Location name of the station
    * @apiParam {boolean} [data.station.isActive] Is the station active? Defaults to false
    * @apiParam {number} [data.station.calibrationReward] Amount of digital currency sent to user
+   * @apiParam {Object} [data.station.difficulty] Difficulty settings for lantern hacks on the station. Settings that are not set use the settings of the tier
+   * @apiParam {string} [data.station.difficulty.tier] Difficulty tier. easy, normal or hard. Defaults to normal
+   * @apiParam {number} [data.station.difficulty.decoyUsers] Amount of game users with wrong passwords
+   * @apiParam {number} [data.station.difficulty.fakePasswordAmount] Amount of fake passwords mixed with the game users' passwords
+   * @apiParam {string[]} [data.station.difficulty.hintTypes] Hints about the correct password. index, start, end, middle and length
+   * @apiParam {number} [data.station.difficulty.triesAmount] Amount of guesses before the hack fails
+   * @apiParam {number} [data.station.difficulty.timeLimit] Milliseconds before the hack fails. 0 means no limit
    * @apiParamExample {json} Request-Example:
    *   {
    *    "data": {
@@ -249,6 +303,13 @@ function handle(io) {
    * @apiParam {number} [data.station.resetOwner] Should the owner be removed? Will also set isUnderAttack to false.
    * @apiParam {Object} [data.station.isUnderAttack] Is the station under attack? Will be ignored if resetOwner or owner === -1 is set.
    * @apiParam {number} [data.station.calibrationReward] Amount of digital currency sent to user.
+   * @apiParam {Object} [data.station.difficulty] Difficulty settings for lantern hacks on the station. Settings that are not set use the settings of the tier
+   * @apiParam {string} [data.station.difficulty.tier] Difficulty tier. easy, normal or hard. Defaults to normal
+   * @apiParam {number} [data.station.difficulty.decoyUsers] Amount of game users with wrong passwords
+   * @apiParam {number} [data.station.difficulty.fakePasswordAmount] Amount of fake passwords mixed with the game users' passwords
+   * @apiParam {string[]} [data.station.difficulty.hintTypes] Hints about the correct password. index, start, end, middle and length
+   * @apiParam {number} [data.station.difficulty.triesAmount] Amount of guesses before the hack fails
+   * @apiParam {number} [data.station.difficulty.timeLimit] Milliseconds before the hack fails. 0 means no limit
    * @apiParamExample {json} Request-Example:
    *   {
    *    "data": {
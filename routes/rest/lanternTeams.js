@@ -118,6 +118,104 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {get} /lanternTeams/leaderboard Get lantern team leaderboard
+   * @apiVersion 6.0.0
+   * @apiName GetLanternLeaderboard
+   * @apiGroup LanternTeams
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get all lantern teams sorted by points. Teams with the same amount of points share rank.
+   * Points are awarded while a round is active, for each station that a team owns with a signal value above the signal threshold.
+   * roundPoints are the points from the active round or, if no round is active, the latest round
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.leaderboard Leaderboard
+   * @apiSuccess {Date} data.leaderboard.roundStartTime Start time of the round that roundPoints are from
+   * @apiSuccess {Object[]} data.leaderboard.teams Lantern teams sorted by points
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "leaderboard": {
+   *        "roundStartTime": "2016-10-14T11:54:18.694Z",
+   *        "teams": [{
+   *          "teamId": 3,
+   *          "shortName": "org",
+   *          "teamName": "organica",
+   *          "isActive": true,
+   *          "points": 200,
+   *          "roundPoints": 20,
+   *          "scoringStations": 2,
+   *          "rank": 1
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.get('/leaderboard', (request, response) => {
+    lanternTeamManager.getLanternLeaderboard({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /lanternTeams/scores Get lantern team score history
+   * @apiVersion 6.0.0
+   * @apiName GetLanternScores
+   * @apiGroup LanternTeams
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get points awarded to teams during a round, oldest first
+   *
+   * @apiParam {Date} [roundStartTime] Start time of the round. Defaults to the active round or, if no round is active, the latest round that has scores
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Date} data.roundStartTime Start time of the round
+   * @apiSuccess {Date[]} data.roundStartTimes Start times of all rounds that have scores, newest first
+   * @apiSuccess {Object[]} data.scores Points awarded to teams during the round
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "roundStartTime": "2016-10-14T11:54:18.694Z",
+   *      "roundStartTimes": ["2016-10-14T11:54:18.694Z"],
+   *      "scores": [{
+   *        "roundStartTime": "2016-10-14T11:54:18.694Z",
+   *        "time": "2016-10-14T11:55:18.694Z",
+   *        "teamId": 3,
+   *        "points": 2,
+   *        "totalPoints": 202,
+   *        "stations": [1, 4]
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/scores', (request, response) => {
+    lanternTeamManager.getLanternScores({
+      roundStartTime: request.query.roundStartTime,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   /**
    * @api {post} /lanternTeams Create a lantern team
    * @apiVersion 6.0.0
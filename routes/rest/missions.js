@@ -0,0 +1,356 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const missionManager = require('../../managers/missions');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @param {Object} io Socket io
+ * @returns {Object} Router
+ */
+function handle(io) {
+  /**
+   * @api {get} /missions Get missions
+   * @apiVersion 6.0.0
+   * @apiName GetMissions
+   * @apiGroup Missions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get open and assigned missions that the user can see, and missions that the user or their team has created or is assigned to
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.missions Found missions
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "missions": [{
+   *        "_id": "58093459d3b44c3400858273",
+   *        "title": "Retrieve the package",
+   *        "description": "The package is at the docks",
+   *        "creator": "rez",
+   *        "owner": "rez",
+   *        "state": "open",
+   *        "rewardAmount": 10,
+   *        "rewardCurrency": "credits",
+   *        "applicationRequired": true,
+   *        "applicants": ["abc"]
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    missionManager.getMissions({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /missions Create a mission
+   * @apiVersion 6.0.0
+   * @apiName CreateMission
+   * @apiGroup Missions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Post a mission on the mission board. The reward is withdrawn from the user's or their team's wallet and held until the mission is completed or cancelled
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.mission Mission
+   * @apiParam {string} data.mission.title Title of the mission
+   * @apiParam {string} [data.mission.description] Description of the mission
+   * @apiParam {string} [data.mission.requirement] Requirement that has to be fulfilled to complete the mission
+   * @apiParam {number} [data.mission.rewardAmount] Credits paid to the agent when the mission is completed
+   * @apiParam {string} [data.mission.rewardCurrency] Currency of the reward. Defaults to the default currency
+   * @apiParam {boolean} [data.mission.applicationRequired] Do agents have to be approved by the creator? Agents are assigned directly when they apply if false
+   * @apiParam {number} [data.mission.visibility] Minimum access level required to see the mission
+   * @apiParam {number} [data.mission.accessLevel] Minimum access level required to apply for the mission
+   * @apiParam {boolean} [data.isTeamWallet] Should the mission be posted by the user's team?
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "mission": {
+   *        "title": "Retrieve the package",
+   *        "description": "The package is at the docks",
+   *        "rewardAmount": 10,
+   *        "applicationRequired": true
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.mission Created mission
+   * @apiSuccess {Object} [data.wallet] Wallet of the owner with the reward withdrawn. Only sent if the mission has a reward
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "mission": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "title": "Retrieve the package",
+   *        "description": "The package is at the docks",
+   *        "creator": "rez",
+   *        "owner": "rez",
+   *        "state": "open",
+   *        "rewardAmount": 10,
+   *        "rewardCurrency": "credits",
+   *        "transactionId": "58093459d3b44c3400858274",
+   *        "applicationRequired": true,
+   *        "applicants": []
+   *      },
+   *      "wallet": {
+   *        "owner": "rez",
+   *        "amount": 5
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { mission: { title: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { mission: { title } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    missionManager.createMission({
+      io,
+      mission: request.body.data.mission,
+      fromTeam: request.body.data.isTeamWallet,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /missions/:missionId/apply Apply for a mission
+   * @apiVersion 6.0.0
+   * @apiName ApplyForMission
+   * @apiGroup Missions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Apply for an open mission. The user will be assigned to the mission directly if it doesn't require an application
+   *
+   * @apiParam {string} missionId Id of the mission
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.mission Updated mission
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "mission": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "title": "Retrieve the package",
+   *        "owner": "rez",
+   *        "state": "open",
+   *        "applicationRequired": true,
+   *        "applicants": ["abc"]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:missionId/apply', (request, response) => {
+    missionManager.applyForMission({
+      io,
+      missionId: request.params.missionId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /missions/:missionId/assign Assign an agent to a mission
+   * @apiVersion 6.0.0
+   * @apiName AssignMissionAgent
+   * @apiGroup Missions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Assign one of the applicants to the mission. Only the owner of the mission can assign an agent
+   *
+   * @apiParam {string} missionId Id of the mission
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.agent User name of the applicant
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "agent": "abc"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.mission Updated mission
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "mission": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "title": "Retrieve the package",
+   *        "owner": "rez",
+   *        "agent": "abc",
+   *        "state": "assigned"
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:missionId/assign', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { agent: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { agent } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    missionManager.assignMissionAgent({
+      io,
+      missionId: request.params.missionId,
+      agent: request.body.data.agent,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /missions/:missionId/complete Complete a mission
+   * @apiVersion 6.0.0
+   * @apiName CompleteMission
+   * @apiGroup Missions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Approve the completion of an assigned mission. The reward is paid to the agent. Only the owner of the mission can complete it
+   *
+   * @apiParam {string} missionId Id of the mission
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.mission Completed mission
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "mission": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "title": "Retrieve the package",
+   *        "owner": "rez",
+   *        "agent": "abc",
+   *        "state": "completed",
+   *        "completed": true
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:missionId/complete', (request, response) => {
+    missionManager.completeMission({
+      io,
+      missionId: request.params.missionId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /missions/:missionId/cancel Cancel a mission
+   * @apiVersion 6.0.0
+   * @apiName CancelMission
+   * @apiGroup Missions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Cancel a mission that hasn't been completed. The reward is returned to the owner. Only the owner of the mission can cancel it
+   *
+   * @apiParam {string} missionId Id of the mission
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.mission Cancelled mission
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "mission": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "title": "Retrieve the package",
+   *        "owner": "rez",
+   *        "state": "cancelled"
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:missionId/cancel', (request, response) => {
+    missionManager.cancelMission({
+      io,
+      missionId: request.params.missionId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
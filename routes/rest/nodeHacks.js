@@ -0,0 +1,337 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const nodeHackManager = require('../../managers/nodeHacking');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @param {Object} io Socket io
+ * @returns {Object} Router
+ */
+function handle(io) {
+  /**
+   * @api {get} /nodeHacks Get node hack
+   * @apiVersion 6.0.0
+   * @apiName GetNodeHack
+   * @apiGroup NodeHacks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get the user's node hack. Passwords can only be chosen from on nodes that are linked to a cracked node
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.nodeHack Node hack
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "nodeHack": {
+   *        "targetName": "Central bank",
+   *        "triesLeft": 5,
+   *        "deadline": "2016-10-15T11:00:00.000Z",
+   *        "nodes": [{
+   *          "nodeId": 0,
+   *          "nodeType": "entry",
+   *          "links": [1],
+   *          "isCracked": true,
+   *          "isReachable": false
+   *        }, {
+   *          "nodeId": 1,
+   *          "nodeType": "password",
+   *          "links": [0],
+   *          "isCracked": false,
+   *          "isReachable": true,
+   *          "userName": "jdoe",
+   *          "passwordHint": {
+   *            "index": 2,
+   *            "character": "c"
+   *          },
+   *          "passwords": ["abcd", "efgh"]
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    nodeHackManager.getNodeHack({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /nodeHacks Start a node hack
+   * @apiVersion 6.0.0
+   * @apiName CreateNodeHack
+   * @apiGroup NodeHacks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Start a node hack on a target. A new graph of nodes is generated. The user's previous node hack is replaced
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.targetName Name of the target
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "targetName": "Central bank"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.nodeHack Node hack
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "nodeHack": {
+   *        "targetName": "Central bank",
+   *        "triesLeft": 5,
+   *        "deadline": "2016-10-15T11:00:00.000Z",
+   *        "nodes": [{
+   *          "nodeId": 0,
+   *          "nodeType": "entry",
+   *          "links": [1],
+   *          "isCracked": true,
+   *          "isReachable": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { targetName: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { targetName } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    nodeHackManager.createNodeHack({
+      targetName: request.body.data.targetName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /nodeHacks/nodes/:nodeId Crack a node
+   * @apiVersion 6.0.0
+   * @apiName CrackNode
+   * @apiGroup NodeHacks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Guess the password of a node in the user's node hack. A wrong guess lowers the amount of tries and the hack fails when there are no tries left.
+   * A wrong guess on a firewall returns the amount of characters in the correct position. Cracking the core node finishes the hack and unlocks the reward of the target
+   *
+   * @apiParam {number} nodeId Id of the node
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.password Password guess
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "password": "abcd"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {boolean} data.success Was the password correct?
+   * @apiSuccess {number} [data.triesLeft] Amount of tries left. Sent if the password was wrong
+   * @apiSuccess {Object} [data.matches] Amount of characters in the correct position. Sent if the password to a firewall was wrong
+   * @apiSuccess {boolean} [data.timedOut] Did the time run out?
+   * @apiSuccess {Object} [data.nodeHack] Updated node hack. Sent if the hack hasn't finished
+   * @apiSuccess {boolean} [data.isCompleted] Was the core node cracked?
+   * @apiSuccess {Object} [data.reward] Unlocked reward. Contains the rewardType and a docFile, position or transaction and wallet
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "success": true,
+   *      "isCompleted": true,
+   *      "reward": {
+   *        "rewardType": "credits",
+   *        "transaction": {
+   *          "from": "SYSTEM",
+   *          "to": "rez",
+   *          "amount": 10
+   *        },
+   *        "wallet": {
+   *          "owner": "rez",
+   *          "amount": 20
+   *        }
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/nodes/:nodeId', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { password: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { password } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    nodeHackManager.crackNode({
+      io,
+      nodeId: request.params.nodeId,
+      password: request.body.data.password,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /nodeHacks/targets Get node hack targets
+   * @apiVersion 6.0.0
+   * @apiName GetNodeHackTargets
+   * @apiGroup NodeHacks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get active targets that can be hacked. The documents and users behind the rewards are not sent
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.targets Targets
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "targets": [{
+   *        "targetName": "Central bank",
+   *        "isActive": true,
+   *        "rewardType": "credits",
+   *        "rewardAmount": 10,
+   *        "nodeAmount": 6,
+   *        "triesAmount": 5
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/targets', (request, response) => {
+    nodeHackManager.getNodeHackTargets({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /nodeHacks/targets Create a node hack target
+   * @apiVersion 6.0.0
+   * @apiName CreateNodeHackTarget
+   * @apiGroup NodeHacks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Create a target that users can hack. The nodes are locked with passwords from game users and fake passwords
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.target Target
+   * @apiParam {string} data.target.targetName Name of the target
+   * @apiParam {string} data.target.rewardType Reward that is unlocked when the core node is cracked. docFile, credits or position
+   * @apiParam {number} [data.target.rewardAmount] Amount of credits. Required if rewardType is credits
+   * @apiParam {string} [data.target.docFileId] Id of the document that the user will get access to. Required if rewardType is docFile
+   * @apiParam {string} [data.target.userName] User name of the user whose position will be revealed. Required if rewardType is position
+   * @apiParam {number} [data.target.nodeAmount] Amount of nodes, including the entry and core nodes. Has to be at least 2
+   * @apiParam {number} [data.target.firewallAmount] Amount of firewall nodes
+   * @apiParam {number} [data.target.triesAmount] Amount of wrong guesses before the hack fails
+   * @apiParam {number} [data.target.timeLimit] Amount of milliseconds before the hack fails
+   * @apiParam {boolean} [data.target.isActive] Can the target be hacked? Defaults to true
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "target": {
+   *        "targetName": "Central bank",
+   *        "rewardType": "credits",
+   *        "rewardAmount": 10
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.target Created target
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "target": {
+   *        "targetName": "Central bank",
+   *        "isActive": true,
+   *        "rewardType": "credits",
+   *        "rewardAmount": 10
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/targets', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { target: { targetName: true, rewardType: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { target: { targetName, rewardType } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    nodeHackManager.createNodeHackTarget({
+      target: request.body.data.target,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
@@ -150,6 +150,130 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {get} /positions/history Get position history
+   * @apiVersion 6.0.0
+   * @apiName GetPositionHistory
+   * @apiGroup Positions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get positions stored in the position history of a user, device or team, oldest first.
+   * Admins can retrieve the whole history. Members of the position history groups can only retrieve recent positions
+   *
+   * @apiParam {String} [userName] [Query] Name of the user. One of userName, deviceId or teamName has to be sent
+   * @apiParam {String} [deviceId] [Query] Device ID
+   * @apiParam {String} [teamName] [Query] Name of the team
+   * @apiParam {String} [startTime] [Query] Positions before this time will be excluded
+   * @apiParam {String} [endTime] [Query] Positions after this time will be excluded
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.positions Positions found
+   * @apiSuccess {Boolean} data.isTruncated Were there more positions than the max amount? The rest can be retrieved by sending the time of the last position as startTime
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "isTruncated": false,
+   *      "positions": [
+   *        {
+   *          "owner": "rez",
+   *          "deviceId": "xyz123",
+   *          "team": "bad team",
+   *          "time": "2016-10-25T16:55:34.309Z",
+   *          "coordinates": {
+   *            "longitude": 55.401,
+   *            "latitude": 12.0041,
+   *            "accuracy": 50
+   *          }
+   *        }
+   *      ]
+   *    }
+   *  }
+   */
+  router.get('/history', (request, response) => {
+    positionManager.getPositionHistory({
+      userName: request.query.userName,
+      deviceId: request.query.deviceId,
+      teamName: request.query.teamName,
+      startTime: request.query.startTime,
+      endTime: request.query.endTime,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /positions/track Get position tracks
+   * @apiVersion 6.0.0
+   * @apiName GetPositionTrack
+   * @apiGroup Positions
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get tracks from the position history of a user, device or team as a GeoJSON FeatureCollection.
+   * There is one LineString per user or device. Tracks with only one position are sent as a Point
+   *
+   * @apiParam {String} [userName] [Query] Name of the user. One of userName, deviceId or teamName has to be sent
+   * @apiParam {String} [deviceId] [Query] Device ID
+   * @apiParam {String} [teamName] [Query] Name of the team
+   * @apiParam {String} [startTime] [Query] Positions before this time will be excluded
+   * @apiParam {String} [endTime] [Query] Positions after this time will be excluded
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.track GeoJSON FeatureCollection with the tracks
+   * @apiSuccess {Boolean} data.isTruncated Were there more positions than the max amount?
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "isTruncated": false,
+   *      "track": {
+   *        "type": "FeatureCollection",
+   *        "features": [
+   *          {
+   *            "type": "Feature",
+   *            "geometry": {
+   *              "type": "LineString",
+   *              "coordinates": [[55.401, 12.0041], [55.402, 12.0043]]
+   *            },
+   *            "properties": {
+   *              "owner": "rez",
+   *              "team": "bad team",
+   *              "times": ["2016-10-25T16:55:34.309Z", "2016-10-25T16:55:44.309Z"]
+   *            }
+   *          }
+   *        ]
+   *      }
+   *    }
+   *  }
+   */
+  router.get('/track', (request, response) => {
+    positionManager.getPositionTrack({
+      userName: request.query.userName,
+      deviceId: request.query.deviceId,
+      teamName: request.query.teamName,
+      startTime: request.query.startTime,
+      endTime: request.query.endTime,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   return router;
 }
 
@@ -18,10 +18,12 @@
 
 const express = require('express');
 const roomManager = require('../../managers/rooms');
+const moderationManager = require('../../managers/moderation');
 const objectValidator = require('../../utils/objectValidator');
 const restErrorChecker = require('../../helpers/restErrorChecker');
 const messenger = require('../../helpers/messenger');
 const errorCreator = require('../../objects/error/errorCreator');
+const textTools = require('../../utils/textTools');
 
 const router = new express.Router();
 
@@ -290,26 +292,41 @@ function handle(io) {
    *
    * @apiHeader {String} Authorization Your JSON Web Token
    *
-   * @apiDescription Retrieve messages from a specific room
+   * @apiDescription Retrieve messages from a specific room. The newest messages are retrieved, sorted from oldest to newest.
+   * Older messages can be retrieved by sending the returned nextCursor as cursor
    *
-   * @apiParam {String} roomNameid Name of the room
+   * @apiParam {String} roomName Name of the room
+   * @apiParam {number} [limit] Query. Amount of messages to retrieve. Defaults to appConfig.historyLines and can't be higher than appConfig.maxHistoryLines
+   * @apiParam {string} [cursor] Query. Only messages older than the cursor will be retrieved
+   * @apiParam {Date} [before] Query. Only messages sent before this time will be retrieved
+   * @apiParam {Date} [after] Query. Only messages sent after this time will be retrieved
+   * @apiParam {string} [search] Query. Only messages that contain the words will be retrieved
    *
    * @apiSuccess {Object} data
-   * @apiSuccess {Object[]} data.messages Found messages from specific room
+   * @apiSuccess {Object} data.history Found history from specific room
+   * @apiSuccess {Object[]} data.history.messages Found messages
+   * @apiSuccess {string} data.history.nextCursor Cursor to retrieve older messages with. Null if there are no older messages
    * @apiSuccessExample {json} Success-Response:
    *  {
    *    "data": {
-   *      "timeZoneOffset": 0,
-   *      "messages": [
-   *        {
-   *          "time": "2016-10-14T11:13:03.555Z",
-   *          "roomName": "bb1",
-   *          "userName": "rez",
-   *          "text": [
-   *            "..."
-   *          ]
-   *        }
-   *      ]
+   *      "history": {
+   *        "roomName": "bb1",
+   *        "anonymous": false,
+   *        "isWhisper": false,
+   *        "timeZoneOffset": 0,
+   *        "nextCursor": "5a1d2c2d1b4c8e0f3c8b4567",
+   *        "messages": [
+   *          {
+   *            "_id": "5a1d2c2d1b4c8e0f3c8b4568",
+   *            "time": "2016-10-14T11:13:03.555Z",
+   *            "roomName": "bb1",
+   *            "userName": "rez",
+   *            "text": [
+   *              "..."
+   *            ]
+   *          }
+   *        ]
+   *      }
    *    }
    *  }
    */
@@ -324,6 +341,11 @@ function handle(io) {
       io,
       token: request.headers.authorization,
       roomName: request.params.roomName,
+      limit: request.query.limit ? textTools.convertToInt(request.query.limit) : undefined,
+      cursor: request.query.cursor,
+      before: request.query.before,
+      after: request.query.after,
+      search: request.query.search,
       callback: ({ error, data }) => {
         if (error) {
           restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
@@ -427,6 +449,395 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {post} /rooms/:roomName/messages/:messageId Edit a message
+   * @apiVersion 6.0.0
+   * @apiName EditMessage
+   * @apiGroup Rooms
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Replace the text of a message that you have sent. It can only be edited within a short time after it was sent
+   *
+   * @apiParam {string} roomName Name of the room
+   * @apiParam {string} messageId Id of the message
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.message Message
+   * @apiParam {String[]} data.message.text New content of the message
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "message": {
+   *        "text": [
+   *          "Hello world!"
+   *        ]
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.message Updated message
+   * @apiSuccess {Object} data.entry Moderation log entry
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "message": {
+   *        "_id": "5a1d2c2d1b4c8e0f3c8b4568",
+   *        "roomName": "bb1",
+   *        "text": [
+   *          "Hello world!"
+   *        ],
+   *        "userName": "rez",
+   *        "time": "2016-10-28T22:42:06.262Z",
+   *        "editedAt": "2016-10-28T22:43:06.262Z"
+   *      },
+   *      "entry": {
+   *        "roomName": "bb1",
+   *        "action": "editMessage",
+   *        "moderator": "rez",
+   *        "userName": "rez",
+   *        "messageId": "5a1d2c2d1b4c8e0f3c8b4568",
+   *        "text": [
+   *          "Hello wrld!"
+   *        ],
+   *        "time": "2016-10-28T22:43:06.262Z"
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:roomName/messages/:messageId', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { message: { text: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { message: { text } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    moderationManager.editMessage({
+      io,
+      token: request.headers.authorization,
+      roomName: request.params.roomName,
+      messageId: request.params.messageId,
+      text: request.body.data.message.text,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /rooms/:roomName/messages/:messageId Remove a message
+   * @apiVersion 6.0.0
+   * @apiName RemoveMessage
+   * @apiGroup Rooms
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Remove a message from a room. Only the owner and admins of the room, or game masters, can remove messages.
+   * The message will be removed from connected clients
+   *
+   * @apiParam {string} roomName Name of the room
+   * @apiParam {string} messageId Id of the message
+   *
+   * @apiParam {Object} [data]
+   * @apiParam {string} [data.reason] Reason for removing the message. Stored in the moderation log
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {string} data.messageId Id of the removed message
+   * @apiSuccess {Object} data.entry Moderation log entry
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "messageId": "5a1d2c2d1b4c8e0f3c8b4568",
+   *      "entry": {
+   *        "roomName": "bb1",
+   *        "action": "removeMessage",
+   *        "moderator": "admin",
+   *        "userName": "rez",
+   *        "messageId": "5a1d2c2d1b4c8e0f3c8b4568",
+   *        "text": [
+   *          "Hello world!"
+   *        ],
+   *        "reason": "Spam",
+   *        "time": "2016-10-28T22:43:06.262Z"
+   *      }
+   *    }
+   *  }
+   */
+  router.delete('/:roomName/messages/:messageId', (request, response) => {
+    const { reason } = request.body.data || {};
+
+    moderationManager.removeMessage({
+      io,
+      reason,
+      token: request.headers.authorization,
+      roomName: request.params.roomName,
+      messageId: request.params.messageId,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /rooms/:roomName/messages/:messageId/hide Hide or show a message
+   * @apiVersion 6.0.0
+   * @apiName HideMessage
+   * @apiGroup Rooms
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Hide or show a message in a room. Only the owner and admins of the room, or game masters, can hide messages.
+   * Hidden messages are removed from connected clients and are not retrieved with the history
+   *
+   * @apiParam {string} roomName Name of the room
+   * @apiParam {string} messageId Id of the message
+   *
+   * @apiParam {Object} data
+   * @apiParam {boolean} data.isHidden Should the message be hidden?
+   * @apiParam {string} [data.reason] Reason for hiding the message. Stored in the moderation log
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "isHidden": true,
+   *      "reason": "Spoilers"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.message Updated message
+   * @apiSuccess {Object} data.entry Moderation log entry
+   */
+  router.post('/:roomName/messages/:messageId/hide', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: true })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { isHidden } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    const { isHidden, reason } = request.body.data;
+
+    moderationManager.hideMessage({
+      io,
+      isHidden,
+      reason,
+      token: request.headers.authorization,
+      roomName: request.params.roomName,
+      messageId: request.params.messageId,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /rooms/:roomName/kick Kick a user from a room
+   * @apiVersion 6.0.0
+   * @apiName KickUserFromRoom
+   * @apiGroup Rooms
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Make a user stop following a room. The user can follow the room again. Only the owner and admins of the room, or game masters, can kick users
+   *
+   * @apiParam {string} roomName Name of the room
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.userName Name of the user to kick
+   * @apiParam {string} [data.reason] Reason for the kick. Stored in the moderation log
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "userName": "rez",
+   *      "reason": "Spam"
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {string} data.userName Name of the kicked user
+   * @apiSuccess {string} data.roomName Name of the room
+   * @apiSuccess {Object} data.entry Moderation log entry
+   */
+  router.post('/:roomName/kick', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { userName: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { userName } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    moderationManager.kickUserFromRoom({
+      io,
+      token: request.headers.authorization,
+      roomName: request.params.roomName,
+      userName: request.body.data.userName,
+      reason: request.body.data.reason,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /rooms/:roomName/ban Ban a user from a room
+   * @apiVersion 6.0.0
+   * @apiName BanUserFromRoom
+   * @apiGroup Rooms
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Make a user stop following a room and stop the user from following it again. Only the owner and admins of the room, or game masters, can ban users
+   *
+   * @apiParam {string} roomName Name of the room
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.userName Name of the user to ban
+   * @apiParam {string} [data.reason] Reason for the ban. Stored in the moderation log
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {string} data.userName Name of the banned user
+   * @apiSuccess {string} data.roomName Name of the room
+   * @apiSuccess {Object} data.entry Moderation log entry
+   */
+  router.post('/:roomName/ban', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { userName: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { userName } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    moderationManager.banUserFromRoom({
+      io,
+      token: request.headers.authorization,
+      roomName: request.params.roomName,
+      userName: request.body.data.userName,
+      reason: request.body.data.reason,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /rooms/:roomName/unban Unban a user from a room
+   * @apiVersion 6.0.0
+   * @apiName UnbanUserFromRoom
+   * @apiGroup Rooms
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Allow a banned user to follow the room again. Only the owner and admins of the room, or game masters, can unban users
+   *
+   * @apiParam {string} roomName Name of the room
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.userName Name of the user to unban
+   * @apiParam {string} [data.reason] Reason for the unban. Stored in the moderation log
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {string} data.userName Name of the unbanned user
+   * @apiSuccess {string} data.roomName Name of the room
+   * @apiSuccess {Object} data.entry Moderation log entry
+   */
+  router.post('/:roomName/unban', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { userName: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { userName } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    moderationManager.unbanUserFromRoom({
+      token: request.headers.authorization,
+      roomName: request.params.roomName,
+      userName: request.body.data.userName,
+      reason: request.body.data.reason,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /rooms/:roomName/moderationLog Get the moderation log of a room
+   * @apiVersion 6.0.0
+   * @apiName GetModerationLog
+   * @apiGroup Rooms
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get edits, removed and hidden messages, kicks and bans in a room, newest first. Only the owner and admins of the room, or game masters, can get the log
+   *
+   * @apiParam {string} roomName Name of the room
+   * @apiParam {string} [userName] Query. Only entries affecting this user will be retrieved
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.entries Moderation log entries
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "entries": [{
+   *        "roomName": "bb1",
+   *        "action": "ban",
+   *        "moderator": "admin",
+   *        "userName": "rez",
+   *        "reason": "Spam",
+   *        "time": "2016-10-28T22:43:06.262Z"
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/:roomName/moderationLog', (request, response) => {
+    moderationManager.getModerationLog({
+      token: request.headers.authorization,
+      roomName: request.params.roomName,
+      userName: request.query.userName,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   return router;
 }
 
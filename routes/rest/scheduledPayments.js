@@ -0,0 +1,195 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const scheduledPaymentManager = require('../../managers/scheduledPayments');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @returns {Object} Router
+ */
+function handle() {
+  /**
+   * @api {get} /scheduledPayments Get all scheduled payments
+   * @apiVersion 6.0.0
+   * @apiName GetAllScheduledPayments
+   * @apiGroup ScheduledPayments
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get all scheduled payments, including inactive ones
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.scheduledPayments Scheduled payments found
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "scheduledPayments": [{
+   *        "_id": "58093459d3b44c3400858273",
+   *        "creator": "gamemaster",
+   *        "from": "SYSTEM",
+   *        "to": "skynet-team",
+   *        "amount": 10,
+   *        "interval": 60,
+   *        "startTime": "2016-10-14T11:00:00.000Z",
+   *        "endTime": "2016-10-16T11:00:00.000Z",
+   *        "nextPaymentTime": "2016-10-14T12:00:00.000Z",
+   *        "note": "Salary",
+   *        "isActive": true,
+   *        "failedPayments": []
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    scheduledPaymentManager.getAllScheduledPayments({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /scheduledPayments Create a scheduled payment
+   * @apiVersion 6.0.0
+   * @apiName CreateScheduledPayment
+   * @apiGroup ScheduledPayments
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Create a payment that will be made every interval between start and end time. A failed payment will be stored in the scheduled payment if the sender does not have enough in their wallet
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.scheduledPayment New scheduled payment
+   * @apiParam {string} [data.scheduledPayment.from] Owner of the wallet to pay from. Payments without a sender are paid by the system
+   * @apiParam {string} data.scheduledPayment.to Owner of the wallet to pay to
+   * @apiParam {number} data.scheduledPayment.amount Amount to pay each time
+   * @apiParam {string} [data.scheduledPayment.currency] Currency to pay in. Defaults to the default currency
+   * @apiParam {number} data.scheduledPayment.interval Minutes between each payment
+   * @apiParam {Date} [data.scheduledPayment.startTime] Time of the first payment. Defaults to now
+   * @apiParam {Date} [data.scheduledPayment.endTime] No payments will be made after this time
+   * @apiParam {string} [data.scheduledPayment.note] Note added to each transaction
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "scheduledPayment": {
+   *        "to": "skynet-team",
+   *        "amount": 10,
+   *        "interval": 60,
+   *        "startTime": "2016-10-14T11:00:00.000Z",
+   *        "endTime": "2016-10-16T11:00:00.000Z",
+   *        "note": "Salary"
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.scheduledPayment Created scheduled payment
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "scheduledPayment": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "creator": "gamemaster",
+   *        "from": "SYSTEM",
+   *        "to": "skynet-team",
+   *        "amount": 10,
+   *        "interval": 60,
+   *        "startTime": "2016-10-14T11:00:00.000Z",
+   *        "endTime": "2016-10-16T11:00:00.000Z",
+   *        "nextPaymentTime": "2016-10-14T12:00:00.000Z",
+   *        "note": "Salary",
+   *        "isActive": true,
+   *        "failedPayments": []
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { scheduledPayment: { to: true, amount: true, interval: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { scheduledPayment: { to, amount, interval } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    scheduledPaymentManager.createScheduledPayment({
+      scheduledPayment: request.body.data.scheduledPayment,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /scheduledPayments/:paymentId Delete a scheduled payment
+   * @apiVersion 6.0.0
+   * @apiName RemoveScheduledPayment
+   * @apiGroup ScheduledPayments
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Delete a scheduled payment. No more payments will be made
+   *
+   * @apiParam {string} paymentId Id of the scheduled payment
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "success": true
+   *    }
+   *  }
+   */
+  router.delete('/:paymentId', (request, response) => {
+    scheduledPaymentManager.removeScheduledPayment({
+      paymentId: request.params.paymentId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
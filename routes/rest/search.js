@@ -0,0 +1,115 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const searchManager = require('../../managers/search');
+const errorCreator = require('../../objects/error/errorCreator');
+const textTools = require('../../utils/textTools');
+
+const router = new express.Router();
+
+/**
+ * @returns {Object} Router
+ */
+function handle() {
+  /**
+   * @api {get} /search Search
+   * @apiVersion 6.0.0
+   * @apiName Search
+   * @apiGroup Search
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Search docFiles, messages in rooms that you follow, broadcasts and simple messages.
+   * The same access rules are used as when retrieving them. Only the title of locked docFiles is searched.
+   * Results are ranked by how many of the words they contain, with words in docFile titles weighing more, and then by time
+   *
+   * @apiParam {String} text [Query] Words to search for
+   * @apiParam {String} [types] [Query] Comma separated types to search. Available types are docFiles, messages, broadcasts and simpleMsgs. Defaults to all types
+   * @apiParam {Number} [limit] [Query] Amount of results to retrieve
+   * @apiParam {Number} [offset] [Query] Amount of results to skip
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.results Found results. Each result has a type, a score and the docFile, message or simpleMsg that was found.
+   * docFile results also have lines, with the lines in the text that matched
+   * @apiSuccess {Number} data.totalResults Amount of results found
+   * @apiSuccess {Number} data.timeZoneOffset Time zone offset of the server
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "data": {
+   *      "results": [{
+   *        "type": "docFiles",
+   *        "score": 3,
+   *        "docFile": {
+   *          "docFileId": "reactor",
+   *          "title": "Reactor manual",
+   *          "creator": "rez5",
+   *          "isPublic": true
+   *        },
+   *        "lines": [
+   *          "Never leave the reactor unattended"
+   *        ]
+   *      }, {
+   *        "type": "messages",
+   *        "score": 1,
+   *        "message": {
+   *          "roomName": "public",
+   *          "historyName": "public",
+   *          "userName": "rez5",
+   *          "text": [
+   *            "Where is the reactor manual?"
+   *          ],
+   *          "time": "2017-03-20T10:02:21.324Z"
+   *        }
+   *      }],
+   *      "totalResults": 2,
+   *      "timeZoneOffset": 0
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    if (!objectValidator.isValidData(request.query, { text: true })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '?text=' }), sentData: request.body.data });
+
+      return;
+    }
+
+    searchManager.search({
+      text: request.query.text,
+      types: request.query.types ? request.query.types.split(',') : undefined,
+      limit: textTools.convertToInt(request.query.limit),
+      offset: textTools.convertToInt(request.query.offset),
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
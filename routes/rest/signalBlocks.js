@@ -0,0 +1,237 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const signalBlockManager = require('../../managers/signalBlocks');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @param {Object} io Socket io
+ * @returns {Object} Router
+ */
+function handle(io) {
+  /**
+   * @api {get} /signalBlocks Get active signal blocks
+   * @apiVersion 6.0.0
+   * @apiName GetSignalBlocks
+   * @apiGroup SignalBlocks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get active signal blocks, the amount of signal counters owned by the user and when the user can create a new signal block
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.signalBlocks Active signal blocks
+   * @apiSuccess {number} data.counterAmount Amount of signal counters owned by the user
+   * @apiSuccess {string} data.cooldownEnd Time when the user can create a new signal block. Null if the user has never created one
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "signalBlocks": [{
+   *        "_id": "5a0a0b1c2d3e4f5a6b7c8d9e",
+   *        "owner": "jdoe",
+   *        "positionName": "signalBlock-jdoe",
+   *        "coordinates": {
+   *          "longitude": 10.1,
+   *          "latitude": 42.3,
+   *          "accuracy": 20,
+   *          "radius": 60
+   *        },
+   *        "blockedUsers": ["jdoe", "rdoe"],
+   *        "startTime": "2016-10-15T11:00:00.000Z",
+   *        "endTime": "2016-10-15T11:02:00.000Z",
+   *        "isActive": true
+   *      }],
+   *      "counterAmount": 1,
+   *      "cooldownEnd": "2016-10-15T11:10:00.000Z"
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    signalBlockManager.getSignalBlocks({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /signalBlocks/counters Give signal counters to a user
+   * @apiVersion 6.0.0
+   * @apiName GiveSignalCounters
+   * @apiGroup SignalBlocks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Give signal counters to a user. A signal counter is used up when the user counters a signal block
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.owner Name of the user that will receive the counters
+   * @apiParam {number} data.amount Amount of counters
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "owner": "rdoe",
+   *      "amount": 2
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.counter Signal counters owned by the user
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "counter": {
+   *        "owner": "rdoe",
+   *        "amount": 3
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/counters', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { owner: true, amount: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { owner, amount } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    signalBlockManager.giveSignalCounters({
+      owner: request.body.data.owner,
+      amount: request.body.data.amount,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /signalBlocks/:blockId/cancel Cancel a signal block
+   * @apiVersion 6.0.0
+   * @apiName CancelSignalBlock
+   * @apiGroup SignalBlocks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Cancel an active signal block. Its position is removed and the users blocked by it are unblocked. Only the owner of the block or an admin can cancel it
+   *
+   * @apiParam {string} blockId Id of the signal block
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.signalBlock Cancelled signal block
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "signalBlock": {
+   *        "_id": "5a0a0b1c2d3e4f5a6b7c8d9e",
+   *        "owner": "jdoe",
+   *        "positionName": "signalBlock-jdoe",
+   *        "blockedUsers": ["jdoe", "rdoe"],
+   *        "startTime": "2016-10-15T11:00:00.000Z",
+   *        "endTime": "2016-10-15T11:02:00.000Z",
+   *        "isActive": false
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:blockId/cancel', (request, response) => {
+    signalBlockManager.cancelSignalBlock({
+      io,
+      blockId: request.params.blockId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /signalBlocks/:blockId/counter Counter a signal block
+   * @apiVersion 6.0.0
+   * @apiName CounterSignalBlock
+   * @apiGroup SignalBlocks
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Use up one of the user's signal counters to remove the user from an active signal block that is blocking them
+   *
+   * @apiParam {string} blockId Id of the signal block
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.signalBlock Signal block
+   * @apiSuccess {number} data.counterAmount Amount of signal counters the user has left
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "signalBlock": {
+   *        "_id": "5a0a0b1c2d3e4f5a6b7c8d9e",
+   *        "owner": "jdoe",
+   *        "positionName": "signalBlock-jdoe",
+   *        "blockedUsers": ["jdoe"],
+   *        "startTime": "2016-10-15T11:00:00.000Z",
+   *        "endTime": "2016-10-15T11:02:00.000Z",
+   *        "isActive": true
+   *      },
+   *      "counterAmount": 0
+   *    }
+   *  }
+   */
+  router.post('/:blockId/counter', (request, response) => {
+    signalBlockManager.counterSignalBlock({
+      io,
+      blockId: request.params.blockId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
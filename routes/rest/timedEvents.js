@@ -0,0 +1,634 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const timedEventManager = require('../../managers/timedEvents');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @param {Object} io Socket io
+ * @returns {Object} Router
+ */
+function handle(io) {
+  /**
+   * @api {get} /timedEvents Get timed events
+   * @apiVersion 6.0.0
+   * @apiName GetTimedEvents
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get all timed events
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.timedEvents Timed events found
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvents": [{
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": false,
+   *        "isCompleted": false,
+   *        "currentStep": 0,
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": false
+   *        }]
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    timedEventManager.getTimedEvents({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /timedEvents/:eventId Get timed event
+   * @apiVersion 6.0.0
+   * @apiName GetTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get a timed event, including its progress
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Timed event found
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": true,
+   *        "isPaused": false,
+   *        "isCompleted": false,
+   *        "isCancelled": false,
+   *        "currentStep": 1,
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "nextTriggerTime": "2016-10-14T12:04:18.694Z",
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": true
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.get('/:eventId', (request, response) => {
+    timedEventManager.getTimedEvent({
+      eventId: request.params.eventId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /timedEvents Create a timed event
+   * @apiVersion 6.0.0
+   * @apiName CreateTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Create a timed event. It will not run until it has been started. Steps are triggered in order. Each step needs a message, coordinates or items to unlock
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.timedEvent New timed event
+   * @apiParam {string} [data.timedEvent.eventName] Name of the event
+   * @apiParam {Object[]} data.timedEvent.steps Steps in the event
+   * @apiParam {Object} [data.timedEvent.steps.timer] Timer
+   * @apiParam {Date} [data.timedEvent.steps.timer.triggerTime] Time to count from. Defaults to when the previous step was triggered
+   * @apiParam {number} [data.timedEvent.steps.timer.duration] Amount of minutes to wait after trigger time
+   * @apiParam {Object} [data.timedEvent.steps.message] Message to send
+   * @apiParam {string[]} data.timedEvent.steps.message.text Text in the message
+   * @apiParam {string} [data.timedEvent.steps.message.roomName] Room to send the message to
+   * @apiParam {boolean} [data.timedEvent.steps.message.shouldBroadcast] Should the message be sent as a broadcast?
+   * @apiParam {Object} [data.timedEvent.steps.coordinates] Coordinates of a position that will be created on the map
+   * @apiParam {Object[]} [data.timedEvent.steps.unlocks] Doc files or commands to make public. unlockType is either docFile or command
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "eventName": "Blackout",
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true }
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }]
+   *        }]
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Created timed event
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": false,
+   *        "isCompleted": false,
+   *        "currentStep": 0,
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": false
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { timedEvent: { steps: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { timedEvent: { steps } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    timedEventManager.createTimedEvent({
+      timedEvent: request.body.data.timedEvent,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /timedEvents/:eventId Update a timed event
+   * @apiVersion 6.0.0
+   * @apiName UpdateTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Update a timed event. Only events that have not been started can be updated
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.timedEvent Values to update
+   * @apiParam {string} [data.timedEvent.eventName] Name of the event
+   * @apiParam {Object[]} [data.timedEvent.steps] Steps that will replace the existing ones
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "eventName": "Blackout 2"
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Updated timed event
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout 2",
+   *        "isActive": false,
+   *        "isCompleted": false,
+   *        "currentStep": 0,
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:eventId', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { timedEvent: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { timedEvent } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    timedEventManager.updateTimedEvent({
+      eventId: request.params.eventId,
+      timedEvent: request.body.data.timedEvent,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /timedEvents/:eventId Delete a timed event
+   * @apiVersion 6.0.0
+   * @apiName RemoveTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Delete a timed event. It will be stopped if it is running
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "success": true
+   *    }
+   *  }
+   */
+  router.delete('/:eventId', (request, response) => {
+    timedEventManager.removeTimedEvent({
+      eventId: request.params.eventId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /timedEvents/:eventId/start Start a timed event
+   * @apiVersion 6.0.0
+   * @apiName StartTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Start a timed event. Its steps will be triggered in order
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Updated timed event
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": true,
+   *        "isPaused": false,
+   *        "isCompleted": false,
+   *        "isCancelled": false,
+   *        "currentStep": 1,
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "nextTriggerTime": "2016-10-14T12:04:18.694Z",
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": true
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:eventId/start', (request, response) => {
+    timedEventManager.startTimedEvent({
+      io,
+      eventId: request.params.eventId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /timedEvents/:eventId/pause Pause a timed event
+   * @apiVersion 6.0.0
+   * @apiName PauseTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Pause an active timed event. Time left until the next step is kept until the event is resumed
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Updated timed event
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": true,
+   *        "isPaused": true,
+   *        "isCompleted": false,
+   *        "isCancelled": false,
+   *        "currentStep": 1,
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "nextTriggerTime": "2016-10-14T12:04:18.694Z",
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": true
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:eventId/pause', (request, response) => {
+    timedEventManager.pauseTimedEvent({
+      eventId: request.params.eventId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /timedEvents/:eventId/resume Resume a paused timed event
+   * @apiVersion 6.0.0
+   * @apiName ResumeTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Resume a paused timed event
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Updated timed event
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": true,
+   *        "isPaused": false,
+   *        "isCompleted": false,
+   *        "isCancelled": false,
+   *        "currentStep": 1,
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "nextTriggerTime": "2016-10-14T12:04:18.694Z",
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": true
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:eventId/resume', (request, response) => {
+    timedEventManager.resumeTimedEvent({
+      io,
+      eventId: request.params.eventId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /timedEvents/:eventId/skipStep Skip the current step of a timed event
+   * @apiVersion 6.0.0
+   * @apiName SkipTimedEventStep
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Skip the current step of an active timed event. The skipped step will not be triggered
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Updated timed event
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": true,
+   *        "isPaused": false,
+   *        "isCompleted": false,
+   *        "isCancelled": false,
+   *        "currentStep": 1,
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "nextTriggerTime": "2016-10-14T12:04:18.694Z",
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": true
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:eventId/skipStep', (request, response) => {
+    timedEventManager.skipTimedEventStep({
+      io,
+      eventId: request.params.eventId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /timedEvents/:eventId/cancel Cancel a timed event
+   * @apiVersion 6.0.0
+   * @apiName CancelTimedEvent
+   * @apiGroup TimedEvents
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Cancel a timed event. Remaining steps will not be triggered and the event can not be started again
+   *
+   * @apiParam {string} eventId Id of the timed event
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.timedEvent Updated timed event
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "timedEvent": {
+   *        "_id": "58093459d3b44c3400858273",
+   *        "owner": "gamemaster",
+   *        "eventName": "Blackout",
+   *        "isActive": true,
+   *        "isPaused": false,
+   *        "isCompleted": false,
+   *        "isCancelled": false,
+   *        "currentStep": 1,
+   *        "startTime": "2016-10-14T11:54:18.694Z",
+   *        "nextTriggerTime": "2016-10-14T12:04:18.694Z",
+   *        "steps": [{
+   *          "timer": { "duration": 5 },
+   *          "message": { "text": ["Power is failing"], "shouldBroadcast": true },
+   *          "unlocks": [],
+   *          "isDone": true
+   *        }, {
+   *          "timer": { "duration": 10 },
+   *          "coordinates": { "latitude": 59.3293, "longitude": 18.0686 },
+   *          "unlocks": [{ "unlockType": "docFile", "unlockValue": "BLACKOUT1" }],
+   *          "isDone": false
+   *        }]
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:eventId/cancel', (request, response) => {
+    timedEventManager.cancelTimedEvent({
+      eventId: request.params.eventId,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
@@ -20,8 +20,10 @@ const express = require('express');
 const objectValidator = require('../../utils/objectValidator');
 const walletManager = require('../../managers/wallets');
 const transactionManager = require('../../managers/transactions');
+const scheduledPaymentManager = require('../../managers/scheduledPayments');
 const restErrorChecker = require('../../helpers/restErrorChecker');
 const errorCreator = require('../../objects/error/errorCreator');
+const textTools = require('../../utils/textTools');
 
 const router = new express.Router();
 
@@ -74,6 +76,70 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {get} /wallets/stats Get economy statistics
+   * @apiVersion 6.0.0
+   * @apiName GetWalletStats
+   * @apiGroup Wallets
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get the total amount in all wallets, the wallets with the highest amounts, amounts transferred between teams and amounts transferred per hour
+   *
+   * @apiParam {Date} [startDate] Query. Transactions made before this time will be excluded
+   * @apiParam {Date} [endDate] Query. Transactions made after this time will be excluded
+   * @apiParam {number} [topHolderAmount] Query. Amount of wallets with the highest amounts to return. Default is 10
+   * @apiParam {string} [currency] Query. Currency to get statistics for. Defaults to the default currency
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {string} data.currency Currency of the statistics
+   * @apiSuccess {number} data.moneySupply Total amount in all wallets
+   * @apiSuccess {Object[]} data.topHolders Wallets with the highest amounts
+   * @apiSuccess {Object[]} data.teamFlows Amounts transferred between teams
+   * @apiSuccess {Object[]} data.volumePerHour Amounts transferred per hour
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "currency": "credits",
+   *      "moneySupply": 1250,
+   *      "topHolders": [{
+   *        "owner": "abc",
+   *        "amount": 400,
+   *        "team": "skynet"
+   *      }],
+   *      "teamFlows": [{
+   *        "fromTeam": "skynet",
+   *        "toTeam": "organica",
+   *        "amount": 30,
+   *        "transactionCount": 2
+   *      }],
+   *      "volumePerHour": [{
+   *        "hour": "2016-10-14T11:00:00.000Z",
+   *        "amount": 55,
+   *        "transactionCount": 4
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/stats', (request, response) => {
+    walletManager.getWalletStats({
+      startDate: request.query.startDate,
+      endDate: request.query.endDate,
+      topHolderAmount: request.query.topHolderAmount ? textTools.convertToInt(request.query.topHolderAmount) : undefined,
+      currency: request.query.currency,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   /**
    * @api {get} /wallets/:owner Get wallet by owner
    * @apiVersion 6.0.0
@@ -82,7 +148,7 @@ function handle(io) {
    *
    * @apiHeader {String} Authorization Your JSON Web Token
    *
-   * @apiDescription Get wallet by owner
+   * @apiDescription Get wallet by owner. The balance of the default currency is in amount. Balances of other currencies are in currencies
    *
    * @apiParam {string} owner Name of the owner of the wallet
    *
@@ -94,6 +160,9 @@ function handle(io) {
    *      "wallet": {
    *        "owner": "",
    *        "amount": 10,
+   *        "currencies": {
+   *          "tokens": 2
+   *        },
    *        "isProtected": false,
    *        "accessLevel": 1
    *      }
@@ -136,10 +205,12 @@ function handle(io) {
    *
    * @apiParam {Object} data
    * @apiParam {Object} data.amount Amount to increase
+   * @apiParam {string} [data.currency] Currency to increase. Defaults to the default currency
    * @apiParamExample {json} Request-Example:
    *   {
    *    "data": {
-   *      "amount": 8
+   *      "amount": 8,
+   *      "currency": "tokens"
    *    }
    *  }
    *
@@ -171,6 +242,7 @@ function handle(io) {
     walletManager.increaseWalletAmount({
       token: request.headers.authorization,
       amount: request.body.data.amount,
+      currency: request.body.data.currency,
       owner: request.params.owner,
       callback: ({ error, data }) => {
         if (error) {
@@ -198,10 +270,12 @@ function handle(io) {
    *
    * @apiParam {Object} data
    * @apiParam {Object} data.amount Amount to decrease
+   * @apiParam {string} [data.currency] Currency to decrease. Defaults to the default currency
    * @apiParamExample {json} Request-Example:
    *   {
    *    "data": {
-   *      "amount": 8
+   *      "amount": 8,
+   *      "currency": "tokens"
    *    }
    *  }
    *
@@ -233,6 +307,7 @@ function handle(io) {
     walletManager.decreaseWalletAmount({
       owner: request.params.owner,
       amount: request.body.data.amount,
+      currency: request.body.data.currency,
       token: request.headers.authorization,
       callback: ({ error, data }) => {
         if (error) {
@@ -254,7 +329,7 @@ function handle(io) {
    *
    * @apiHeader {String} Authorization Your JSON Web Token
    *
-   * @apiDescription Reset wallet amount to 0
+   * @apiDescription Reset the amount of all currencies in the wallet to 0
    *
    * @apiParam {String} owner Name of the owner of the wallet
    *
@@ -354,6 +429,84 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {get} /wallets/:owner/transactions/history Get transaction history
+   * @apiVersion 6.0.0
+   * @apiName GetTransactionHistory
+   * @apiGroup Wallets
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get finished transactions to and from a wallet, newest first. Each transaction has the wallet balance after it was made. Can be exported as CSV
+   *
+   * @apiParam {string} owner Name of the owner of the wallet
+   * @apiParam {Date} [startDate] Query. Transactions made before this time will be excluded
+   * @apiParam {Date} [endDate] Query. Transactions made after this time will be excluded
+   * @apiParam {number} [page] Query. Page to retrieve. Starts at 1
+   * @apiParam {number} [pageSize] Query. Amount of transactions per page
+   * @apiParam {string} [format] Query. json (default) or csv
+   * @apiParam {string} [currency] Query. Currency to get the history for. Defaults to the default currency
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {string} data.currency Currency of the transactions
+   * @apiSuccess {Object[]} data.transactions Transactions on the page
+   * @apiSuccess {number} data.totalCount Amount of transactions matching the dates
+   * @apiSuccess {number} data.page Retrieved page
+   * @apiSuccess {number} data.pageSize Amount of transactions per page
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "transactions": [{
+   *        "to": "abc",
+   *        "from": "rez",
+   *        "time": "2016-10-28T22:42:06.262Z",
+   *        "amount": 5,
+   *        "note": "Bounty payment",
+   *        "currency": "credits",
+   *        "balance": 15
+   *      }],
+   *      "currency": "credits",
+   *      "totalCount": 1,
+   *      "page": 1,
+   *      "pageSize": 50
+   *    }
+   *  }
+   */
+  router.get('/:owner/transactions/history', (request, response) => {
+    if (!objectValidator.isValidData(request.params, { owner: true }) || (request.query.format && ['json', 'csv'].indexOf(request.query.format) === -1)) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: 'format json or csv' }), sentData: request.body.data });
+
+      return;
+    }
+
+    transactionManager.getTransactionHistory({
+      owner: request.params.owner,
+      startDate: request.query.startDate,
+      endDate: request.query.endDate,
+      page: request.query.page,
+      pageSize: request.query.pageSize,
+      currency: request.query.currency,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        if (request.query.format === 'csv') {
+          response.set('Content-Type', 'text/csv');
+          response.attachment(`${request.params.owner}-transactions.csv`);
+          response.send(textTools.createCsv({ columns: ['time', 'from', 'to', 'amount', 'currency', 'balance', 'note'], rows: data.transactions }));
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   /**
    * @api {post} /wallets/:owner/transactions Create a transaction
    * @apiVersion 6.0.0
@@ -368,6 +521,7 @@ function handle(io) {
    * @apiParam {Object} data.transaction Transaction
    * @apiParam {string} data.transaction.to User or team name of the receiver
    * @apiParam {string} data.transaction.amount Amount to transfer
+   * @apiParam {string} [data.transaction.currency] Currency to transfer. Defaults to the default currency
    * @apiParam {string} [data.transaction.note] Note to the receiver
    * @apiParam {Object} [data.transaction.coordinates] GPS coordinates to where the transaction was made
    * @apiParam {number} data.transaction.coordinates.longitude Longitude
@@ -433,6 +587,142 @@ function handle(io) {
     });
   });
 
+  /**
+   * @api {post} /wallets/:owner/exchange Exchange currency
+   * @apiVersion 6.0.0
+   * @apiName ExchangeCurrency
+   * @apiGroup Wallets
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Exchange an amount of one currency in the wallet to another currency. The exchange rate's fee is withheld from the exchanged amount, which is rounded down
+   *
+   * @apiParam {String} owner Name of the owner of the wallet
+   *
+   * @apiParam {Object} data
+   * @apiParam {string} data.fromCurrency Currency to exchange from
+   * @apiParam {string} data.toCurrency Currency to exchange to
+   * @apiParam {number} data.amount Amount of fromCurrency to exchange
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "fromCurrency": "credits",
+   *      "toCurrency": "tokens",
+   *      "amount": 10
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.transactions Transactions created. The first withdraws fromCurrency and the second deposits toCurrency
+   * @apiSuccess {Object} data.wallet Updated wallet
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "transactions": [{
+   *        "from": "abc",
+   *        "to": "SYSTEM",
+   *        "amount": 10,
+   *        "currency": "credits",
+   *        "note": "Exchange credits to tokens"
+   *      }, {
+   *        "from": "SYSTEM",
+   *        "to": "abc",
+   *        "amount": 4,
+   *        "currency": "tokens",
+   *        "note": "Exchange credits to tokens"
+   *      }],
+   *      "wallet": {
+   *        "owner": "abc",
+   *        "amount": 5,
+   *        "currencies": {
+   *          "tokens": 4
+   *        }
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:owner/exchange', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { fromCurrency: true, toCurrency: true, amount: true } }) || isNaN(request.body.data.amount)) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { fromCurrency, toCurrency, amount } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    walletManager.exchangeCurrency({
+      io,
+      owner: request.params.owner,
+      fromCurrency: request.body.data.fromCurrency,
+      toCurrency: request.body.data.toCurrency,
+      amount: Number(request.body.data.amount),
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /wallets/:owner/scheduledPayments Get upcoming scheduled payments
+   * @apiVersion 6.0.0
+   * @apiName GetScheduledPayments
+   * @apiGroup Wallets
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get active scheduled payments to and from a wallet, sorted by next payment time. Payments to and from the user's team are included when the user retrieves their own payments
+   *
+   * @apiParam {string} owner Name of the owner of the wallet
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.scheduledPayments Scheduled payments found
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "scheduledPayments": [{
+   *        "_id": "58093459d3b44c3400858273",
+   *        "creator": "gamemaster",
+   *        "from": "SYSTEM",
+   *        "to": "skynet-team",
+   *        "amount": 10,
+   *        "interval": 60,
+   *        "startTime": "2016-10-14T11:00:00.000Z",
+   *        "endTime": "2016-10-16T11:00:00.000Z",
+   *        "nextPaymentTime": "2016-10-14T12:00:00.000Z",
+   *        "note": "Salary",
+   *        "isActive": true,
+   *        "failedPayments": []
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/:owner/scheduledPayments', (request, response) => {
+    if (!objectValidator.isValidData(request.params, { owner: true })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '' }), sentData: request.body.data });
+
+      return;
+    }
+
+    scheduledPaymentManager.getScheduledPayments({
+      owner: request.params.owner,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
   return router;
 }
 
@@ -0,0 +1,327 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const objectValidator = require('../../utils/objectValidator');
+const zoneManager = require('../../managers/zones');
+const restErrorChecker = require('../../helpers/restErrorChecker');
+const errorCreator = require('../../objects/error/errorCreator');
+
+const router = new express.Router();
+
+/**
+ * @returns {Object} Router
+ */
+function handle() {
+  /**
+   * @api {get} /zones Get zones
+   * @apiVersion 6.0.0
+   * @apiName GetZones
+   * @apiGroup Zones
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get all zones
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.zones Zones
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "zones": [{
+   *        "zoneName": "harbour",
+   *        "positionName": "Harbour",
+   *        "isActive": true,
+   *        "coordinates": {
+   *          "latitude": 42.3,
+   *          "longitude": 10.1
+   *        },
+   *        "radius": 50,
+   *        "coordsCollection": [],
+   *        "enterTriggers": [{
+   *          "triggerType": "message",
+   *          "text": ["You smell the sea"]
+   *        }],
+   *        "exitTriggers": [],
+   *        "usersInside": ["jdoe"]
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/', (request, response) => {
+    zoneManager.getZones({
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /zones Create a zone
+   * @apiVersion 6.0.0
+   * @apiName CreateZone
+   * @apiGroup Zones
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Create a zone with the area of a static position. Polygons from Google Maps are used as they are.
+   * Other positions use a radius around their coordinates.
+   * Triggers run when a user enters or leaves the zone. Available trigger types are:
+   * message (text), room (roomName), wallet (amount, currency), docFile (docFileId) and calibrationMission (stationId)
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.zone Zone
+   * @apiParam {string} data.zone.zoneName Name of the zone
+   * @apiParam {string} data.zone.positionName Name of the static position with the area of the zone
+   * @apiParam {number} [data.zone.radius] Radius (in meters) of the zone. Only used for positions that are not polygons
+   * @apiParam {Object[]} [data.zone.enterTriggers] Triggers that run when a user enters the zone
+   * @apiParam {Object[]} [data.zone.exitTriggers] Triggers that run when a user leaves the zone
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "zone": {
+   *        "zoneName": "harbour",
+   *        "positionName": "Harbour",
+   *        "enterTriggers": [{
+   *          "triggerType": "wallet",
+   *          "amount": 5
+   *        }],
+   *        "exitTriggers": [{
+   *          "triggerType": "message",
+   *          "text": ["You leave the harbour"]
+   *        }]
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.zone Created zone
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "zone": {
+   *        "zoneName": "harbour",
+   *        "positionName": "Harbour",
+   *        "isActive": true,
+   *        "coordsCollection": [{
+   *          "lat": 42.3,
+   *          "lng": 10.1
+   *        }, {
+   *          "lat": 42.4,
+   *          "lng": 10.1
+   *        }, {
+   *          "lat": 42.4,
+   *          "lng": 10.2
+   *        }],
+   *        "radius": 50,
+   *        "enterTriggers": [{
+   *          "triggerType": "wallet",
+   *          "amount": 5
+   *        }],
+   *        "exitTriggers": [{
+   *          "triggerType": "message",
+   *          "text": ["You leave the harbour"]
+   *        }],
+   *        "usersInside": []
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { zone: { zoneName: true, positionName: true } } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { zone: { zoneName, positionName } } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    zoneManager.createZone({
+      zone: request.body.data.zone,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {post} /zones/:zoneName Update a zone
+   * @apiVersion 6.0.0
+   * @apiName UpdateZone
+   * @apiGroup Zones
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Update a zone. Sent triggers replace the existing ones. Users inside the zone are cleared when it is deactivated, without running its exit triggers
+   *
+   * @apiParam {string} zoneName Name of the zone
+   *
+   * @apiParam {Object} data
+   * @apiParam {Object} data.zone Values to update
+   * @apiParam {boolean} [data.zone.isActive] Should the zone trigger on users entering or leaving it?
+   * @apiParam {number} [data.zone.radius] Radius (in meters) of the zone
+   * @apiParam {Object[]} [data.zone.enterTriggers] Triggers that run when a user enters the zone
+   * @apiParam {Object[]} [data.zone.exitTriggers] Triggers that run when a user leaves the zone
+   * @apiParamExample {json} Request-Example:
+   *   {
+   *    "data": {
+   *      "zone": {
+   *        "isActive": false
+   *      }
+   *    }
+   *  }
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object} data.zone Updated zone
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "zone": {
+   *        "zoneName": "harbour",
+   *        "positionName": "Harbour",
+   *        "isActive": false,
+   *        "coordinates": {
+   *          "latitude": 42.3,
+   *          "longitude": 10.1
+   *        },
+   *        "radius": 50,
+   *        "coordsCollection": [],
+   *        "enterTriggers": [],
+   *        "exitTriggers": [],
+   *        "usersInside": []
+   *      }
+   *    }
+   *  }
+   */
+  router.post('/:zoneName', (request, response) => {
+    if (!objectValidator.isValidData(request.body, { data: { zone: true } })) {
+      restErrorChecker.checkAndSendError({ response, error: new errorCreator.InvalidData({ expected: '{ data: { zone } }' }), sentData: request.body.data });
+
+      return;
+    }
+
+    zoneManager.updateZone({
+      zoneName: request.params.zoneName,
+      zone: request.body.data.zone,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error, sentData: request.body.data });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {delete} /zones/:zoneName Delete a zone
+   * @apiVersion 6.0.0
+   * @apiName RemoveZone
+   * @apiGroup Zones
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Delete a zone and its logged events
+   *
+   * @apiParam {string} zoneName Name of the zone
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "success": true
+   *    }
+   *  }
+   */
+  router.delete('/:zoneName', (request, response) => {
+    zoneManager.removeZone({
+      zoneName: request.params.zoneName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  /**
+   * @api {get} /zones/:zoneName/events Get zone events
+   * @apiVersion 6.0.0
+   * @apiName GetZoneEvents
+   * @apiGroup Zones
+   *
+   * @apiHeader {String} Authorization Your JSON Web Token
+   *
+   * @apiDescription Get logged events of users entering and leaving a zone, newest first
+   *
+   * @apiParam {string} zoneName Name of the zone
+   *
+   * @apiSuccess {Object} data
+   * @apiSuccess {Object[]} data.zoneEvents Zone events
+   * @apiSuccessExample {json} Success-Response:
+   *   {
+   *    "data": {
+   *      "zoneEvents": [{
+   *        "zoneName": "harbour",
+   *        "userName": "jdoe",
+   *        "eventType": "enter",
+   *        "time": "2016-10-14T11:13:03.555Z"
+   *      }]
+   *    }
+   *  }
+   */
+  router.get('/:zoneName/events', (request, response) => {
+    zoneManager.getZoneEvents({
+      zoneName: request.params.zoneName,
+      token: request.headers.authorization,
+      callback: ({ error, data }) => {
+        if (error) {
+          restErrorChecker.checkAndSendError({ response, error });
+
+          return;
+        }
+
+        response.json({ data });
+      },
+    });
+  });
+
+  return router;
+}
+
+module.exports = handle;
@@ -17,6 +17,7 @@
 'use strict';
 
 const roomManager = require('../../managers/rooms');
+const moderationManager = require('../../managers/moderation');
 const messenger = require('../../helpers/messenger');
 
 /**
@@ -107,7 +108,7 @@ function handle(socket, io) {
       callback,
     });
   });
-  socket.on('getHistory', ({ roomName, whisperTo, token }, callback = () => {}) => {
+  socket.on('getHistory', ({ roomName, whisperTo, limit, cursor, before, after, search, token }, callback = () => {}) => {
     roomManager.getHistory({
       token,
       socket,
@@ -115,6 +116,11 @@ function handle(socket, io) {
       callback,
       roomName,
       whisperTo,
+      limit,
+      cursor,
+      before,
+      after,
+      search,
     });
   });
   socket.on('removeRoom', ({ room, token }, callback = () => {}) => {
@@ -147,6 +153,76 @@ function handle(socket, io) {
       callback,
     });
   });
+  socket.on('editMessage', ({ messageId, text, token }, callback = () => {}) => {
+    moderationManager.editMessage({
+      token,
+      messageId,
+      text,
+      socket,
+      io,
+      callback,
+    });
+  });
+  socket.on('removeMessage', ({ roomName, messageId, reason, token }, callback = () => {}) => {
+    moderationManager.removeMessage({
+      token,
+      roomName,
+      messageId,
+      reason,
+      socket,
+      io,
+      callback,
+    });
+  });
+  socket.on('hideMessage', ({ roomName, messageId, isHidden, reason, token }, callback = () => {}) => {
+    moderationManager.hideMessage({
+      token,
+      roomName,
+      messageId,
+      isHidden,
+      reason,
+      socket,
+      io,
+      callback,
+    });
+  });
+  socket.on('kickUserFromRoom', ({ roomName, userName, reason, token }, callback = () => {}) => {
+    moderationManager.kickUserFromRoom({
+      token,
+      roomName,
+      userName,
+      reason,
+      io,
+      callback,
+    });
+  });
+  socket.on('banUserFromRoom', ({ roomName, userName, reason, token }, callback = () => {}) => {
+    moderationManager.banUserFromRoom({
+      token,
+      roomName,
+      userName,
+      reason,
+      io,
+      callback,
+    });
+  });
+  socket.on('unbanUserFromRoom', ({ roomName, userName, reason, token }, callback = () => {}) => {
+    moderationManager.unbanUserFromRoom({
+      token,
+      roomName,
+      userName,
+      reason,
+      callback,
+    });
+  });
+  socket.on('getModerationLog', ({ roomName, userName, token }, callback = () => {}) => {
+    moderationManager.getModerationLog({
+      token,
+      roomName,
+      userName,
+      callback,
+    });
+  });
 }
 
 exports.handle = handle;
@@ -16,47 +16,65 @@
 
 'use strict';
 
-// const dbConfig = require('../../config/defaults/config').databasePopulation;
-// const manager = require('../../managers/manager');
-// const errorCreator = require('../../objects/error/errorCreator');
-// const dbSource = require('../../db/connectors/computingSource');
-
-// function handle() {
-// socket.on('getSources', ({ token }, callback = () => {}) => {
-//   manager.userIsAllowed({
-//     token,
-//     commandName: dbConfig.commands.getSources.commandName,
-//     callback: ({ error }) => {
-//       if (error) {
-//         callback({ error });
-//
-//         return;
-//       }
-//
-//       dbSource.getSources(({ error: errorSource, data }) => {
-//         if (errorSource) {
-//           callback({ error: new errorCreator.Database({ errorObject: errorSource, name: 'getSources' }) });
-//
-//           return;
-//         }
-//
-//         const { sources } = data;
-//         const inactiveSources = [];
-//         const activeSources = sources.filter((source) => {
-//           if (!source.isActive) {
-//             inactiveSources.push(source);
-//
-//             return false;
-//           }
-//
-//           return true;
-//         });
-//
-//         callback({ data: { inactiveSources, activeSources } });
-//       });
-//     },
-//   });
-// });
-// }
-
-// exports.handle = handle;
+const computingSourceManager = require('../../managers/computingSources');
+
+/**
+ * @param {object} socket - Socket.IO socket
+ * @param {object} io - Socket.io io
+ */
+function handle(socket, io) {
+  socket.on('getComputingSources', ({ token }, callback = () => {}) => {
+    computingSourceManager.getComputingSources({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('createComputingSource', ({ source, token }, callback = () => {}) => {
+    computingSourceManager.createComputingSource({
+      source,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('updateComputingSource', ({ sourceName, isActive, token }, callback = () => {}) => {
+    computingSourceManager.updateComputingSource({
+      sourceName,
+      isActive,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('claimComputingSlot', ({ sourceName, token }, callback = () => {}) => {
+    computingSourceManager.claimComputingSlot({
+      sourceName,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('releaseComputingSlot', ({ sourceName, token }, callback = () => {}) => {
+    computingSourceManager.releaseComputingSlot({
+      sourceName,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('useComputingPower', ({ action, token }, callback = () => {}) => {
+    computingSourceManager.useComputingPower({
+      action,
+      token,
+      io,
+      callback,
+    });
+  });
+}
+
+exports.handle = handle;
@@ -54,6 +54,56 @@ function handle(socket, io) {
     });
   });
 
+  socket.on('getDocFileRevisions', ({ docFileId, token }, callback = () => {}) => {
+    docFileManager.getDocFileRevisions({
+      docFileId,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getDocFileRevision', ({ docFileId, revision, token }, callback = () => {}) => {
+    docFileManager.getDocFileRevision({
+      docFileId,
+      revision,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getDocFileDiff', ({ docFileId, fromRevision, toRevision, token }, callback = () => {}) => {
+    docFileManager.getDocFileDiff({
+      docFileId,
+      fromRevision,
+      toRevision,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('rollbackDocFile', ({ docFileId, revision, token }, callback = () => {}) => {
+    docFileManager.rollbackDocFile({
+      docFileId,
+      revision,
+      token,
+      io,
+      socket,
+      callback,
+    });
+  });
+
+  socket.on('unlockDocFile', ({ docFileId, title, code, token }, callback = () => {}) => {
+    docFileManager.unlockDocFile({
+      docFileId,
+      title,
+      code,
+      token,
+      io,
+      socket,
+      callback,
+    });
+  });
+
   socket.on('getDocFiles', ({ token }, callback = () => {}) => {
     docFileManager.getAllDocFiles({
       token,
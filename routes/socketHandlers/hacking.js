@@ -16,220 +16,46 @@
 
 'use strict';
 
-const databasePopulation = require('../../config/defaults/config').databasePopulation;
-const dbUser = require('../../db/connectors/user');
-const dbPosition = require('../../db/connectors/position');
-const mapCreator = require('../../utils/mapCreator');
-const appConfig = require('../../config/defaults/config').app;
-const errorCreator = require('../../objects/error/errorCreator');
-const textTools = require('../../utils/textTools');
-const authenticator = require('../../helpers/authenticator');
-
-dbPosition.removePositionsByType({
-  markerType: 'signalBlock',
-  callback: () => {},
-});
+const signalBlockManager = require('../../managers/signalBlocks');
 
 /**
- * Create a position and radius that affects positions within
- * @param {string} params.token jwt
- * @param {string[]} params.description Description shown on position on client
- * @param {Object} params.socket Socket io
- * @param {Function} params.callback Callback
+ * @param {object} socket - Socket.IO socket
+ * @param {object} io - Socket.io io
  */
-function createSignalBlock({ token, description, socket, callback }) {
-  authenticator.isUserAllowed({
-    token,
-    commandName: databasePopulation.commands.signalBlock.commandName,
-    callback: ({ error, data }) => {
-      if (error) {
-        callback({ error });
-
-        return;
-      }
-
-      const allowedUser = data.user;
-
-      dbPosition.getPosition({
-        positionName: allowedUser.userName,
-        callback: ({ error: positionError, data: positionData }) => {
-          if (positionError) {
-            callback({ error: positionError });
-
-            return;
-          } else if (positionData.position.coordinates.accuracy > appConfig.minimumPositionAccuracy) {
-            callback({ error: new errorCreator.Insufficient({ name: 'accuracy' }) });
-
-            return;
-          } else if (textTools.calculateMinutesDifference({ firstDate: new Date(positionData.position.lastUpdated), secondDate: new Date() }) > appConfig.maxPositionAge) {
-            callback({ error: new errorCreator.Insufficient({ name: 'age' }) });
-
-            return;
-          }
-
-          const { position: userPosition } = positionData;
-
-          const coordinates = userPosition.coordinates;
-          coordinates.radius = appConfig.signalBlockRadius;
-
-          const blockPosition = {
-            coordinates,
-            positionName: `signalBlock-${allowedUser.userName}`,
-            owner: allowedUser.userName,
-            markerType: 'signalBlock',
-            isPublic: true,
-            lastUpdated: new Date(),
-            description: [description[0] + allowedUser.userName],
-          };
-
-          if (allowedUser.team) {
-            blockPosition.team = allowedUser.team;
-          }
-
-          dbPosition.updatePosition({
-            position: blockPosition,
-            callback: ({ error: updateError, data: updatePosition }) => {
-              if (updateError) {
-                callback({ error: updateError });
-
-                return;
-              }
-
-              const newPosition = updatePosition.position;
-
-              dbPosition.getUserPositions({
-                callback: ({ error: userPositionsError, data: userPositionsData }) => {
-                  if (userPositionsError) {
-                    callback({ error: userPositionsError });
-
-                    return;
-                  }
-
-                  const { positions } = userPositionsData;
-                  const blockedUsers = [];
-
-                  positions.forEach((position) => {
-                    dbUser.getUser({
-                      userName: position.owner,
-                      callback: (getUser) => {
-                        if (getUser.error) {
-                          callback({ error: getUser.error });
-
-                          return;
-                        }
-
-                        const hackedUser = getUser.data.user;
-                        const accuracy = position.coordinates.accuracy;
-                        const accuracyAdjustment = accuracy > appConfig.signalBlockBufferArea ? appConfig.signalBlockBufferArea : accuracy;
-
-                        if (mapCreator.getDistance(userPosition.coordinates, position.coordinates) - accuracyAdjustment < appConfig.signalBlockRadius) {
-                          blockedUsers.push(hackedUser);
-
-                          if (hackedUser.userName !== allowedUser.userName) {
-                            socket.to(hackedUser.userName + appConfig.whisperAppend).emit('signalBlock', {
-                              data: {
-                                blockedBy: allowedUser.userName,
-                                position: newPosition,
-                              },
-                            });
-                          } else {
-                            socket.emit('signalBlock', {
-                              data: {
-                                blockedBy: allowedUser.userName,
-                                position: newPosition,
-                              },
-                            });
-                          }
-
-                          dbUser.updateUserBlockedBy({
-                            userName: hackedUser.userName,
-                            blockedBy: allowedUser.userName,
-                            callback: () => {},
-                          });
-                        }
-                      },
-                    });
-                  });
-
-                  socket.broadcast.to(databasePopulation.rooms.public.roomName).emit('mapPositions', {
-                    data: {
-                      positions: [newPosition],
-                      currentTime: new Date(),
-                    },
-                  });
-
-                  callback({ data: { position: newPosition } });
-
-                  setTimeout(() => {
-                    dbPosition.removePosition({
-                      markerType: blockPosition.markerType,
-                      positionName: blockPosition.positionName,
-                      callback: () => {
-                        socket.broadcast.to(databasePopulation.rooms.public.roomName).emit('mapPositions', {
-                          data: {
-                            positions: [newPosition],
-                            shouldRemove: true,
-                          },
-                        });
-
-                        blockedUsers.forEach((blockedUser) => {
-                          dbUser.getUser({
-                            userName: blockedUser.userName,
-                            callback: (blockedData) => {
-                              if (blockedData.error) {
-                                return;
-                              }
-
-                              const { user: removeUser } = blockedData.data;
+function handle(socket, io) {
+  socket.on('signalBlock', ({ description, token }, callback = () => {}) => {
+    signalBlockManager.createSignalBlock({
+      description,
+      token,
+      io,
+      callback,
+    });
+  });
 
-                              dbUser.removeUserBlockedBy({
-                                userName: removeUser.userName,
-                                callback: () => {},
-                              });
+  socket.on('getSignalBlocks', ({ token }, callback = () => {}) => {
+    signalBlockManager.getSignalBlocks({
+      token,
+      callback,
+    });
+  });
 
-                              if (removeUser.userName !== allowedUser.userName) {
-                                socket.to(removeUser.userName + appConfig.whisperAppend).emit('signalBlock', {
-                                  data: {
-                                    blockedBy: allowedUser.userName,
-                                    removeBlocker: true,
-                                  },
-                                });
-                              } else {
-                                socket.emit('signalBlock', {
-                                  data: {
-                                    blockedBy: allowedUser.userName,
-                                    removeBlocker: true,
-                                  },
-                                });
-                              }
-                            },
-                          });
-                        });
-                      },
-                    });
-                  }, appConfig.signalBlockTime);
-                },
-              });
-            },
-          });
-        },
-      });
-    },
+  socket.on('cancelSignalBlock', ({ blockId, token }, callback = () => {}) => {
+    signalBlockManager.cancelSignalBlock({
+      blockId,
+      token,
+      io,
+      callback,
+    });
   });
-}
 
-/**
- * @param {object} socket - Socket.IO socket
- */
-function handle(socket) {
-  socket.on('signalBlock', ({ description, token }, callback = () => {}) => {
-    createSignalBlock({
-      description,
+  socket.on('counterSignalBlock', ({ blockId, token }, callback = () => {}) => {
+    signalBlockManager.counterSignalBlock({
+      blockId,
       token,
+      io,
       callback,
     });
   });
 }
 
-exports.createSignalBlock = createSignalBlock;
 exports.handle = handle;
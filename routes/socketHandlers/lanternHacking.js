@@ -17,6 +17,7 @@
 'use strict';
 
 const lanternHackManager = require('../../managers/lanternHacking');
+const lanternTeamManager = require('../../managers/lanternTeams');
 
 /**
  * @param {Object} socket - Socket.IO socket
@@ -39,6 +40,21 @@ function handle(socket) {
     });
   });
 
+  socket.on('getLanternLeaderboard', ({ token }, callback = () => {}) => {
+    lanternTeamManager.getLanternLeaderboard({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getLanternScores', ({ roundStartTime, token }, callback = () => {}) => {
+    lanternTeamManager.getLanternScores({
+      roundStartTime,
+      token,
+      callback,
+    });
+  });
+
   socket.on('getLanternInfo', ({ token }, callback = () => {}) => {
     lanternHackManager.getLanternInfo({
       token,
@@ -0,0 +1,81 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const missionManager = require('../../managers/missions');
+
+/**
+ * @param {object} socket - Socket.IO socket
+ * @param {object} io - Socket.io io
+ */
+function handle(socket, io) {
+  socket.on('createMission', ({ mission, isTeamWallet, token }, callback = () => {}) => {
+    missionManager.createMission({
+      mission,
+      fromTeam: isTeamWallet,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('getMissions', ({ token }, callback = () => {}) => {
+    missionManager.getMissions({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('applyForMission', ({ missionId, token }, callback = () => {}) => {
+    missionManager.applyForMission({
+      missionId,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('assignMissionAgent', ({ missionId, agent, token }, callback = () => {}) => {
+    missionManager.assignMissionAgent({
+      missionId,
+      agent,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('completeMission', ({ missionId, token }, callback = () => {}) => {
+    missionManager.completeMission({
+      missionId,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('cancelMission', ({ missionId, token }, callback = () => {}) => {
+    missionManager.cancelMission({
+      missionId,
+      token,
+      io,
+      callback,
+    });
+  });
+}
+
+exports.handle = handle;
@@ -16,27 +16,52 @@
 
 'use strict';
 
-// const manager = require('../../socketHelpers/manager');
-// const dbConfig = require('../../config/defaults/config').databasePopulation;
-// const dbUser = require('../../db/connectors/user');
-const dbPosition = require('../../db/connectors/position');
-// const mapCreator = require('../../utils/mapCreator');
-// const appConfig = require('../../config/defaults/config').app;
-// const errorCreator = require('../../objects/error/errorCreator');
-// const textTools = require('../../utils/textTools');
-
-dbPosition.removePositionsByType({
-  markerType: 'signalBlock',
-  callback: () => {},
-});
+const nodeHackManager = require('../../managers/nodeHacking');
 
 /**
- * Handle
+ * @param {object} socket - Socket.IO socket
+ * @param {object} io - Socket.io io
  */
-function handle() {
-  // socket.on('createNodeHack', ({}, callback = () => {}) => {
-  //
-  // });
+function handle(socket, io) {
+  socket.on('getNodeHackTargets', ({ token }, callback = () => {}) => {
+    nodeHackManager.getNodeHackTargets({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('createNodeHackTarget', ({ target, token }, callback = () => {}) => {
+    nodeHackManager.createNodeHackTarget({
+      target,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('createNodeHack', ({ targetName, token }, callback = () => {}) => {
+    nodeHackManager.createNodeHack({
+      targetName,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getNodeHack', ({ token }, callback = () => {}) => {
+    nodeHackManager.getNodeHack({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('crackNode', ({ nodeId, password, token }, callback = () => {}) => {
+    nodeHackManager.crackNode({
+      nodeId,
+      password,
+      token,
+      io,
+      callback,
+    });
+  });
 }
 
 exports.handle = handle;
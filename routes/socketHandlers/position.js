@@ -50,6 +50,55 @@ function handle(socket, io) {
       callback,
     });
   });
+
+  socket.on('getPositionHistory', ({ userName, deviceId, teamName, startTime, endTime, token }, callback = () => {}) => {
+    positionManager.getPositionHistory({
+      userName,
+      deviceId,
+      teamName,
+      startTime,
+      endTime,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getPositionTrack', ({ userName, deviceId, teamName, startTime, endTime, token }, callback = () => {}) => {
+    positionManager.getPositionTrack({
+      userName,
+      deviceId,
+      teamName,
+      startTime,
+      endTime,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('replayPositionHistory', ({ userName, deviceId, teamName, startTime, endTime, speed, token }, callback = () => {}) => {
+    positionManager.replayPositionHistory({
+      userName,
+      deviceId,
+      teamName,
+      startTime,
+      endTime,
+      speed,
+      token,
+      socket,
+      callback,
+    });
+  });
+
+  socket.on('stopPositionReplay', (params, callback = () => {}) => {
+    positionManager.stopPositionReplay({
+      socket,
+      callback,
+    });
+  });
+
+  socket.on('disconnect', () => {
+    positionManager.stopPositionReplay({ socket });
+  });
 }
 
 exports.handle = handle;
@@ -16,62 +16,95 @@
 
 'use strict';
 
-// const dbConfig = require('../../config/defaults/config').databasePopulation;
-// const manager = require('../../managers/manager');
-// const objectValidator = require('../../utils/objectValidator');
-// const errorCreator = require('../../objects/error/errorCreator');
-// const dbTimedEvent = require('../../db/connectors/timedEvent');
-
-// function handle() {
-// TODO Timed event?
-// socket.on('createTimedEvent', ({ timedEvent, token }, callback = () => {}) => {
-//   if (!objectValidator.isValidData({ timedEvent }, { timedEvent: { triggerTime: true, eventType: true } })) {
-//     callback({ error: new errorCreator.InvalidData({ expected: '{ timedEvent: { triggerTime, eventType } }' }) });
-//
-//     return;
-//   } else if (!timedEvent.message && !timedEvent.coordinates) {
-//     callback({ error: new errorCreator.InvalidData({ expected: '{ timedEvent: { message } } or { timedEvent: { coordinates } }' }) });
-//
-//     return;
-//   } else if (timedEvent.coordinates && (typeof timedEvent.coordinates.longitude !== 'number' || typeof timedEvent.coordinates.latitude !== 'number')) {
-//     callback({ error: new errorCreator.InvalidData({ expected: '{ timedEvent: { coordinates: { longitude, latitude } }' }) });
-//
-//     return;
-//   }
-//
-//   // TODO Message limitations
-//
-//   manager.userIsAllowed({
-//     token,
-//     socketId: socket.id,
-//     commandName: dbConfig.commands.createTimedEvent.commandName,
-//     callback: ({ error, allowedUser }) => {
-//       if (error) {
-//         callback({ error });
-//
-//         return;
-//       }
-//
-//       const newEvent = timedEvent;
-//
-//       newEvent.owner = allowedUser.userName;
-//       newEvent.triggerTime = new Date(newEvent.triggerTime);
-//
-//       dbTimedEvent.createTimedEvent({
-//         timedEvent: newEvent,
-//         callback: (createData) => {
-//           if (createData.error) {
-//             callback({ error: createData.error });
-//
-//             return;
-//           }
-//
-//           callback({ data: { event: createData.data.savedObject } });
-//         },
-//       });
-//     },
-//   });
-// });
-// }
-
-// exports.handle = handle;
+const timedEventManager = require('../../managers/timedEvents');
+
+/**
+ * @param {object} socket - Socket.IO socket
+ * @param {object} io - Socket.io io
+ */
+function handle(socket, io) {
+  socket.on('createTimedEvent', ({ timedEvent, token }, callback = () => {}) => {
+    timedEventManager.createTimedEvent({
+      timedEvent,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getTimedEvents', ({ token }, callback = () => {}) => {
+    timedEventManager.getTimedEvents({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getTimedEvent', ({ eventId, token }, callback = () => {}) => {
+    timedEventManager.getTimedEvent({
+      eventId,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('updateTimedEvent', ({ eventId, timedEvent, token }, callback = () => {}) => {
+    timedEventManager.updateTimedEvent({
+      eventId,
+      timedEvent,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('removeTimedEvent', ({ eventId, token }, callback = () => {}) => {
+    timedEventManager.removeTimedEvent({
+      eventId,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('startTimedEvent', ({ eventId, token }, callback = () => {}) => {
+    timedEventManager.startTimedEvent({
+      eventId,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('pauseTimedEvent', ({ eventId, token }, callback = () => {}) => {
+    timedEventManager.pauseTimedEvent({
+      eventId,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('resumeTimedEvent', ({ eventId, token }, callback = () => {}) => {
+    timedEventManager.resumeTimedEvent({
+      eventId,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('skipTimedEventStep', ({ eventId, token }, callback = () => {}) => {
+    timedEventManager.skipTimedEventStep({
+      eventId,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('cancelTimedEvent', ({ eventId, token }, callback = () => {}) => {
+    timedEventManager.cancelTimedEvent({
+      eventId,
+      token,
+      callback,
+    });
+  });
+}
+
+exports.handle = handle;
@@ -27,8 +27,6 @@ const aliasManager = require('../../managers/aliases');
 const dbLanternHack = require('../../db/connectors/lanternhack');
 const textTools = require('../../utils/textTools');
 
-dbUser.removeAllUserBlockedBy({ callback: () => {} });
-
 /**
  * @param {object} socket Socket.IO socket
  * @param {object} io Socket.IO
@@ -180,6 +178,13 @@ function handle(socket, io) {
     });
   });
 
+  socket.on('refreshToken', ({ refreshToken }, callback = () => {}) => {
+    authenticator.refreshTokens({
+      refreshToken,
+      callback,
+    });
+  });
+
   socket.on('logout', ({ device, token }, callback = () => {}) => {
     userManager.logout({
       device,
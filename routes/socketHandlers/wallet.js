@@ -18,6 +18,7 @@
 
 const walletManager = require('../../managers/wallets');
 const transactionManager = require('../../managers/transactions');
+const scheduledPaymentManager = require('../../managers/scheduledPayments');
 
 /**
  * @param {object} socket - Socket.IO socket
@@ -40,6 +41,57 @@ function handle(socket, io) {
     });
   });
 
+  socket.on('getTransactionHistory', ({ owner, startDate, endDate, page, pageSize, currency, token }, callback = () => {}) => {
+    transactionManager.getTransactionHistory({
+      owner,
+      currency,
+      startDate,
+      endDate,
+      page,
+      pageSize,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getWalletStats', ({ startDate, endDate, topHolderAmount, currency, token }, callback = () => {}) => {
+    walletManager.getWalletStats({
+      currency,
+      startDate,
+      endDate,
+      topHolderAmount,
+      token,
+      callback,
+    });
+  });
+
+  socket.on('getExchangeRates', ({ token }, callback = () => {}) => {
+    walletManager.getExchangeRates({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('exchangeCurrency', ({ owner, fromCurrency, toCurrency, amount, token }, callback = () => {}) => {
+    walletManager.exchangeCurrency({
+      owner,
+      fromCurrency,
+      toCurrency,
+      amount,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('getScheduledPayments', ({ owner, token }, callback = () => {}) => {
+    scheduledPaymentManager.getScheduledPayments({
+      owner,
+      token,
+      callback,
+    });
+  });
+
   socket.on('createTransaction', ({ transaction, fromTeam, toTeam, token }, callback = () => {}) => {
     transactionManager.createTransactionBasedOnToken({
       transaction,
@@ -51,6 +103,50 @@ function handle(socket, io) {
       callback,
     });
   });
+
+  socket.on('getEscrowTransactions', ({ token }, callback = () => {}) => {
+    transactionManager.getEscrowTransactions({
+      token,
+      callback,
+    });
+  });
+
+  socket.on('createEscrowTransaction', ({ transaction, fromTeam, token }, callback = () => {}) => {
+    transactionManager.createEscrowTransaction({
+      transaction,
+      fromTeam,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('confirmEscrowTransaction', ({ transactionId, token }, callback = () => {}) => {
+    transactionManager.confirmEscrowTransaction({
+      transactionId,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('declineEscrowTransaction', ({ transactionId, token }, callback = () => {}) => {
+    transactionManager.declineEscrowTransaction({
+      transactionId,
+      token,
+      io,
+      callback,
+    });
+  });
+
+  socket.on('releaseEscrowTransaction', ({ transactionId, token }, callback = () => {}) => {
+    transactionManager.releaseEscrowTransaction({
+      transactionId,
+      token,
+      io,
+      callback,
+    });
+  });
 }
 
 exports.handle = handle;
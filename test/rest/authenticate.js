@@ -27,6 +27,9 @@ const errorSchemas = require('./schemas/errors');
 const authenticateData = require('./testData/authentications');
 const tokens = require('./testData/tokens');
 const userSchemas = require('./schemas/users');
+const dbUser = require('../../db/connectors/user');
+const mongoose = require('mongoose');
+const authenticator = require('../../helpers/authenticator');
 
 chai.should();
 
@@ -61,6 +64,265 @@ describe('Authenticate', () => {
       });
   });
 
+  it('Should store hashed password instead of plain text password', (done) => {
+    dbUser.authUser({
+      userName: authenticateData.adminUserToAuth.userName,
+      callback: ({ error, data }) => {
+        (typeof error).should.equal('undefined');
+        data.storedPassword.should.not.equal(authenticateData.adminUserToAuth.password);
+        data.storedPassword.should.match(/^pbkdf2\$/);
+
+        done();
+      },
+    });
+  });
+
+  it('Should NOT get jwt token with incorrect password on /api/authenticate POST', (done) => {
+    chai
+      .request(app)
+      .post('/api/authenticate')
+      .send({ data: { user: authenticateData.adminUserWithIncorrectPassword } })
+      .end((error, response) => {
+        response.should.have.status(404);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(errorSchemas.error);
+
+        done();
+      });
+  });
+
+  describe('Plain text password', () => {
+    before('Store password in plain text', (done) => {
+      const query = { userName: authenticateData.adminUserToAuth.userName };
+      const update = { $set: { password: authenticateData.adminUserToAuth.password } };
+
+      mongoose.model('User').update(query, update).exec((error) => {
+        (error === null).should.be.true;
+
+        done();
+      });
+    });
+
+    it('Should get jwt token with password stored in plain text on /api/authenticate POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate')
+        .send({ data: { user: authenticateData.adminUserToAuth } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(authenticateSchemas.authenticate);
+
+          done();
+        });
+    });
+
+    it('Should have replaced plain text password with hashed password after login', (done) => {
+      dbUser.authUser({
+        userName: authenticateData.adminUserToAuth.userName,
+        callback: ({ data }) => {
+          data.storedPassword.should.match(/^pbkdf2\$/);
+
+          done();
+        },
+      });
+    });
+  });
+
+  describe('Refresh token', () => {
+    const userTokens = {
+      token: '',
+      refreshToken: '',
+    };
+
+    before('Authenticate user on /api/authenticate POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate')
+        .send({ data: { user: authenticateData.adminUserToAuth } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(authenticateSchemas.authenticateWithRefresh);
+
+          userTokens.token = response.body.data.token;
+          userTokens.refreshToken = response.body.data.refreshToken;
+
+          done();
+        });
+    });
+
+    it('Should NOT refresh with incorrect token on /api/authenticate/refresh POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate/refresh')
+        .send({ data: { refreshToken: tokens.incorrectJwt } })
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT refresh with access token on /api/authenticate/refresh POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate/refresh')
+        .send({ data: { refreshToken: userTokens.token } })
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT use refresh token as access token on /api/users GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/users')
+        .set('Authorization', userTokens.refreshToken)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should refresh token on /api/authenticate/refresh POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate/refresh')
+        .send({ data: { refreshToken: userTokens.refreshToken } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(authenticateSchemas.authenticateWithRefresh);
+
+          done();
+        });
+    });
+
+    it('Should NOT refresh with used refresh token on /api/authenticate/refresh POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate/refresh')
+        .send({ data: { refreshToken: userTokens.refreshToken } })
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should only refresh once when the same refresh token is used in parallel on /api/authenticate/refresh POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate')
+        .send({ data: { user: authenticateData.adminUserToAuth } })
+        .end((authError, authResponse) => {
+          authResponse.should.have.status(200);
+
+          const statuses = [];
+          const onResponse = (error, response) => {
+            statuses.push(response.status);
+
+            if (statuses.length === 2) {
+              statuses.sort().should.deep.equal([200, 401]);
+
+              done();
+            }
+          };
+
+          chai
+            .request(app)
+            .post('/api/authenticate/refresh')
+            .send({ data: { refreshToken: authResponse.body.data.refreshToken } })
+            .end(onResponse);
+          chai
+            .request(app)
+            .post('/api/authenticate/refresh')
+            .send({ data: { refreshToken: authResponse.body.data.refreshToken } })
+            .end(onResponse);
+        });
+    });
+
+    it('Should only revoke the logged out token pair', (done) => {
+      chai
+        .request(app)
+        .post('/api/authenticate')
+        .send({ data: { user: authenticateData.adminUserToAuth } })
+        .end((firstError, firstResponse) => {
+          firstResponse.should.have.status(200);
+
+          chai
+            .request(app)
+            .post('/api/authenticate')
+            .send({ data: { user: authenticateData.adminUserToAuth } })
+            .end((secondError, secondResponse) => {
+              secondResponse.should.have.status(200);
+
+              authenticator.revokeTokenPair({
+                token: firstResponse.body.data.token,
+                callback: () => {
+                  chai
+                    .request(app)
+                    .get('/api/users')
+                    .set('Authorization', firstResponse.body.data.token)
+                    .end((error, response) => {
+                      response.should.have.status(401);
+
+                      chai
+                        .request(app)
+                        .post('/api/authenticate/refresh')
+                        .send({ data: { refreshToken: firstResponse.body.data.refreshToken } })
+                        .end((refreshError, refreshResponse) => {
+                          refreshResponse.should.have.status(401);
+
+                          chai
+                            .request(app)
+                            .get('/api/users')
+                            .set('Authorization', secondResponse.body.data.token)
+                            .end((otherError, otherResponse) => {
+                              otherResponse.should.have.status(200);
+
+                              done();
+                            });
+                        });
+                    });
+                },
+              });
+            });
+        });
+    });
+
+    it('Should NOT allow token after user tokens have been revoked on /api/users GET', (done) => {
+      authenticator.revokeUserTokens({
+        userName: authenticateData.adminUserToAuth.userName,
+        callback: () => {
+          chai
+            .request(app)
+            .get('/api/users')
+            .set('Authorization', userTokens.token)
+            .end((error, response) => {
+              response.should.have.status(401);
+              response.should.be.json;
+              response.body.should.be.jsonSchema(errorSchemas.error);
+
+              done();
+            });
+        },
+      });
+    });
+  });
+
   it('Should NOT get jwt token with unverified user on /api/authenticate POST', (done) => {
     chai
       .request(app)
@@ -0,0 +1,286 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const computingSourceSchemas = require('./schemas/computingSources');
+const errorSchemas = require('./schemas/errors');
+const computingSourceData = require('./testData/computingSources');
+const tokens = require('./testData/tokens');
+const starterData = require('./testData/starter');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('ComputingSources', () => {
+  const { sourceName } = computingSourceData.sourceToCreate;
+  const slotPower = computingSourceData.sourceToCreate.slotPower;
+
+  describe('Create computing source', () => {
+    it('Should NOT create computing source with incorrect authorization on /api/computingSources POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/computingSources')
+        .send({ data: { source: computingSourceData.sourceToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create computing source as basic user on /api/computingSources POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/computingSources')
+        .send({ data: { source: computingSourceData.sourceToCreate } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create computing source without slots on /api/computingSources POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/computingSources')
+        .send({ data: { source: computingSourceData.sourceWithoutSlots } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should create computing source on /api/computingSources POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/computingSources')
+        .send({ data: { source: computingSourceData.sourceToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(computingSourceSchemas.computingSource);
+          response.body.data.source.slots.should.have.lengthOf(computingSourceData.sourceToCreate.slotAmount);
+
+          done();
+        });
+    });
+
+    it('Should NOT create existing computing source on /api/computingSources POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/computingSources')
+        .send({ data: { source: computingSourceData.sourceToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(403);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Claim slot', () => {
+    it('Should NOT claim slot on computing source that does not exist on /api/computingSources/:sourceName/claim POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${computingSourceData.sourceThatDoesNotExist.sourceName}/claim`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should claim slot on /api/computingSources/:sourceName/claim POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${sourceName}/claim`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(computingSourceSchemas.computingSource);
+          response.body.data.source.slots.map(slot => slot.owner).should.include(starterData.basicUserToAuth.userName);
+
+          done();
+        });
+    });
+
+    it('Should NOT claim a second slot on the same computing source on /api/computingSources/:sourceName/claim POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${sourceName}/claim`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(403);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get pooled power on /api/computingSources GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/computingSources')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(computingSourceSchemas.computingSources);
+          response.body.data.power.should.be.at.least(slotPower);
+
+          done();
+        });
+    });
+  });
+
+  describe('Spend computing power', () => {
+    it('Should NOT spend power on an action that does not exist on /api/computingSources/power POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/computingSources/power')
+        .send({ data: { action: computingSourceData.invalidAction } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT spend power on hack tries without a lantern hack on /api/computingSources/power POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/computingSources/power')
+        .send({ data: { action: computingSourceData.hackAction } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Activate and deactivate computing source', () => {
+    it('Should NOT deactivate computing source as basic user on /api/computingSources/:sourceName POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${sourceName}`)
+        .send({ data: { isActive: false } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should deactivate computing source on /api/computingSources/:sourceName POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${sourceName}`)
+        .send({ data: { isActive: false } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(computingSourceSchemas.computingSource);
+          response.body.data.source.isActive.should.equal(false);
+
+          done();
+        });
+    });
+
+    it('Should NOT claim slot on inactive computing source on /api/computingSources/:sourceName/claim POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${sourceName}/claim`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should activate computing source and free its slots on /api/computingSources/:sourceName POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${sourceName}`)
+        .send({ data: { isActive: true } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(computingSourceSchemas.computingSource);
+          response.body.data.source.isActive.should.equal(true);
+          response.body.data.source.slots.filter(slot => slot.owner).should.have.lengthOf(0);
+
+          done();
+        });
+    });
+
+    it('Should NOT release slot that is not owned on /api/computingSources/:sourceName/release POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/computingSources/${sourceName}/release`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+});
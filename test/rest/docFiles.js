@@ -26,6 +26,7 @@ const docFileSchemas = require('./schemas/docFiles');
 const errorSchemas = require('./schemas/errors');
 const tokens = require('./testData/tokens');
 const docFileData = require('./testData/docFiles');
+const appConfig = require('../../config/defaults/config').app;
 
 chai.should();
 chai.use(chaiHttp);
@@ -243,4 +244,349 @@ describe('DocFiles', () => {
         });
     });
   });
+
+  describe('DocFile revisions', () => {
+    const { docFileId } = docFileData.docFileToRevise;
+
+    before('Create docFile on /api/docFiles', (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles')
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { docFile: docFileData.docFileToRevise } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.body.data.docFile.revision.should.equal(1);
+
+          done();
+        });
+    });
+
+    it('Should NOT update docFile created by another user on /api/docFiles/:id POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/docFiles/${docFileId}`)
+        .set('Authorization', tokens.basicUser)
+        .send({ data: { docFile: docFileData.docFileRevisionUpdate } })
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should update docFile and increase revision on /api/docFiles/:id POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/docFiles/${docFileId}`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { docFile: docFileData.docFileRevisionUpdate } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFile);
+          response.body.data.docFile.revision.should.equal(2);
+          response.body.data.docFile.title.should.equal(docFileData.docFileRevisionUpdate.title);
+
+          done();
+        });
+    });
+
+    it('Should list revisions on /api/docFiles/:id/revisions GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${docFileId}/revisions`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFileRevisions);
+          response.body.data.revisions.should.have.lengthOf(2);
+          response.body.data.currentRevision.should.equal(2);
+
+          done();
+        });
+    });
+
+    it('Should get first revision on /api/docFiles/:id/revisions/:revision GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${docFileId}/revisions/1`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFileRevision);
+          response.body.data.revision.title.should.equal(docFileData.docFileToRevise.title);
+
+          done();
+        });
+    });
+
+    it('Should NOT get non-existing revision on /api/docFiles/:id/revisions/:revision GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${docFileId}/revisions/99`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get diff between revisions on /api/docFiles/:id/diff GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${docFileId}/diff?from=1&to=2`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFileDiff);
+          response.body.data.diff.text.should.deep.equal([
+            { change: 'unchanged', line: docFileData.docFileToRevise.text[0] },
+            { change: 'removed', line: docFileData.docFileToRevise.text[1] },
+            { change: 'added', line: docFileData.docFileRevisionUpdate.text[1] },
+          ]);
+
+          done();
+        });
+    });
+
+    it('Should NOT roll back docFile created by another user on /api/docFiles/:id/revisions/:revision/rollback POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/docFiles/${docFileId}/revisions/1/rollback`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should roll back docFile to first revision on /api/docFiles/:id/revisions/:revision/rollback POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/docFiles/${docFileId}/revisions/1/rollback`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFile);
+          response.body.data.docFile.revision.should.equal(3);
+          response.body.data.docFile.title.should.equal(docFileData.docFileToRevise.title);
+          response.body.data.docFile.text.should.deep.equal(docFileData.docFileToRevise.text);
+
+          done();
+        });
+    });
+  });
+
+  describe('Locked DocFiles', () => {
+    before('Create locked docFile on /api/docFiles', (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles')
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { docFile: docFileData.lockedDocFileToCreate } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.body.data.docFile.isLocked.should.equal(true);
+
+          done();
+        });
+    });
+
+    it('Should only list title of locked docFile on /api/docFiles GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/docFiles')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+
+          const lockedDocFile = response.body.data.docFiles.find(docFile => docFile.title === docFileData.lockedDocFileToCreate.title);
+
+          lockedDocFile.should.deep.equal({ title: docFileData.lockedDocFileToCreate.title, isLocked: true });
+
+          done();
+        });
+    });
+
+    it('Should NOT get locked docFile on /api/docFiles/:id GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${docFileData.lockedDocFileToCreate.docFileId}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT unlock docFile with code that is not a string on /api/docFiles/unlock POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles/unlock')
+        .set('Authorization', tokens.basicUser)
+        .send({ data: { title: docFileData.lockedDocFileToCreate.title, code: { code: docFileData.incorrectUnlockCode } } })
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT unlock docFile with incorrect code on /api/docFiles/unlock POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles/unlock')
+        .set('Authorization', tokens.basicUser)
+        .send({ data: { title: docFileData.lockedDocFileToCreate.title, code: docFileData.incorrectUnlockCode } })
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should unlock docFile with correct code on /api/docFiles/unlock POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles/unlock')
+        .set('Authorization', tokens.basicUser)
+        .send({ data: { title: docFileData.lockedDocFileToCreate.title, code: docFileData.lockedDocFileToCreate.unlockCode } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFile);
+          response.body.data.docFile.should.not.have.property('unlockCode');
+
+          done();
+        });
+    });
+
+    it('Should get unlocked docFile on /api/docFiles/:id GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${docFileData.lockedDocFileToCreate.docFileId}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFile);
+
+          done();
+        });
+    });
+
+    describe('Guess unlock code', () => {
+      before('Create locked docFile on /api/docFiles', (done) => {
+        chai
+          .request(app)
+          .post('/api/docFiles')
+          .set('Authorization', tokens.adminUser)
+          .send({ data: { docFile: docFileData.lockedDocFileToGuess } })
+          .end((error, response) => {
+            response.should.have.status(200);
+
+            done();
+          });
+      });
+
+      before('Make incorrect guesses on /api/docFiles/unlock POST', (done) => {
+        let attempts = 0;
+
+        const guess = () => {
+          chai
+            .request(app)
+            .post('/api/docFiles/unlock')
+            .set('Authorization', tokens.basicUser)
+            .send({ data: { docFileId: docFileData.lockedDocFileToGuess.docFileId, code: docFileData.incorrectUnlockCode } })
+            .end((error, response) => {
+              response.should.have.status(400);
+
+              attempts += 1;
+
+              if (attempts < appConfig.docFileUnlockAttempts) {
+                guess();
+              } else {
+                done();
+              }
+            });
+        };
+
+        guess();
+      });
+
+      it('Should NOT unlock docFile after too many incorrect guesses on /api/docFiles/unlock POST', (done) => {
+        chai
+          .request(app)
+          .post('/api/docFiles/unlock')
+          .set('Authorization', tokens.basicUser)
+          .send({ data: { docFileId: docFileData.lockedDocFileToGuess.docFileId, code: docFileData.lockedDocFileToGuess.unlockCode } })
+          .end((error, response) => {
+            response.should.have.status(429);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(errorSchemas.error);
+
+            done();
+          });
+      });
+    });
+
+    describe('Guess unlock code in parallel', () => {
+      before('Create locked docFile on /api/docFiles', (done) => {
+        chai
+          .request(app)
+          .post('/api/docFiles')
+          .set('Authorization', tokens.adminUser)
+          .send({ data: { docFile: docFileData.lockedDocFileToGuessInParallel } })
+          .end((error, response) => {
+            response.should.have.status(200);
+
+            done();
+          });
+      });
+
+      it('Should NOT allow more parallel guesses than the max amount of attempts on /api/docFiles/unlock POST', (done) => {
+        const guessAmount = Number(appConfig.docFileUnlockAttempts) + 2;
+        const statuses = [];
+
+        for (let i = 0; i < guessAmount; i += 1) {
+          chai
+            .request(app)
+            .post('/api/docFiles/unlock')
+            .set('Authorization', tokens.basicUser)
+            .send({ data: { docFileId: docFileData.lockedDocFileToGuessInParallel.docFileId, code: docFileData.incorrectUnlockCode } })
+            .end((error, response) => {
+              statuses.push(response.status);
+
+              if (statuses.length === guessAmount) {
+                statuses.filter(status => status === 400).should.have.lengthOf(Number(appConfig.docFileUnlockAttempts));
+                statuses.filter(status => status === 429).should.have.lengthOf(2);
+
+                done();
+              }
+            });
+        }
+      });
+    });
+  });
 });
@@ -0,0 +1,339 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const escrowSchemas = require('./schemas/escrows');
+const errorSchemas = require('./schemas/errors');
+const userSchemas = require('./schemas/users');
+const walletSchemas = require('./schemas/wallets');
+const authenticateSchemas = require('./schemas/authentications');
+const escrowData = require('./testData/escrows');
+const tokens = require('./testData/tokens');
+const dbWallet = require('../../db/connectors/wallet');
+const appConfig = require('../../config/defaults/config').app;
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('Escrows', () => {
+  const escrowTokens = {
+    sender: '',
+    receiver: '',
+  };
+  const senderAmount = appConfig.defaultWalletAmount + escrowData.senderStartAmount;
+  let transactionId = '';
+
+  before(`Create user ${escrowData.userToSendEscrow.userName} on /api/users POST`, (done) => {
+    chai
+      .request(app)
+      .post('/api/users')
+      .set('Authorization', tokens.adminUser)
+      .send({ data: { user: escrowData.userToSendEscrow } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(userSchemas.user);
+        done();
+      });
+  });
+
+  before(`Create user ${escrowData.userToReceiveEscrow.userName} on /api/users POST`, (done) => {
+    chai
+      .request(app)
+      .post('/api/users')
+      .set('Authorization', tokens.adminUser)
+      .send({ data: { user: escrowData.userToReceiveEscrow } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(userSchemas.user);
+        done();
+      });
+  });
+
+  before(`Authenticate ${escrowData.userToSendEscrow.userName} on /api/authenticate`, (done) => {
+    chai
+      .request(app)
+      .post('/api/authenticate')
+      .send({ data: { user: escrowData.userToSendEscrow } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(authenticateSchemas.authenticate);
+
+        escrowTokens.sender = response.body.data.token;
+
+        done();
+      });
+  });
+
+  before(`Authenticate ${escrowData.userToReceiveEscrow.userName} on /api/authenticate`, (done) => {
+    chai
+      .request(app)
+      .post('/api/authenticate')
+      .send({ data: { user: escrowData.userToReceiveEscrow } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(authenticateSchemas.authenticate);
+
+        escrowTokens.receiver = response.body.data.token;
+
+        done();
+      });
+  });
+
+  before(`Give ${escrowData.userToSendEscrow.userName} credits`, (done) => {
+    dbWallet.increaseAmount({
+      owner: escrowData.userToSendEscrow.userName,
+      amount: escrowData.senderStartAmount,
+      callback: ({ data }) => {
+        data.should.have.property('wallet');
+        done();
+      },
+    });
+  });
+
+  describe('Create escrow transaction', () => {
+    it('Should NOT create escrow transaction with incorrect authorization on /api/escrows POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/escrows')
+        .send({ data: { transaction: escrowData.escrowToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT create escrow transaction with more than the amount in the wallet on /api/escrows POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/escrows')
+        .send({ data: { transaction: escrowData.escrowWithTooHighAmount } })
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT create escrow transaction with a deadline that has passed on /api/escrows POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/escrows')
+        .send({ data: { transaction: escrowData.escrowWithPassedDeadline } })
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should create escrow transaction and withdraw amount from sender on /api/escrows POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/escrows')
+        .send({ data: { transaction: escrowData.escrowToCreate } })
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(escrowSchemas.escrow);
+          response.body.data.transaction.state.should.equal('escrow');
+          response.body.data.wallet.amount.should.equal(senderAmount - escrowData.escrowToCreate.amount);
+
+          transactionId = response.body.data.transaction._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+
+    it('Should get escrow transaction as receiver on /api/escrows GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/escrows')
+        .set('Authorization', escrowTokens.receiver)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(escrowSchemas.escrows);
+          response.body.data.toTransactions.should.have.lengthOf(1);
+          done();
+        });
+    });
+  });
+
+  describe('Decline escrow transaction', () => {
+    it('Should NOT decline escrow transaction as sender on /api/escrows/:transactionId/decline POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${transactionId}/decline`)
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should decline escrow transaction as receiver on /api/escrows/:transactionId/decline POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${transactionId}/decline`)
+        .set('Authorization', escrowTokens.receiver)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(escrowSchemas.escrow);
+          response.body.data.transaction.state.should.equal('cancelled');
+          done();
+        });
+    });
+
+    it('Should have returned amount to sender on /api/wallets/:owner GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/wallets/${escrowData.userToSendEscrow.userName}`)
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(walletSchemas.wallet);
+          response.body.data.wallet.amount.should.equal(senderAmount);
+          done();
+        });
+    });
+  });
+
+  describe('Confirm escrow transaction', () => {
+    before('Create escrow transaction on /api/escrows POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/escrows')
+        .send({ data: { transaction: escrowData.escrowToCreate } })
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          transactionId = response.body.data.transaction._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+
+    it('Should NOT confirm escrow transaction as sender on /api/escrows/:transactionId/confirm POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${transactionId}/confirm`)
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should confirm escrow transaction and deposit amount to receiver on /api/escrows/:transactionId/confirm POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${transactionId}/confirm`)
+        .set('Authorization', escrowTokens.receiver)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(escrowSchemas.escrow);
+          response.body.data.transaction.state.should.equal('done');
+          response.body.data.wallet.amount.should.equal(appConfig.defaultWalletAmount + escrowData.escrowToCreate.amount);
+          done();
+        });
+    });
+
+    it('Should NOT confirm escrow transaction that has been finished on /api/escrows/:transactionId/confirm POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${transactionId}/confirm`)
+        .set('Authorization', escrowTokens.receiver)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+  });
+
+  describe('Release escrow transaction', () => {
+    before('Create escrow transaction on /api/escrows POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/escrows')
+        .send({ data: { transaction: escrowData.escrowToCreate } })
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          transactionId = response.body.data.transaction._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+
+    it('Should NOT release escrow transaction as receiver on /api/escrows/:transactionId/release POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${transactionId}/release`)
+        .set('Authorization', escrowTokens.receiver)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should release escrow transaction as sender on /api/escrows/:transactionId/release POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${transactionId}/release`)
+        .set('Authorization', escrowTokens.sender)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(escrowSchemas.escrow);
+          response.body.data.transaction.state.should.equal('done');
+          done();
+        });
+    });
+  });
+});
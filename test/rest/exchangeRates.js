@@ -0,0 +1,124 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const exchangeRateSchemas = require('./schemas/exchangeRates');
+const errorSchemas = require('./schemas/errors');
+const exchangeRateData = require('./testData/exchangeRates');
+const starterData = require('./testData/starter');
+const tokens = require('./testData/tokens');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('ExchangeRates', () => {
+  describe('Get exchange rates', () => {
+    it('Should NOT get exchange rates with incorrect authorization on /api/exchangeRates GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/exchangeRates')
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should get currencies and exchange rates on /api/exchangeRates GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/exchangeRates')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(exchangeRateSchemas.exchangeRates);
+          response.body.data.currencies.filter(currency => currency.isDefault).should.have.lengthOf(1);
+          done();
+        });
+    });
+  });
+
+  describe('Set exchange rate', () => {
+    it('Should NOT set exchange rate with too low access level on /api/exchangeRates POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/exchangeRates')
+        .send({ data: { exchangeRate: exchangeRateData.exchangeRateToSameCurrency } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT set exchange rate with a currency that does not exist on /api/exchangeRates POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/exchangeRates')
+        .send({ data: { exchangeRate: exchangeRateData.exchangeRateWithUnknownCurrency } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT set exchange rate to the same currency on /api/exchangeRates POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/exchangeRates')
+        .send({ data: { exchangeRate: exchangeRateData.exchangeRateToSameCurrency } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+  });
+
+  describe('Exchange currency', () => {
+    it('Should NOT exchange currency without an exchange rate on /api/wallets/:owner/exchange POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/wallets/${starterData.adminUserToAuth.userName}/exchange`)
+        .send({ data: exchangeRateData.exchange })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,424 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const groupSchemas = require('./schemas/groups');
+const docFileSchemas = require('./schemas/docFiles');
+const errorSchemas = require('./schemas/errors');
+const groupData = require('./testData/groups');
+const tokens = require('./testData/tokens');
+const starterData = require('./testData/starter');
+const dbUser = require('../../db/connectors/user');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('Groups', () => {
+  const { groupName } = groupData.groupToCreate;
+  const { userName } = starterData.basicUserToAuth;
+
+  describe('Create group', () => {
+    it('Should NOT create group as basic user on /api/groups POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/groups')
+        .send({ data: { group: groupData.groupToCreate } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create group with invalid name on /api/groups POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/groups')
+        .send({ data: { group: groupData.groupWithInvalidName } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should create group on /api/groups POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/groups')
+        .send({ data: { group: groupData.groupToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(groupSchemas.group);
+
+          done();
+        });
+    });
+
+    it('Should NOT create group with existing name on /api/groups POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/groups')
+        .send({ data: { group: groupData.groupToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(403);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get groups on /api/groups GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/groups')
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(groupSchemas.groups);
+
+          done();
+        });
+    });
+  });
+
+  describe('Restrict docFile to group', () => {
+    before('Create docFile restricted to group on /api/docFiles POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles')
+        .send({ data: { docFile: groupData.docFileToRestrict } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    it('Should NOT get docFile as user outside of the group on /api/docFiles/:docFileId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${groupData.docFileToRestrict.docFileId}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT list docFile to user outside of the group on /api/docFiles GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/docFiles')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.body.data.docFiles.filter(docFile => docFile.title === groupData.docFileToRestrict.title).should.have.lengthOf(0);
+
+          done();
+        });
+    });
+
+    it('Should NOT add member to group as basic user on /api/groups/:groupName/members POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/groups/${groupName}/members`)
+        .send({ data: { userName } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should add member to group on /api/groups/:groupName/members POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/groups/${groupName}/members`)
+        .send({ data: { userName } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(groupSchemas.membership);
+
+          done();
+        });
+    });
+
+    it('Should get group with members on /api/groups/:groupName GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/groups/${groupName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(groupSchemas.group);
+          response.body.data.members.should.include(userName);
+
+          done();
+        });
+    });
+
+    it('Should get docFile as member of the group on /api/docFiles/:docFileId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${groupData.docFileToRestrict.docFileId}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFile);
+
+          done();
+        });
+    });
+
+    it('Should remove member from group on /api/groups/:groupName/members/:userName DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/groups/${groupName}/members/${userName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(groupSchemas.membership);
+
+          done();
+        });
+    });
+
+    it('Should NOT remove user that is not a member from group on /api/groups/:groupName/members/:userName DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/groups/${groupName}/members/${userName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Restrict room to group', () => {
+    const { roomName } = groupData.roomToRestrict;
+
+    before(`Add ${userName} to group on /api/groups/:groupName/members POST`, (done) => {
+      chai
+        .request(app)
+        .post(`/api/groups/${groupName}/members`)
+        .send({ data: { userName } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    before('Create room restricted to group on /api/rooms POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/rooms')
+        .send({ data: { room: groupData.roomToRestrict } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    before(`Make ${userName} follow room`, (done) => {
+      dbUser.addRoomToUser({
+        userName,
+        roomName,
+        callback: ({ data }) => {
+          data.should.have.property('user');
+
+          done();
+        },
+      });
+    });
+
+    it('Should get history as member of the group on /api/rooms/:roomName/messages GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/rooms/${roomName}/messages`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+
+          done();
+        });
+    });
+
+    it('Should remove member from group on /api/groups/:groupName/members/:userName DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/groups/${groupName}/members/${userName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    it('Should have made removed member unfollow the room', (done) => {
+      dbUser.getUser({
+        userName,
+        callback: ({ data }) => {
+          data.user.rooms.should.not.include(roomName);
+
+          done();
+        },
+      });
+    });
+
+    it('Should NOT get history as removed member on /api/rooms/:roomName/messages GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/rooms/${roomName}/messages`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Restrict team docFile to group', () => {
+    const { teamName, teamDocFileToRestrict } = groupData;
+
+    before('Add users to team', (done) => {
+      dbUser.updateUserTeam({
+        userName: starterData.adminUserToAuth.userName,
+        team: teamName,
+        callback: () => {
+          dbUser.updateUserTeam({
+            userName,
+            team: teamName,
+            callback: ({ data }) => {
+              data.should.have.property('user');
+
+              done();
+            },
+          });
+        },
+      });
+    });
+
+    before('Create team docFile restricted to group on /api/docFiles POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles')
+        .send({ data: { docFile: teamDocFileToRestrict } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    after('Remove users from team', (done) => {
+      dbUser.removeUserTeam({
+        userName: starterData.adminUserToAuth.userName,
+        callback: () => {
+          dbUser.removeUserTeam({ userName, callback: () => { done(); } });
+        },
+      });
+    });
+
+    it('Should get team docFile as team member outside of the group on /api/docFiles/:docFileId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/docFiles/${teamDocFileToRestrict.docFileId}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(docFileSchemas.docFile);
+
+          done();
+        });
+    });
+  });
+
+  describe('Remove group', () => {
+    it('Should remove group on /api/groups/:groupName DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/groups/${groupName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+
+          done();
+        });
+    });
+
+    it('Should NOT get removed group on /api/groups/:groupName GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/groups/${groupName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const lanternRoundSchemas = require('./schemas/lanternRounds');
+const errorSchemas = require('./schemas/errors');
+const successSchemas = require('./schemas/successes');
+const lanternRoundData = require('./testData/lanternRounds');
+const tokens = require('./testData/tokens');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('LanternRounds', () => {
+  let roundId = '';
+
+  describe('Schedule lantern round', () => {
+    it('Should NOT schedule round with incorrect authorization on /api/lanternRounds/scheduled POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/lanternRounds/scheduled')
+        .send({ data: { round: lanternRoundData.scheduledRoundToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT schedule round with too low access level on /api/lanternRounds/scheduled POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/lanternRounds/scheduled')
+        .send({ data: { round: lanternRoundData.scheduledRoundToCreate } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT schedule round that ends before it starts on /api/lanternRounds/scheduled POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/lanternRounds/scheduled')
+        .send({ data: { round: lanternRoundData.scheduledRoundThatEndsBeforeStart } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should schedule round on /api/lanternRounds/scheduled POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/lanternRounds/scheduled')
+        .send({ data: { round: lanternRoundData.scheduledRoundToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(lanternRoundSchemas.scheduledRound);
+
+          roundId = response.body.data.round._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+
+    it('Should NOT schedule round that overlaps with a scheduled round on /api/lanternRounds/scheduled POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/lanternRounds/scheduled')
+        .send({ data: { round: lanternRoundData.scheduledRoundThatOverlaps } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(403);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+  });
+
+  describe('Get scheduled lantern rounds', () => {
+    it('Should get scheduled rounds on /api/lanternRounds/scheduled GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternRounds/scheduled')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(lanternRoundSchemas.scheduledRounds);
+          response.body.data.rounds.should.have.lengthOf(1);
+          done();
+        });
+    });
+
+    it('Should get next scheduled round as start time of current round on /api/lanternRounds GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternRounds')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          new Date(response.body.data.startTime).getTime().should.equal(new Date(lanternRoundData.scheduledRoundToCreate.startTime).getTime());
+          done();
+        });
+    });
+  });
+
+  describe('Remove scheduled lantern round', () => {
+    it('Should NOT remove scheduled round with too low access level on /api/lanternRounds/scheduled/:roundId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/lanternRounds/scheduled/${roundId}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should remove scheduled round on /api/lanternRounds/scheduled/:roundId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/lanternRounds/scheduled/${roundId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(successSchemas.success);
+          done();
+        });
+    });
+
+    it('Should NOT remove scheduled round that does not exist on /api/lanternRounds/scheduled/:roundId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/lanternRounds/scheduled/${roundId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+  });
+});
@@ -109,6 +109,37 @@ describe('LanternStations', () => {
     });
   });
 
+  describe('Get hacking API status', () => {
+    it('Should NOT get hacking API status with too low access level on /api/lanternStations/hackingApi GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternStations/hackingApi')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get simulated hacking API status on /api/lanternStations/hackingApi GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternStations/hackingApi')
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(lanternStationSchemas.hackingApiStatus);
+          response.body.data.status.backend.should.equal('simulator');
+
+          done();
+        });
+    });
+  });
+
   describe('Get lantern station', () => {
     before('Create lantern station on /api/lanternStations POST', (done) => {
       chai
@@ -215,6 +246,38 @@ describe('LanternStations', () => {
         });
     });
 
+    it('Should update difficulty on lantern station on /api/lanternStations/:id POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/lanternStations/${lanternStationData.lanternStationToCreateAndModify.stationId}`)
+        .send({ data: { station: lanternStationData.lanternStationWithDifficulty } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(lanternStationSchemas.lanternStation);
+          response.body.data.station.difficulty.tier.should.equal(lanternStationData.lanternStationWithDifficulty.difficulty.tier);
+          response.body.data.station.difficulty.triesAmount.should.equal(lanternStationData.lanternStationWithDifficulty.difficulty.triesAmount);
+
+          done();
+        });
+    });
+
+    it('Should NOT update lantern station with difficulty tier that does not exist on /api/lanternStations/:id POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/lanternStations/${lanternStationData.lanternStationToCreateAndModify.stationId}`)
+        .send({ data: { station: lanternStationData.lanternStationWithInvalidDifficulty } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
     it('Should NOT update non-existing lantern station on /api/lanternStations/:id POST', (done) => {
       chai
         .request(app)
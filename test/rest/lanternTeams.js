@@ -110,6 +110,65 @@ describe('LanternTeams', () => {
     });
   });
 
+  describe('Get lantern leaderboard', () => {
+    it('Should NOT get leaderboard with incorrect authorization on /api/lanternTeams/leaderboard GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternTeams/leaderboard')
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get leaderboard on /api/lanternTeams/leaderboard GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternTeams/leaderboard')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(lanternTeamSchemas.leaderboard);
+          response.body.data.leaderboard.teams[0].rank.should.equal(1);
+
+          done();
+        });
+    });
+
+    it('Should NOT get scores with invalid round start time on /api/lanternTeams/scores GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternTeams/scores?roundStartTime=notADate')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get scores on /api/lanternTeams/scores GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/lanternTeams/scores')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(lanternTeamSchemas.lanternScores);
+
+          done();
+        });
+    });
+  });
+
   describe('Update lantern team', () => {
     before('Create lantern team on /api/lanternTeams POST', (done) => {
       chai
@@ -0,0 +1,409 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const missionSchemas = require('./schemas/missions');
+const errorSchemas = require('./schemas/errors');
+const userSchemas = require('./schemas/users');
+const walletSchemas = require('./schemas/wallets');
+const authenticateSchemas = require('./schemas/authentications');
+const missionData = require('./testData/missions');
+const tokens = require('./testData/tokens');
+const dbWallet = require('../../db/connectors/wallet');
+const appConfig = require('../../config/defaults/config').app;
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('Missions', () => {
+  const missionTokens = {
+    poster: '',
+    agent: '',
+  };
+  const posterAmount = appConfig.defaultWalletAmount + missionData.posterStartAmount;
+  const rewardAmount = missionData.missionToCreate.rewardAmount;
+  let missionId = '';
+  let rewardTransactionId = '';
+
+  before(`Create user ${missionData.userToPostMission.userName} on /api/users POST`, (done) => {
+    chai
+      .request(app)
+      .post('/api/users')
+      .set('Authorization', tokens.adminUser)
+      .send({ data: { user: missionData.userToPostMission } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(userSchemas.user);
+        done();
+      });
+  });
+
+  before(`Create user ${missionData.userToApplyForMission.userName} on /api/users POST`, (done) => {
+    chai
+      .request(app)
+      .post('/api/users')
+      .set('Authorization', tokens.adminUser)
+      .send({ data: { user: missionData.userToApplyForMission } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(userSchemas.user);
+        done();
+      });
+  });
+
+  before(`Authenticate ${missionData.userToPostMission.userName} on /api/authenticate`, (done) => {
+    chai
+      .request(app)
+      .post('/api/authenticate')
+      .send({ data: { user: missionData.userToPostMission } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(authenticateSchemas.authenticate);
+
+        missionTokens.poster = response.body.data.token;
+
+        done();
+      });
+  });
+
+  before(`Authenticate ${missionData.userToApplyForMission.userName} on /api/authenticate`, (done) => {
+    chai
+      .request(app)
+      .post('/api/authenticate')
+      .send({ data: { user: missionData.userToApplyForMission } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(authenticateSchemas.authenticate);
+
+        missionTokens.agent = response.body.data.token;
+
+        done();
+      });
+  });
+
+  before(`Give ${missionData.userToPostMission.userName} credits`, (done) => {
+    dbWallet.increaseAmount({
+      owner: missionData.userToPostMission.userName,
+      amount: missionData.posterStartAmount,
+      callback: ({ data }) => {
+        data.should.have.property('wallet');
+        done();
+      },
+    });
+  });
+
+  describe('Create mission', () => {
+    it('Should NOT create mission with incorrect authorization on /api/missions POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/missions')
+        .send({ data: { mission: missionData.missionToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT create mission without a title on /api/missions POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/missions')
+        .send({ data: { mission: missionData.missionWithoutTitle } })
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT create mission with a reward higher than the amount in the wallet on /api/missions POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/missions')
+        .send({ data: { mission: missionData.missionWithTooHighReward } })
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should create mission and withdraw the reward from the creator on /api/missions POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/missions')
+        .send({ data: { mission: missionData.missionToCreate } })
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(missionSchemas.mission);
+          response.body.data.mission.state.should.equal('open');
+          response.body.data.wallet.amount.should.equal(posterAmount - rewardAmount);
+
+          missionId = response.body.data.mission._id; // eslint-disable-line no-underscore-dangle
+          rewardTransactionId = response.body.data.mission.transactionId;
+
+          done();
+        });
+    });
+
+    it('Should NOT release mission reward as creator on /api/escrows/:transactionId/release POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${rewardTransactionId}/release`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT decline mission reward as creator on /api/escrows/:transactionId/decline POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/escrows/${rewardTransactionId}/decline`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT list mission reward as escrow transaction on /api/escrows GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/escrows')
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.data.fromTransactions.map(transaction => transaction._id).should.not.include(rewardTransactionId); // eslint-disable-line no-underscore-dangle
+          response.body.data.toTransactions.map(transaction => transaction._id).should.not.include(rewardTransactionId); // eslint-disable-line no-underscore-dangle
+          done();
+        });
+    });
+
+    it('Should have kept the reward held for the mission on /api/wallets/:owner GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/wallets/${missionData.userToPostMission.userName}`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.data.wallet.amount.should.equal(posterAmount - rewardAmount);
+          done();
+        });
+    });
+
+    it('Should get created mission on /api/missions GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/missions')
+        .set('Authorization', missionTokens.agent)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(missionSchemas.missions);
+          response.body.data.missions.map(mission => mission._id).should.include(missionId); // eslint-disable-line no-underscore-dangle
+          done();
+        });
+    });
+  });
+
+  describe('Apply for and complete mission', () => {
+    it('Should NOT apply for own mission on /api/missions/:missionId/apply POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/apply`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should apply for mission on /api/missions/:missionId/apply POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/apply`)
+        .set('Authorization', missionTokens.agent)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(missionSchemas.mission);
+          response.body.data.mission.state.should.equal('open');
+          response.body.data.mission.applicants.should.include(missionData.userToApplyForMission.userName);
+          done();
+        });
+    });
+
+    it('Should NOT assign agent as non-owner on /api/missions/:missionId/assign POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/assign`)
+        .send({ data: { agent: missionData.userToApplyForMission.userName } })
+        .set('Authorization', missionTokens.agent)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should assign applicant as agent on /api/missions/:missionId/assign POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/assign`)
+        .send({ data: { agent: missionData.userToApplyForMission.userName } })
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(missionSchemas.mission);
+          response.body.data.mission.state.should.equal('assigned');
+          response.body.data.mission.agent.should.equal(missionData.userToApplyForMission.userName);
+          done();
+        });
+    });
+
+    it('Should NOT complete mission as agent on /api/missions/:missionId/complete POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/complete`)
+        .set('Authorization', missionTokens.agent)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should complete mission on /api/missions/:missionId/complete POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/complete`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(missionSchemas.mission);
+          response.body.data.mission.state.should.equal('completed');
+          done();
+        });
+    });
+
+    it('Should have paid the reward to the agent on /api/wallets/:owner GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/wallets/${missionData.userToApplyForMission.userName}`)
+        .set('Authorization', missionTokens.agent)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(walletSchemas.wallet);
+          response.body.data.wallet.amount.should.equal(appConfig.defaultWalletAmount + rewardAmount);
+          done();
+        });
+    });
+
+    it('Should NOT cancel completed mission on /api/missions/:missionId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/cancel`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+  });
+
+  describe('Cancel mission', () => {
+    before('Create mission on /api/missions POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/missions')
+        .send({ data: { mission: missionData.missionToCreate } })
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          missionId = response.body.data.mission._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+
+    it('Should cancel mission on /api/missions/:missionId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/missions/${missionId}/cancel`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(missionSchemas.mission);
+          response.body.data.mission.state.should.equal('cancelled');
+          done();
+        });
+    });
+
+    it('Should have returned the reward to the creator on /api/wallets/:owner GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/wallets/${missionData.userToPostMission.userName}`)
+        .set('Authorization', missionTokens.poster)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(walletSchemas.wallet);
+          response.body.data.wallet.amount.should.equal(posterAmount - rewardAmount);
+          done();
+        });
+    });
+  });
+});
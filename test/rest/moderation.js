@@ -0,0 +1,346 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const roomSchemas = require('./schemas/rooms');
+const errorSchemas = require('./schemas/errors');
+const historySchemas = require('./schemas/histories');
+const moderationSchemas = require('./schemas/moderation');
+const tokens = require('./testData/tokens');
+const starterData = require('./testData/starter');
+const moderationData = require('./testData/moderation');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('Moderation', () => {
+  const roomName = moderationData.roomToModerate.roomName;
+  const basicUserName = starterData.basicUserToAuth.userName;
+  let messageId = '';
+
+  before(`Create room ${roomName} on /api/rooms POST`, (done) => {
+    chai
+      .request(app)
+      .post('/api/rooms')
+      .set('Authorization', tokens.adminUser)
+      .send({ data: { room: moderationData.roomToModerate } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(roomSchemas.room);
+
+        done();
+      });
+  });
+
+  before(`Follow room ${roomName} on /api/users/:userName/rooms/:roomName/follow POST`, (done) => {
+    chai
+      .request(app)
+      .post(`/api/users/${basicUserName}/rooms/${roomName}/follow`)
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        response.should.have.status(200);
+
+        done();
+      });
+  });
+
+  before(`Send message to ${roomName} on /api/rooms/:roomName/messages POST`, (done) => {
+    chai
+      .request(app)
+      .post(`/api/rooms/${roomName}/messages`)
+      .set('Authorization', tokens.basicUser)
+      .send({ data: { message: moderationData.messageToModerate } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(historySchemas.message);
+
+        messageId = response.body.data.message._id; // eslint-disable-line no-underscore-dangle
+
+        done();
+      });
+  });
+
+  describe('Edit message', () => {
+    it('Should NOT edit message sent by another user on /api/rooms/:roomName/messages/:messageId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/messages/${messageId}`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { message: { text: moderationData.editedText } } })
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT edit message with too long text on /api/rooms/:roomName/messages/:messageId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/messages/${messageId}`)
+        .set('Authorization', tokens.basicUser)
+        .send({ data: { message: { text: moderationData.tooLongText } } })
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should edit own message on /api/rooms/:roomName/messages/:messageId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/messages/${messageId}`)
+        .set('Authorization', tokens.basicUser)
+        .send({ data: { message: { text: moderationData.editedText } } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(moderationSchemas.editedMessage);
+          response.body.data.message.text.should.deep.equal(moderationData.editedText);
+          response.body.data.entry.text.should.deep.equal(moderationData.messageToModerate.text);
+
+          done();
+        });
+    });
+  });
+
+  describe('Hide message', () => {
+    it('Should NOT hide message as a user who is not a moderator of the room on /api/rooms/:roomName/messages/:messageId/hide POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/messages/${messageId}/hide`)
+        .set('Authorization', tokens.basicUser)
+        .send({ data: { isHidden: true } })
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should hide message on /api/rooms/:roomName/messages/:messageId/hide POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/messages/${messageId}/hide`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { isHidden: true, reason: moderationData.reason } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(moderationSchemas.hiddenMessage);
+          response.body.data.message.isHidden.should.be.true;
+
+          done();
+        });
+    });
+
+    it('Should NOT get hidden message on /api/rooms/:roomName/messages GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/rooms/${roomName}/messages`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(historySchemas.history);
+          response.body.data.history.messages.should.have.lengthOf(0);
+
+          done();
+        });
+    });
+  });
+
+  describe('Remove message', () => {
+    it('Should NOT remove message as a user who is not a moderator of the room on /api/rooms/:roomName/messages/:messageId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/rooms/${roomName}/messages/${messageId}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should remove message on /api/rooms/:roomName/messages/:messageId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/rooms/${roomName}/messages/${messageId}`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { reason: moderationData.reason } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(moderationSchemas.removedMessage);
+
+          done();
+        });
+    });
+
+    it('Should NOT remove message that does not exist on /api/rooms/:roomName/messages/:messageId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/rooms/${roomName}/messages/${moderationData.messageIdThatDoesNotExist}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Kick and ban user', () => {
+    it('Should kick user from room on /api/rooms/:roomName/kick POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/kick`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { userName: basicUserName, reason: moderationData.reason } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(moderationSchemas.userAction);
+
+          done();
+        });
+    });
+
+    it('Should NOT kick user who is not following the room on /api/rooms/:roomName/kick POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/kick`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { userName: basicUserName } })
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should ban user from room on /api/rooms/:roomName/ban POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/ban`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { userName: basicUserName, reason: moderationData.reason } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(moderationSchemas.userAction);
+
+          done();
+        });
+    });
+
+    it('Should NOT follow room as banned user on /api/users/:userName/rooms/:roomName/follow POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/users/${basicUserName}/rooms/${roomName}/follow`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should unban user from room on /api/rooms/:roomName/unban POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/rooms/${roomName}/unban`)
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { userName: basicUserName } })
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(moderationSchemas.userAction);
+
+          done();
+        });
+    });
+
+    it('Should follow room after unban on /api/users/:userName/rooms/:roomName/follow POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/users/${basicUserName}/rooms/${roomName}/follow`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+  });
+
+  describe('Get moderation log', () => {
+    it('Should NOT get moderation log as a user who is not a moderator of the room on /api/rooms/:roomName/moderationLog GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/rooms/${roomName}/moderationLog`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get moderation log on /api/rooms/:roomName/moderationLog GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/rooms/${roomName}/moderationLog`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(moderationSchemas.moderationLog);
+          response.body.data.entries.should.have.lengthOf(moderationData.moderationLogLength);
+
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,333 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const nodeHackSchemas = require('./schemas/nodeHacks');
+const errorSchemas = require('./schemas/errors');
+const nodeHackData = require('./testData/nodeHacks');
+const gameItemData = require('./testData/gameItems');
+const tokens = require('./testData/tokens');
+const starterData = require('./testData/starter');
+const dbNodeHack = require('../../db/connectors/nodeHack');
+const errorCreator = require('../../objects/error/errorCreator');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('NodeHacks', () => {
+  const { targetName } = nodeHackData.targetToCreate;
+  let hackNodes = [];
+
+  /**
+   * Guess the correct passwords of the nodes, in order
+   * @param {Object[]} params.nodes Nodes with passwords
+   * @param {Function} params.callback Called with the response of the last guess
+   */
+  function crackNodes({ nodes, callback }) {
+    const node = nodes[0];
+
+    chai
+      .request(app)
+      .post(`/api/nodeHacks/nodes/${node.nodeId}`)
+      .send({ data: { password: node.password } })
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        if (nodes.length === 1) {
+          callback(response);
+
+          return;
+        }
+
+        response.should.have.status(200);
+        response.body.data.success.should.equal(true);
+
+        crackNodes({ callback, nodes: nodes.slice(1) });
+      });
+  }
+
+  before('Create game users on /api/gameItems/gameUsers POST', (done) => {
+    chai
+      .request(app)
+      .post('/api/gameItems/gameUsers')
+      .send({ data: { gameUsers: gameItemData.gameUsersToCreate } })
+      .set('Authorization', tokens.adminUser)
+      .end((error, response) => {
+        response.should.have.status(200);
+
+        done();
+      });
+  });
+
+  before('Create fake passwords on /api/gameItems/fakePasswords POST', (done) => {
+    chai
+      .request(app)
+      .post('/api/gameItems/fakePasswords')
+      .send({ data: { passwords: gameItemData.fakePasswords } })
+      .set('Authorization', tokens.adminUser)
+      .end((error, response) => {
+        response.should.have.status(200);
+
+        done();
+      });
+  });
+
+  describe('Create node hack target', () => {
+    it('Should NOT create node hack target with incorrect authorization on /api/nodeHacks/targets POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks/targets')
+        .send({ data: { target: nodeHackData.targetToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create node hack target as basic user on /api/nodeHacks/targets POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks/targets')
+        .send({ data: { target: nodeHackData.targetToCreate } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create node hack target with credits reward without an amount on /api/nodeHacks/targets POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks/targets')
+        .send({ data: { target: nodeHackData.targetWithoutReward } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should create node hack target on /api/nodeHacks/targets POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks/targets')
+        .send({ data: { target: nodeHackData.targetToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(nodeHackSchemas.nodeHackTarget);
+
+          done();
+        });
+    });
+
+    it('Should NOT create existing node hack target on /api/nodeHacks/targets POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks/targets')
+        .send({ data: { target: nodeHackData.targetToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(403);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get node hack targets on /api/nodeHacks/targets GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/nodeHacks/targets')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(nodeHackSchemas.nodeHackTargets);
+          response.body.data.targets.map(target => target.targetName).should.include(targetName);
+
+          done();
+        });
+    });
+  });
+
+  describe('Hack target', () => {
+    it('Should NOT start node hack on target that does not exist on /api/nodeHacks POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks')
+        .send({ data: { targetName: nodeHackData.targetThatDoesNotExist.targetName } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should start node hack without sending passwords on /api/nodeHacks POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks')
+        .send({ data: { targetName } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(nodeHackSchemas.nodeHack);
+          response.body.data.nodeHack.nodes.should.have.lengthOf(nodeHackData.targetToCreate.nodeAmount);
+          response.body.data.nodeHack.triesLeft.should.equal(nodeHackData.targetToCreate.triesAmount);
+
+          done();
+        });
+    });
+
+    it('Should NOT crack core node that is not linked to a cracked node on /api/nodeHacks/nodes/:nodeId POST', (done) => {
+      dbNodeHack.getNodeHack({
+        owner: starterData.basicUserToAuth.userName,
+        callback: ({ data }) => {
+          hackNodes = data.nodeHack.nodes.filter(node => node.nodeType !== 'entry');
+
+          const coreNode = hackNodes[hackNodes.length - 1];
+
+          chai
+            .request(app)
+            .post(`/api/nodeHacks/nodes/${coreNode.nodeId}`)
+            .send({ data: { password: coreNode.password } })
+            .set('Authorization', tokens.basicUser)
+            .end((error, response) => {
+              response.should.have.status(404);
+              response.should.be.json;
+              response.body.should.be.jsonSchema(errorSchemas.error);
+
+              done();
+            });
+        },
+      });
+    });
+
+    it('Should NOT crack node with password that is not a string on /api/nodeHacks/nodes/:nodeId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/nodeHacks/nodes/${hackNodes[0].nodeId}`)
+        .send({ data: { password: [nodeHackData.wrongPassword] } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should lower tries on wrong password on /api/nodeHacks/nodes/:nodeId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/nodeHacks/nodes/${hackNodes[0].nodeId}`)
+        .send({ data: { password: nodeHackData.wrongPassword } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(nodeHackSchemas.nodeHackGuess);
+          response.body.data.success.should.equal(false);
+          response.body.data.triesLeft.should.equal(nodeHackData.targetToCreate.triesAmount - 1);
+
+          done();
+        });
+    });
+
+    it('Should crack all nodes and unlock the reward on /api/nodeHacks/nodes/:nodeId POST', (done) => {
+      crackNodes({
+        nodes: hackNodes,
+        callback: (response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(nodeHackSchemas.nodeHackGuess);
+          response.body.data.isCompleted.should.equal(true);
+          response.body.data.reward.rewardType.should.equal('credits');
+          response.body.data.reward.transaction.amount.should.equal(nodeHackData.targetToCreate.rewardAmount);
+
+          done();
+        },
+      });
+    });
+
+    it('Should NOT get finished node hack on /api/nodeHacks GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/nodeHacks')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT start node hack on target with claimed credits reward on /api/nodeHacks POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/nodeHacks')
+        .send({ data: { targetName } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(403);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT claim credits reward twice', (done) => {
+      dbNodeHack.claimReward({
+        targetName,
+        userName: starterData.basicUserToAuth.userName,
+        callback: ({ error }) => {
+          error.type.should.equal(errorCreator.ErrorTypes.ALREADYEXISTS);
+
+          done();
+        },
+      });
+    });
+  });
+});
@@ -26,6 +26,9 @@ const errorSchemas = require('./schemas/errors');
 const tokens = require('./testData/tokens');
 const positionSchemas = require('./schemas/positions');
 const positionData = require('./testData/positions');
+const starterData = require('./testData/starter');
+const dbUser = require('../../db/connectors/user');
+const appConfig = require('../../config/defaults/config').app;
 
 chai.should();
 
@@ -94,4 +97,198 @@ describe('Positions', () => {
         });
     });
   });
+
+  describe('Position history', () => {
+    const { userName } = starterData.basicUserToAuth;
+    const storedConfig = {
+      positionHistory: appConfig.positionHistory,
+      positionHistoryInterval: appConfig.positionHistoryInterval,
+    };
+
+    before('Enable position history', () => {
+      appConfig.positionHistory = true;
+      appConfig.positionHistoryInterval = 0;
+    });
+
+    [positionData.userPositionToUpdateWith, positionData.otherUserPositionToUpdateWith].forEach((position) => {
+      before(`Update position of ${userName} on /api/users/:userName/position POST`, (done) => {
+        chai
+          .request(app)
+          .post(`/api/users/${userName}/position`)
+          .send({ data: { position } })
+          .set('Authorization', tokens.basicUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+
+            done();
+          });
+      });
+    });
+
+    after('Restore position history config', () => {
+      appConfig.positionHistory = storedConfig.positionHistory;
+      appConfig.positionHistoryInterval = storedConfig.positionHistoryInterval;
+    });
+
+    it('Should NOT get position history as basic user on /api/positions/history GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/positions/history?userName=${userName}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT get position history without user name, device ID or team name on /api/positions/history GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/positions/history')
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get position history on /api/positions/history GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/positions/history?userName=${userName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(positionSchemas.positionHistory);
+          response.body.data.positions.should.have.lengthOf(2);
+          response.body.data.positions[1].coordinates.longitude.should.equal(positionData.otherUserPositionToUpdateWith.coordinates.longitude);
+
+          done();
+        });
+    });
+
+    it('Should NOT get position history after end time on /api/positions/history GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/positions/history?userName=${userName}&endTime=${Date.now() - 3600000}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.data.positions.should.have.lengthOf(0);
+
+          done();
+        });
+    });
+
+    it('Should get track as LineString on /api/positions/track GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/positions/track?userName=${userName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(positionSchemas.positionTrack);
+          response.body.data.track.features.should.have.lengthOf(1);
+          response.body.data.track.features[0].geometry.type.should.equal('LineString');
+          response.body.data.track.features[0].geometry.coordinates.should.have.lengthOf(2);
+
+          done();
+        });
+    });
+
+    describe('Position history for surveillance groups', () => {
+      const storedGroups = appConfig.positionHistoryGroups;
+
+      before('Create position restricted to group on /api/positions POST', (done) => {
+        chai
+          .request(app)
+          .post('/api/positions')
+          .send({ data: { position: positionData.restrictedDevicePosition } })
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+
+            done();
+          });
+      });
+
+      before(`Add ${userName} to surveillance group`, (done) => {
+        appConfig.positionHistoryGroups = [positionData.surveillanceGroup];
+
+        dbUser.addGroupToUser({
+          userName,
+          group: positionData.surveillanceGroup,
+          callback: ({ data }) => {
+            data.should.have.property('user');
+
+            done();
+          },
+        });
+      });
+
+      after(`Remove ${userName} from surveillance group`, (done) => {
+        appConfig.positionHistoryGroups = storedGroups;
+
+        dbUser.removeGroupFromUser({
+          userName,
+          group: positionData.surveillanceGroup,
+          callback: () => {
+            done();
+          },
+        });
+      });
+
+      it('Should get recent position history as member of surveillance group on /api/positions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/positions/history?userName=${userName}`)
+          .set('Authorization', tokens.basicUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(positionSchemas.positionHistory);
+            response.body.data.positions.should.have.lengthOf(2);
+
+            done();
+          });
+      });
+
+      it('Should NOT get position history restricted to other groups as member of surveillance group on /api/positions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/positions/history?deviceId=${positionData.restrictedDevicePosition.deviceId}`)
+          .set('Authorization', tokens.basicUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.data.positions.should.have.lengthOf(0);
+
+            done();
+          });
+      });
+
+      it('Should get position history restricted to groups as admin on /api/positions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/positions/history?deviceId=${positionData.restrictedDevicePosition.deviceId}`)
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.data.positions.should.have.lengthOf(1);
+
+            done();
+          });
+      });
+    });
+  });
 });
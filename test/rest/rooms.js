@@ -532,5 +532,110 @@ describe('Rooms', () => {
           });
       });
     });
+
+    describe('Page and search messages', () => {
+      let nextCursor = '';
+
+      messageData.messagesToPage.forEach((message) => {
+        before(`Send message to ${message.roomName} on /api/rooms/:roomName/messages POST`, (done) => {
+          chai
+            .request(app)
+            .post(`/api/rooms/${message.roomName}/messages`)
+            .set('Authorization', tokens.adminUser)
+            .send({ data: { message } })
+            .end((error, response) => {
+              response.should.have.status(200);
+
+              done();
+            });
+        });
+      });
+
+      it('Should NOT get messages with an invalid time on /api/rooms/:roomName/messages GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/rooms/${messageData.roomToCreateAndSendMessagesTo.roomName}/messages`)
+          .query({ before: 'not a time' })
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(400);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(errorSchemas.error);
+
+            done();
+          });
+      });
+
+      it('Should get the newest message and a cursor on /api/rooms/:roomName/messages GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/rooms/${messageData.roomToCreateAndSendMessagesTo.roomName}/messages`)
+          .query({ limit: 1 })
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(historySchemas.history);
+            response.body.data.history.messages.should.have.lengthOf(1);
+            response.body.data.history.messages[0].text.should.deep.equal(messageData.messagesToPage[1].text);
+            response.body.data.history.nextCursor.should.be.a('string');
+
+            nextCursor = response.body.data.history.nextCursor;
+
+            done();
+          });
+      });
+
+      it('Should get older messages with cursor on /api/rooms/:roomName/messages GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/rooms/${messageData.roomToCreateAndSendMessagesTo.roomName}/messages`)
+          .query({ limit: 1, cursor: nextCursor })
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(historySchemas.history);
+            response.body.data.history.messages.should.have.lengthOf(1);
+            response.body.data.history.messages[0].text.should.deep.equal(messageData.messagesToPage[0].text);
+
+            done();
+          });
+      });
+
+      it('Should NOT get messages sent before a time in the past on /api/rooms/:roomName/messages GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/rooms/${messageData.roomToCreateAndSendMessagesTo.roomName}/messages`)
+          .query({ before: new Date(0).toISOString() })
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(historySchemas.history);
+            response.body.data.history.messages.should.have.lengthOf(0);
+            (response.body.data.history.nextCursor === null).should.be.true;
+
+            done();
+          });
+      });
+
+      it('Should get messages that contain the search word on /api/rooms/:roomName/messages GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/rooms/${messageData.roomToCreateAndSendMessagesTo.roomName}/messages`)
+          .query({ search: messageData.searchWord })
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(historySchemas.history);
+            response.body.data.history.messages.should.have.lengthOf(1);
+            response.body.data.history.messages[0].text.should.deep.equal(messageData.messagesToPage[1].text);
+
+            done();
+          });
+      });
+    });
   });
 });
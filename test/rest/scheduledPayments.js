@@ -0,0 +1,223 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const scheduledPaymentSchemas = require('./schemas/scheduledPayments');
+const errorSchemas = require('./schemas/errors');
+const successSchemas = require('./schemas/successes');
+const userSchemas = require('./schemas/users');
+const scheduledPaymentData = require('./testData/scheduledPayments');
+const tokens = require('./testData/tokens');
+const scheduledPaymentManager = require('../../managers/scheduledPayments');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('ScheduledPayments', () => {
+  let paymentId = '';
+
+  before(`Create user ${scheduledPaymentData.userToReceivePayments.userName} on /api/users POST`, (done) => {
+    chai
+      .request(app)
+      .post('/api/users')
+      .set('Authorization', tokens.adminUser)
+      .send({ data: { user: scheduledPaymentData.userToReceivePayments } })
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(userSchemas.user);
+        done();
+      });
+  });
+
+  describe('Create scheduled payment', () => {
+    it('Should NOT create scheduled payment with incorrect authorization on /api/scheduledPayments POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/scheduledPayments')
+        .send({ data: { scheduledPayment: scheduledPaymentData.scheduledPaymentToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT create scheduled payment with too low access level on /api/scheduledPayments POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/scheduledPayments')
+        .send({ data: { scheduledPayment: scheduledPaymentData.scheduledPaymentToCreate } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT create scheduled payment with interval less than 1 on /api/scheduledPayments POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/scheduledPayments')
+        .send({ data: { scheduledPayment: scheduledPaymentData.scheduledPaymentWithoutInterval } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should NOT create scheduled payment to non-existing wallet on /api/scheduledPayments POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/scheduledPayments')
+        .send({ data: { scheduledPayment: scheduledPaymentData.scheduledPaymentToNonExistingWallet } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should create scheduled payment on /api/scheduledPayments POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/scheduledPayments')
+        .send({ data: { scheduledPayment: scheduledPaymentData.scheduledPaymentToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(scheduledPaymentSchemas.scheduledPayment);
+
+          paymentId = response.body.data.scheduledPayment._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+  });
+
+  describe('Get scheduled payments', () => {
+    it('Should NOT get all scheduled payments with incorrect authorization on /api/scheduledPayments GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/scheduledPayments')
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should get all scheduled payments on /api/scheduledPayments GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/scheduledPayments')
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(scheduledPaymentSchemas.scheduledPayments);
+          done();
+        });
+    });
+
+    it('Should NOT get scheduled payments for other user with too low access level on /api/wallets/:owner/scheduledPayments GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/wallets/${scheduledPaymentData.userToReceivePayments.userName}/scheduledPayments`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should get scheduled payments for wallet on /api/wallets/:owner/scheduledPayments GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/wallets/${scheduledPaymentData.userToReceivePayments.userName}/scheduledPayments`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(scheduledPaymentSchemas.scheduledPayments);
+          response.body.data.scheduledPayments.should.have.lengthOf(1);
+          done();
+        });
+    });
+
+    it('Should get own scheduled payments without sending owner', (done) => {
+      scheduledPaymentManager.getScheduledPayments({
+        token: tokens.basicUser,
+        callback: ({ error, data }) => {
+          (typeof error).should.equal('undefined');
+          data.should.have.property('scheduledPayments');
+
+          done();
+        },
+      });
+    });
+  });
+
+  describe('Remove scheduled payment', () => {
+    it('Should NOT remove scheduled payment with incorrect authorization on /api/scheduledPayments/:paymentId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/scheduledPayments/${paymentId}`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+          done();
+        });
+    });
+
+    it('Should remove scheduled payment on /api/scheduledPayments/:paymentId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/scheduledPayments/${paymentId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(successSchemas.success);
+          done();
+        });
+    });
+  });
+});
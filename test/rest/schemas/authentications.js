@@ -33,4 +33,20 @@ schemas.authenticate = {
   },
 };
 
+schemas.authenticateWithRefresh = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['token', 'refreshToken', 'expiresAt'],
+      properties: {
+        token: { type: 'string' },
+        refreshToken: { type: 'string' },
+        expiresAt: { type: 'string' },
+      },
+    },
+  },
+};
+
 module.exports = schemas;
@@ -0,0 +1,86 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const sourceBase = {
+  type: 'object',
+  required: [
+    'sourceName',
+    'isActive',
+    'slots',
+  ],
+  properties: {
+    sourceName: { type: 'string' },
+    isActive: { type: 'boolean' },
+    slotPower: { type: 'number' },
+    slots: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['power'],
+        properties: {
+          owner: { type: ['string', 'null'] },
+          power: { type: 'number' },
+        },
+      },
+    },
+  },
+};
+
+schemas.computingSource = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['source'],
+      properties: {
+        source: sourceBase,
+      },
+    },
+  },
+};
+
+schemas.computingSources = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: [
+        'activeSources',
+        'inactiveSources',
+        'power',
+      ],
+      properties: {
+        activeSources: {
+          type: 'array',
+          items: sourceBase,
+        },
+        inactiveSources: {
+          type: 'array',
+          items: sourceBase,
+        },
+        power: { type: 'number' },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
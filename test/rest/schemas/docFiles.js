@@ -79,5 +79,114 @@ schemas.docFile = {
     },
   },
 };
+schemas.docFileRevisions = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['revisions', 'currentRevision'],
+      properties: {
+        currentRevision: { type: 'number' },
+        revisions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: [
+              'docFileId',
+              'revision',
+              'title',
+              'author',
+              'time',
+            ],
+            properties: {
+              docFileId: { type: 'string' },
+              revision: { type: 'number' },
+              title: { type: 'string' },
+              author: { type: 'string' },
+              alias: { type: 'string' },
+              rollbackFrom: { type: 'number' },
+              time: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.docFileRevision = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['revision'],
+      properties: {
+        revision: {
+          type: 'object',
+          required: [
+            'docFileId',
+            'revision',
+            'title',
+            'text',
+            'author',
+            'time',
+          ],
+          properties: {
+            docFileId: { type: 'string' },
+            revision: { type: 'number' },
+            title: { type: 'string' },
+            text: { type: 'array', items: { type: 'string' } },
+            author: { type: 'string' },
+            time: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.docFileDiff = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['diff'],
+      properties: {
+        diff: {
+          type: 'object',
+          required: [
+            'docFileId',
+            'fromRevision',
+            'toRevision',
+            'oldTitle',
+            'newTitle',
+            'text',
+          ],
+          properties: {
+            docFileId: { type: 'string' },
+            fromRevision: { type: 'number' },
+            toRevision: { type: 'number' },
+            oldTitle: { type: 'string' },
+            newTitle: { type: 'string' },
+            text: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['change', 'line'],
+                properties: {
+                  change: { type: 'string' },
+                  line: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
 
 module.exports = schemas;
@@ -0,0 +1,80 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const escrowBase = {
+  type: 'object',
+  required: [
+    'from',
+    'to',
+    'amount',
+    'state',
+  ],
+  properties: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    amount: { type: 'number' },
+    state: { type: 'string' },
+    deadline: { type: 'string' },
+  },
+};
+
+schemas.escrow = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['transaction'],
+      properties: {
+        transaction: escrowBase,
+        wallet: {
+          type: 'object',
+          required: ['amount'],
+          properties: {
+            amount: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.escrows = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['toTransactions', 'fromTransactions'],
+      properties: {
+        toTransactions: {
+          type: 'array',
+          items: escrowBase,
+        },
+        fromTransactions: {
+          type: 'array',
+          items: escrowBase,
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
@@ -0,0 +1,65 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const exchangeRateBase = {
+  type: 'object',
+  required: [
+    'fromCurrency',
+    'toCurrency',
+    'rate',
+    'fee',
+  ],
+  properties: {
+    fromCurrency: { type: 'string' },
+    toCurrency: { type: 'string' },
+    rate: { type: 'number' },
+    fee: { type: 'number' },
+  },
+};
+
+schemas.exchangeRates = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['currencies', 'exchangeRates'],
+      properties: {
+        currencies: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'isDefault'],
+            properties: {
+              name: { type: 'string' },
+              isDefault: { type: 'boolean' },
+            },
+          },
+        },
+        exchangeRates: {
+          type: 'array',
+          items: exchangeRateBase,
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
@@ -0,0 +1,93 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const groupBase = {
+  type: 'object',
+  required: [
+    'groupName',
+    'owner',
+  ],
+  properties: {
+    groupName: { type: 'string' },
+    owner: { type: 'string' },
+    description: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+};
+
+schemas.group = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['group'],
+      properties: {
+        group: groupBase,
+        members: {
+          type: 'array',
+          items: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+schemas.groups = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['groups'],
+      properties: {
+        groups: {
+          type: 'array',
+          items: groupBase,
+        },
+      },
+    },
+  },
+};
+
+schemas.membership = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['group', 'userName'],
+      properties: {
+        group: {
+          type: 'object',
+          required: ['groupName'],
+          properties: {
+            groupName: { type: 'string' },
+          },
+        },
+        userName: { type: 'string' },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
@@ -67,6 +67,7 @@ schemas.history = {
             'timeZoneOffset',
             'anonymous',
             'isWhisper',
+            'nextCursor',
           ],
           properties: {
             roomName: { type: 'string' },
@@ -77,6 +78,7 @@ schemas.history = {
             timeZoneOffset: { type: 'number' },
             anonymous: { type: 'boolean' },
             isWhisper: { type: 'boolean' },
+            nextCursor: { type: ['string', 'null'] },
           },
         },
       },
@@ -60,4 +60,47 @@ schemas.lanternRounds = {
   },
 };
 
+const scheduledRoundBase = {
+  type: 'object',
+  required: ['startTime', 'endTime', 'isStarted', 'isEnded'],
+  properties: {
+    creator: { type: 'string' },
+    startTime: { type: 'string' },
+    endTime: { type: 'string' },
+    isStarted: { type: 'boolean' },
+    isEnded: { type: 'boolean' },
+  },
+};
+
+schemas.scheduledRound = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['round'],
+      properties: {
+        round: scheduledRoundBase,
+      },
+    },
+  },
+};
+
+schemas.scheduledRounds = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['rounds'],
+      properties: {
+        rounds: {
+          type: 'array',
+          items: scheduledRoundBase,
+        },
+      },
+    },
+  },
+};
+
 module.exports = schemas;
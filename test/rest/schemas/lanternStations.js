@@ -67,4 +67,27 @@ schemas.lanternStations = {
   },
 };
 
+schemas.hackingApiStatus = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['status'],
+      properties: {
+        status: {
+          type: 'object',
+          required: ['backend', 'isReachable'],
+          properties: {
+            backend: { type: 'string' },
+            isReachable: { type: 'boolean' },
+            stations: { type: 'array' },
+            queuedRequests: { type: 'array' },
+          },
+        },
+      },
+    },
+  },
+};
+
 module.exports = schemas;
@@ -62,4 +62,66 @@ schemas.lanternTeams = {
   },
 };
 
+schemas.leaderboard = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['leaderboard'],
+      properties: {
+        leaderboard: {
+          type: 'object',
+          required: ['teams'],
+          properties: {
+            teams: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['teamId', 'teamName', 'points', 'roundPoints', 'scoringStations', 'rank'],
+                properties: {
+                  teamId: { type: 'number' },
+                  teamName: { type: 'string' },
+                  points: { type: 'number' },
+                  roundPoints: { type: 'number' },
+                  scoringStations: { type: 'number' },
+                  rank: { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.lanternScores = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['roundStartTimes', 'scores'],
+      properties: {
+        roundStartTimes: { type: 'array' },
+        scores: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['teamId', 'points', 'totalPoints', 'time'],
+            properties: {
+              teamId: { type: 'number' },
+              points: { type: 'number' },
+              totalPoints: { type: 'number' },
+              time: { type: 'string' },
+              stations: { type: 'array' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
 module.exports = schemas;
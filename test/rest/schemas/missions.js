@@ -0,0 +1,86 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const missionBase = {
+  type: 'object',
+  required: [
+    'title',
+    'creator',
+    'owner',
+    'state',
+    'rewardAmount',
+    'applicants',
+  ],
+  properties: {
+    title: { type: 'string' },
+    creator: { type: 'string' },
+    owner: { type: 'string' },
+    agent: { type: 'string' },
+    state: { type: 'string' },
+    rewardAmount: { type: 'number' },
+    rewardCurrency: { type: 'string' },
+    transactionId: { type: 'string' },
+    applicationRequired: { type: 'boolean' },
+    applicants: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+};
+
+schemas.mission = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['mission'],
+      properties: {
+        mission: missionBase,
+        wallet: {
+          type: 'object',
+          required: ['amount'],
+          properties: {
+            amount: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.missions = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['missions'],
+      properties: {
+        missions: {
+          type: 'array',
+          items: missionBase,
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
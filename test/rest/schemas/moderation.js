@@ -0,0 +1,134 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const entryBase = {
+  type: 'object',
+  required: [
+    'time',
+    'roomName',
+    'action',
+    'moderator',
+  ],
+  properties: {
+    time: { type: 'string' },
+    roomName: { type: 'string' },
+    action: { type: 'string' },
+    moderator: { type: 'string' },
+    userName: { type: 'string' },
+    messageId: { type: 'string' },
+    text: { type: 'array', items: { type: 'string' } },
+    reason: { type: 'string' },
+  },
+};
+
+schemas.editedMessage = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['message', 'entry'],
+      properties: {
+        message: {
+          type: 'object',
+          required: ['_id', 'text', 'editedAt'],
+          properties: {
+            _id: { type: 'string' },
+            text: { type: 'array', items: { type: 'string' } },
+            editedAt: { type: 'string' },
+          },
+        },
+        entry: entryBase,
+      },
+    },
+  },
+};
+
+schemas.hiddenMessage = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['message', 'entry'],
+      properties: {
+        message: {
+          type: 'object',
+          required: ['_id', 'isHidden'],
+          properties: {
+            _id: { type: 'string' },
+            isHidden: { type: 'boolean' },
+          },
+        },
+        entry: entryBase,
+      },
+    },
+  },
+};
+
+schemas.removedMessage = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['messageId', 'entry'],
+      properties: {
+        messageId: { type: 'string' },
+        entry: entryBase,
+      },
+    },
+  },
+};
+
+schemas.userAction = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['userName', 'roomName', 'entry'],
+      properties: {
+        userName: { type: 'string' },
+        roomName: { type: 'string' },
+        entry: entryBase,
+      },
+    },
+  },
+};
+
+schemas.moderationLog = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['entries'],
+      properties: {
+        entries: {
+          type: 'array',
+          items: entryBase,
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
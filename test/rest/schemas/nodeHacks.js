@@ -0,0 +1,149 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const nodeHackBase = {
+  type: 'object',
+  required: [
+    'targetName',
+    'triesLeft',
+    'deadline',
+    'nodes',
+  ],
+  properties: {
+    targetName: { type: 'string' },
+    triesLeft: { type: 'number' },
+    deadline: { type: 'string' },
+    nodes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: [
+          'nodeId',
+          'nodeType',
+          'links',
+          'isCracked',
+          'isReachable',
+        ],
+        properties: {
+          nodeId: { type: 'number' },
+          nodeType: { type: 'string' },
+          links: {
+            type: 'array',
+            items: { type: 'number' },
+          },
+          isCracked: { type: 'boolean' },
+          isReachable: { type: 'boolean' },
+          userName: { type: 'string' },
+          passwords: {
+            type: 'array',
+            items: { type: 'string' },
+          },
+        },
+        not: { required: ['password'] },
+      },
+    },
+  },
+};
+
+schemas.nodeHack = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['nodeHack'],
+      properties: {
+        nodeHack: nodeHackBase,
+      },
+    },
+  },
+};
+
+schemas.nodeHackGuess = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { type: 'boolean' },
+        triesLeft: { type: 'number' },
+        isCompleted: { type: 'boolean' },
+        nodeHack: nodeHackBase,
+        reward: {
+          type: 'object',
+          required: ['rewardType'],
+          properties: {
+            rewardType: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.nodeHackTarget = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['target'],
+      properties: {
+        target: {
+          type: 'object',
+          required: ['targetName', 'rewardType'],
+          properties: {
+            targetName: { type: 'string' },
+            rewardType: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.nodeHackTargets = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['targets'],
+      properties: {
+        targets: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['targetName', 'rewardType'],
+            properties: {
+              targetName: { type: 'string' },
+              rewardType: { type: 'string' },
+            },
+            not: { required: ['docFileId'] },
+          },
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
@@ -78,5 +78,97 @@ schemas.positions = {
   },
 };
 
+schemas.positionHistory = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['positions', 'isTruncated'],
+      properties: {
+        isTruncated: { type: 'boolean' },
+        positions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: [
+              'owner',
+              'coordinates',
+              'time',
+            ],
+            properties: {
+              owner: { type: 'string' },
+              deviceId: { type: 'string' },
+              team: { type: 'string' },
+              time: { type: 'string' },
+              coordinates: {
+                type: 'object',
+                required: [
+                  'longitude',
+                  'latitude',
+                ],
+                properties: {
+                  longitude: { type: 'number' },
+                  latitude: { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+schemas.positionTrack = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['track', 'isTruncated'],
+      properties: {
+        isTruncated: { type: 'boolean' },
+        track: {
+          type: 'object',
+          required: [
+            'type',
+            'features',
+          ],
+          properties: {
+            type: { type: 'string' },
+            features: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: [
+                  'type',
+                  'geometry',
+                  'properties',
+                ],
+                properties: {
+                  type: { type: 'string' },
+                  geometry: {
+                    type: 'object',
+                    required: [
+                      'type',
+                      'coordinates',
+                    ],
+                    properties: {
+                      type: { type: 'string' },
+                      coordinates: { type: 'array' },
+                    },
+                  },
+                  properties: { type: 'object' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
 module.exports = schemas;
 
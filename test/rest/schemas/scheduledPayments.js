@@ -0,0 +1,73 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const scheduledPaymentBase = {
+  type: 'object',
+  required: [
+    'from',
+    'to',
+    'amount',
+    'interval',
+    'nextPaymentTime',
+    'isActive',
+  ],
+  properties: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    amount: { type: 'number' },
+    interval: { type: 'number' },
+    nextPaymentTime: { type: 'string' },
+    isActive: { type: 'boolean' },
+    failedPayments: { type: 'array' },
+  },
+};
+
+schemas.scheduledPayment = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['scheduledPayment'],
+      properties: {
+        scheduledPayment: scheduledPaymentBase,
+      },
+    },
+  },
+};
+
+schemas.scheduledPayments = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['scheduledPayments'],
+      properties: {
+        scheduledPayments: {
+          type: 'array',
+          items: scheduledPaymentBase,
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
@@ -0,0 +1,103 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const signalBlockBase = {
+  type: 'object',
+  required: [
+    'owner',
+    'positionName',
+    'blockedUsers',
+    'startTime',
+    'endTime',
+    'isActive',
+  ],
+  properties: {
+    owner: { type: 'string' },
+    positionName: { type: 'string' },
+    blockedUsers: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+    startTime: { type: 'string' },
+    endTime: { type: 'string' },
+    isActive: { type: 'boolean' },
+  },
+};
+
+schemas.signalBlock = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['signalBlock'],
+      properties: {
+        signalBlock: signalBlockBase,
+      },
+    },
+  },
+};
+
+schemas.signalBlocks = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: [
+        'signalBlocks',
+        'counterAmount',
+      ],
+      properties: {
+        signalBlocks: {
+          type: 'array',
+          items: signalBlockBase,
+        },
+        counterAmount: { type: 'number' },
+      },
+    },
+  },
+};
+
+schemas.counter = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['counter'],
+      properties: {
+        counter: {
+          type: 'object',
+          required: [
+            'owner',
+            'amount',
+          ],
+          properties: {
+            owner: { type: 'string' },
+            amount: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
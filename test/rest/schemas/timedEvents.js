@@ -0,0 +1,83 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const timedEventBase = {
+  type: 'object',
+  required: [
+    'owner',
+    'isActive',
+    'isCompleted',
+    'currentStep',
+    'steps',
+  ],
+  properties: {
+    owner: { type: 'string' },
+    eventName: { type: 'string' },
+    isActive: { type: 'boolean' },
+    isPaused: { type: 'boolean' },
+    isCompleted: { type: 'boolean' },
+    isCancelled: { type: 'boolean' },
+    isFailed: { type: 'boolean' },
+    currentStep: { type: 'number' },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['isDone'],
+        properties: {
+          isDone: { type: 'boolean' },
+        },
+      },
+    },
+  },
+};
+
+schemas.timedEvent = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['timedEvent'],
+      properties: {
+        timedEvent: timedEventBase,
+      },
+    },
+  },
+};
+
+schemas.timedEvents = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['timedEvents'],
+      properties: {
+        timedEvents: {
+          type: 'array',
+          items: timedEventBase,
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
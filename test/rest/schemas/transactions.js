@@ -72,4 +72,34 @@ schemas.allTransactions = {
   },
 };
 
+schemas.transactionHistory = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['transactions', 'totalCount', 'page', 'pageSize'],
+      properties: {
+        transactions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['from', 'to', 'time', 'amount', 'balance'],
+            properties: {
+              from: { type: 'string' },
+              to: { type: 'string' },
+              time: { type: 'string' },
+              amount: { type: 'number' },
+              balance: { type: 'number' },
+            },
+          },
+        },
+        totalCount: { type: 'number' },
+        page: { type: 'number' },
+        pageSize: { type: 'number' },
+      },
+    },
+  },
+};
+
 module.exports = schemas;
@@ -85,4 +85,54 @@ schemas.teamWallet = {
   },
 };
 
+schemas.walletStats = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['moneySupply', 'topHolders', 'teamFlows', 'volumePerHour'],
+      properties: {
+        moneySupply: { type: 'number' },
+        topHolders: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['owner', 'amount'],
+            properties: {
+              owner: { type: 'string' },
+              amount: { type: 'number' },
+            },
+          },
+        },
+        teamFlows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['fromTeam', 'toTeam', 'amount', 'transactionCount'],
+            properties: {
+              fromTeam: { type: 'string' },
+              toTeam: { type: 'string' },
+              amount: { type: 'number' },
+              transactionCount: { type: 'number' },
+            },
+          },
+        },
+        volumePerHour: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['hour', 'amount', 'transactionCount'],
+            properties: {
+              hour: { type: 'string' },
+              amount: { type: 'number' },
+              transactionCount: { type: 'number' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
 module.exports = schemas;
@@ -0,0 +1,125 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const schemas = {};
+
+const zoneBase = {
+  type: 'object',
+  required: [
+    'zoneName',
+    'positionName',
+    'isActive',
+    'enterTriggers',
+    'exitTriggers',
+    'usersInside',
+  ],
+  properties: {
+    zoneName: { type: 'string' },
+    positionName: { type: 'string' },
+    isActive: { type: 'boolean' },
+    radius: { type: 'number' },
+    enterTriggers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['triggerType'],
+        properties: {
+          triggerType: { type: 'string' },
+        },
+      },
+    },
+    exitTriggers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['triggerType'],
+        properties: {
+          triggerType: { type: 'string' },
+        },
+      },
+    },
+    usersInside: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+};
+
+schemas.zone = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['zone'],
+      properties: {
+        zone: zoneBase,
+      },
+    },
+  },
+};
+
+schemas.zones = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['zones'],
+      properties: {
+        zones: {
+          type: 'array',
+          items: zoneBase,
+        },
+      },
+    },
+  },
+};
+
+schemas.zoneEvents = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: {
+      type: 'object',
+      required: ['zoneEvents'],
+      properties: {
+        zoneEvents: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: [
+              'zoneName',
+              'userName',
+              'eventType',
+              'time',
+            ],
+            properties: {
+              zoneName: { type: 'string' },
+              userName: { type: 'string' },
+              eventType: { type: 'string' },
+              time: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+module.exports = schemas;
@@ -0,0 +1,200 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const searchSchemas = require('./schemas/search');
+const errorSchemas = require('./schemas/errors');
+const searchData = require('./testData/search');
+const tokens = require('./testData/tokens');
+const starterData = require('./testData/starter');
+const dbDocFile = require('../../db/connectors/docFile');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('Search', () => {
+  const { searchWord } = searchData;
+  const docFilesToCreate = [
+    searchData.docFileWithTitleMatch,
+    searchData.docFileWithTextMatch,
+    searchData.restrictedDocFile,
+    searchData.lockedDocFile,
+  ];
+
+  docFilesToCreate.forEach((docFile) => {
+    before(`Create docFile ${docFile.title} on /api/docFiles POST`, (done) => {
+      chai
+        .request(app)
+        .post('/api/docFiles')
+        .set('Authorization', tokens.adminUser)
+        .send({ data: { docFile } })
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+  });
+
+  it('Should NOT search with incorrect authorization on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get(`/api/search?text=${searchWord}`)
+      .set('Authorization', tokens.incorrectJwt)
+      .end((error, response) => {
+        response.should.have.status(401);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(errorSchemas.error);
+
+        done();
+      });
+  });
+
+  it('Should NOT search without text on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get('/api/search')
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        response.should.have.status(400);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(errorSchemas.error);
+
+        done();
+      });
+  });
+
+  it('Should NOT search with too long text on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get(`/api/search?text=${searchData.tooLongText}`)
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        response.should.have.status(400);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(errorSchemas.error);
+
+        done();
+      });
+  });
+
+  it('Should NOT search with unknown type on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get(`/api/search?text=${searchWord}&types=docFiles,unknown`)
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        response.should.have.status(400);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(errorSchemas.error);
+
+        done();
+      });
+  });
+
+  it('Should find docFiles and rank title matches first on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get(`/api/search?text=${searchWord}&types=docFiles`)
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(searchSchemas.search);
+        response.body.data.totalResults.should.equal(2);
+        response.body.data.results[0].docFile.title.should.equal(searchData.docFileWithTitleMatch.title);
+        response.body.data.results[1].docFile.title.should.equal(searchData.docFileWithTextMatch.title);
+        response.body.data.results[1].lines.should.have.lengthOf(1);
+
+        done();
+      });
+  });
+
+  it('Should NOT find docFiles that are restricted to groups or locked on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get(`/api/search?text=${searchWord}&types=docFiles`)
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+
+        const titles = response.body.data.results.map(result => result.docFile.title);
+
+        titles.should.not.include(searchData.restrictedDocFile.title);
+        titles.should.not.include(searchData.lockedDocFile.title);
+
+        done();
+      });
+  });
+
+  it('Should NOT match text of locked docFiles in the query', (done) => {
+    const { userName, accessLevel } = starterData.basicUserToAuth;
+
+    dbDocFile.searchDocFiles({
+      userName,
+      accessLevel,
+      searchRegExp: new RegExp(searchWord, 'i'),
+      creatorAliases: [],
+      limit: 10,
+      callback: ({ data }) => {
+        data.docFiles.map(docFile => docFile.title).should.not.include(searchData.lockedDocFile.title);
+
+        done();
+      },
+    });
+  });
+
+  it('Should find restricted and locked docFiles as admin on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get(`/api/search?text=${searchWord}&types=docFiles`)
+      .set('Authorization', tokens.adminUser)
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(searchSchemas.search);
+        response.body.data.totalResults.should.equal(4);
+
+        done();
+      });
+  });
+
+  it('Should page results on /api/search GET', (done) => {
+    chai
+      .request(app)
+      .get(`/api/search?text=${searchWord}&types=docFiles&limit=1&offset=1`)
+      .set('Authorization', tokens.basicUser)
+      .end((error, response) => {
+        response.should.have.status(200);
+        response.should.be.json;
+        response.body.should.be.jsonSchema(searchSchemas.search);
+        response.body.data.totalResults.should.equal(2);
+        response.body.data.results.should.have.lengthOf(1);
+        response.body.data.results[0].docFile.title.should.equal(searchData.docFileWithTextMatch.title);
+
+        done();
+      });
+  });
+});
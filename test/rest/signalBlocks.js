@@ -0,0 +1,247 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const signalBlockSchemas = require('./schemas/signalBlocks');
+const errorSchemas = require('./schemas/errors');
+const signalBlockData = require('./testData/signalBlocks');
+const tokens = require('./testData/tokens');
+const starterData = require('./testData/starter');
+const dbSignalBlock = require('../../db/connectors/signalBlock');
+const appConfig = require('../../config/defaults/config').app;
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('SignalBlocks', () => {
+  const blockedUserName = starterData.basicUserToAuth.userName;
+  let blockId = '';
+
+  before('Create signal block', (done) => {
+    const startTime = new Date();
+
+    dbSignalBlock.createBlock({
+      signalBlock: {
+        startTime,
+        owner: starterData.adminUserToAuth.userName,
+        positionName: `signalBlock-${starterData.adminUserToAuth.userName}`,
+        coordinates: signalBlockData.blockCoordinates,
+        blockedUsers: [starterData.adminUserToAuth.userName, blockedUserName],
+        endTime: new Date(startTime.getTime() + appConfig.signalBlockTime),
+      },
+      callback: ({ data }) => {
+        data.should.have.property('signalBlock');
+
+        blockId = data.signalBlock._id; // eslint-disable-line no-underscore-dangle
+
+        done();
+      },
+    });
+  });
+
+  describe('Get signal blocks', () => {
+    it('Should NOT get signal blocks with incorrect authorization on /api/signalBlocks GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/signalBlocks')
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get active signal blocks on /api/signalBlocks GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/signalBlocks')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(signalBlockSchemas.signalBlocks);
+          response.body.data.signalBlocks.should.not.be.empty;
+          response.body.data.counterAmount.should.equal(0);
+
+          done();
+        });
+    });
+  });
+
+  describe('Give signal counters', () => {
+    it('Should NOT give signal counters as basic user on /api/signalBlocks/counters POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/signalBlocks/counters')
+        .send({ data: { owner: blockedUserName, amount: signalBlockData.counterAmount } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT give signal counters to user that does not exist on /api/signalBlocks/counters POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/signalBlocks/counters')
+        .send({ data: { owner: signalBlockData.userThatDoesNotExist, amount: signalBlockData.counterAmount } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Counter signal block', () => {
+    it('Should NOT counter signal block without signal counters on /api/signalBlocks/:blockId/counter POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/signalBlocks/${blockId}/counter`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should give signal counters on /api/signalBlocks/counters POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/signalBlocks/counters')
+        .send({ data: { owner: blockedUserName, amount: signalBlockData.counterAmount } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(signalBlockSchemas.counter);
+          response.body.data.counter.amount.should.equal(signalBlockData.counterAmount);
+
+          done();
+        });
+    });
+
+    it('Should counter signal block and use up a signal counter on /api/signalBlocks/:blockId/counter POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/signalBlocks/${blockId}/counter`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(signalBlockSchemas.signalBlock);
+          response.body.data.signalBlock.blockedUsers.should.not.include(blockedUserName);
+          response.body.data.counterAmount.should.equal(signalBlockData.counterAmount - 1);
+
+          done();
+        });
+    });
+
+    it('Should NOT counter signal block that is not blocking the user on /api/signalBlocks/:blockId/counter POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/signalBlocks/${blockId}/counter`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Cancel signal block', () => {
+    it('Should NOT cancel signal block owned by another user on /api/signalBlocks/:blockId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/signalBlocks/${blockId}/cancel`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should cancel signal block on /api/signalBlocks/:blockId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/signalBlocks/${blockId}/cancel`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(signalBlockSchemas.signalBlock);
+          response.body.data.signalBlock.isActive.should.equal(false);
+
+          done();
+        });
+    });
+
+    it('Should NOT cancel signal block that is no longer active on /api/signalBlocks/:blockId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/signalBlocks/${blockId}/cancel`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT have cancelled signal block in active signal blocks on /api/signalBlocks GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/signalBlocks')
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.data.signalBlocks.map(signalBlock => signalBlock._id).should.not.include(blockId); // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+  });
+});
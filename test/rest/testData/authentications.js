@@ -31,6 +31,10 @@ data.adminUserToAuth = {
   visibility: dbConfig.AccessLevels.PRO,
   verified: true,
 };
+data.adminUserWithIncorrectPassword = {
+  userName: data.adminUserToAuth.userName,
+  password: `${data.adminUserToAuth.password}a`,
+};
 data.basicUserToAuth = {
   userName: tools.createRandString({ length: appConfig.userNameMaxLength }),
   password: tools.createRandString({ length: appConfig.passwordMaxLength }),
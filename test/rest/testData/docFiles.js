@@ -96,5 +96,49 @@ data.privateDocFileToCreateAndGet = {
   ],
   isPublic: true,
 };
+data.docFileToRevise = {
+  title: tools.createRandString({ length: appConfig.docFileTitleMaxLength }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [
+    tools.createRandString({ length: appConfig.docFileMaxLength / 2 }),
+    tools.createRandString({ length: appConfig.docFileMaxLength / 2 }),
+  ],
+  isPublic: true,
+};
+data.docFileRevisionUpdate = {
+  title: tools.createRandString({ length: appConfig.docFileTitleMaxLength }),
+  text: [
+    data.docFileToRevise.text[0],
+    tools.createRandString({ length: appConfig.docFileMaxLength / 2 }),
+  ],
+};
+data.lockedDocFileToCreate = {
+  title: tools.createRandString({ length: appConfig.docFileTitleMaxLength }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [
+    tools.createRandString({ length: appConfig.docFileMaxLength / 2 }),
+  ],
+  isPublic: true,
+  unlockCode: tools.createRandString({ length: appConfig.docFileUnlockCodeMaxLength }),
+};
+data.lockedDocFileToGuess = {
+  title: tools.createRandString({ length: appConfig.docFileTitleMaxLength }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [
+    tools.createRandString({ length: appConfig.docFileMaxLength / 2 }),
+  ],
+  isPublic: true,
+  unlockCode: tools.createRandString({ length: appConfig.docFileUnlockCodeMaxLength }),
+};
+data.lockedDocFileToGuessInParallel = {
+  title: tools.createRandString({ length: appConfig.docFileTitleMaxLength }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [
+    tools.createRandString({ length: appConfig.docFileMaxLength / 2 }),
+  ],
+  isPublic: true,
+  unlockCode: tools.createRandString({ length: appConfig.docFileUnlockCodeMaxLength }),
+};
+data.incorrectUnlockCode = tools.createRandString({ length: appConfig.docFileUnlockCodeMaxLength + 1 });
 
 module.exports = data;
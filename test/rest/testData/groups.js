@@ -0,0 +1,59 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const tools = require('../helper/tools');
+const appConfig = require('../../../config/defaults/config').app;
+const dbConfig = require('../../../config/defaults/config').databasePopulation;
+
+const data = {};
+
+data.groupToCreate = {
+  groupName: tools.createRandString({ length: appConfig.groupNameMaxLength }),
+  description: [tools.createRandString({ length: 10 })],
+};
+
+data.groupWithInvalidName = {
+  groupName: `${tools.createRandString({ length: 5 })}!`,
+};
+
+data.docFileToRestrict = {
+  title: tools.createRandString({ length: appConfig.docFileTitleMaxLength }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [tools.createRandString({ length: 10 })],
+  isPublic: true,
+  accessGroups: [data.groupToCreate.groupName],
+};
+
+data.teamName = tools.createRandString({ length: appConfig.teamNameMaxLength });
+
+data.teamDocFileToRestrict = {
+  title: tools.createRandString({ length: appConfig.docFileTitleMaxLength }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [tools.createRandString({ length: 10 })],
+  isPublic: true,
+  team: data.teamName,
+  accessLevel: dbConfig.AccessLevels.ADMIN,
+  accessGroups: [data.groupToCreate.groupName],
+};
+
+data.roomToRestrict = {
+  roomName: tools.createRandString({ length: appConfig.roomNameMaxLength }).toLowerCase(),
+  accessGroups: [data.groupToCreate.groupName],
+};
+
+module.exports = data;
@@ -46,4 +46,17 @@ data.lanternRoundToGet = {
   endTime: '2017-10-25T23:42:06.262Z',
 };
 
+data.scheduledRoundToCreate = {
+  startTime: new Date(Date.now() + 86400000),
+  endTime: new Date(Date.now() + 90000000),
+};
+data.scheduledRoundThatOverlaps = {
+  startTime: new Date(Date.now() + 87000000),
+  endTime: new Date(Date.now() + 95000000),
+};
+data.scheduledRoundThatEndsBeforeStart = {
+  startTime: new Date(Date.now() + 172800000),
+  endTime: new Date(Date.now() + 86400000),
+};
+
 module.exports = data;
@@ -34,6 +34,18 @@ data.lanternStationWithNewOwner = {
 data.lanternStationUnderAttack = {
   isUnderAttack: true,
 };
+data.lanternStationWithDifficulty = {
+  difficulty: {
+    tier: 'hard',
+    triesAmount: 4,
+    hintTypes: ['start', 'length'],
+  },
+};
+data.lanternStationWithInvalidDifficulty = {
+  difficulty: {
+    tier: 'impossible',
+  },
+};
 data.lanternStationThatDoesNotExist = {
   stationId: 3,
   stationName: `${tools.createRandString({ length: 5 })}`,
@@ -47,4 +47,16 @@ data.tooLongMessage = {
   ],
 };
 
+data.searchWord = tools.createRandString({ length: 10 });
+data.messagesToPage = [
+  {
+    roomName: data.roomToCreateAndSendMessagesTo.roomName,
+    text: [tools.createRandString({ length: 10 })],
+  },
+  {
+    roomName: data.roomToCreateAndSendMessagesTo.roomName,
+    text: [`${tools.createRandString({ length: 10 })} ${data.searchWord}`],
+  },
+];
+
 module.exports = data;
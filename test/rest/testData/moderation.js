@@ -0,0 +1,36 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const tools = require('../helper/tools');
+const appConfig = require('../../../config/defaults/config').app;
+
+const data = {};
+
+data.roomToModerate = {
+  roomName: tools.createRandString({ length: appConfig.roomNameMaxLength }),
+};
+data.messageToModerate = {
+  text: [tools.createRandString({ length: 10 })],
+};
+data.editedText = [tools.createRandString({ length: 10 })];
+data.tooLongText = [tools.createRandString({ length: appConfig.messageMaxLength + 1 })];
+data.reason = tools.createRandString({ length: 10 });
+data.messageIdThatDoesNotExist = '5a1d2c2d1b4c8e0f3c8b4567';
+data.moderationLogLength = 6;
+
+module.exports = data;
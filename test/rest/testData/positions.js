@@ -64,5 +64,16 @@ data.basicUserToCreateAndGetPositionFrom = {
   verified: true,
   accessLevel: dbConfig.AccessLevels.BASIC,
 };
+data.surveillanceGroup = tools.createRandString({ length: appConfig.groupNameMaxLength });
+data.restrictedDevicePosition = {
+  positionName: tools.createRandString({ length: 5 }),
+  deviceId: tools.createRandString({ length: appConfig.deviceIdLength }),
+  coordinates: {
+    longitude: 20,
+    latitude: 20,
+  },
+  markerType: 'device',
+  accessGroups: [tools.createRandString({ length: appConfig.groupNameMaxLength })],
+};
 
 module.exports = data;
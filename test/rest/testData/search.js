@@ -0,0 +1,61 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const tools = require('../helper/tools');
+const appConfig = require('../../../config/defaults/config').app;
+
+const data = {};
+
+data.searchWord = tools.createRandString({ length: 10 });
+
+data.docFileWithTitleMatch = {
+  title: `${data.searchWord} ${tools.createRandString({ length: 10 })}`,
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [tools.createRandString({ length: 10 })],
+  isPublic: true,
+};
+
+data.docFileWithTextMatch = {
+  title: tools.createRandString({ length: 20 }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [
+    tools.createRandString({ length: 10 }),
+    `${tools.createRandString({ length: 10 })} ${data.searchWord}`,
+  ],
+  isPublic: true,
+};
+
+data.restrictedDocFile = {
+  title: `${data.searchWord} ${tools.createRandString({ length: 10 })}`,
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [data.searchWord],
+  isPublic: true,
+  accessGroups: [tools.createRandString({ length: appConfig.groupNameMaxLength })],
+};
+
+data.lockedDocFile = {
+  title: tools.createRandString({ length: 20 }),
+  docFileId: tools.createRandString({ length: appConfig.docFileIdMaxLength }),
+  text: [data.searchWord],
+  isPublic: true,
+  unlockCode: tools.createRandString({ length: appConfig.docFileUnlockCodeMaxLength }),
+};
+
+data.tooLongText = tools.createRandString({ length: appConfig.searchTextMaxLength + 1 });
+
+module.exports = data;
@@ -0,0 +1,34 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const tools = require('../helper/tools');
+
+const data = {};
+
+data.blockCoordinates = {
+  longitude: 10.1,
+  latitude: 42.3,
+  accuracy: 20,
+  radius: 60,
+};
+
+data.counterAmount = 2;
+
+data.userThatDoesNotExist = tools.createRandString({ length: 10 });
+
+module.exports = data;
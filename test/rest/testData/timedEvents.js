@@ -0,0 +1,52 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const tools = require('../helper/tools');
+
+const data = {};
+
+data.timedEventToCreate = {
+  eventName: `${tools.createRandString({ length: 10 })}`,
+  steps: [{
+    timer: { duration: 600 },
+    message: { text: ['Power is failing'], shouldBroadcast: true },
+  }, {
+    timer: { duration: 600 },
+    coordinates: { latitude: 59.3293, longitude: 18.0686 },
+  }],
+};
+data.timedEventToResume = {
+  eventName: `${tools.createRandString({ length: 10 })}`,
+  steps: [{
+    message: { text: ['Backup power is online'], shouldBroadcast: true },
+  }, {
+    timer: { duration: 600 },
+    message: { text: ['Backup power is failing'], shouldBroadcast: true },
+  }],
+};
+data.timedEventToUpdate = {
+  eventName: `${tools.createRandString({ length: 10 })}`,
+};
+data.timedEventWithInvalidStep = {
+  eventName: `${tools.createRandString({ length: 10 })}`,
+  steps: [{
+    timer: { duration: 10 },
+  }],
+};
+
+module.exports = data;
@@ -0,0 +1,74 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const tools = require('../helper/tools');
+
+const data = {};
+
+data.positionToLinkTo = {
+  positionName: tools.createRandString({ length: 10 }),
+  coordinates: {
+    longitude: 30,
+    latitude: 30,
+    radius: 100,
+  },
+  markerType: 'custom',
+  isStatic: true,
+};
+
+data.zoneToCreate = {
+  zoneName: tools.createRandString({ length: 10 }),
+  positionName: data.positionToLinkTo.positionName,
+  enterTriggers: [{
+    triggerType: 'message',
+    text: [tools.createRandString({ length: 10 })],
+  }],
+  exitTriggers: [{
+    triggerType: 'wallet',
+    amount: 1,
+  }],
+};
+
+data.zoneWithInvalidTrigger = {
+  zoneName: tools.createRandString({ length: 10 }),
+  positionName: data.positionToLinkTo.positionName,
+  enterTriggers: [{
+    triggerType: tools.createRandString({ length: 10 }),
+  }],
+};
+
+data.zoneWithoutPosition = {
+  zoneName: tools.createRandString({ length: 10 }),
+  positionName: tools.createRandString({ length: 10 }),
+};
+
+data.positionInsideZone = {
+  coordinates: {
+    longitude: 30.0001,
+    latitude: 30.0001,
+  },
+};
+
+data.positionOutsideZone = {
+  coordinates: {
+    longitude: 31,
+    latitude: 31,
+  },
+};
+
+module.exports = data;
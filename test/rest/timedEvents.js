@@ -0,0 +1,486 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const timedEventSchemas = require('./schemas/timedEvents');
+const errorSchemas = require('./schemas/errors');
+const successSchemas = require('./schemas/successes');
+const timedEventData = require('./testData/timedEvents');
+const tokens = require('./testData/tokens');
+const dbTimedEvent = require('../../db/connectors/timedEvent');
+const timedEventManager = require('../../managers/timedEvents');
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('TimedEvents', () => {
+  let eventId = '';
+
+  describe('Create timed event', () => {
+    it('Should NOT create timed event with incorrect authorization on /api/timedEvents POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/timedEvents')
+        .send({ data: { timedEvent: timedEventData.timedEventToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create timed event with a step without message, coordinates or unlocks on /api/timedEvents POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/timedEvents')
+        .send({ data: { timedEvent: timedEventData.timedEventWithInvalidStep } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should create timed event on /api/timedEvents POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/timedEvents')
+        .send({ data: { timedEvent: timedEventData.timedEventToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          eventId = response.body.data.timedEvent._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+  });
+
+  describe('Get timed events', () => {
+    it('Should NOT get timed events with incorrect authorization on /api/timedEvents GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/timedEvents')
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get timed events on /api/timedEvents GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/timedEvents')
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvents);
+
+          done();
+        });
+    });
+
+    it('Should NOT get timed event with incorrect authorization on /api/timedEvents/:eventId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/timedEvents/${eventId}`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get timed event on /api/timedEvents/:eventId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/timedEvents/${eventId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          done();
+        });
+    });
+  });
+
+  describe('Update timed event', () => {
+    it('Should NOT update timed event with incorrect authorization on /api/timedEvents/:eventId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}`)
+        .send({ data: { timedEvent: timedEventData.timedEventToUpdate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should update timed event on /api/timedEvents/:eventId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}`)
+        .send({ data: { timedEvent: timedEventData.timedEventToUpdate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          done();
+        });
+    });
+  });
+
+  describe('Start timed event', () => {
+    it('Should NOT start timed event with incorrect authorization on /api/timedEvents/:eventId/start POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/start`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should start timed event on /api/timedEvents/:eventId/start POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/start`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          done();
+        });
+    });
+  });
+
+  describe('Update started timed event', () => {
+    it('Should NOT update started timed event on /api/timedEvents/:eventId POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}`)
+        .send({ data: { timedEvent: timedEventData.timedEventToUpdate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Pause timed event', () => {
+    it('Should NOT pause timed event with incorrect authorization on /api/timedEvents/:eventId/pause POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/pause`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should pause timed event on /api/timedEvents/:eventId/pause POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/pause`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          done();
+        });
+    });
+  });
+
+  describe('Resume timed event', () => {
+    it('Should NOT resume timed event with incorrect authorization on /api/timedEvents/:eventId/resume POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/resume`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should resume timed event on /api/timedEvents/:eventId/resume POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/resume`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          done();
+        });
+    });
+  });
+
+  describe('Skip step in timed event', () => {
+    it('Should NOT skip step in timed event with incorrect authorization on /api/timedEvents/:eventId/skipStep POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/skipStep`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should skip step in timed event on /api/timedEvents/:eventId/skipStep POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/skipStep`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          done();
+        });
+    });
+  });
+
+  describe('Cancel timed event', () => {
+    it('Should NOT cancel timed event with incorrect authorization on /api/timedEvents/:eventId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/cancel`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should cancel timed event on /api/timedEvents/:eventId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${eventId}/cancel`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+
+          done();
+        });
+    });
+  });
+
+  describe('Store and resume progress of timed event', () => {
+    let resumedEventId = '';
+
+    before('Create timed event on /api/timedEvents POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/timedEvents')
+        .send({ data: { timedEvent: timedEventData.timedEventToResume } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          resumedEventId = response.body.data.timedEvent._id; // eslint-disable-line no-underscore-dangle
+
+          done();
+        });
+    });
+
+    before('Start timed event on /api/timedEvents/:eventId/start POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${resumedEventId}/start`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          setTimeout(done, 500);
+        });
+    });
+
+    after('Cancel timed event on /api/timedEvents/:eventId/cancel POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/timedEvents/${resumedEventId}/cancel`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    it('Should store triggered step in timed event on /api/timedEvents/:eventId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/timedEvents/${resumedEventId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(timedEventSchemas.timedEvent);
+          response.body.data.timedEvent.currentStep.should.equal(1);
+          response.body.data.timedEvent.steps[0].isDone.should.be.true;
+          response.body.data.timedEvent.steps[1].isDone.should.be.false;
+          response.body.data.timedEvent.should.have.property('nextTriggerTime');
+
+          done();
+        });
+    });
+
+    it('Should keep failed timed event active', (done) => {
+      dbTimedEvent.failTimedEvent({
+        eventId: resumedEventId,
+        callback: ({ data }) => {
+          data.timedEvent.isFailed.should.be.true;
+          data.timedEvent.isActive.should.be.true;
+
+          done();
+        },
+      });
+    });
+
+    it('Should resume failed timed event', (done) => {
+      timedEventManager.resumeTimedEvents({
+        io: app.io,
+        callback: ({ data }) => {
+          data.timedEvents.map(timedEvent => timedEvent._id.toString()).should.include(resumedEventId); // eslint-disable-line no-underscore-dangle
+
+          done();
+        },
+      });
+    });
+
+    it('Should NOT trigger stored step again after resume on /api/timedEvents/:eventId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/timedEvents/${resumedEventId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.body.data.timedEvent.currentStep.should.equal(1);
+
+          done();
+        });
+    });
+  });
+
+  describe('Remove timed event', () => {
+    it('Should NOT remove timed event with incorrect authorization on /api/timedEvents/:eventId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/timedEvents/${eventId}`)
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should remove timed event on /api/timedEvents/:eventId DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/timedEvents/${eventId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(successSchemas.success);
+
+          done();
+        });
+    });
+
+    it('Should NOT get removed timed event on /api/timedEvents/:eventId GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/timedEvents/${eventId}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+});
@@ -29,6 +29,9 @@ const walletData = require('./testData/wallets');
 const userSchemas = require('./schemas/users');
 const authenticateSchemas = require('./schemas/authentications');
 const dbWallet = require('../../db/connectors/wallet');
+const dbTransaction = require('../../db/connectors/transaction');
+const errorCreator = require('../../objects/error/errorCreator');
+const dbConfig = require('../../config/defaults/config').databasePopulation;
 const starterData = require('./testData/starter');
 const transactionSchemas = require('./schemas/transactions');
 const transactionData = require('./testData/transactions');
@@ -330,6 +333,7 @@ describe('Wallets', () => {
           response.should.have.status(400);
           response.should.be.json;
           response.body.should.be.jsonSchema(errorSchemas.error);
+          response.body.error.title.should.equal('Invalid data');
           done();
         });
     });
@@ -597,6 +601,21 @@ describe('Wallets', () => {
           });
       });
 
+      it('Should NOT create transaction to non-existing wallet on /api/transactions POST', (done) => {
+        chai
+          .request(app)
+          .post(`/api/wallets/${transactionData.newUserToSendCredits.userName}/transactions`)
+          .set('Authorization', transactionTokens.rich)
+          .send({ data: { transaction: { to: `${transactionData.newUserToReceiveCredits.userName}-nonexisting`, amount: 10 } } })
+          .end((error, response) => {
+            response.should.have.status(404);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(errorSchemas.error);
+
+            done();
+          });
+      });
+
       it('Should NOT create transaction with amount that is less than 0 on /api/transactions POST', (done) => {
         chai
           .request(app)
@@ -612,5 +631,352 @@ describe('Wallets', () => {
           });
       });
     });
+
+    describe('Get transaction history', () => {
+      it('Should NOT get transaction history with incorrect authorization on /api/wallets/:owner/transactions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/wallets/${transactionData.newUserToSendCredits.userName}/transactions/history`)
+          .set('Authorization', tokens.incorrectJwt)
+          .end((error, response) => {
+            response.should.have.status(401);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(errorSchemas.error);
+
+            done();
+          });
+      });
+
+      it('Should NOT get transaction history for another user on /api/wallets/:owner/transactions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/wallets/${transactionData.newUserToSendCredits.userName}/transactions/history`)
+          .set('Authorization', transactionTokens.poor)
+          .end((error, response) => {
+            response.should.have.status(401);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(errorSchemas.error);
+
+            done();
+          });
+      });
+
+      it('Should get transaction history with balance on /api/wallets/:owner/transactions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/wallets/${transactionData.newUserToSendCredits.userName}/transactions/history`)
+          .set('Authorization', transactionTokens.rich)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(transactionSchemas.transactionHistory);
+            response.body.data.totalCount.should.equal(1);
+            response.body.data.transactions[0].balance.should.equal(90);
+
+            done();
+          });
+      });
+
+      it('Should get empty page after last transaction on /api/wallets/:owner/transactions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/wallets/${transactionData.newUserToSendCredits.userName}/transactions/history?page=2&pageSize=1`)
+          .set('Authorization', transactionTokens.rich)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(transactionSchemas.transactionHistory);
+            response.body.data.transactions.should.have.lengthOf(0);
+
+            done();
+          });
+      });
+
+      it('Should NOT get transaction history with incorrect date on /api/wallets/:owner/transactions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/wallets/${transactionData.newUserToSendCredits.userName}/transactions/history?startDate=notadate`)
+          .set('Authorization', transactionTokens.rich)
+          .end((error, response) => {
+            response.should.have.status(400);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(errorSchemas.error);
+
+            done();
+          });
+      });
+
+      it('Should export transaction history as CSV on /api/wallets/:owner/transactions/history GET', (done) => {
+        chai
+          .request(app)
+          .get(`/api/wallets/${transactionData.newUserToReceiveCredits.userName}/transactions/history?format=csv`)
+          .set('Authorization', transactionTokens.poor)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.have.header('content-type', /text\/csv/);
+            response.text.split('\r\n').should.have.lengthOf(2);
+
+            done();
+          });
+      });
+    });
+
+    describe('Get wallet stats', () => {
+      it('Should NOT get wallet stats with too low access level on /api/wallets/stats GET', (done) => {
+        chai
+          .request(app)
+          .get('/api/wallets/stats')
+          .set('Authorization', transactionTokens.rich)
+          .end((error, response) => {
+            response.should.have.status(401);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(errorSchemas.error);
+
+            done();
+          });
+      });
+
+      it('Should get wallet stats on /api/wallets/stats GET', (done) => {
+        chai
+          .request(app)
+          .get('/api/wallets/stats?topHolderAmount=2')
+          .set('Authorization', tokens.adminUser)
+          .end((error, response) => {
+            response.should.have.status(200);
+            response.should.be.json;
+            response.body.should.be.jsonSchema(walletSchemas.walletStats);
+            response.body.data.topHolders.should.have.lengthOf.at.most(2);
+
+            done();
+          });
+      });
+    });
+
+    describe('Transfer between wallets', () => {
+      const sender = transactionData.newUserToSendCredits.userName;
+      const receiver = transactionData.newUserToReceiveCredits.userName;
+
+      beforeEach(`Reset ${sender} wallet`, (done) => {
+        dbWallet.resetWalletAmount({
+          owner: sender,
+          callback: ({ data }) => {
+            data.should.have.property('wallet');
+            done();
+          },
+        });
+      });
+
+      beforeEach(`Reset ${receiver} wallet`, (done) => {
+        dbWallet.resetWalletAmount({
+          owner: receiver,
+          callback: ({ data }) => {
+            data.should.have.property('wallet');
+            done();
+          },
+        });
+      });
+
+      beforeEach(`Give ${sender} credits`, (done) => {
+        dbWallet.increaseAmount({
+          owner: sender,
+          amount: 10,
+          callback: ({ data }) => {
+            data.should.have.property('wallet');
+            done();
+          },
+        });
+      });
+
+      it('Should NOT transfer more than the sender has', (done) => {
+        dbWallet.transferAmount({
+          transaction: { from: sender, to: receiver, amount: 11 },
+          callback: ({ error }) => {
+            error.type.should.equal(errorCreator.ErrorTypes.INSUFFICIENT);
+
+            dbWallet.getWallet({
+              owner: sender,
+              callback: ({ data }) => {
+                data.wallet.amount.should.equal(10);
+                data.wallet.pendingTransactions.should.be.empty;
+
+                done();
+              },
+            });
+          },
+        });
+      });
+
+      it('Should NOT transfer to the same wallet', (done) => {
+        dbWallet.transferAmount({
+          transaction: { from: sender, to: sender, amount: 5 },
+          callback: ({ error }) => {
+            error.type.should.equal(errorCreator.ErrorTypes.INVALIDDATA);
+
+            dbWallet.getWallet({
+              owner: sender,
+              callback: ({ data }) => {
+                data.wallet.amount.should.equal(10);
+
+                done();
+              },
+            });
+          },
+        });
+      });
+
+      it('Should only complete concurrent transfers that the sender has enough for', (done) => {
+        const transferAmount = 4;
+        const transferCount = 3;
+        const results = [];
+
+        /**
+         * Check the wallets when all transfers are done
+         */
+        function checkWallets() {
+          const successCount = results.filter(result => result.data).length;
+
+          successCount.should.equal(2);
+
+          dbWallet.getWallet({
+            owner: sender,
+            callback: ({ data: senderData }) => {
+              senderData.wallet.amount.should.equal(10 - (successCount * transferAmount));
+              senderData.wallet.pendingTransactions.should.be.empty;
+
+              dbWallet.getWallet({
+                owner: receiver,
+                callback: ({ data: receiverData }) => {
+                  receiverData.wallet.amount.should.equal(successCount * transferAmount);
+                  receiverData.wallet.pendingTransactions.should.be.empty;
+
+                  done();
+                },
+              });
+            },
+          });
+        }
+
+        for (let i = 0; i < transferCount; i += 1) {
+          dbWallet.transferAmount({
+            transaction: { from: sender, to: receiver, amount: transferAmount },
+            callback: (result) => {
+              results.push(result);
+
+              if (results.length === transferCount) {
+                checkWallets();
+              }
+            },
+          });
+        }
+      });
+
+      it('Should finish interrupted transfer that has been withdrawn from the sender', (done) => {
+        dbWallet.lockTransfer({
+          transaction: { from: sender, to: receiver, amount: 5 },
+          callback: ({ data: lockData }) => {
+            const transactionId = lockData.transaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+            dbTransaction.releaseEscrowTransaction({
+              transactionId,
+              callback: ({ data: releaseData }) => {
+                releaseData.transaction.state.should.equal(dbTransaction.TransactionStates.PENDING);
+
+                dbWallet.recoverTransfers({
+                  callback: () => {
+                    dbTransaction.getTransaction({
+                      transactionId,
+                      callback: ({ data: storedData }) => {
+                        storedData.transaction.state.should.equal(dbTransaction.TransactionStates.DONE);
+
+                        dbWallet.getWallet({
+                          owner: receiver,
+                          callback: ({ data }) => {
+                            data.wallet.amount.should.equal(5);
+                            data.wallet.pendingTransactions.should.be.empty;
+
+                            done();
+                          },
+                        });
+                      },
+                    });
+                  },
+                });
+              },
+            });
+          },
+        });
+      });
+
+      it('Should cancel interrupted transfer that has not been withdrawn from the sender', (done) => {
+        dbTransaction.createTransaction({
+          transaction: { from: sender, to: receiver, amount: 5, state: dbTransaction.TransactionStates.PENDING },
+          callback: ({ data: createData }) => {
+            const transactionId = createData.transaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+            dbWallet.recoverTransfers({
+              callback: () => {
+                dbTransaction.getTransaction({
+                  transactionId,
+                  callback: ({ data: storedData }) => {
+                    storedData.transaction.state.should.equal(dbTransaction.TransactionStates.CANCELLED);
+
+                    dbWallet.getWallet({
+                      owner: sender,
+                      callback: ({ data }) => {
+                        data.wallet.amount.should.equal(10);
+
+                        done();
+                      },
+                    });
+                  },
+                });
+              },
+            });
+          },
+        });
+      });
+
+      it('Should deposit system transfer to the receiver and set it to done', (done) => {
+        dbWallet.depositSystemTransfer({
+          transaction: { from: dbConfig.systemUserName, to: receiver, amount: 5 },
+          callback: ({ data }) => {
+            data.transaction.state.should.equal(dbTransaction.TransactionStates.DONE);
+            data.toWallet.amount.should.equal(5);
+            data.toWallet.pendingTransactions.should.be.empty;
+
+            done();
+          },
+        });
+      });
+
+      it('Should cancel interrupted system transfer that has not been deposited to the receiver', (done) => {
+        dbTransaction.createTransaction({
+          transaction: { from: dbConfig.systemUserName, to: receiver, amount: 5, state: dbTransaction.TransactionStates.PENDING },
+          callback: ({ data: createData }) => {
+            const transactionId = createData.transaction._id.toString(); // eslint-disable-line no-underscore-dangle
+
+            dbWallet.recoverTransfers({
+              callback: () => {
+                dbTransaction.getTransaction({
+                  transactionId,
+                  callback: ({ data: storedData }) => {
+                    storedData.transaction.state.should.equal(dbTransaction.TransactionStates.CANCELLED);
+
+                    dbWallet.getWallet({
+                      owner: receiver,
+                      callback: ({ data }) => {
+                        data.wallet.amount.should.equal(0);
+
+                        done();
+                      },
+                    });
+                  },
+                });
+              },
+            });
+          },
+        });
+      });
+    });
   });
 });
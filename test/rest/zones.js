@@ -0,0 +1,354 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions */
+
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../../app');
+const chaiJson = require('chai-json-schema');
+const zoneSchemas = require('./schemas/zones');
+const errorSchemas = require('./schemas/errors');
+const zoneData = require('./testData/zones');
+const tokens = require('./testData/tokens');
+const starterData = require('./testData/starter');
+const dbPosition = require('../../db/connectors/position');
+const dbConfig = require('../../config/defaults/config').databasePopulation;
+
+chai.should();
+chai.use(chaiHttp);
+chai.use(chaiJson);
+
+describe('Zones', () => {
+  const { zoneName } = zoneData.zoneToCreate;
+  const { userName } = starterData.basicUserToAuth;
+
+  before(`Create position ${zoneData.positionToLinkTo.positionName}`, (done) => {
+    dbPosition.updatePosition({
+      position: Object.assign({ owner: dbConfig.systemUserName, lastUpdated: new Date() }, zoneData.positionToLinkTo),
+      callback: ({ data }) => {
+        data.should.have.property('position');
+
+        done();
+      },
+    });
+  });
+
+  describe('Create zone', () => {
+    it('Should NOT create zone with incorrect authorization on /api/zones POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/zones')
+        .send({ data: { zone: zoneData.zoneToCreate } })
+        .set('Authorization', tokens.incorrectJwt)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create zone as basic user on /api/zones POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/zones')
+        .send({ data: { zone: zoneData.zoneToCreate } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create zone with invalid trigger on /api/zones POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/zones')
+        .send({ data: { zone: zoneData.zoneWithInvalidTrigger } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(400);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should NOT create zone linked to position that does not exist on /api/zones POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/zones')
+        .send({ data: { zone: zoneData.zoneWithoutPosition } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should create zone on /api/zones POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/zones')
+        .send({ data: { zone: zoneData.zoneToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(zoneSchemas.zone);
+          response.body.data.zone.radius.should.equal(zoneData.positionToLinkTo.coordinates.radius);
+
+          done();
+        });
+    });
+
+    it('Should NOT create zone that already exists on /api/zones POST', (done) => {
+      chai
+        .request(app)
+        .post('/api/zones')
+        .send({ data: { zone: zoneData.zoneToCreate } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(403);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should get zones on /api/zones GET', (done) => {
+      chai
+        .request(app)
+        .get('/api/zones')
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(zoneSchemas.zones);
+          response.body.data.zones.map(zone => zone.zoneName).should.include(zoneName);
+
+          done();
+        });
+    });
+  });
+
+  describe('Enter and leave zone', () => {
+    it('Should update user position inside zone on /api/users/:userName/position POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/users/${userName}/position`)
+        .send({ data: { position: zoneData.positionInsideZone } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    it('Should have logged user entering zone on /api/zones/:zoneName/events GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/zones/${zoneName}/events`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(zoneSchemas.zoneEvents);
+          response.body.data.zoneEvents.should.have.lengthOf(1);
+          response.body.data.zoneEvents[0].eventType.should.equal('enter');
+          response.body.data.zoneEvents[0].userName.should.equal(userName);
+
+          done();
+        });
+    });
+
+    it('Should NOT log user entering zone again when moving within zone on /api/users/:userName/position POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/users/${userName}/position`)
+        .send({ data: { position: zoneData.positionInsideZone } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          chai
+            .request(app)
+            .get(`/api/zones/${zoneName}/events`)
+            .set('Authorization', tokens.adminUser)
+            .end((eventsError, eventsResponse) => {
+              eventsResponse.should.have.status(200);
+              eventsResponse.body.data.zoneEvents.should.have.lengthOf(1);
+
+              done();
+            });
+        });
+    });
+
+    it('Should update user position outside zone on /api/users/:userName/position POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/users/${userName}/position`)
+        .send({ data: { position: zoneData.positionOutsideZone } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          done();
+        });
+    });
+
+    it('Should have logged user leaving zone on /api/zones/:zoneName/events GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/zones/${zoneName}/events`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(zoneSchemas.zoneEvents);
+          response.body.data.zoneEvents.should.have.lengthOf(2);
+          response.body.data.zoneEvents[0].eventType.should.equal('exit');
+
+          done();
+        });
+    });
+
+    it('Should NOT get zone events as basic user on /api/zones/:zoneName/events GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/zones/${zoneName}/events`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+
+  describe('Update zone', () => {
+    it('Should NOT update zone as basic user on /api/zones/:zoneName POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/zones/${zoneName}`)
+        .send({ data: { zone: { isActive: false } } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should deactivate zone on /api/zones/:zoneName POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/zones/${zoneName}`)
+        .send({ data: { zone: { isActive: false } } })
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(zoneSchemas.zone);
+          response.body.data.zone.isActive.should.equal(false);
+
+          done();
+        });
+    });
+
+    it('Should NOT log user entering deactivated zone on /api/users/:userName/position POST', (done) => {
+      chai
+        .request(app)
+        .post(`/api/users/${userName}/position`)
+        .send({ data: { position: zoneData.positionInsideZone } })
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+
+          chai
+            .request(app)
+            .get(`/api/zones/${zoneName}/events`)
+            .set('Authorization', tokens.adminUser)
+            .end((eventsError, eventsResponse) => {
+              eventsResponse.should.have.status(200);
+              eventsResponse.body.data.zoneEvents.should.have.lengthOf(2);
+
+              done();
+            });
+        });
+    });
+  });
+
+  describe('Remove zone', () => {
+    it('Should NOT remove zone as basic user on /api/zones/:zoneName DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/zones/${zoneName}`)
+        .set('Authorization', tokens.basicUser)
+        .end((error, response) => {
+          response.should.have.status(401);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+
+    it('Should remove zone on /api/zones/:zoneName DELETE', (done) => {
+      chai
+        .request(app)
+        .delete(`/api/zones/${zoneName}`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(200);
+          response.should.be.json;
+
+          done();
+        });
+    });
+
+    it('Should NOT get events of removed zone on /api/zones/:zoneName/events GET', (done) => {
+      chai
+        .request(app)
+        .get(`/api/zones/${zoneName}/events`)
+        .set('Authorization', tokens.adminUser)
+        .end((error, response) => {
+          response.should.have.status(404);
+          response.should.be.json;
+          response.body.should.be.jsonSchema(errorSchemas.error);
+
+          done();
+        });
+    });
+  });
+});
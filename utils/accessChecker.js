@@ -0,0 +1,87 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const dbConfig = require('../config/defaults/config').databasePopulation;
+
+/**
+ * Check if the user owns or has been given explicit access to an object. Admins have access to all objects.
+ * Members of the team set on the object have access to it
+ * @param {Object} params.objectToAccess Object with owner/creator, accessUsers and team
+ * @param {Object} params.user User
+ * @returns {boolean} Has the user explicit access?
+ */
+function hasExplicitAccess({ objectToAccess, user }) {
+  const { owner, creator, accessUsers = [], team } = objectToAccess;
+
+  return user.accessLevel >= dbConfig.AccessLevels.LOWERADMIN
+    || (typeof user.userName === 'string' && (owner === user.userName || creator === user.userName))
+    || accessUsers.indexOf(user.userName) > -1
+    || (typeof user.team === 'string' && team === user.team);
+}
+
+/**
+ * Check if the user passes the group restriction of an object. Objects without accessGroups are not restricted.
+ * Members of one of the groups and users with explicit access pass the restriction
+ * @param {Object} params.objectToAccess Object with owner/creator, accessUsers, accessGroups and team
+ * @param {Object} params.user User
+ * @returns {boolean} Does the user pass the group restriction?
+ */
+function isInAccessGroups({ objectToAccess, user }) {
+  const { accessGroups = [] } = objectToAccess;
+  const authGroups = user.authGroups || [];
+
+  if (accessGroups.length === 0 || hasExplicitAccess({ objectToAccess, user })) {
+    return true;
+  }
+
+  return accessGroups.some(group => authGroups.indexOf(group) > -1);
+}
+
+/**
+ * Check if the user has access to an object, such as a docFile, room or position.
+ * Owners, users in accessUsers, members of the team set on the object and admins always have access.
+ * Other users need a high enough access level and pass the group restriction
+ * @param {Object} params.objectToAccess Object with owner/creator, accessUsers, accessLevel, accessGroups and team
+ * @param {Object} params.user User
+ * @returns {boolean} Has the user access?
+ */
+function hasAccessTo({ objectToAccess, user }) {
+  const { accessLevel = dbConfig.AccessLevels.ANONYMOUS } = objectToAccess;
+
+  if (hasExplicitAccess({ objectToAccess, user })) {
+    return true;
+  }
+
+  return user.accessLevel >= accessLevel && isInAccessGroups({ objectToAccess, user });
+}
+
+/**
+ * Check if the user is allowed to restrict objects to the groups. Users can only restrict objects to groups that they are members of. Admins can use all groups
+ * @param {string[]} [params.accessGroups] Names of the groups
+ * @param {Object} params.user User
+ * @returns {boolean} Can the user restrict objects to the groups?
+ */
+function canUseGroups({ accessGroups = [], user }) {
+  const authGroups = user.authGroups || [];
+
+  return user.accessLevel >= dbConfig.AccessLevels.LOWERADMIN || accessGroups.every(group => authGroups.indexOf(group) > -1);
+}
+
+exports.hasAccessTo = hasAccessTo;
+exports.isInAccessGroups = isInAccessGroups;
+exports.canUseGroups = canUseGroups;
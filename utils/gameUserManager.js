@@ -16,6 +16,18 @@
 
 'use strict';
 
+/**
+ * Types of hints about a password. index = a character and its index, start = the first characters, end = the last characters,
+ * middle = a character and its position in a password longer than 5 characters, length = amount of characters
+ */
+const HintTypes = {
+  INDEX: 'index',
+  START: 'start',
+  END: 'end',
+  MIDDLE: 'middle',
+  LENGTH: 'length',
+};
+
 /**
  * @param {string} password - String to generate hints from
  * @returns {string[]} - Returns password hints
@@ -57,3 +69,4 @@ function createHints(password) {
 }
 
 exports.createHints = createHints;
+exports.HintTypes = HintTypes;
@@ -160,5 +160,28 @@ function getDistance(p1, p2) {
   return earthRadius * c; // returns the distance in meter
 }
 
+/**
+ * Checks if a point is within a polygon
+ * @param {Object} params.coordinates Point coordinates
+ * @param {{lat: number, lng: number}[]} params.coordsCollection Polygon corners
+ * @returns {boolean} Is the point within the polygon?
+ */
+function isWithinPolygon({ coordinates, coordsCollection }) {
+  let isWithin = false;
+
+  for (let i = 0, j = coordsCollection.length - 1; i < coordsCollection.length; j = i, i += 1) {
+    const corner = coordsCollection[i];
+    const previousCorner = coordsCollection[j];
+
+    if ((corner.lat > coordinates.latitude) !== (previousCorner.lat > coordinates.latitude)
+      && coordinates.longitude < (((previousCorner.lng - corner.lng) * (coordinates.latitude - corner.lat)) / (previousCorner.lat - corner.lat)) + corner.lng) {
+      isWithin = !isWithin;
+    }
+  }
+
+  return isWithin;
+}
+
 exports.getGooglePositions = getGooglePositions;
 exports.getDistance = getDistance;
+exports.isWithinPolygon = isWithinPolygon;
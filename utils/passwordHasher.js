@@ -0,0 +1,114 @@
+/*
+ Copyright 2017 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const appConfig = require('../config/defaults/config').app;
+const errorCreator = require('../objects/error/errorCreator');
+
+const hashPrefix = 'pbkdf2';
+const digest = 'sha512';
+const keyLength = 64;
+const saltLength = 16;
+
+/**
+ * Split a stored password into its parts. Passwords stored before hashing was added are returned as plain text
+ * @param {string} storedPassword Stored password
+ * @returns {Object} Iterations, salt and hash. isPlainText is set if the password has not been hashed
+ */
+function parseStoredPassword(storedPassword) {
+  const parts = typeof storedPassword === 'string' ? storedPassword.split('$') : [];
+
+  if (parts.length !== 5 || parts[0] !== hashPrefix || parts[1] !== digest) {
+    return { isPlainText: true };
+  }
+
+  return {
+    iterations: Number(parts[2]),
+    salt: parts[3],
+    hash: parts[4],
+  };
+}
+
+/**
+ * Hash password with a new random salt
+ * @param {string} params.password Password
+ * @param {Function} params.callback Callback
+ */
+function hashPassword({ password, callback }) {
+  const iterations = Number(appConfig.passwordHashIterations);
+  const salt = crypto.randomBytes(saltLength).toString('base64');
+
+  crypto.pbkdf2(password, salt, iterations, keyLength, digest, (err, hash) => {
+    if (err) {
+      callback({ error: new errorCreator.Internal({ name: 'hash password', errorObject: err }) });
+
+      return;
+    }
+
+    callback({ data: { hashedPassword: [hashPrefix, digest, iterations, salt, hash.toString('base64')].join('$') } });
+  });
+}
+
+/**
+ * Check if the password matches the stored password.
+ * needsRehash is set if the stored password is in plain text or was hashed with fewer iterations than the current setting
+ * @param {string} params.password Password to check
+ * @param {string} params.storedPassword Stored hashed or plain text password
+ * @param {Function} params.callback Callback
+ */
+function verifyPassword({ password, storedPassword, callback }) {
+  const { isPlainText, iterations, salt, hash } = parseStoredPassword(storedPassword);
+
+  if (typeof password !== 'string' || typeof storedPassword !== 'string') {
+    callback({ data: { isCorrect: false } });
+
+    return;
+  } else if (isPlainText) {
+    const sentBuffer = Buffer.from(password);
+    const storedBuffer = Buffer.from(storedPassword);
+
+    callback({
+      data: {
+        isCorrect: sentBuffer.length === storedBuffer.length && crypto.timingSafeEqual(sentBuffer, storedBuffer),
+        needsRehash: true,
+      },
+    });
+
+    return;
+  }
+
+  crypto.pbkdf2(password, salt, iterations, keyLength, digest, (err, sentHash) => {
+    if (err) {
+      callback({ error: new errorCreator.Internal({ name: 'verify password', errorObject: err }) });
+
+      return;
+    }
+
+    const storedHash = Buffer.from(hash, 'base64');
+
+    callback({
+      data: {
+        isCorrect: sentHash.length === storedHash.length && crypto.timingSafeEqual(sentHash, storedHash),
+        needsRehash: iterations < Number(appConfig.passwordHashIterations),
+      },
+    });
+  });
+}
+
+exports.hashPassword = hashPassword;
+exports.verifyPassword = verifyPassword;
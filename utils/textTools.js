@@ -93,6 +93,21 @@ function convertToInt(int) {
   return isNaN(parsedInt) ? 0 : parsedInt;
 }
 
+/**
+ * Convert a time sent by the client to a date
+ * @param {string|number} [time] Time to convert. Can be a date string or milliseconds
+ * @returns {Date|null} Converted date. Null if no time was sent or it is invalid
+ */
+function convertToDate(time) {
+  if (!time) {
+    return null;
+  }
+
+  const date = new Date(Number.isNaN(Number(time)) ? time : Number(time));
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
 /**
  * @param {string[]} array - Array to be shuffled
  * @returns {string[]} Shuffled array
@@ -147,13 +162,97 @@ function calculateMinutesDifference({ firstDate, secondDate }) {
   return Math.floor((difference / 1000) / 60);
 }
 
+/**
+ * Create CSV text. Values containing separators, quotes or line breaks are quoted
+ * @param {string[]} params.columns Names of the columns. Each row is expected to have properties with the same names
+ * @param {Object[]} params.rows Rows
+ * @returns {string} CSV text
+ */
+function createCsv({ columns, rows }) {
+  const escapeValue = (value) => {
+    const text = value instanceof Date ? value.toISOString() : `${typeof value === 'undefined' || value === null ? '' : value}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(escapeValue).join(',')].concat(rows.map(row => columns.map(column => escapeValue(row[column])).join(',')));
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Create a line by line diff between two texts. Lines that are in both texts are kept in order
+ * @param {string[]} params.oldText Array with the old text
+ * @param {string[]} params.newText Array with the new text
+ * @returns {{ change: string, line: string }[]} Lines with their change. change is unchanged, removed or added
+ */
+function createLineDiff({ oldText, newText }) {
+  const commonLengths = [];
+
+  for (let i = oldText.length; i >= 0; i -= 1) {
+    commonLengths[i] = [];
+
+    for (let j = newText.length; j >= 0; j -= 1) {
+      if (i === oldText.length || j === newText.length) {
+        commonLengths[i][j] = 0;
+      } else if (oldText[i] === newText[j]) {
+        commonLengths[i][j] = commonLengths[i + 1][j + 1] + 1;
+      } else {
+        commonLengths[i][j] = Math.max(commonLengths[i + 1][j], commonLengths[i][j + 1]);
+      }
+    }
+  }
+
+  const diff = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  while (oldIndex < oldText.length || newIndex < newText.length) {
+    if (oldIndex < oldText.length && newIndex < newText.length && oldText[oldIndex] === newText[newIndex]) {
+      diff.push({ change: 'unchanged', line: oldText[oldIndex] });
+      oldIndex += 1;
+      newIndex += 1;
+    } else if (newIndex === newText.length || (oldIndex < oldText.length && commonLengths[oldIndex + 1][newIndex] >= commonLengths[oldIndex][newIndex + 1])) {
+      diff.push({ change: 'removed', line: oldText[oldIndex] });
+      oldIndex += 1;
+    } else {
+      diff.push({ change: 'added', line: newText[newIndex] });
+      newIndex += 1;
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Split search text into unique lower case words
+ * @param {string} text Search text
+ * @returns {string[]} Words
+ */
+function createSearchWords(text) {
+  return `${text}`.toLowerCase().split(/\s+/).filter((word, index, words) => word !== '' && words.indexOf(word) === index);
+}
+
+/**
+ * Create a case insensitive regular expression that matches any of the words. Special characters in the words are escaped
+ * @param {string[]} words Words to match
+ * @returns {RegExp} Regular expression
+ */
+function createSearchRegExp(words) {
+  return new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'i');
+}
+
 exports.isAlphaNumeric = isAlphaNumeric;
 exports.isAllowedFull = isAllowedFull;
 exports.cleanText = cleanText;
 exports.convertToBoolean = convertToBoolean;
 exports.convertToFloat = convertToFloat;
 exports.convertToInt = convertToInt;
+exports.convertToDate = convertToDate;
 exports.shuffleArray = shuffleArray;
 exports.getDifference = getDifference;
 exports.isValidMail = isValidMail;
 exports.calculateMinutesDifference = calculateMinutesDifference;
+exports.createCsv = createCsv;
+exports.createLineDiff = createLineDiff;
+exports.createSearchWords = createSearchWords;
+exports.createSearchRegExp = createSearchRegExp;